@@ -1,34 +1,39 @@
-import { useEffect, useCallback, useRef, useState } from 'react';
+import { useEffect, useCallback, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
   MiniMap,
   Controls,
   Background,
   ReactFlowProvider,
-  getNodesBounds,
-  getViewportForBounds,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { toPng, toJpeg } from 'html-to-image';
 import { jsPDF } from 'jspdf';
 
-import PersonNode from './components/PersonNode';
-import SectionNode from './components/SectionNode';
-import CustomEdge from './components/CustomEdge';
+import { nodeTypes, edgeTypes } from './components/flowTypes';
 import Sidebar from './components/Sidebar';
+import PersonPanel from './components/PersonPanel';
 import ShortcutsHelp from './components/ShortcutsHelp';
+import ToolbarMenu from './components/ToolbarMenu';
+import LayoutMenu from './components/LayoutMenu';
+import TableImportDialog from './components/TableImportDialog';
+import DiagramImportDialog from './components/DiagramImportDialog';
+import JsonImportDialog from './components/JsonImportDialog';
+import ExportDialog from './components/ExportDialog';
+import DocumentManager from './components/DocumentManager';
+import SaveStatus from './components/SaveStatus';
+import StorageDialog from './components/StorageDialog';
+import HistoryPanel from './components/HistoryPanel';
 import useFlowStore from './store/useFlowStore';
 import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import { fileStem as makeFileStem, downloadBlob } from './utils/files';
+import { buildSvg } from './utils/svgExport';
+import { buildVectorPdf } from './utils/pdfExport';
+import { captureFullGraph } from './utils/rasterExport';
+import { selectScope, collapsedHidden } from './utils/graph';
 import {
   GRID_SIZE,
   GRID_VARIANT,
   GRID_DOT_SIZE,
   GRID_DOT_COLOR,
-  EXPORT_BG_COLOR,
-  EXPORT_PIXEL_RATIO,
-  EXPORT_PDF_PIXEL_RATIO,
-  EXPORT_PADDING,
-  EXPORT_MAX_CANVAS_SIDE,
-  EXPORT_MAX_CANVAS_PIXELS,
   DEFAULT_EDGE_COLOR,
   DEFAULT_EDGE_STROKE_WIDTH,
   DEFAULT_SECTION_COLOR,
@@ -36,139 +41,29 @@ import {
   DEFAULT_PERSON_BORDER,
   MINIMAP_PERSON_COLOR,
   MINIMAP_MASK_COLOR,
+  VACANCY_COLOR,
+  AUTO_SNAPSHOT_INTERVAL,
 } from './config';
 
-// ─── Types de nodes et edges personnalisés ──────────────
-const nodeTypes = { person: PersonNode, section: SectionNode };
-const edgeTypes = { custom: CustomEdge };
-
-/**
- * Calcule le pixel ratio maximal possible sans dépasser les limites du canvas.
- * Protects against browser crashes from oversized canvases.
- */
-function clampPixelRatio(width, height, wantedRatio) {
-  let r = wantedRatio;
-  // Ne pas dépasser la taille max par côté
-  while (r > 1 && (width * r > EXPORT_MAX_CANVAS_SIDE || height * r > EXPORT_MAX_CANVAS_SIDE)) {
-    r -= 0.5;
-  }
-  // Ne pas dépasser le budget total de pixels
-  while (r > 1 && width * r * height * r > EXPORT_MAX_CANVAS_PIXELS) {
-    r -= 0.5;
-  }
-  return Math.max(1, r);
-}
-
 /**
- * Capture l'intégralité du graphe en pleine résolution, indépendamment du zoom.
- * • Calcule le bounding-box de tous les nœuds
- * • Applique un viewport 1:1 temporairement
- * • Plafonne le pixel ratio pour éviter les crashs navigateur
- * • Capture puis restaure l'état précédent
- *
- * @param {Array} nodes — tableau de nœuds React Flow
- * @param {object} opts
- * @param {number} [opts.pixelRatio=EXPORT_PIXEL_RATIO] — ratio souhaité
- * @param {'png'|'jpeg'} [opts.format='png'] — format de sortie
- * @param {number} [opts.quality=0.85] — qualité JPEG (0–1)
- * @returns {Promise<string>} data URL
+ * Generate a safe file-name stem from the current store state.
  */
-function captureFullGraph(nodes, opts = {}) {
-  const {
-    pixelRatio: wantedRatio = EXPORT_PIXEL_RATIO,
-    format = 'png',
-    quality = 0.85,
-  } = opts;
-
-  return new Promise((resolve, reject) => {
-    const viewportEl = document.querySelector('.react-flow__viewport');
-    if (!viewportEl) return reject(new Error('Viewport not found'));
-
-    const wrapper = document.querySelector('.react-flow');
-    wrapper?.classList.add('exporting');
-
-    // Bounding-box de tous les nœuds
-    const bounds = getNodesBounds(nodes);
-    const padding = EXPORT_PADDING;
-    const imageWidth = Math.ceil(bounds.width + padding * 2);
-    const imageHeight = Math.ceil(bounds.height + padding * 2);
-
-    // Pixel ratio adapté à la taille réelle
-    const pixelRatio = clampPixelRatio(imageWidth, imageHeight, wantedRatio);
-
-    // Viewport 1:1 pour cadrer tout le graphe
-    const viewport = getViewportForBounds(
-      bounds,
-      imageWidth,
-      imageHeight,
-      0.5,
-      2,
-      padding
-    );
-
-    // Sauvegarder le transform actuel
-    const prev = viewportEl.style.transform;
-    viewportEl.style.transform = `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.zoom})`;
-
-    const captureOpts = {
-      backgroundColor: EXPORT_BG_COLOR,
-      pixelRatio,
-      width: imageWidth,
-      height: imageHeight,
-      style: {
-        width: `${imageWidth}px`,
-        height: `${imageHeight}px`,
-      },
-      // Exclure minimap, controls, attribution du rendu
-      filter: (node) => {
-        if (!(node instanceof HTMLElement)) return true;
-        const cls = node.className || '';
-        if (typeof cls === 'string') {
-          if (cls.includes('react-flow__minimap')) return false;
-          if (cls.includes('react-flow__controls')) return false;
-          if (cls.includes('react-flow__attribution')) return false;
-        }
-        return true;
-      },
-    };
-
-    // JPEG : ajouter la qualité
-    if (format === 'jpeg') {
-      captureOpts.quality = quality;
-    }
-
-    const captureFn = format === 'jpeg' ? toJpeg : toPng;
-
-    // Double rAF pour laisser le DOM se stabiliser
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        captureFn(viewportEl, captureOpts)
-          .then((dataUrl) => {
-            viewportEl.style.transform = prev;
-            wrapper?.classList.remove('exporting');
-            resolve(dataUrl);
-          })
-          .catch((err) => {
-            viewportEl.style.transform = prev;
-            wrapper?.classList.remove('exporting');
-            reject(err);
-          });
-      });
-    });
-  });
+function fileStem() {
+  const s = useFlowStore.getState();
+  return makeFileStem(s.fileName, s.fileVersion);
 }
 
 /**
- * Generate a safe file-name stem from the current store state.
+ * Nœuds / edges passés à React Flow : ceux des branches repliées sont
+ * marqués `hidden` (le store n'en garde pas trace, voir collapsedHidden).
  */
-function fileStem() {
-  const s = useFlowStore.getState();
-  const date = new Date().toISOString().slice(0, 10);
-  const safe = s.fileName
-    .replace(/[^a-zA-Z0-9\u00C0-\u017F\-_]/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-  return `${safe || 'organigramme'}_v${s.fileVersion}_${date}`;
+function hideCollapsed(nodes, edges) {
+  const hidden = collapsedHidden(nodes, edges);
+  if (hidden.size === 0) return { nodes, edges };
+  return {
+    nodes: nodes.map((n) => (hidden.has(n.id) ? { ...n, hidden: true } : n)),
+    edges: edges.map((e) => (hidden.has(e.source) || hidden.has(e.target) ? { ...e, hidden: true } : e)),
+  };
 }
 
 /**
@@ -187,13 +82,37 @@ function Flow() {
   const loadFlow = useFlowStore((s) => s.loadFlow);
   const resetFlow = useFlowStore((s) => s.resetFlow);
   const exportFlow = useFlowStore((s) => s.exportFlow);
-  const importFlow = useFlowStore((s) => s.importFlow);
+  const exportHtml = useFlowStore((s) => s.exportHtml);
+  const exportPptx = useFlowStore((s) => s.exportPptx);
+  const exportDrawio = useFlowStore((s) => s.exportDrawio);
+  const exportDiagramText = useFlowStore((s) => s.exportDiagramText);
+  const exportPeopleTable = useFlowStore((s) => s.exportPeopleTable);
   const fileName = useFlowStore((s) => s.fileName);
   const fileVersion = useFlowStore((s) => s.fileVersion);
   const setFileName = useFlowStore((s) => s.setFileName);
   const incrementVersion = useFlowStore((s) => s.incrementVersion);
   const decrementVersion = useFlowStore((s) => s.decrementVersion);
-  const autoLayout = useFlowStore((s) => s.autoLayout);
+
+  // ── Branches repliées : cartes et flèches masquées sur le canvas ──
+  const display = useMemo(() => hideCollapsed(nodes, edges), [nodes, edges]);
+
+  // ── Dialogs ────────────────────────────────────────
+  const [tableImportOpen, setTableImportOpen] = useState(false);
+  const [diagramImportOpen, setDiagramImportOpen] = useState(false);
+  const [importFormat, setImportFormat] = useState(null); // 'json' | 'drawio' | null
+  const [exportFormat, setExportFormat] = useState(null);
+  const [documentsOpen, setDocumentsOpen] = useState(false);
+  const [storageOpen, setStorageOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  // Échec d'enregistrement → afficher les actions de récupération
+  useEffect(
+    () =>
+      useFlowStore.subscribe((state, prev) => {
+        if (state.saveStatus === 'error' && prev.saveStatus !== 'error') setStorageOpen(true);
+      }),
+    []
+  );
 
   // ── Undo / Redo state ──────────────────────────────
   const [canUndo, setCanUndo] = useState(false);
@@ -217,31 +136,52 @@ function Flow() {
     setTimeout(() => useFlowStore.getState()._save(), 0);
   }, []);
 
-  // ── Chargement initial depuis localStorage ─────────
+  // ── Chargement initial depuis IndexedDB ───────────
   useEffect(() => {
     loadFlow();
   }, [loadFlow]);
 
+  // ── Instantanés automatiques (si l'organigramme a changé) ──
+  useEffect(() => {
+    const timer = setInterval(() => useFlowStore.getState().autoSnapshot(), AUTO_SNAPSHOT_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
   // ── Keyboard shortcuts (voir src/hooks/useKeyboardShortcuts.js) ──
   useKeyboardShortcuts();
 
-  // ── Export PNG ─────────────────────────────────────
-  const handleExportPng = useCallback(() => {
-    const currentNodes = useFlowStore.getState().nodes;
-    if (currentNodes.length === 0) return;
-    captureFullGraph(currentNodes, EXPORT_PIXEL_RATIO).then((dataUrl) => {
+  // ── Export image (PNG / JPEG) ──────────────────────
+  const exportImage = useCallback((scoped, format, opts) => {
+    captureFullGraph(scoped.nodes, {
+      format,
+      pixelRatio: opts.scale,
+      background: opts.background,
+      padding: opts.padding,
+      edges: scoped.edges,
+      photos: opts.photos,
+      comments: opts.comments,
+      decor: opts.decor,
+      getNodes: () => useFlowStore.getState().nodes,
+    }).then((dataUrl) => {
       const a = document.createElement('a');
       a.href = dataUrl;
-      a.download = `${fileStem()}.png`;
+      a.download = `${fileStem()}.${format === 'jpeg' ? 'jpg' : 'png'}`;
       a.click();
     });
   }, []);
 
-  // ── Export PDF (haute résolution) ──────────────────
-  const handleExportPdf = useCallback(() => {
-    const currentNodes = useFlowStore.getState().nodes;
-    if (currentNodes.length === 0) return;
-    captureFullGraph(currentNodes, EXPORT_PDF_PIXEL_RATIO).then((dataUrl) => {
+  // ── Export PDF image (haute résolution) ───────────
+  const exportRasterPdf = useCallback((scoped, opts) => {
+    captureFullGraph(scoped.nodes, {
+      pixelRatio: opts.scale,
+      background: opts.background,
+      padding: opts.padding,
+      edges: scoped.edges,
+      photos: opts.photos,
+      comments: opts.comments,
+      decor: opts.decor,
+      getNodes: () => useFlowStore.getState().nodes,
+    }).then((dataUrl) => {
       const img = new Image();
       img.onload = () => {
         const ratio = img.width / img.height;
@@ -267,9 +207,32 @@ function Flow() {
     });
   }, []);
 
+  // ── Export (options : voir ExportDialog) ───────────
+  const handleExport = useCallback(
+    (format, { scope, sectionId, raster, expanded, ...opts }) => {
+      setExportFormat(null);
+      const { fileName: name, exportGraph } = useFlowStore.getState();
+      const graph = exportGraph(expanded);
+      const scoped = selectScope(graph.nodes, graph.edges, scope, sectionId);
+      if (scoped.nodes.length === 0) return;
+
+      if (format === 'png' || format === 'jpeg') {
+        exportImage(scoped, format, opts);
+      } else if (format === 'pdf' && raster) {
+        exportRasterPdf(scoped, opts);
+      } else if (format === 'pdf') {
+        buildVectorPdf(scoped.nodes, scoped.edges, { ...opts, title: name }).save(`${fileStem()}.pdf`);
+      } else if (format === 'svg') {
+        const svg = buildSvg(scoped.nodes, scoped.edges, opts);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${fileStem()}.svg`);
+      }
+    },
+    [exportImage, exportRasterPdf]
+  );
+
   // ── Reset ──────────────────────────────────────────
   const handleReset = useCallback(() => {
-    if (window.confirm("Réinitialiser l'organigramme ? Toutes les données seront perdues.")) {
+    if (window.confirm('Vider cet organigramme ? Son contenu sera perdu (les autres organigrammes sont conservés).')) {
       resetFlow();
     }
   }, [resetFlow]);
@@ -287,6 +250,15 @@ function Flow() {
           </div>
           <h1 className="text-lg font-bold text-gray-800 tracking-tight shrink-0">OrganMaker</h1>
           <div className="w-px h-6 bg-gray-200" />
+          <button
+            onClick={() => setDocumentsOpen(true)}
+            className="w-8 h-8 rounded-lg flex items-center justify-center text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors shrink-0"
+            title="Mes organigrammes"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M2.25 12.75V12A2.25 2.25 0 0 1 4.5 9.75h15A2.25 2.25 0 0 1 21.75 12v.75m-8.69-6.44-2.12-2.12a1.5 1.5 0 0 0-1.061-.44H4.5A2.25 2.25 0 0 0 2.25 6v12a2.25 2.25 0 0 0 2.25 2.25h15A2.25 2.25 0 0 0 21.75 18V9a2.25 2.25 0 0 0-2.25-2.25h-5.379a1.5 1.5 0 0 1-1.06-.44Z" />
+            </svg>
+          </button>
           <input
             value={fileName}
             onChange={(e) => setFileName(e.target.value)}
@@ -306,15 +278,25 @@ function Flow() {
               </svg>
             </button>
             <button
-              onClick={incrementVersion}
+              onClick={() => incrementVersion()}
               className="w-5 h-5 rounded flex items-center justify-center text-gray-400 hover:bg-gray-100 hover:text-gray-600 transition-colors"
-              title="Version suivante"
+              title="Nouvelle version (la version actuelle est gardée dans l'historique)"
             >
               <svg className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.5v15m7.5-7.5h-15" />
               </svg>
             </button>
+            <button
+              onClick={() => setHistoryOpen(true)}
+              className="w-5 h-5 rounded flex items-center justify-center text-gray-400 hover:bg-gray-100 hover:text-gray-600 transition-colors"
+              title="Historique des versions"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6h4.5m4.5 0a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z" />
+              </svg>
+            </button>
           </div>
+          <SaveStatus onClick={() => setStorageOpen(true)} />
         </div>
 
         {/* Right: actions */}
@@ -346,26 +328,17 @@ function Flow() {
           {/* Séparateur */}
           <div className="w-px h-6 bg-gray-200 mx-0.5" />
 
-          {/* Organiser */}
-          <button
-            onClick={autoLayout}
-            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-amber-50 text-amber-700 hover:bg-amber-100 transition-colors"
-            title="Organiser les nœuds en arbre"
-          >
-            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.75 6A2.25 2.25 0 0 1 6 3.75h2.25A2.25 2.25 0 0 1 10.5 6v2.25a2.25 2.25 0 0 1-2.25 2.25H6a2.25 2.25 0 0 1-2.25-2.25V6ZM3.75 15.75A2.25 2.25 0 0 1 6 13.5h2.25a2.25 2.25 0 0 1 2.25 2.25V18a2.25 2.25 0 0 1-2.25 2.25H6A2.25 2.25 0 0 1 3.75 18v-2.25ZM13.5 6a2.25 2.25 0 0 1 2.25-2.25H18A2.25 2.25 0 0 1 20.25 6v2.25A2.25 2.25 0 0 1 18 10.5h-2.25a2.25 2.25 0 0 1-2.25-2.25V6Z" />
-            </svg>
-            Organiser
-          </button>
+          {/* Organiser (options de disposition) */}
+          <LayoutMenu />
 
           {/* Séparateur */}
           <div className="w-px h-6 bg-gray-200 mx-0.5" />
 
           {/* Export PNG */}
           <button
-            onClick={handleExportPng}
+            onClick={() => setExportFormat('png')}
             className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-green-50 text-green-700 hover:bg-green-100 transition-colors"
-            title="Exporter en PNG"
+            title="Exporter en image (PNG / JPEG)"
           >
             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
@@ -375,7 +348,7 @@ function Flow() {
 
           {/* Export PDF */}
           <button
-            onClick={handleExportPdf}
+            onClick={() => setExportFormat('pdf')}
             className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-rose-50 text-rose-600 hover:bg-rose-100 transition-colors"
             title="Exporter en PDF"
           >
@@ -385,33 +358,113 @@ function Flow() {
             PDF
           </button>
 
-          {/* Export JSON */}
+          {/* Export SVG */}
           <button
-            onClick={exportFlow}
-            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-yellow-50 text-yellow-600 hover:bg-yellow-100 transition-colors"
-            title="Exporter en JSON"
+            onClick={() => setExportFormat('svg')}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100 transition-colors"
+            title="Exporter en SVG (vectoriel, éditable)"
           >
             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
             </svg>
-            JSON
+            SVG
           </button>
 
-          {/* Séparateur */}
-          <div className="w-px h-6 bg-gray-200 mx-0.5" />
+          {/* Export HTML (visionneuse autonome) */}
+          <button
+            onClick={exportHtml}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-emerald-50 text-emerald-700 hover:bg-emerald-100 transition-colors"
+            title="Page web autonome en lecture seule (zoom, recherche, commentaires), sans connexion"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
+            </svg>
+            HTML
+          </button>
+
+          {/* Export PowerPoint */}
+          <ToolbarMenu
+            label="PowerPoint"
+            className="bg-red-50 text-red-600 hover:bg-red-100"
+            title="Exporter en présentation PowerPoint (formes modifiables)"
+            icon={
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
+              </svg>
+            }
+            items={[
+              { label: 'Une diapositive', onClick: () => exportPptx('none'), title: 'Tout l\'organigramme sur une diapositive' },
+              { label: 'Une par équipe', onClick: () => exportPptx('subtree'), title: 'Vue d\'ensemble, puis une diapositive par équipe de premier niveau' },
+              { label: 'Une par section', onClick: () => exportPptx('section'), title: 'Vue d\'ensemble, puis une diapositive par section' },
+            ]}
+          />
 
-          {/* Import JSON */}
+          {/* Export JSON */}
           <button
-            onClick={importFlow}
+            onClick={() => exportFlow()}
             className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-yellow-50 text-yellow-600 hover:bg-yellow-100 transition-colors"
-            title="Importer un fichier JSON"
+            title="Exporter en JSON"
           >
             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
             </svg>
-            Importer
+            JSON
           </button>
 
+          {/* Export diagramme (draw.io, Mermaid, DOT) */}
+          <ToolbarMenu
+            label="Diagramme"
+            className="bg-orange-50 text-orange-600 hover:bg-orange-100"
+            title="Exporter vers un outil de diagrammes"
+            icon={
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
+              </svg>
+            }
+            items={[
+              { label: 'draw.io (.drawio)', onClick: exportDrawio, title: 'Exporter pour draw.io / diagrams.net' },
+              { label: 'Mermaid (.mmd)', onClick: () => exportDiagramText('mermaid'), title: 'Hiérarchie en flowchart Mermaid, pour les wikis Markdown' },
+              { label: 'Graphviz (.dot)', onClick: () => exportDiagramText('dot'), title: 'Hiérarchie en graphe DOT, sections en clusters' },
+            ]}
+          />
+
+          {/* Export tableur (CSV / Excel) */}
+          <ToolbarMenu
+            label="Tableur"
+            className="bg-teal-50 text-teal-700 hover:bg-teal-100"
+            title="Exporter la liste des personnes"
+            icon={
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
+              </svg>
+            }
+            items={[
+              { label: 'CSV', onClick: () => exportPeopleTable('csv'), title: 'Une ligne par personne, séparateur « ; »' },
+              { label: 'Excel (.xlsx)', onClick: () => exportPeopleTable('xlsx'), title: 'Une ligne par personne' },
+            ]}
+          />
+
+          {/* Séparateur */}
+          <div className="w-px h-6 bg-gray-200 mx-0.5" />
+
+          {/* Import (JSON / diagrammes / tableur) */}
+          <ToolbarMenu
+            label="Importer"
+            className="bg-yellow-50 text-yellow-600 hover:bg-yellow-100"
+            title="Importer un organigramme"
+            icon={
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+              </svg>
+            }
+            items={[
+              { label: 'Fichier JSON', onClick: () => setImportFormat('json'), title: 'Remplacer, compléter ou mettre à jour depuis un fichier JSON OrganMaker' },
+              { label: 'Diagramme draw.io', onClick: () => setImportFormat('drawio'), title: 'Personnes, sections et liens d\'un fichier .drawio / diagrams.net' },
+              { label: 'Mermaid / Graphviz DOT', onClick: () => setDiagramImportOpen(true), title: 'Construire l\'organigramme depuis un diagramme texte, puis le disposer' },
+              { label: 'Tableur (CSV / Excel)', onClick: () => setTableImportOpen(true), title: 'Construire l\'organigramme depuis une colonne « manager »' },
+            ]}
+          />
+
           {/* Séparateur */}
           <div className="w-px h-6 bg-gray-200 mx-0.5" />
 
@@ -433,11 +486,21 @@ function Flow() {
       <div className="flex-1 relative" ref={reactFlowWrapper}>
         {/* Floating sidebar */}
         <Sidebar />
+        <PersonPanel />
         <ShortcutsHelp />
+        {tableImportOpen && <TableImportDialog onClose={() => setTableImportOpen(false)} />}
+        {diagramImportOpen && <DiagramImportDialog onClose={() => setDiagramImportOpen(false)} />}
+        {importFormat && <JsonImportDialog format={importFormat} onClose={() => setImportFormat(null)} />}
+        {documentsOpen && <DocumentManager onClose={() => setDocumentsOpen(false)} />}
+        {storageOpen && <StorageDialog onClose={() => setStorageOpen(false)} />}
+        {historyOpen && <HistoryPanel onClose={() => setHistoryOpen(false)} />}
+        {exportFormat && (
+          <ExportDialog initialFormat={exportFormat} onExport={handleExport} onClose={() => setExportFormat(null)} />
+        )}
 
         <ReactFlow
-          nodes={nodes}
-          edges={edges}
+          nodes={display.nodes}
+          edges={display.edges}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
@@ -469,6 +532,7 @@ function Flow() {
           <MiniMap
             nodeColor={(node) => {
               if (node.type === 'section') return node.data?.color || DEFAULT_SECTION_COLOR;
+              if (node.type === 'vacancy') return node.data?.borderColor || VACANCY_COLOR;
               // Person: use border color for visibility (white bg is invisible on minimap)
               const bg = node.data?.bgColor || DEFAULT_PERSON_BG;
               if (bg === '#ffffff' || bg === '#fff' || bg.toLowerCase() === DEFAULT_PERSON_BG.toLowerCase()) {
@@ -0,0 +1,257 @@
+import { memo, useCallback, useEffect, useMemo, useState } from 'react';
+import ReactFlow, { Background, Controls, ReactFlowProvider, useReactFlow } from 'reactflow';
+import Modal from './Modal';
+import { nodeTypes, edgeTypes } from './flowTypes';
+import useFlowStore from '../store/useFlowStore';
+import { loadSnapshot } from '../utils/chartStorage';
+import { pickFile, readFileAsText, fileStem, downloadBlob } from '../utils/files';
+import { prepareFlow } from '../utils/flowSchema';
+import { diffCharts, diffView, diffReport, diffSummary } from '../utils/chartDiff';
+import { GRID_SIZE, GRID_VARIANT, GRID_DOT_SIZE, GRID_DOT_COLOR } from '../config';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const select =
+  'w-full text-sm bg-gray-50 rounded-lg px-2 py-1.5 outline-none border border-gray-200 focus:border-indigo-300';
+
+const STATUS_STYLES = {
+  added: { dot: 'bg-green-500', label: 'Ajouté' },
+  modified: { dot: 'bg-amber-400', label: 'Modifié' },
+  removed: { dot: 'bg-red-500', label: 'Supprimé' },
+};
+
+/** Libellé d'un instantané dans les listes */
+function snapshotLabel(s) {
+  const date = new Date(s.createdAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+  return `v${s.version} du ${date}${s.note ? ` — ${s.note}` : s.auto ? ' (auto)' : ''}`;
+}
+
+function currentSource() {
+  const { nodes, edges } = useFlowStore.getState();
+  return { key: 'current', label: 'Version actuelle', nodes, edges };
+}
+
+/**
+ * Charge une source de comparaison : 'current', 'snap:<id>' ou 'file'.
+ * @returns {Promise<{ key: string, label: string, nodes: Array, edges: Array } | null>}
+ *          null si l'utilisateur annule le choix de fichier
+ */
+async function loadSource(value) {
+  if (value === 'current') return currentSource();
+  if (value.startsWith('snap:')) {
+    const snapshot = await loadSnapshot(value.slice(5));
+    if (!snapshot) throw new Error('Instantané introuvable.');
+    return { key: value, label: snapshotLabel(snapshot), nodes: snapshot.nodes, edges: snapshot.edges };
+  }
+  const file = await pickFile('.json');
+  if (!file) return null;
+  let data;
+  try {
+    data = JSON.parse(await readFileAsText(file));
+  } catch {
+    throw new Error(`Impossible de lire « ${file.name} ».`);
+  }
+  const { doc, issues, fatal } = prepareFlow(data, { repair: true });
+  if (fatal) throw new Error(`« ${file.name} » : ${issues[0].message}.`);
+  return { key: `file:${file.name}:${file.lastModified}`, label: file.name, nodes: doc.nodes, edges: doc.edges };
+}
+
+/** Canvas en lecture seule ; `focus` recentre la vue sur un nœud */
+const DiffCanvas = ({ nodes, edges, focus }) => {
+  const { fitView } = useReactFlow();
+
+  useEffect(() => {
+    if (focus) fitView({ nodes: [{ id: focus.id }], duration: 300, maxZoom: 1.2, padding: 0.6 });
+  }, [focus, fitView]);
+
+  return (
+    <ReactFlow
+      nodes={nodes}
+      edges={edges}
+      nodeTypes={nodeTypes}
+      edgeTypes={edgeTypes}
+      nodesDraggable={false}
+      nodesConnectable={false}
+      elementsSelectable={false}
+      deleteKeyCode={null}
+      fitView
+      proOptions={{ hideAttribution: true }}
+    >
+      <Background variant={GRID_VARIANT} gap={GRID_SIZE[0]} size={GRID_DOT_SIZE} color={GRID_DOT_COLOR} />
+      <Controls showInteractive={false} position="bottom-right" />
+    </ReactFlow>
+  );
+};
+
+/**
+ * Compare deux versions (historique, version actuelle ou fichiers JSON
+ * exportés) : personnes arrivées, parties ou modifiées (rôle, manager,
+ * section…), sections déplacées et liens changés. Les différences sont
+ * surlignées sur le canvas (vert / orange / rouge) et listées à droite ;
+ * le rapport texte est exportable.
+ *
+ * Props :
+ *  - initialBefore : id d'instantané comparé par défaut à la version actuelle
+ *  - onClose()
+ */
+const CompareDialog = ({ initialBefore, onClose }) => {
+  const snapshots = useFlowStore((s) => s.snapshots);
+  const fileName = useFlowStore((s) => s.fileName);
+  const fileVersion = useFlowStore((s) => s.fileVersion);
+
+  const [before, setBefore] = useState(null);
+  const [after, setAfter] = useState(currentSource);
+  const [choice, setChoice] = useState({ before: '', after: 'current' });
+  const [error, setError] = useState('');
+  const [focus, setFocus] = useState(null);
+
+  const choose = useCallback((side, value) => {
+    loadSource(value)
+      .then((source) => {
+        if (!source) return;
+        // Un fichier reste sélectionné sous sa propre clé
+        setChoice((c) => ({ ...c, [side]: source.key }));
+        (side === 'before' ? setBefore : setAfter)(source);
+        setFocus(null);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Par défaut : instantané demandé (ou le plus récent) → version actuelle
+  useEffect(() => {
+    const id = initialBefore || useFlowStore.getState().snapshots[0]?.id;
+    if (id) choose('before', `snap:${id}`);
+  }, [initialBefore, choose]);
+
+  const diff = useMemo(() => (before && after ? diffCharts(before, after) : null), [before, after]);
+  const view = useMemo(() => (diff ? diffView(diff, before, after) : null), [diff, before, after]);
+
+  const handleExportReport = () => {
+    const report = diffReport(diff, { beforeLabel: before.label, afterLabel: after.label });
+    downloadBlob(
+      new Blob([report], { type: 'text/plain;charset=utf-8' }),
+      `${fileStem(fileName, fileVersion)}_comparaison.txt`
+    );
+  };
+
+  const sourcePicker = (side, title) => {
+    const value = choice[side];
+    const source = side === 'before' ? before : after;
+    return (
+      <label className="flex-1 space-y-1">
+        <span className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">{title}</span>
+        <select value={value} onChange={(e) => choose(side, e.target.value)} className={select}>
+          {!value && <option value="">— Choisir —</option>}
+          <option value="current">Version actuelle</option>
+          {snapshots.length > 0 && (
+            <optgroup label="Historique">
+              {snapshots.map((s) => (
+                <option key={s.id} value={`snap:${s.id}`}>
+                  {snapshotLabel(s)}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {source?.key.startsWith('file:') && <option value={value}>{source.label}</option>}
+          <option value="file">Fichier JSON…</option>
+        </select>
+      </label>
+    );
+  };
+
+  const groups = diff
+    ? [
+        ['Personnes', diff.nodes.filter((d) => d.type === 'person')],
+        ['Postes à pourvoir', diff.nodes.filter((d) => d.type === 'vacancy')],
+        ['Sections', diff.nodes.filter((d) => d.type === 'section')],
+        ['Liens', diff.edges],
+      ]
+    : [];
+
+  return (
+    <Modal
+      title="Comparer deux versions"
+      maxWidth="max-w-6xl"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Fermer
+          </button>
+          <button
+            onClick={handleExportReport}
+            disabled={!diff}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40`}
+          >
+            Exporter le rapport
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-3">
+        <div className="flex items-end gap-3">
+          {sourcePicker('before', 'Avant')}
+          <span className="text-gray-300 pb-1.5">→</span>
+          {sourcePicker('after', 'Après')}
+        </div>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        {diff && <p className="text-sm text-gray-700">{diffSummary(diff)}</p>}
+
+        <div className="flex gap-3 h-[60vh]">
+          <div className="diff-view read-only relative flex-1 rounded-xl border border-gray-200 overflow-hidden bg-slate-50">
+            {view ? (
+              <ReactFlowProvider key={`${before.key}|${after.key}`}>
+                <DiffCanvas nodes={view.nodes} edges={view.edges} focus={focus} />
+              </ReactFlowProvider>
+            ) : (
+              <p className="text-sm text-gray-400 text-center py-8">Choisissez deux versions à comparer.</p>
+            )}
+            <div className="absolute top-2 left-2 flex gap-2 bg-white/90 rounded-lg px-2 py-1 text-[11px] text-gray-500">
+              {Object.entries(STATUS_STYLES).map(([status, s]) => (
+                <span key={status} className="flex items-center gap-1">
+                  <span className={`w-2 h-2 rounded-full ${s.dot}`} />
+                  {s.label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="w-72 shrink-0 overflow-y-auto space-y-3">
+            {diff && diff.nodes.length + diff.edges.length === 0 && (
+              <p className="text-sm text-gray-400">Les deux versions sont identiques.</p>
+            )}
+            {groups.map(
+              ([title, items]) =>
+                items.length > 0 && (
+                  <div key={title} className="space-y-1">
+                    <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">
+                      {title} ({items.length})
+                    </h3>
+                    {items.map((d) => (
+                      <button
+                        key={`${d.status}:${d.id}`}
+                        onClick={() => title !== 'Liens' && setFocus({ id: d.id })}
+                        className="w-full text-left rounded-lg px-2 py-1.5 hover:bg-gray-50 transition-colors"
+                      >
+                        <div className="flex items-center gap-1.5 text-sm text-gray-800">
+                          <span className={`w-2 h-2 rounded-full shrink-0 ${STATUS_STYLES[d.status].dot}`} />
+                          <span className="truncate">{d.label}</span>
+                        </div>
+                        {d.changes.map((c) => (
+                          <p key={c.field} className="text-[11px] text-gray-500 pl-3.5 truncate">
+                            {c.label} : {c.from ? `${c.from} → ${c.to || '—'}` : c.to}
+                          </p>
+                        ))}
+                      </button>
+                    ))}
+                  </div>
+                )
+            )}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(CompareDialog);
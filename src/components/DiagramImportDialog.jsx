@@ -0,0 +1,109 @@
+import { memo, useCallback, useMemo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { parseDiagramText } from '../utils/diagramText';
+import { pickFile, readFileAsText } from '../utils/files';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+
+const FORMAT_LABELS = { mermaid: 'Mermaid', dot: 'Graphviz DOT' };
+
+const MAX_WARNINGS = 6;
+
+const count = (n, one, many) => `${n} ${n > 1 ? many : one}`;
+
+/**
+ * Import d'un diagramme Mermaid (`flowchart`, bloc ```mermaid d'une page
+ * Markdown) ou Graphviz DOT, collé ou depuis un fichier. Le format est
+ * détecté ; l'organigramme est remplacé puis disposé automatiquement
+ * (sous-graphes → sections).
+ */
+const DiagramImportDialog = ({ onClose }) => {
+  const importDiagram = useFlowStore((s) => s.importDiagram);
+  const [text, setText] = useState('');
+
+  const parsed = useMemo(() => {
+    if (!text.trim()) return null;
+    try {
+      return parseDiagramText(text);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [text]);
+
+  const handlePickFile = useCallback(async () => {
+    const file = await pickFile('.mmd,.mermaid,.md,.dot,.gv,.txt');
+    if (!file) return;
+    try {
+      setText(await readFileAsText(file));
+    } catch {
+      alert('Impossible de lire le fichier.');
+    }
+  }, []);
+
+  const ready = parsed && !parsed.error && parsed.people.length > 0;
+
+  const handleImport = () => {
+    if (
+      useFlowStore.getState().nodes.length > 0 &&
+      !window.confirm("Remplacer l'organigramme actuel par le diagramme ? Il reste disponible dans l'historique.")
+    )
+      return;
+    importDiagram(parsed);
+    onClose();
+  };
+
+  return (
+    <Modal
+      title="Importer un diagramme Mermaid / DOT"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Annuler
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!ready}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Importer
+          </button>
+        </>
+      }
+    >
+      <p className="text-sm text-gray-600 mb-3">
+        Collez un diagramme <code>flowchart</code> Mermaid (ou une page Markdown qui en contient un) ou un graphe DOT.
+      </p>
+      <button onClick={handlePickFile} className={`${btn} bg-yellow-50 text-yellow-600 hover:bg-yellow-100 mb-3`}>
+        Choisir un fichier…
+      </button>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={10}
+        className="w-full text-xs font-mono text-gray-700 bg-gray-50 rounded-lg p-2 outline-none border border-gray-200 focus:border-indigo-300 transition-colors"
+        placeholder={'flowchart TD\n  alice["Alice<br/>CEO"] --> bob["Bob<br/>CTO"]\n  subgraph tech["Tech"]\n    bob\n  end'}
+      />
+      {parsed?.error && <p className="mt-1 text-xs text-red-600">{parsed.error}</p>}
+      {parsed && !parsed.error && (
+        <div className="mt-1 space-y-1">
+          <p className="text-xs text-gray-500">
+            {FORMAT_LABELS[parsed.format]} : {count(parsed.people.length, 'personne', 'personnes')},{' '}
+            {count(parsed.links.length, 'lien', 'liens')}, {count(parsed.sections.length, 'section', 'sections')}.
+          </p>
+          {parsed.warnings.slice(0, MAX_WARNINGS).map((w, i) => (
+            <p key={i} className="text-[11px] text-amber-700 truncate">
+              {w}
+            </p>
+          ))}
+          {parsed.warnings.length > MAX_WARNINGS && (
+            <p className="text-[11px] text-gray-400">… et {parsed.warnings.length - MAX_WARNINGS} autres.</p>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default memo(DiagramImportDialog);
@@ -0,0 +1,147 @@
+import { memo, useEffect, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const action = 'text-[11px] font-medium transition-colors';
+
+/** Date de dernière modification, format court français */
+function formatDate(ts) {
+  return new Date(ts).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Liste des organigrammes enregistrés (IndexedDB) :
+ * miniature, nom, version, dernière modification.
+ * Actions : nouveau, ouvrir, dupliquer, renommer, supprimer.
+ */
+const DocumentManager = ({ onClose }) => {
+  const charts = useFlowStore((s) => s.charts);
+  const chartId = useFlowStore((s) => s.chartId);
+  const refreshCharts = useFlowStore((s) => s.refreshCharts);
+  const newChart = useFlowStore((s) => s.newChart);
+  const openChart = useFlowStore((s) => s.openChart);
+  const duplicateChart = useFlowStore((s) => s.duplicateChart);
+  const renameChart = useFlowStore((s) => s.renameChart);
+  const deleteChart = useFlowStore((s) => s.deleteChart);
+
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  // L'organigramme ouvert vient d'être modifié : relire la liste
+  useEffect(() => {
+    useFlowStore.getState()._save();
+    refreshCharts();
+  }, [refreshCharts]);
+
+  const handleOpen = async (id) => {
+    await openChart(id);
+    onClose();
+  };
+
+  const handleNew = async () => {
+    await newChart();
+    onClose();
+  };
+
+  const commitRename = () => {
+    if (renaming?.name.trim()) renameChart(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  };
+
+  const handleDelete = (chart) => {
+    if (window.confirm(`Supprimer « ${chart.name} » ? Cette action est définitive.`)) {
+      deleteChart(chart.id);
+    }
+  };
+
+  return (
+    <Modal
+      title="Mes organigrammes"
+      maxWidth="max-w-4xl"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Fermer
+          </button>
+          <button onClick={handleNew} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600`}>
+            + Nouvel organigramme
+          </button>
+        </>
+      }
+    >
+      {charts.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-8">Aucun organigramme enregistré.</p>
+      ) : (
+        <div className="grid grid-cols-3 gap-3">
+          {charts.map((chart) => {
+            const current = chart.id === chartId;
+            return (
+              <div
+                key={chart.id}
+                className={`rounded-xl border overflow-hidden flex flex-col ${current ? 'border-indigo-300 ring-2 ring-indigo-100' : 'border-gray-200'}`}
+              >
+                <button
+                  onClick={() => handleOpen(chart.id)}
+                  className="h-32 bg-slate-50 flex items-center justify-center hover:bg-slate-100 transition-colors"
+                  title="Ouvrir"
+                >
+                  {chart.thumbnail ? (
+                    <img src={chart.thumbnail} alt="" className="max-w-full max-h-full object-contain p-2" />
+                  ) : (
+                    <span className="text-xs text-gray-300">Vide</span>
+                  )}
+                </button>
+                <div className="px-3 py-2 border-t border-gray-100 space-y-1">
+                  {renaming?.id === chart.id ? (
+                    <input
+                      autoFocus
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename();
+                        if (e.key === 'Escape') {
+                          e.stopPropagation();
+                          setRenaming(null);
+                        }
+                      }}
+                      className="w-full text-sm font-semibold text-gray-800 bg-gray-50 rounded px-1 outline-none border border-indigo-300"
+                    />
+                  ) : (
+                    <div className="flex items-center gap-1.5">
+                      <span className="text-sm font-semibold text-gray-800 truncate">{chart.name}</span>
+                      {current && <span className="text-[10px] text-indigo-500 shrink-0">ouvert</span>}
+                    </div>
+                  )}
+                  <div className="text-[11px] text-gray-400">
+                    <span className="font-mono">v{chart.version}</span> · {formatDate(chart.updatedAt)}
+                  </div>
+                  <div className="flex gap-3 pt-0.5">
+                    <button onClick={() => handleOpen(chart.id)} className={`${action} text-indigo-500 hover:text-indigo-700`}>
+                      Ouvrir
+                    </button>
+                    <button onClick={() => duplicateChart(chart.id)} className={`${action} text-gray-500 hover:text-gray-700`}>
+                      Dupliquer
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: chart.id, name: chart.name })}
+                      className={`${action} text-gray-500 hover:text-gray-700`}
+                    >
+                      Renommer
+                    </button>
+                    <button onClick={() => handleDelete(chart)} className={`${action} text-red-400 hover:text-red-600 ml-auto`}>
+                      Supprimer
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default memo(DocumentManager);
@@ -0,0 +1,115 @@
+import { memo, useMemo } from 'react';
+import useFlowStore from '../store/useFlowStore';
+import compressImage from '../utils/compressImage';
+import { pickFile } from '../utils/files';
+import { legendEntries } from '../utils/exportDecor';
+import { EXPORT_LOGO_MAX_SIZE, EXPORT_WATERMARK_TEXT } from '../config';
+
+const input =
+  'text-sm bg-gray-50 rounded-lg px-2 py-1 border border-gray-200 outline-none focus:border-indigo-300';
+
+/** Compresse le logo choisi et mémorise ses proportions */
+async function loadLogo(file) {
+  const src = await compressImage(file, { maxSize: EXPORT_LOGO_MAX_SIZE, format: 'image/png' });
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve({ src, width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+/**
+ * Réglages de l'habillage des exports (bloc titre, logo, légende,
+ * pied de page, filigrane). Enregistrés avec l'organigramme.
+ *
+ * Props :
+ *  - edges : flèches exportées (styles proposés dans la légende)
+ */
+const ExportDecorOptions = ({ edges }) => {
+  const decor = useFlowStore((s) => s.exportDecor);
+  const setExportDecor = useFlowStore((s) => s.setExportDecor);
+
+  const entries = useMemo(() => legendEntries(edges, decor.legendLabels), [edges, decor.legendLabels]);
+
+  const handleLogo = async () => {
+    const file = await pickFile('image/*');
+    if (!file) return;
+    try {
+      setExportDecor({ logo: await loadLogo(file) });
+    } catch {
+      alert("Impossible de lire l'image.");
+    }
+  };
+
+  const setLabel = (key, label) => setExportDecor({ legendLabels: { ...decor.legendLabels, [key]: label } });
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={decor.titleBlock} onChange={(e) => setExportDecor({ titleBlock: e.target.checked })} />
+        Bloc titre (nom, version, date)
+      </label>
+      {decor.titleBlock && (
+        <div className="flex items-center gap-2 pl-6 text-xs text-gray-500">
+          {decor.logo ? (
+            <>
+              <img src={decor.logo.src} alt="Logo" className="h-6 max-w-24 object-contain" />
+              <button onClick={handleLogo} className="text-indigo-500 hover:text-indigo-700">Changer</button>
+              <button onClick={() => setExportDecor({ logo: null })} className="text-red-400 hover:text-red-600">Retirer</button>
+            </>
+          ) : (
+            <button onClick={handleLogo} className="text-indigo-500 hover:text-indigo-700">+ Ajouter un logo</button>
+          )}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={decor.legend} onChange={(e) => setExportDecor({ legend: e.target.checked })} />
+        Légende des flèches
+      </label>
+      {decor.legend && (
+        <div className="pl-6 space-y-1">
+          {entries.length === 0 && <p className="text-[11px] text-gray-400">Aucune flèche exportée.</p>}
+          {entries.map((entry) => (
+            <div key={entry.key} className="flex items-center gap-2">
+              <svg width="28" height="8" className="shrink-0">
+                <line
+                  x1="0"
+                  y1="4"
+                  x2="28"
+                  y2="4"
+                  stroke={entry.color}
+                  strokeWidth="2"
+                  strokeDasharray={entry.dashed ? '8 5' : undefined}
+                />
+              </svg>
+              <input
+                value={entry.label}
+                onChange={(e) => setLabel(entry.key, e.target.value)}
+                placeholder={entry.dashed ? 'Pointillés' : 'Trait plein'}
+                className={`${input} flex-1 min-w-0 text-xs`}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+        <span>Pied de page</span>
+        <input
+          value={decor.footer}
+          onChange={(e) => setExportDecor({ footer: e.target.value })}
+          placeholder="Ex. Diffusion interne"
+          className={`${input} w-44`}
+        />
+      </label>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={decor.watermark} onChange={(e) => setExportDecor({ watermark: e.target.checked })} />
+        Filigrane « {decor.footer.trim() || EXPORT_WATERMARK_TEXT} »
+      </label>
+    </div>
+  );
+};
+
+export default memo(ExportDecorOptions);
@@ -0,0 +1,372 @@
+import { memo, useMemo, useState } from 'react';
+import Modal from './Modal';
+import ExportDecorOptions from './ExportDecorOptions';
+import useFlowStore from '../store/useFlowStore';
+import { selectScope, isCard } from '../utils/graph';
+import { exportGraph } from '../utils/layout';
+import { contentBounds } from '../utils/exportGeometry';
+import { buildSvg } from '../utils/svgExport';
+import { buildDecor, decorLayout } from '../utils/exportDecor';
+import { clampPixelRatio } from '../utils/rasterExport';
+import {
+  EXPORT_BG_COLOR,
+  EXPORT_PADDING,
+  EXPORT_PIXEL_RATIO,
+  EXPORT_PDF_PIXEL_RATIO,
+  PDF_DEFAULT_PAPER,
+  PDF_DEFAULT_MIN_SCALE,
+} from '../config';
+
+const FORMATS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'pdf', label: 'PDF' },
+  { value: 'svg', label: 'SVG' },
+];
+
+const PAPERS = [
+  { value: 'a4', label: 'A4' },
+  { value: 'a3', label: 'A3' },
+  { value: 'letter', label: 'Letter' },
+];
+
+const ORIENTATIONS = [
+  { value: 'auto', label: 'Automatique' },
+  { value: 'portrait', label: 'Portrait' },
+  { value: 'landscape', label: 'Paysage' },
+];
+
+const MIN_SCALES = [0.25, 0.4, 0.5, 0.75, 1];
+
+/** Facteurs d'échelle proposés (1 = 96 dpi) */
+const SCALES = [1, 2, 3, 4];
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const select =
+  'w-44 text-sm bg-gray-50 rounded-lg px-2 py-1 border border-gray-200 outline-none focus:border-indigo-300 disabled:opacity-40';
+const tab = (active) =>
+  `flex-1 py-1.5 text-xs rounded-md border transition-colors ${active ? 'bg-indigo-50 border-indigo-300 text-indigo-700 font-medium' : 'border-gray-200 text-gray-500 hover:bg-gray-50'}`;
+
+/** Ligne « libellé + contrôle » du formulaire */
+const Field = ({ label, children }) => (
+  <label className="flex items-center justify-between gap-3 text-sm text-gray-700">
+    <span>{label}</span>
+    {children}
+  </label>
+);
+
+/** Titre de groupe d'options */
+const Group = ({ title, children }) => (
+  <div className="space-y-2">
+    <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">{title}</h3>
+    {children}
+  </div>
+);
+
+/**
+ * Options d'export communes PNG / JPEG / PDF / SVG :
+ * - Périmètre : tout l'organigramme, la sélection ou une section
+ * - Fond transparent ou couleur, marge, échelle (dpi)
+ * - Photos et commentaires affichés ou non
+ * - Branches repliées masquées, ou tout déplié (formats vectoriels)
+ * - Habillage : bloc titre, légende, pied de page / filigrane
+ * - Options PDF (vectoriel / image, papier, orientation, découpage)
+ * - Aperçu et dimensions finales
+ *
+ * Props :
+ *  - initialFormat : 'png' | 'jpeg' | 'pdf' | 'svg'
+ *  - onExport(format, options) : { scope, sectionId, expanded, background, padding, scale,
+ *      photos, comments, decor, raster, paper, orientation, minScale, mode }
+ *  - onClose()
+ */
+const ExportDialog = ({ initialFormat = 'png', onExport, onClose }) => {
+  const nodes = useFlowStore((s) => s.nodes);
+  const edges = useFlowStore((s) => s.edges);
+  const fileName = useFlowStore((s) => s.fileName);
+  const fileVersion = useFlowStore((s) => s.fileVersion);
+  const exportDecor = useFlowStore((s) => s.exportDecor);
+  const exportExpanded = useFlowStore((s) => s.exportExpanded);
+  const layoutOptions = useFlowStore((s) => s.layoutOptions);
+  const setExportExpanded = useFlowStore((s) => s.setExportExpanded);
+
+  const sections = useMemo(() => nodes.filter((n) => n.type === 'section'), [nodes]);
+  const hasSelection = nodes.some((n) => n.selected);
+  const hasCollapsed = nodes.some((n) => isCard(n) && n.data.collapsed);
+
+  const [format, setFormat] = useState(initialFormat);
+  const [scope, setScope] = useState(hasSelection ? 'selection' : 'all');
+  const [sectionId, setSectionId] = useState(sections[0]?.id || '');
+  const [transparent, setTransparent] = useState(false);
+  const [bgColor, setBgColor] = useState(EXPORT_BG_COLOR);
+  const [padding, setPadding] = useState(EXPORT_PADDING);
+  const [scale, setScale] = useState(initialFormat === 'pdf' ? EXPORT_PDF_PIXEL_RATIO : EXPORT_PIXEL_RATIO);
+  const [photos, setPhotos] = useState(true);
+  const [comments, setComments] = useState(true);
+  // PDF
+  const [raster, setRaster] = useState(false);
+  const [paper, setPaper] = useState(PDF_DEFAULT_PAPER);
+  const [orientation, setOrientation] = useState('auto');
+  const [minScale, setMinScale] = useState(PDF_DEFAULT_MIN_SCALE);
+  const [mode, setMode] = useState('fit');
+
+  const isPdf = format === 'pdf';
+  const isRaster = format === 'png' || format === 'jpeg' || (isPdf && raster);
+  // JPEG : pas de canal alpha
+  const background = transparent && format !== 'jpeg' ? null : bgColor;
+  // Les images sont capturées depuis le canvas : branches repliées telles qu'affichées
+  const expanded = exportExpanded && !isRaster;
+
+  const scoped = useMemo(() => {
+    const graph = exportGraph(nodes, edges, expanded, layoutOptions);
+    return selectScope(graph.nodes, graph.edges, scope, sectionId);
+  }, [nodes, edges, expanded, layoutOptions, scope, sectionId]);
+  const decor = useMemo(
+    () => buildDecor(exportDecor, { fileName, fileVersion, edges: scoped.edges }),
+    [exportDecor, fileName, fileVersion, scoped]
+  );
+
+  // Aperçu : même rendu que l'export SVG
+  const preview = useMemo(() => {
+    if (scoped.nodes.length === 0) return null;
+    const svg = buildSvg(scoped.nodes, scoped.edges, { background, padding, photos, comments, decor });
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }, [scoped, background, padding, photos, comments, decor]);
+
+  // Dimensions finales (habillage compris)
+  const size = useMemo(() => {
+    const b = contentBounds(scoped.nodes, { photos, comments });
+    const w = Math.ceil(b.width + padding * 2);
+    let h = Math.ceil(b.height + padding * 2);
+    if (decor) h = Math.ceil(decorLayout(decor, w, h).height);
+    const ratio = isRaster ? clampPixelRatio(w, h, scale) : scale;
+    return { width: Math.round(w * ratio), height: Math.round(h * ratio), ratio };
+  }, [scoped, photos, comments, padding, scale, isRaster, decor]);
+
+  const empty = scoped.nodes.length === 0;
+
+  const handleExport = () =>
+    onExport(format, {
+      scope,
+      sectionId,
+      expanded,
+      background,
+      padding,
+      scale,
+      photos,
+      comments,
+      decor,
+      raster,
+      paper,
+      orientation,
+      minScale,
+      mode,
+    });
+
+  return (
+    <Modal
+      title="Exporter"
+      maxWidth="max-w-3xl"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Annuler
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={empty}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Exporter en {FORMATS.find((f) => f.value === format).label}
+          </button>
+        </>
+      }
+    >
+      <div className="flex gap-6">
+        {/* ── Options ── */}
+        <div className="w-80 shrink-0 space-y-4">
+          <div className="flex gap-1.5">
+            {FORMATS.map((f) => (
+              <button key={f.value} onClick={() => setFormat(f.value)} className={tab(format === f.value)}>
+                {f.label}
+              </button>
+            ))}
+          </div>
+
+          <Group title="Contenu">
+            <Field label="Périmètre">
+              <select value={scope} onChange={(e) => setScope(e.target.value)} className={select}>
+                <option value="all">Tout l'organigramme</option>
+                <option value="selection" disabled={!hasSelection}>Sélection</option>
+                <option value="section" disabled={sections.length === 0}>Une section</option>
+              </select>
+            </Field>
+            {scope === 'section' && (
+              <Field label="Section">
+                <select value={sectionId} onChange={(e) => setSectionId(e.target.value)} className={select}>
+                  {sections.map((s) => (
+                    <option key={s.id} value={s.id}>{s.data.title || 'Sans titre'}</option>
+                  ))}
+                </select>
+              </Field>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={photos} onChange={(e) => setPhotos(e.target.checked)} />
+              Afficher les photos
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={comments} onChange={(e) => setComments(e.target.checked)} />
+              Afficher les commentaires
+            </label>
+            {hasCollapsed && (
+              <label
+                className={`flex items-center gap-2 text-sm ${isRaster ? 'text-gray-400' : 'text-gray-700'}`}
+                title={isRaster ? "Les images reprennent le canvas tel qu'affiché" : 'Toutes les branches, réorganisées'}
+              >
+                <input
+                  type="checkbox"
+                  checked={expanded}
+                  disabled={isRaster}
+                  onChange={(e) => setExportExpanded(e.target.checked)}
+                />
+                Déplier les branches repliées
+              </label>
+            )}
+          </Group>
+
+          <Group title="Rendu">
+            <Field label="Fond">
+              <span className="flex items-center gap-2">
+                <label className="flex items-center gap-1 text-xs text-gray-500">
+                  <input
+                    type="checkbox"
+                    checked={transparent && format !== 'jpeg'}
+                    disabled={format === 'jpeg'}
+                    onChange={(e) => setTransparent(e.target.checked)}
+                  />
+                  Transparent
+                </label>
+                <input
+                  type="color"
+                  value={bgColor}
+                  disabled={background === null}
+                  onChange={(e) => setBgColor(e.target.value)}
+                  className="w-8 h-6 rounded cursor-pointer disabled:opacity-40"
+                />
+              </span>
+            </Field>
+            <Field label="Marge (px)">
+              <input
+                type="number"
+                min={0}
+                max={400}
+                step={10}
+                value={padding}
+                onChange={(e) => setPadding(Math.max(0, Number(e.target.value) || 0))}
+                className={select}
+              />
+            </Field>
+            <Field label="Échelle">
+              <select
+                value={scale}
+                disabled={isPdf && !raster}
+                onChange={(e) => setScale(Number(e.target.value))}
+                className={select}
+              >
+                {SCALES.map((s) => (
+                  <option key={s} value={s}>×{s} ({96 * s} dpi)</option>
+                ))}
+              </select>
+            </Field>
+          </Group>
+
+          <Group title="Habillage">
+            <ExportDecorOptions edges={scoped.edges} />
+          </Group>
+
+          {isPdf && (
+            <Group title="PDF">
+              <div className="flex gap-1.5">
+                <button onClick={() => setRaster(false)} className={tab(!raster)}>
+                  Vectoriel (texte recherchable)
+                </button>
+                <button onClick={() => setRaster(true)} className={tab(raster)}>
+                  Image (une page)
+                </button>
+              </div>
+              <Field label="Format">
+                <select value={paper} disabled={raster} onChange={(e) => setPaper(e.target.value)} className={select}>
+                  {PAPERS.map((p) => (
+                    <option key={p.value} value={p.value}>{p.label}</option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Orientation">
+                <select value={orientation} disabled={raster} onChange={(e) => setOrientation(e.target.value)} className={select}>
+                  {ORIENTATIONS.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Échelle minimum">
+                <select value={minScale} disabled={raster} onChange={(e) => setMinScale(Number(e.target.value))} className={select}>
+                  {MIN_SCALES.map((s) => (
+                    <option key={s} value={s}>{Math.round(s * 100)} %</option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Mise en page">
+                <select value={mode} disabled={raster} onChange={(e) => setMode(e.target.value)} className={select}>
+                  <option value="fit">Ajuster, sinon découper</option>
+                  <option value="sections">Une page par section</option>
+                </select>
+              </Field>
+              <p className="text-[11px] text-gray-400">
+                {raster
+                  ? "Capture d'écran haute résolution sur une seule page."
+                  : "Si l'organigramme ne tient pas sur une page à l'échelle minimum, il est découpé en pages numérotées qui se recouvrent (repères dans les marges)."}
+              </p>
+            </Group>
+          )}
+        </div>
+
+        {/* ── Aperçu ── */}
+        <div className="flex-1 min-w-0 flex flex-col gap-2">
+          <div
+            className="flex-1 min-h-64 rounded-xl border border-gray-200 flex items-center justify-center p-3 overflow-hidden"
+            style={{
+              // Damier pour visualiser la transparence
+              backgroundImage:
+                'linear-gradient(45deg, #f1f5f9 25%, transparent 25%, transparent 75%, #f1f5f9 75%), linear-gradient(45deg, #f1f5f9 25%, transparent 25%, transparent 75%, #f1f5f9 75%)',
+              backgroundSize: '16px 16px',
+              backgroundPosition: '0 0, 8px 8px',
+            }}
+          >
+            {preview ? (
+              <img src={preview} alt="Aperçu de l'export" className="max-w-full max-h-96 object-contain shadow-sm" />
+            ) : (
+              <span className="text-sm text-gray-400">Rien à exporter</span>
+            )}
+          </div>
+          {!empty && (
+            <p className="text-xs text-gray-500 text-center">
+              {isPdf && !raster ? (
+                <>Vectoriel — contenu de {Math.round(size.width / scale)} × {Math.round(size.height / scale)} px{decor && ', habillage sur chaque page'}</>
+              ) : (
+                <>
+                  {size.width} × {size.height} px
+                  {format === 'svg' && ' (vectoriel)'}
+                  {isRaster && size.ratio < scale && (
+                    <span className="text-amber-600"> — échelle limitée à ×{size.ratio} (taille max. du canvas)</span>
+                  )}
+                </>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(ExportDialog);
@@ -0,0 +1,174 @@
+import { memo, useEffect, useState } from 'react';
+import Modal from './Modal';
+import SnapshotViewer from './SnapshotViewer';
+import CompareDialog from './CompareDialog';
+import useFlowStore from '../store/useFlowStore';
+import { loadSnapshot } from '../utils/chartStorage';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const action = 'text-[11px] font-medium transition-colors';
+
+/** Date d'un instantané, format court français */
+function formatDate(ts) {
+  return new Date(ts).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Historique des versions de l'organigramme ouvert.
+ * - Nouvelle version : fige la version actuelle (avec une note) puis passe à la suivante
+ * - Par instantané : ouvrir en lecture seule, comparer, restaurer, exporter en JSON, supprimer
+ * Les instantanés « Auto » sont pris périodiquement et avant un import,
+ * une réinitialisation ou une restauration.
+ */
+const HistoryPanel = ({ onClose }) => {
+  const snapshots = useFlowStore((s) => s.snapshots);
+  const fileVersion = useFlowStore((s) => s.fileVersion);
+  const refreshSnapshots = useFlowStore((s) => s.refreshSnapshots);
+  const incrementVersion = useFlowStore((s) => s.incrementVersion);
+  const restoreSnapshot = useFlowStore((s) => s.restoreSnapshot);
+  const deleteSnapshot = useFlowStore((s) => s.deleteSnapshot);
+  const exportFlow = useFlowStore((s) => s.exportFlow);
+
+  const [note, setNote] = useState('');
+  const [viewing, setViewing] = useState(null); // id de l'instantané ouvert
+  const [comparing, setComparing] = useState(null); // { id } : comparaison ouverte
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    refreshSnapshots();
+  }, [refreshSnapshots]);
+
+  const handleNewVersion = async () => {
+    await incrementVersion(note);
+    setNote('');
+    setMessage(`Version ${fileVersion} enregistrée dans l'historique.`);
+  };
+
+  const handleRestore = async (snapshot) => {
+    const label = `la version ${snapshot.version} du ${formatDate(snapshot.createdAt)}`;
+    if (!window.confirm(`Restaurer ${label} ? L'état actuel est gardé dans l'historique.`)) return;
+    if (await restoreSnapshot(snapshot.id)) {
+      setViewing(null);
+      onClose();
+    }
+  };
+
+  const handleExport = async (id) => {
+    const snapshot = await loadSnapshot(id);
+    if (snapshot) exportFlow(snapshot);
+  };
+
+  const handleDelete = (snapshot) => {
+    if (window.confirm(`Supprimer l'instantané du ${formatDate(snapshot.createdAt)} ?`)) {
+      deleteSnapshot(snapshot.id);
+    }
+  };
+
+  if (comparing) {
+    return <CompareDialog initialBefore={comparing.id} onClose={() => setComparing(null)} />;
+  }
+
+  if (viewing) {
+    const snapshot = snapshots.find((s) => s.id === viewing);
+    return (
+      <SnapshotViewer
+        snapshotId={viewing}
+        onRestore={() => snapshot && handleRestore(snapshot)}
+        onExport={() => handleExport(viewing)}
+        onClose={() => setViewing(null)}
+      />
+    );
+  }
+
+  return (
+    <Modal
+      title="Historique des versions"
+      maxWidth="max-w-2xl"
+      onClose={onClose}
+      footer={
+        <>
+          <button
+            onClick={() => setComparing({ id: null })}
+            className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200 mr-auto`}
+          >
+            Comparer deux versions…
+          </button>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Fermer
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        {/* ── Nouvelle version ── */}
+        <div className="rounded-xl border border-indigo-100 bg-indigo-50/50 p-3 space-y-2">
+          <p className="text-sm text-gray-700">
+            Figer la <span className="font-mono">v{fileVersion}</span> dans l'historique et passer à la{' '}
+            <span className="font-mono">v{fileVersion + 1}</span>.
+          </p>
+          <div className="flex gap-2">
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleNewVersion()}
+              placeholder="Note (optionnelle) : ex. après la réorganisation de mars"
+              className="flex-1 text-sm bg-white rounded-lg px-3 py-1.5 outline-none border border-gray-200 focus:border-indigo-300"
+            />
+            <button onClick={handleNewVersion} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 shrink-0`}>
+              Nouvelle version
+            </button>
+          </div>
+          {message && <p className="text-xs text-indigo-600">{message}</p>}
+        </div>
+
+        {/* ── Instantanés ── */}
+        {snapshots.length === 0 ? (
+          <p className="text-sm text-gray-400 text-center py-6">Aucune version enregistrée.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {snapshots.map((snapshot) => (
+              <div key={snapshot.id} className="py-2.5 flex items-start gap-3">
+                <span className="font-mono text-sm text-gray-700 w-10 shrink-0">v{snapshot.version}</span>
+                <div className="flex-1 min-w-0 space-y-0.5">
+                  <div className="flex items-center gap-1.5 text-[11px] text-gray-400">
+                    {snapshot.auto && (
+                      <span className="px-1.5 rounded bg-gray-100 text-gray-500 font-medium">Auto</span>
+                    )}
+                    <span>{formatDate(snapshot.createdAt)}</span>
+                    <span>
+                      · {snapshot.personCount} personne{snapshot.personCount > 1 ? 's' : ''}
+                    </span>
+                  </div>
+                  {snapshot.note && <p className="text-sm text-gray-700 truncate">{snapshot.note}</p>}
+                  <div className="flex gap-3 pt-0.5">
+                    <button onClick={() => setViewing(snapshot.id)} className={`${action} text-indigo-500 hover:text-indigo-700`}>
+                      Ouvrir
+                    </button>
+                    <button
+                      onClick={() => setComparing({ id: snapshot.id })}
+                      className={`${action} text-gray-500 hover:text-gray-700`}
+                      title="Comparer avec la version actuelle"
+                    >
+                      Comparer
+                    </button>
+                    <button onClick={() => handleRestore(snapshot)} className={`${action} text-gray-500 hover:text-gray-700`}>
+                      Restaurer
+                    </button>
+                    <button onClick={() => handleExport(snapshot.id)} className={`${action} text-gray-500 hover:text-gray-700`}>
+                      Exporter JSON
+                    </button>
+                    <button onClick={() => handleDelete(snapshot)} className={`${action} text-red-400 hover:text-red-600 ml-auto`}>
+                      Supprimer
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(HistoryPanel);
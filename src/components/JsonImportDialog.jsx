@@ -0,0 +1,341 @@
+import { memo, useCallback, useMemo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { pickFile, readFileAsText } from '../utils/files';
+import { planImport } from '../utils/mergeImport';
+import { prepareFlow } from '../utils/flowSchema';
+import { parseDrawioXml } from '../utils/drawio';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const select =
+  'text-xs bg-white rounded-lg px-2 py-1 outline-none border border-gray-200 focus:border-indigo-300 shrink-0';
+
+const MODES = [
+  { value: 'replace', label: "Remplacer l'organigramme actuel", hint: 'Un instantané est gardé dans l’historique.' },
+  { value: 'region', label: 'Ajouter comme nouvelle zone', hint: 'À droite du contenu existant.' },
+  { value: 'section', label: 'Ajouter dans une section', hint: 'Sous ses membres actuels ; la section est agrandie.' },
+  { value: 'update', label: 'Mettre à jour les personnes existantes', hint: 'Rapprochées par identifiant puis par nom (intitulé pour les postes à pourvoir) ; les positions sont conservées.' },
+];
+
+const count = (n, one, many) => `${n} ${n > 1 ? many : one}`;
+
+/**
+ * Formats acceptés. `read` convertit le texte du fichier en document
+ * exportFlow (+ remarques de conversion) ou lève une erreur lisible.
+ */
+const FORMATS = {
+  json: {
+    title: 'Importer un fichier JSON',
+    accept: '.json',
+    read: (text) => {
+      try {
+        return { raw: JSON.parse(text), notes: [] };
+      } catch {
+        throw new Error('Impossible de lire le fichier JSON.');
+      }
+    },
+  },
+  drawio: {
+    title: 'Importer un diagramme draw.io',
+    accept: '.drawio,.xml',
+    read: (text) => {
+      const { doc, notes } = parseDrawioXml(text);
+      return { raw: doc, notes };
+    },
+  },
+};
+
+/** Nombre maximal de problèmes listés (le reste est résumé) */
+const MAX_ISSUES = 8;
+
+/**
+ * Import d'un fichier JSON OrganMaker ou d'un diagramme draw.io (`format`) :
+ * 1. Fichier + mode (remplacer, nouvelle zone, dans une section, mise à jour) ;
+ *    le fichier est migré vers le format courant et validé, les problèmes
+ *    trouvés sont listés et peuvent être réparés (voir utils/flowSchema.js)
+ * 2. Conflits à résoudre avant d'appliquer quoi que ce soit :
+ *    personnes modifiées, homonymes, presets de même nom
+ */
+const JsonImportDialog = ({ format = 'json', onClose }) => {
+  const { title, accept, read } = FORMATS[format];
+  const importFlow = useFlowStore((s) => s.importFlow);
+  const nodes = useFlowStore((s) => s.nodes);
+
+  const sections = useMemo(() => nodes.filter((n) => n.type === 'section'), [nodes]);
+  const [file, setFile] = useState(null); // { name, notes, prepared, repaired }
+  const [repair, setRepair] = useState(true);
+  const [mode, setMode] = useState(nodes.length > 0 ? 'region' : 'replace');
+  const [sectionId, setSectionId] = useState(
+    () => (nodes.find((n) => n.type === 'section' && n.selected) || sections[0])?.id || ''
+  );
+  const [plan, setPlan] = useState(null);
+  const [choices, setChoices] = useState({ people: {}, presets: {} });
+  const [addNew, setAddNew] = useState(true);
+  const [error, setError] = useState('');
+
+  const handlePickFile = useCallback(async () => {
+    const picked = await pickFile(accept);
+    if (!picked) return;
+    try {
+      const { raw, notes } = read(await readFileAsText(picked));
+      setFile({
+        name: picked.name,
+        notes,
+        prepared: prepareFlow(raw),
+        repaired: prepareFlow(raw, { repair: true }).doc,
+      });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [accept, read]);
+
+  // Document importé : réparé si demandé (les identifiants du plan en dépendent)
+  const data = file && (repair ? file.repaired : file.prepared.doc);
+  const issues = file?.prepared.issues || [];
+  const blocked = !file || file.prepared.fatal || (issues.length > 0 && !repair);
+
+  // ── Étape 1 → 2 ────────────────────────────────────
+  const goToConflicts = () => {
+    const { nodes: current, edges, presets } = useFlowStore.getState();
+    setPlan(planImport({ nodes: current, edges, presets }, data, mode));
+    setChoices({ people: {}, presets: {} });
+  };
+
+  const choose = (group, id, value) =>
+    setChoices((c) => ({ ...c, [group]: { ...c[group], [id]: value } }));
+
+  const handleImport = () => {
+    importFlow(data, plan, choices, { mode, sectionId, addNew });
+    onClose();
+  };
+
+  // ── Étape 2 : conflits ─────────────────────────────
+  if (plan) {
+    const of = (status) => plan.people.filter((p) => p.status === status);
+    const updates = of('update');
+    const duplicates = of('duplicate');
+    const added = of('new');
+    const presetConflicts = plan.presets.filter((p) => p.status === 'conflict');
+    const newPresets = plan.presets.filter((p) => p.status === 'new');
+    const none = updates.length + duplicates.length + presetConflicts.length === 0;
+
+    return (
+      <Modal
+        title="Vérifier l'import"
+        onClose={onClose}
+        footer={
+          <>
+            <button onClick={() => setPlan(null)} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200 mr-auto`}>
+              Retour
+            </button>
+            <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+              Annuler
+            </button>
+            <button onClick={handleImport} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600`}>
+              Importer
+            </button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {mode === 'replace' && "L'organigramme actuel sera remplacé. "}
+            {mode === 'update'
+              ? `${count(updates.length, 'personne mise à jour', 'personnes mises à jour')}, ${count(of('same').length, 'inchangée', 'inchangées')}, ${count(added.length, 'nouvelle', 'nouvelles')}.`
+              : `${count(added.length + duplicates.length, 'personne importée', 'personnes importées')}.`}
+            {newPresets.length > 0 && ` ${count(newPresets.length, 'nouveau preset', 'nouveaux presets')}.`}
+          </p>
+
+          {mode === 'update' && added.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input type="checkbox" checked={addNew} onChange={(e) => setAddNew(e.target.checked)} />
+              Ajouter les {count(added.length, 'personne', 'personnes')} sans correspondance (en nouvelle zone)
+            </label>
+          )}
+
+          {none && <p className="text-sm text-gray-400">Aucun conflit à résoudre.</p>}
+
+          {updates.length > 0 && (
+            <div className="space-y-1.5">
+              <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">
+                Personnes modifiées ({updates.length})
+              </h3>
+              {updates.map((p) => (
+                <div key={p.id} className="flex items-start gap-3 rounded-lg bg-amber-50 px-2.5 py-1.5">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-800 truncate">{p.name}</p>
+                    {p.changes.map((c) => (
+                      <p key={c.field} className="text-[11px] text-gray-600 truncate">
+                        {c.label} : {c.from ? `${c.from} → ${c.to || '—'}` : c.to}
+                      </p>
+                    ))}
+                  </div>
+                  <select value={choices.people[p.id] || 'import'} onChange={(e) => choose('people', p.id, e.target.value)} className={select}>
+                    <option value="import">Prendre l'importé</option>
+                    <option value="keep">Garder l'actuel</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {duplicates.length > 0 && (
+            <div className="space-y-1.5">
+              <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">
+                Déjà présentes ({duplicates.length})
+              </h3>
+              {duplicates.map((p) => (
+                <div key={p.id} className="flex items-center gap-3 rounded-lg bg-amber-50 px-2.5 py-1.5">
+                  <p className="flex-1 text-sm text-gray-800 truncate">{p.name}</p>
+                  <select value={choices.people[p.id] || 'link'} onChange={(e) => choose('people', p.id, e.target.value)} className={select}>
+                    <option value="link">Utiliser la personne existante</option>
+                    <option value="add">Ajouter en double</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {presetConflicts.length > 0 && (
+            <div className="space-y-1.5">
+              <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">
+                Presets de même nom ({presetConflicts.length})
+              </h3>
+              {presetConflicts.map(({ preset }) => (
+                <div key={preset.id} className="flex items-center gap-3 rounded-lg bg-amber-50 px-2.5 py-1.5">
+                  <p className="flex-1 text-sm text-gray-800 truncate">{preset.name}</p>
+                  <select value={choices.presets[preset.id] || 'keep'} onChange={(e) => choose('presets', preset.id, e.target.value)} className={select}>
+                    <option value="keep">Garder l'actuel</option>
+                    <option value="replace">Remplacer par l'importé</option>
+                    <option value="both">Garder les deux</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Modal>
+    );
+  }
+
+  // ── Étape 1 : fichier + mode ───────────────────────
+  const people = file && !file.prepared.fatal ? data.nodes.filter((n) => n?.type === 'person').length : 0;
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Annuler
+          </button>
+          <button
+            onClick={goToConflicts}
+            disabled={blocked || (mode === 'section' && !sectionId)}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Suivant
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div className="flex items-center gap-3">
+          <button onClick={handlePickFile} className={`${btn} bg-yellow-50 text-yellow-600 hover:bg-yellow-100 shrink-0`}>
+            Choisir un fichier…
+          </button>
+          {file && (
+            <span className="text-sm text-gray-600 truncate">
+              {file.name}
+              {!file.prepared.fatal && ` — ${count(people, 'personne', 'personnes')}`}
+              {!file.prepared.fatal && data.presets?.length > 0 && `, ${count(data.presets.length, 'preset', 'presets')}`}
+            </span>
+          )}
+        </div>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {file?.notes.map((note) => (
+          <p key={note} className="text-[11px] text-gray-500">
+            {note}
+          </p>
+        ))}
+        {file?.prepared.applied.length > 0 && (
+          <p className="text-[11px] text-gray-500">
+            Fichier d'une version antérieure, mis à jour : {file.prepared.applied.join(' ; ')}.
+          </p>
+        )}
+        {issues.length > 0 && (
+          <div className={`rounded-lg px-3 py-2 space-y-1 ${file.prepared.fatal ? 'bg-red-50' : 'bg-amber-50'}`}>
+            <p className="text-sm font-medium text-gray-800">
+              {file.prepared.fatal
+                ? 'Ce fichier ne peut pas être importé :'
+                : `${count(issues.length, 'problème trouvé', 'problèmes trouvés')} :`}
+            </p>
+            {issues.slice(0, MAX_ISSUES).map((issue, i) => (
+              <p key={i} className="text-[11px] text-gray-600 truncate">
+                {issue.path && <span className="font-mono">{issue.path}</span>}
+                {issue.path && ' : '}
+                {issue.message}
+              </p>
+            ))}
+            {issues.length > MAX_ISSUES && (
+              <p className="text-[11px] text-gray-400">… et {issues.length - MAX_ISSUES} autres.</p>
+            )}
+            {!file.prepared.fatal && (
+              <label className="flex items-start gap-2 pt-1 text-sm text-gray-700">
+                <input type="checkbox" checked={repair} onChange={(e) => setRepair(e.target.checked)} className="mt-1" />
+                <span>
+                  Réparer automatiquement
+                  <span className="block text-[11px] text-gray-400">
+                    Liens orphelins et nœuds inconnus retirés, identifiants et valeurs manquantes complétés.
+                  </span>
+                </span>
+              </label>
+            )}
+          </div>
+        )}
+
+        <div className="space-y-1.5">
+          {MODES.map((m) => (
+            <label
+              key={m.value}
+              className={`flex items-start gap-2 rounded-lg border px-3 py-2 cursor-pointer ${mode === m.value ? 'border-indigo-300 bg-indigo-50/50' : 'border-gray-200'}`}
+            >
+              <input
+                type="radio"
+                name="import-mode"
+                checked={mode === m.value}
+                onChange={() => setMode(m.value)}
+                disabled={m.value === 'section' && sections.length === 0}
+                className="mt-1"
+              />
+              <span className="flex-1">
+                <span className="block text-sm text-gray-800">{m.label}</span>
+                <span className="block text-[11px] text-gray-400">{m.hint}</span>
+                {m.value === 'section' && mode === 'section' && (
+                  <select
+                    value={sectionId}
+                    onChange={(e) => setSectionId(e.target.value)}
+                    className="mt-1.5 w-full text-sm bg-white rounded-lg px-2 py-1 outline-none border border-gray-200 focus:border-indigo-300"
+                  >
+                    {sections.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.data.title || 'Section sans titre'}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </span>
+            </label>
+          ))}
+        </div>
+        {format === 'json' && (
+          <p className="text-[11px] text-gray-400">Les presets importés sont fusionnés par nom avec les vôtres.</p>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(JsonImportDialog);
@@ -0,0 +1,178 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import useFlowStore from '../store/useFlowStore';
+import { isCard } from '../utils/graph';
+import {
+  LAYOUT_STYLES,
+  LAYOUT_DIRECTIONS,
+  LAYOUT_SEP_MIN,
+  LAYOUT_SEP_MAX,
+  DEFAULT_LAYOUT_OPTIONS,
+} from '../config';
+
+const label = 'text-[10px] font-semibold text-gray-400 uppercase tracking-wider';
+const segment = (active) =>
+  `flex-1 py-1 text-xs rounded-md border transition-colors disabled:opacity-40 ${active ? 'bg-amber-50 border-amber-300 text-amber-700 font-medium' : 'border-gray-200 text-gray-500 hover:bg-gray-50'}`;
+
+/** Carte sélectionnée seule et qui a une équipe, ou null */
+function selectTeamRoot(s) {
+  const selected = s.nodes.filter((n) => n.selected && isCard(n));
+  if (selected.length !== 1) return null;
+  const { id } = selected[0];
+  return s.edges.some((e) => e.source === id) ? id : null;
+}
+
+/**
+ * Bouton « Organiser » de la toolbar, avec ses options de disposition
+ * dans un popover (style, sens, espacements, sections). Les options sont
+ * enregistrées avec l'organigramme ; « Organiser » les applique à tout
+ * l'organigramme, ou seulement à la sélection / à l'équipe sélectionnée.
+ */
+const LayoutMenu = () => {
+  const options = useFlowStore((s) => s.layoutOptions);
+  const setLayoutOptions = useFlowStore((s) => s.setLayoutOptions);
+  const autoLayout = useFlowStore((s) => s.autoLayout);
+  const autoLayoutSelection = useFlowStore((s) => s.autoLayoutSelection);
+  const autoLayoutSubtree = useFlowStore((s) => s.autoLayoutSubtree);
+  const selectedCount = useFlowStore((s) => s.nodes.filter((n) => n.selected && isCard(n)).length);
+  const teamRoot = useFlowStore(selectTeamRoot);
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // ── Fermer au clic extérieur ───────────────────────
+  useEffect(() => {
+    if (!open) return;
+    const handler = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handler, true);
+    return () => document.removeEventListener('mousedown', handler, true);
+  }, [open]);
+
+  const radial = options.style === 'radial';
+  const spacing = [
+    { key: 'rankSep', label: 'Entre niveaux' },
+    { key: 'nodeSep', label: 'Entre voisins' },
+  ];
+
+  return (
+    <div ref={ref} className="relative flex items-center rounded-lg bg-amber-50 text-amber-700">
+      <button
+        onClick={() => autoLayout()}
+        className="flex items-center gap-1.5 pl-3 pr-2 py-2 text-sm font-medium rounded-l-lg hover:bg-amber-100 transition-colors"
+        title="Organiser les nœuds selon les options de disposition"
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.75 6A2.25 2.25 0 0 1 6 3.75h2.25A2.25 2.25 0 0 1 10.5 6v2.25a2.25 2.25 0 0 1-2.25 2.25H6a2.25 2.25 0 0 1-2.25-2.25V6ZM3.75 15.75A2.25 2.25 0 0 1 6 13.5h2.25a2.25 2.25 0 0 1 2.25 2.25V18a2.25 2.25 0 0 1-2.25 2.25H6A2.25 2.25 0 0 1 3.75 18v-2.25ZM13.5 6a2.25 2.25 0 0 1 2.25-2.25H18A2.25 2.25 0 0 1 20.25 6v2.25A2.25 2.25 0 0 1 18 10.5h-2.25a2.25 2.25 0 0 1-2.25-2.25V6Z" />
+        </svg>
+        Organiser
+      </button>
+      <button
+        onClick={() => setOpen(!open)}
+        className="self-stretch px-1.5 rounded-r-lg border-l border-amber-200 hover:bg-amber-100 transition-colors"
+        title="Options de disposition"
+      >
+        <svg className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-64 bg-white rounded-xl shadow-lg border border-gray-200 p-3 space-y-3 z-30 text-gray-700">
+          <div className="space-y-1">
+            <span className={label}>Style</span>
+            <div className="flex gap-1">
+              {LAYOUT_STYLES.map((s) => (
+                <button key={s.id} onClick={() => setLayoutOptions({ style: s.id })} className={segment(options.style === s.id)}>
+                  {s.label}
+                </button>
+              ))}
+            </div>
+            {options.style === 'compact' && (
+              <p className="text-[11px] text-gray-400">Les personnes sans équipe sont empilées sous leur manager.</p>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <span className={label}>Sens</span>
+            <div className="flex gap-1">
+              {LAYOUT_DIRECTIONS.map((d) => (
+                <button
+                  key={d.id}
+                  onClick={() => setLayoutOptions({ direction: d.id })}
+                  disabled={radial}
+                  className={segment(!radial && options.direction === d.id)}
+                  title={d.title}
+                >
+                  {d.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <span className={label}>Espacement</span>
+            {spacing.map(({ key, label: text }) => (
+              <label key={key} className="flex items-center gap-2 text-xs">
+                <span className="w-20 shrink-0">{text}</span>
+                <input
+                  type="range"
+                  min={LAYOUT_SEP_MIN}
+                  max={LAYOUT_SEP_MAX}
+                  step={10}
+                  value={options[key]}
+                  onChange={(e) => setLayoutOptions({ [key]: Number(e.target.value) })}
+                  className="flex-1 accent-amber-500"
+                />
+                <span className="w-10 text-right text-gray-400">{options[key]} px</span>
+              </label>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-xs" title="Chaque équipe disposée dans sa section, sections ajustées sans chevauchement">
+            <input type="checkbox" checked={options.sections} onChange={(e) => setLayoutOptions({ sections: e.target.checked })} />
+            Disposer les équipes dans leur section
+          </label>
+
+          <div className="space-y-1 pt-2 border-t border-gray-100">
+            <span className={label}>Organiser seulement</span>
+            <div className="flex gap-1">
+              <button
+                onClick={autoLayoutSelection}
+                disabled={selectedCount === 0}
+                className={segment(false)}
+                title="Les cartes sélectionnées, ancrées sur la plus haute ; le reste ne bouge pas"
+              >
+                La sélection
+              </button>
+              <button
+                onClick={() => autoLayoutSubtree(teamRoot)}
+                disabled={!teamRoot}
+                className={segment(false)}
+                title="La personne sélectionnée et toute son équipe ; le reste ne bouge pas"
+              >
+                Son équipe
+              </button>
+            </div>
+          </div>
+
+          <div className="flex justify-between pt-2 border-t border-gray-100">
+            <button
+              onClick={() => setLayoutOptions(DEFAULT_LAYOUT_OPTIONS)}
+              className="text-xs text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              Par défaut
+            </button>
+            <button
+              onClick={() => autoLayout()}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-amber-500 text-white hover:bg-amber-600 transition-colors"
+            >
+              Organiser
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default memo(LayoutMenu);
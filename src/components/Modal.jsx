@@ -0,0 +1,58 @@
+import { memo, useEffect } from 'react';
+
+/**
+ * Fenêtre modale générique (même habillage que l'aide des raccourcis).
+ *
+ * Props :
+ *  - title     : titre affiché dans l'en-tête
+ *  - onClose() : fermeture (clic sur le fond, bouton ✕ ou Échap)
+ *  - footer    : contenu optionnel du pied (boutons d'action)
+ *  - maxWidth  : classe Tailwind de largeur max (défaut 'max-w-2xl')
+ */
+const Modal = ({ title, onClose, footer, maxWidth = 'max-w-2xl', children }) => {
+  // Fermer sur Échap
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handler);
+    return () => document.removeEventListener('keydown', handler);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className={`bg-white rounded-2xl shadow-2xl border border-gray-200 w-full ${maxWidth} mx-4 overflow-hidden animate-in flex flex-col max-h-[90vh]`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100 shrink-0">
+          <h2 className="text-lg font-bold text-gray-800">{title}</h2>
+          <button
+            onClick={onClose}
+            className="w-7 h-7 flex items-center justify-center rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18 18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="px-6 py-4 overflow-y-auto">{children}</div>
+
+        {/* Footer */}
+        {footer && (
+          <div className="flex items-center justify-end gap-2 px-6 py-3 border-t border-gray-100 bg-gray-50/50 shrink-0">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(Modal);
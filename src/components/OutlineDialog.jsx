@@ -0,0 +1,120 @@
+import { memo, useMemo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { parseOutline } from '../utils/outline';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+
+const PREVIEW_LINES = 12;
+
+/**
+ * Saisie rapide d'une équipe : liste indentée ou liste à puces Markdown,
+ * une personne par ligne (« Alice – CEO »), l'indentation donnant le
+ * manager. Les personnes sont ajoutées puis l'organigramme est disposé.
+ * Si une seule personne est sélectionnée, la liste peut lui être rattachée.
+ * Le bouton « Copier la sélection » fait l'inverse (sous-arbres en texte).
+ */
+const OutlineDialog = ({ onClose }) => {
+  const importOutline = useFlowStore((s) => s.importOutline);
+  const selectedOutline = useFlowStore((s) => s.selectedOutline);
+  const nodes = useFlowStore((s) => s.nodes);
+
+  const selectedPeople = useMemo(() => nodes.filter((n) => n.selected && n.type === 'person'), [nodes]);
+  const manager = selectedPeople.length === 1 ? selectedPeople[0] : null;
+
+  const [text, setText] = useState('');
+  const [attach, setAttach] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const { people, warnings } = useMemo(() => parseOutline(text), [text]);
+
+  const depth = (p) => (p.parent === null ? 0 : 1 + depth(people[p.parent]));
+
+  const handleImport = () => {
+    importOutline(people, { managerId: manager && attach ? manager.id : null });
+    onClose();
+  };
+
+  const handleCopy = () => {
+    const outline = selectedOutline();
+    if (!outline) return;
+    navigator.clipboard
+      .writeText(outline)
+      .then(() => setMessage('Sélection copiée en liste dans le presse-papiers.'))
+      .catch(() => {
+        // Presse-papiers refusé : la liste est mise dans la zone de texte
+        setText(outline);
+        setMessage('Copie impossible : la liste est affichée ci-dessus.');
+      });
+  };
+
+  return (
+    <Modal
+      title="Coller une liste"
+      onClose={onClose}
+      footer={
+        <>
+          <button
+            onClick={handleCopy}
+            disabled={selectedPeople.length === 0}
+            className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed mr-auto`}
+            title="Personnes sélectionnées et leurs équipes, en liste indentée"
+          >
+            Copier la sélection
+          </button>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Annuler
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={people.length === 0}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Ajouter {people.length > 0 && `${people.length} personne${people.length > 1 ? 's' : ''}`}
+          </button>
+        </>
+      }
+    >
+      <p className="text-sm text-gray-600 mb-3">
+        Une personne par ligne, nom et rôle séparés par « – », « - » ou « : ». Indentez (espaces, tabulations ou
+        puces Markdown) les collaborateurs sous leur manager.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={10}
+        autoFocus
+        className="w-full text-xs font-mono text-gray-700 bg-gray-50 rounded-lg p-2 outline-none border border-gray-200 focus:border-indigo-300 transition-colors"
+        placeholder={'- Alice – CEO\n  - Bob – CTO\n    - Carla – Développeuse\n  - David – DAF'}
+      />
+      {manager && (
+        <label className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+          <input type="checkbox" checked={attach} onChange={(e) => setAttach(e.target.checked)} />
+          Rattacher à {manager.data.name || 'la personne sélectionnée'}
+        </label>
+      )}
+      {message && <p className="mt-1 text-xs text-indigo-600">{message}</p>}
+
+      {people.length > 0 && (
+        <div className="mt-3 rounded-lg border border-gray-100 px-3 py-2 space-y-0.5">
+          {people.slice(0, PREVIEW_LINES).map((p, i) => (
+            <p key={i} className="text-xs text-gray-700 truncate" style={{ paddingLeft: depth(p) * 14 }}>
+              <span className="font-medium">{p.name}</span>
+              {p.role && <span className="text-gray-400"> · {p.role}</span>}
+            </p>
+          ))}
+          {people.length > PREVIEW_LINES && (
+            <p className="text-[11px] text-gray-400">… et {people.length - PREVIEW_LINES} autres.</p>
+          )}
+        </div>
+      )}
+      {warnings.map((w) => (
+        <p key={w} className="mt-1 text-[11px] text-amber-700">
+          {w}
+        </p>
+      ))}
+    </Modal>
+  );
+};
+
+export default memo(OutlineDialog);
@@ -0,0 +1,138 @@
+import { memo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { FIELD_TYPES, makeField } from '../utils/personFields';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const input =
+  'text-sm bg-gray-50 rounded-lg px-2 py-1 border border-gray-200 outline-none focus:border-indigo-300';
+
+/**
+ * Champs de la fiche personne de l'organigramme ouvert : libellé, type,
+ * ordre, affichage sur la carte. Modifiés sur une copie, appliqués à la
+ * validation.
+ */
+const PersonFieldsDialog = ({ onClose }) => {
+  const personFields = useFlowStore((s) => s.personFields);
+  const setPersonFields = useFlowStore((s) => s.setPersonFields);
+
+  const [fields, setFields] = useState(personFields);
+  const [newLabel, setNewLabel] = useState('');
+
+  const update = (id, patch) => setFields(fields.map((f) => (f.id === id ? { ...f, ...patch } : f)));
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= fields.length) return;
+    const next = [...fields];
+    [next[index], next[target]] = [next[target], next[index]];
+    setFields(next);
+  };
+
+  const handleAdd = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    setFields([...fields, makeField(label)]);
+    setNewLabel('');
+  };
+
+  const handleApply = () => {
+    setPersonFields(fields.map((f) => ({ ...f, label: f.label.trim() || f.id })));
+    onClose();
+  };
+
+  return (
+    <Modal
+      title="Champs de la fiche"
+      maxWidth="max-w-xl"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Annuler
+          </button>
+          <button onClick={handleApply} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600`}>
+            Appliquer
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-3">
+        <p className="text-xs text-gray-500">
+          Propres à cet organigramme. Retirer un champ ne supprime pas les valeurs déjà saisies.
+        </p>
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-gray-400 text-center py-4">Aucun champ.</p>
+        ) : (
+          <div className="space-y-1.5">
+            {fields.map((f, i) => (
+              <div key={f.id} className="flex items-center gap-2">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => move(i, -1)}
+                    disabled={i === 0}
+                    className="text-[10px] leading-none text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Monter"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => move(i, 1)}
+                    disabled={i === fields.length - 1}
+                    className="text-[10px] leading-none text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Descendre"
+                  >
+                    ▼
+                  </button>
+                </div>
+                <input
+                  value={f.label}
+                  onChange={(e) => update(f.id, { label: e.target.value })}
+                  className={`${input} flex-1 min-w-0`}
+                />
+                <select value={f.type} onChange={(e) => update(f.id, { type: e.target.value })} className={input}>
+                  {FIELD_TYPES.map((t) => (
+                    <option key={t.type} value={t.type}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-gray-600 shrink-0" title="Afficher sous le rôle, sur la carte">
+                  <input type="checkbox" checked={f.onCard} onChange={(e) => update(f.id, { onCard: e.target.checked })} />
+                  Carte
+                </label>
+                <button
+                  onClick={() => setFields(fields.filter((o) => o.id !== f.id))}
+                  className="text-xs text-red-400 hover:text-red-600 shrink-0"
+                  title="Retirer le champ"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-2 pt-2 border-t border-gray-100">
+          <input
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="Nouveau champ : ex. Bureau"
+            className={`${input} flex-1`}
+          />
+          <button
+            onClick={handleAdd}
+            disabled={!newLabel.trim()}
+            className={`${btn} bg-indigo-50 text-indigo-700 hover:bg-indigo-100 disabled:opacity-40`}
+          >
+            Ajouter
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(PersonFieldsDialog);
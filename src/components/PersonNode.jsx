@@ -3,6 +3,8 @@ import { Handle, Position } from 'reactflow';
 import useFlowStore from '../store/useFlowStore';
 import CustomColorPicker from './CustomColorPicker';
 import compressImage from '../utils/compressImage';
+import { cardFields } from '../utils/personFields';
+import { cardDescendants } from '../utils/graph';
 import {
   PERSON_BG_COLORS,
   PERSON_BORDER_COLORS,
@@ -15,11 +17,18 @@ import {
  * Bloc "Personne" :
  * - Photo ronde uploadable
  * - Nom, rôle, commentaire optionnel
+ * - Champs de la fiche choisis pour la carte (voir PersonPanel)
  * - Couleurs de fond et bordure personnalisables
+ * - Branche repliable (personnes ayant des liens sortants), avec le
+ *   nombre de cartes masquées
  */
 const PersonNode = ({ id, data }) => {
   const updateNodeData = useFlowStore((s) => s.updateNodeData);
   const removeNode = useFlowStore((s) => s.removeNode);
+  const personFields = useFlowStore((s) => s.personFields);
+  const toggleCollapse = useFlowStore((s) => s.toggleCollapse);
+  const hasReports = useFlowStore((s) => s.edges.some((e) => e.source === id));
+  const hiddenCount = useFlowStore((s) => (data.collapsed ? cardDescendants(id, s.nodes, s.edges).length : 0));
   const fileInputRef = useRef(null);
   const [colorPickerOpen, setColorPickerOpen] = useState(false);
   const colorPickerRef = useRef(null);
@@ -168,7 +177,7 @@ const PersonNode = ({ id, data }) => {
       </div>
 
       {/* Photo */}
-      <div className="flex justify-center pt-5">
+      <div className="person-photo flex justify-center pt-5">
         <div
           className="w-24 h-24 rounded-full overflow-hidden cursor-pointer border-2 flex items-center justify-center transition-colors"
           style={{ borderColor, backgroundColor: bgColor === DEFAULT_PERSON_BG ? PERSON_PHOTO_FALLBACK_BG : bgColor }}
@@ -222,6 +231,12 @@ const PersonNode = ({ id, data }) => {
           className="w-full text-center text-xs text-gray-500 bg-transparent outline-none border-b border-transparent focus:border-indigo-300 transition-colors"
           placeholder="Rôle"
         />
+        {/* Champs de la fiche affichés sur la carte */}
+        {cardFields(personFields, data).map(({ field, value }) => (
+          <p key={field.id} className="person-field text-center text-[11px] text-gray-500 truncate" title={field.label}>
+            {value}
+          </p>
+        ))}
 
         {/* Toggle commentaire */}
         <div className="flex justify-center pt-1">
@@ -239,12 +254,27 @@ const PersonNode = ({ id, data }) => {
             value={data.comment}
             onChange={handleChange('comment')}
             rows={2}
-            className="w-full text-xs text-gray-600 bg-gray-50 rounded-lg p-2 outline-none resize-none border border-gray-200 focus:border-indigo-300 transition-colors"
+            className="person-comment w-full text-xs text-gray-600 bg-gray-50 rounded-lg p-2 outline-none resize-none border border-gray-200 focus:border-indigo-300 transition-colors"
             placeholder="Commentaire…"
           />
         )}
       </div>
 
+      {/* Replier / déplier la branche */}
+      {(hasReports || data.collapsed) && (
+        <button
+          onClick={() => toggleCollapse(id)}
+          className={`absolute -bottom-3 right-5 h-6 min-w-6 px-1.5 rounded-full text-[11px] font-semibold flex items-center justify-center z-10 transition-opacity ${
+            data.collapsed
+              ? 'bg-indigo-500 text-white hover:bg-indigo-600'
+              : 'bg-white text-indigo-500 border border-indigo-200 hover:bg-indigo-50 opacity-0 group-hover:opacity-100'
+          }`}
+          title={data.collapsed ? `Déplier la branche (${hiddenCount} masquée${hiddenCount > 1 ? 's' : ''})` : 'Replier la branche'}
+        >
+          {data.collapsed ? `+${hiddenCount}` : '−'}
+        </button>
+      )}
+
       {/* Handle source (bas) */}
       <Handle
         id="source-bottom"
@@ -0,0 +1,151 @@
+import { memo, useState } from 'react';
+import useFlowStore from '../store/useFlowStore';
+import PersonFieldsDialog from './PersonFieldsDialog';
+import { inputType, validateFieldValue, fieldHref } from '../utils/personFields';
+
+const input =
+  'w-full text-sm bg-gray-50 rounded-lg px-2 py-1 border outline-none focus:bg-white transition-colors';
+const label = 'text-[10px] font-semibold text-gray-400 uppercase tracking-wider';
+
+/** La personne sélectionnée, si elle est seule sélectionnée */
+function selectPerson(s) {
+  let person = null;
+  for (const n of s.nodes) {
+    if (!n.selected) continue;
+    if (person || n.type !== 'person') return null;
+    person = n;
+  }
+  return person;
+}
+
+/**
+ * Panneau latéral de la personne sélectionnée : nom, rôle, commentaire
+ * et champs de la fiche (voir utils/personFields.js). Les valeurs
+ * invalides sont gardées mais signalées.
+ */
+const PersonPanel = () => {
+  const person = useFlowStore(selectPerson);
+  const personFields = useFlowStore((s) => s.personFields);
+  const updateNodeData = useFlowStore((s) => s.updateNodeData);
+  const updatePersonField = useFlowStore((s) => s.updatePersonField);
+  const setPersonFields = useFlowStore((s) => s.setPersonFields);
+  const onNodesChange = useFlowStore((s) => s.onNodesChange);
+  const autoLayoutSubtree = useFlowStore((s) => s.autoLayoutSubtree);
+  const hasReports = useFlowStore((s) => !!person && s.edges.some((e) => e.source === person.id));
+  const [fieldsOpen, setFieldsOpen] = useState(false);
+
+  if (!person) return fieldsOpen ? <PersonFieldsDialog onClose={() => setFieldsOpen(false)} /> : null;
+
+  const { id, data } = person;
+  const values = data.fields || {};
+  const toggleOnCard = (fieldId) =>
+    setPersonFields(personFields.map((f) => (f.id === fieldId ? { ...f, onCard: !f.onCard } : f)));
+
+  return (
+    <>
+      <aside
+        className="person-panel absolute top-4 right-4 z-20 flex flex-col bg-white/95 backdrop-blur-sm rounded-xl shadow-lg border border-gray-200 select-none"
+        style={{ width: 280, maxHeight: 'calc(100% - 13rem)' }}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 shrink-0">
+          <span className="text-sm font-bold text-gray-800 truncate">{data.name || 'Sans nom'}</span>
+          {hasReports && (
+            <button
+              onClick={() => autoLayoutSubtree(id)}
+              className="ml-auto mr-1 px-2 h-6 shrink-0 text-[11px] font-medium rounded-lg text-amber-700 hover:bg-amber-50 transition-colors"
+              title="Organiser cette personne et son équipe ; le reste ne bouge pas"
+            >
+              Organiser l'équipe
+            </button>
+          )}
+          <button
+            onClick={() => onNodesChange([{ type: 'select', id, selected: false }])}
+            className="w-6 h-6 flex items-center justify-center rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+            title="Fermer"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+          <div className="space-y-1">
+            <span className={label}>Nom</span>
+            <input
+              value={data.name}
+              onChange={(e) => updateNodeData(id, { name: e.target.value })}
+              className={`${input} border-gray-200 focus:border-indigo-300`}
+            />
+          </div>
+          <div className="space-y-1">
+            <span className={label}>Rôle</span>
+            <input
+              value={data.role}
+              onChange={(e) => updateNodeData(id, { role: e.target.value })}
+              className={`${input} border-gray-200 focus:border-indigo-300`}
+            />
+          </div>
+          <div className="space-y-1">
+            <span className={label}>Commentaire</span>
+            <textarea
+              value={data.comment}
+              onChange={(e) => updateNodeData(id, { comment: e.target.value })}
+              rows={3}
+              className={`${input} resize-none border-gray-200 focus:border-indigo-300`}
+            />
+          </div>
+
+          <div className="border-t border-gray-100 pt-3 space-y-2.5">
+            {personFields.map((f) => {
+              const value = values[f.id] ?? '';
+              const error = validateFieldValue(f, value);
+              const href = fieldHref(f, value);
+              return (
+                <div key={f.id} className="space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className={`${label} truncate`}>{f.label}</span>
+                    <div className="flex items-center gap-2 shrink-0">
+                      {href && (
+                        <a
+                          href={href}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-[10px] text-indigo-500 hover:text-indigo-700"
+                        >
+                          Ouvrir
+                        </a>
+                      )}
+                      <button
+                        onClick={() => toggleOnCard(f.id)}
+                        className={`text-[10px] font-medium transition-colors ${f.onCard ? 'text-indigo-600' : 'text-gray-300 hover:text-gray-500'}`}
+                        title={f.onCard ? 'Affiché sur les cartes : masquer' : 'Afficher sur les cartes'}
+                      >
+                        Carte
+                      </button>
+                    </div>
+                  </div>
+                  <input
+                    type={inputType(f)}
+                    value={value}
+                    onChange={(e) => updatePersonField(id, f.id, e.target.value)}
+                    className={`${input} ${error ? 'border-red-300 focus:border-red-400' : 'border-gray-200 focus:border-indigo-300'}`}
+                  />
+                  {error && <p className="text-[11px] text-red-500">{error}</p>}
+                </div>
+              );
+            })}
+            <button
+              onClick={() => setFieldsOpen(true)}
+              className="text-xs font-medium text-indigo-500 hover:text-indigo-700 transition-colors"
+            >
+              Gérer les champs…
+            </button>
+          </div>
+        </div>
+      </aside>
+
+      {fieldsOpen && <PersonFieldsDialog onClose={() => setFieldsOpen(false)} />}
+    </>
+  );
+};
+
+export default memo(PersonPanel);
@@ -0,0 +1,43 @@
+import { memo } from 'react';
+import useFlowStore from '../store/useFlowStore';
+
+const STATUS = {
+  idle: { label: '', className: 'text-gray-400', dot: 'bg-gray-300' },
+  saving: { label: 'Enregistrement…', className: 'text-gray-400', dot: 'bg-amber-400 animate-pulse' },
+  saved: { label: 'Enregistré', className: 'text-gray-400', dot: 'bg-green-400' },
+  error: { label: 'Non enregistré', className: 'text-red-600 bg-red-50 hover:bg-red-100', dot: 'bg-red-500 animate-pulse' },
+};
+
+/**
+ * Indicateur d'enregistrement de l'en-tête (enregistré / en cours / échec).
+ * Un clic ouvre le détail du stockage et les actions de récupération.
+ *
+ * Props :
+ *  - onClick()
+ */
+const SaveStatus = ({ onClick }) => {
+  const saveStatus = useFlowStore((s) => s.saveStatus);
+  const saveError = useFlowStore((s) => s.saveError);
+  const lastSavedAt = useFlowStore((s) => s.lastSavedAt);
+
+  const status = STATUS[saveStatus] || STATUS.idle;
+  const title =
+    saveStatus === 'error'
+      ? `${saveError} Cliquez pour voir les solutions.`
+      : lastSavedAt
+        ? `Dernier enregistrement : ${new Date(lastSavedAt).toLocaleTimeString('fr-FR')} — cliquez pour voir l'espace utilisé`
+        : "Espace de stockage utilisé";
+
+  return (
+    <button
+      onClick={onClick}
+      className={`flex items-center gap-1.5 px-2 py-1 rounded-lg text-xs font-medium transition-colors shrink-0 ${status.className} ${saveStatus !== 'error' ? 'hover:bg-gray-100' : ''}`}
+      title={title}
+    >
+      <span className={`w-2 h-2 rounded-full ${status.dot}`} />
+      {status.label}
+    </button>
+  );
+};
+
+export default memo(SaveStatus);
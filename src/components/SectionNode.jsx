@@ -11,7 +11,8 @@ import {
 
 /**
  * Bloc "Section" :
- * - Parent node / group
+ * - Parent node / group : les nœuds déposés dedans en deviennent membres
+ *   et la suivent (voir utils/sections.js)
  * - Couleur de fond pastel personnalisable
  * - Titre éditable en haut
  * - Redimensionnable
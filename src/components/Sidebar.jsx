@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef, useCallback, memo } from 'react';
 import useFlowStore from '../store/useFlowStore';
+import OutlineDialog from './OutlineDialog';
 
 // ─── Icons (Heroicons outline, inline SVGs) ─────────────
 const Icons = {
@@ -13,6 +14,16 @@ const Icons = {
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.25 7.125C2.25 6.504 2.754 6 3.375 6h6c.621 0 1.125.504 1.125 1.125v3.75c0 .621-.504 1.125-1.125 1.125h-6a1.125 1.125 0 0 1-1.125-1.125v-3.75Z" />
     </svg>
   ),
+  vacancy: (
+    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 7.5v3m0 0v3m0-3h3m-3 0h-3m-2.25-4.125a3.375 3.375 0 1 1-6.75 0 3.375 3.375 0 0 1 6.75 0ZM3 19.235v-.11a6.375 6.375 0 0 1 12.75 0v.109A12.318 12.318 0 0 1 9.374 21c-2.331 0-4.512-.645-6.374-1.766Z" />
+    </svg>
+  ),
+  list: (
+    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.25 6.75h12M8.25 12h12m-12 5.25h12M3.75 6.75h.007v.008H3.75V6.75Zm.375 0a.375.375 0 1 1-.75 0 .375.375 0 0 1 .75 0ZM3.75 12h.007v.008H3.75V12Zm.375 0a.375.375 0 1 1-.75 0 .375.375 0 0 1 .75 0Zm-.375 5.25h.007v.008H3.75v-.008Zm.375 0a.375.375 0 1 1-.75 0 .375.375 0 0 1 .75 0Z" />
+    </svg>
+  ),
   plus: (
     <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.5v15m7.5-7.5h-15" />
@@ -125,9 +136,11 @@ const PresetItem = memo(({ preset, collapsed, onApply, onRename, onRemove }) =>
 // ─── Floating sidebar (overlay on canvas) ───────────────
 const Sidebar = () => {
   const [presetsOpen, setPresetsOpen] = useState(true);
+  const [outlineOpen, setOutlineOpen] = useState(false);
 
   const addPersonNode = useFlowStore((s) => s.addPersonNode);
   const addSectionNode = useFlowStore((s) => s.addSectionNode);
+  const addVacancyNode = useFlowStore((s) => s.addVacancyNode);
   const presets = useFlowStore((s) => s.presets);
   const addPreset = useFlowStore((s) => s.addPreset);
   const removePreset = useFlowStore((s) => s.removePreset);
@@ -145,68 +158,88 @@ const Sidebar = () => {
   }, [nodes, addPreset]);
 
   return (
-    <div className="add-toolbar absolute top-4 left-4 z-20 flex flex-col bg-white/95 backdrop-blur-sm rounded-xl shadow-lg border border-gray-200 p-2 select-none"
-      style={{ width: 170 }}
-    >
-      {/* ── Ajouter ──────────── */}
-      <span className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider px-1 mb-1">Ajouter</span>
-      <button
-        onClick={() => addPersonNode({ x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 })}
-        className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+    <>
+      <div className="add-toolbar absolute top-4 left-4 z-20 flex flex-col bg-white/95 backdrop-blur-sm rounded-xl shadow-lg border border-gray-200 p-2 select-none"
+        style={{ width: 170 }}
       >
-        {Icons.person}
-        Personne
-      </button>
-      <button
-        onClick={() => addSectionNode({ x: Math.random() * 300 + 50, y: Math.random() * 200 + 50 })}
-        className="flex items-center gap-2 px-3 py-2 mt-1 text-sm font-medium rounded-lg bg-emerald-50 text-emerald-700 hover:bg-emerald-100 transition-colors"
-      >
-        {Icons.section}
-        Section
-      </button>
-
-      {/* ── Divider ──────────── */}
-      <div className="border-t border-gray-200 my-2" />
+        {/* ── Ajouter ──────────── */}
+        <span className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider px-1 mb-1">Ajouter</span>
+        <button
+          onClick={() => addPersonNode({ x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 })}
+          className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          {Icons.person}
+          Personne
+        </button>
+        <button
+          onClick={() => addSectionNode({ x: Math.random() * 300 + 50, y: Math.random() * 200 + 50 })}
+          className="flex items-center gap-2 px-3 py-2 mt-1 text-sm font-medium rounded-lg bg-emerald-50 text-emerald-700 hover:bg-emerald-100 transition-colors"
+        >
+          {Icons.section}
+          Section
+        </button>
+        <button
+          onClick={() => addVacancyNode({ x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 })}
+          className="flex items-center gap-2 px-3 py-2 mt-1 text-sm font-medium rounded-lg bg-amber-50 text-amber-700 hover:bg-amber-100 transition-colors"
+          title="Poste ouvert au recrutement, à convertir en personne une fois pourvu"
+        >
+          {Icons.vacancy}
+          À pourvoir
+        </button>
+        <button
+          onClick={() => setOutlineOpen(true)}
+          className="flex items-center gap-2 px-3 py-2 mt-1 text-sm font-medium rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100 transition-colors"
+          title="Coller une liste indentée (« Alice – CEO ») ou copier la sélection en liste"
+        >
+          {Icons.list}
+          Liste…
+        </button>
+
+        {/* ── Divider ──────────── */}
+        <div className="border-t border-gray-200 my-2" />
+
+        {/* ── Presets header ──── */}
+        <div className="flex items-center justify-between px-1 mb-1">
+          <span className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Presets</span>
+          {presets.length > 0 && (
+            <button
+              onClick={() => setPresetsOpen(!presetsOpen)}
+              className="w-4 h-4 flex items-center justify-center text-gray-400 hover:text-gray-600 transition-colors"
+              title={presetsOpen ? 'Réduire' : 'Déplier'}
+            >
+              {presetsOpen ? Icons.collapseUp : Icons.expandDown}
+            </button>
+          )}
+        </div>
 
-      {/* ── Presets header ──── */}
-      <div className="flex items-center justify-between px-1 mb-1">
-        <span className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Presets</span>
-        {presets.length > 0 && (
-          <button
-            onClick={() => setPresetsOpen(!presetsOpen)}
-            className="w-4 h-4 flex items-center justify-center text-gray-400 hover:text-gray-600 transition-colors"
-            title={presetsOpen ? 'Réduire' : 'Déplier'}
-          >
-            {presetsOpen ? Icons.collapseUp : Icons.expandDown}
-          </button>
+        {/* + Ajouter preset */}
+        <button
+          onClick={handleAddPreset}
+          className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg bg-violet-50 text-violet-600 hover:bg-violet-100 transition-colors"
+        >
+          {Icons.plus}
+          Ajouter
+        </button>
+
+        {/* Preset list */}
+        {presetsOpen && presets.length > 0 && (
+          <div className="mt-1.5 space-y-0.5 max-h-48 overflow-y-auto">
+            {presets.map((p) => (
+              <PresetItem
+                key={p.id}
+                preset={p}
+                collapsed={false}
+                onApply={applyPreset}
+                onRename={renamePreset}
+                onRemove={removePreset}
+              />
+            ))}
+          </div>
         )}
       </div>
 
-      {/* + Ajouter preset */}
-      <button
-        onClick={handleAddPreset}
-        className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg bg-violet-50 text-violet-600 hover:bg-violet-100 transition-colors"
-      >
-        {Icons.plus}
-        Ajouter
-      </button>
-
-      {/* Preset list */}
-      {presetsOpen && presets.length > 0 && (
-        <div className="mt-1.5 space-y-0.5 max-h-48 overflow-y-auto">
-          {presets.map((p) => (
-            <PresetItem
-              key={p.id}
-              preset={p}
-              collapsed={false}
-              onApply={applyPreset}
-              onRename={renamePreset}
-              onRemove={removePreset}
-            />
-          ))}
-        </div>
-      )}
-    </div>
+      {outlineOpen && <OutlineDialog onClose={() => setOutlineOpen(false)} />}
+    </>
   );
 };
 
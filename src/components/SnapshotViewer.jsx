@@ -0,0 +1,83 @@
+import { memo, useEffect, useState } from 'react';
+import ReactFlow, { Background, Controls, ReactFlowProvider } from 'reactflow';
+import Modal from './Modal';
+import { nodeTypes, edgeTypes } from './flowTypes';
+import { loadSnapshot } from '../utils/chartStorage';
+import { GRID_SIZE, GRID_VARIANT, GRID_DOT_SIZE, GRID_DOT_COLOR } from '../config';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+
+/**
+ * Ouvre un instantané de l'historique en lecture seule : canvas séparé
+ * (son propre ReactFlowProvider), déplacement et zoom seulement.
+ *
+ * Props :
+ *  - snapshotId
+ *  - onRestore() / onExport()
+ *  - onClose() : retour à la liste des versions
+ */
+const SnapshotViewer = ({ snapshotId, onRestore, onExport, onClose }) => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [missing, setMissing] = useState(false);
+
+  useEffect(() => {
+    loadSnapshot(snapshotId)
+      .then((s) => (s ? setSnapshot(s) : setMissing(true)))
+      .catch(() => setMissing(true));
+  }, [snapshotId]);
+
+  const title = snapshot
+    ? `${snapshot.name} — v${snapshot.version} du ${new Date(snapshot.createdAt).toLocaleString('fr-FR', {
+        dateStyle: 'short',
+        timeStyle: 'short',
+      })}`
+    : 'Version';
+
+  return (
+    <Modal
+      title={title}
+      maxWidth="max-w-6xl"
+      onClose={onClose}
+      footer={
+        <>
+          <span className="text-xs text-gray-400 mr-auto">Lecture seule</span>
+          <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Retour
+          </button>
+          <button onClick={onExport} disabled={!snapshot} className={`${btn} bg-yellow-50 text-yellow-600 hover:bg-yellow-100`}>
+            Exporter JSON
+          </button>
+          <button onClick={onRestore} disabled={!snapshot} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600`}>
+            Restaurer cette version
+          </button>
+        </>
+      }
+    >
+      {snapshot?.note && <p className="text-sm text-gray-600 mb-3">{snapshot.note}</p>}
+      <div className="read-only h-[65vh] rounded-xl border border-gray-200 overflow-hidden bg-slate-50">
+        {missing && <p className="text-sm text-gray-400 text-center py-8">Instantané introuvable.</p>}
+        {snapshot && (
+          <ReactFlowProvider>
+            <ReactFlow
+              nodes={snapshot.nodes}
+              edges={snapshot.edges}
+              nodeTypes={nodeTypes}
+              edgeTypes={edgeTypes}
+              nodesDraggable={false}
+              nodesConnectable={false}
+              elementsSelectable={false}
+              deleteKeyCode={null}
+              fitView
+              proOptions={{ hideAttribution: true }}
+            >
+              <Background variant={GRID_VARIANT} gap={GRID_SIZE[0]} size={GRID_DOT_SIZE} color={GRID_DOT_COLOR} />
+              <Controls showInteractive={false} position="bottom-right" />
+            </ReactFlow>
+          </ReactFlowProvider>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(SnapshotViewer);
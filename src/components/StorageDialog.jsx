@@ -0,0 +1,212 @@
+import { memo, useCallback, useEffect, useMemo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { measureCharts, estimateStorage, requestPersistentStorage, dataUrlSize } from '../utils/chartStorage';
+import { formatBytes } from '../utils/files';
+import { isCard } from '../utils/graph';
+import { cardName } from '../utils/exportGeometry';
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+const action = 'px-3 py-1.5 text-xs font-medium rounded-lg transition-colors disabled:opacity-40';
+
+/** Nombre de photos les plus lourdes listées */
+const TOP_PHOTOS = 8;
+
+/**
+ * Espace de stockage : usage du navigateur, taille de chaque organigramme
+ * et des photos de l'organigramme ouvert. En cas d'échec d'enregistrement,
+ * propose des actions de récupération :
+ * - Recompresser les photos
+ * - Exporter en JSON immédiatement
+ * - Passer en stockage persistant (quota plus large, pas d'effacement)
+ */
+const StorageDialog = ({ onClose }) => {
+  const nodes = useFlowStore((s) => s.nodes);
+  const charts = useFlowStore((s) => s.charts);
+  const chartId = useFlowStore((s) => s.chartId);
+  const saveStatus = useFlowStore((s) => s.saveStatus);
+  const saveError = useFlowStore((s) => s.saveError);
+  const refreshCharts = useFlowStore((s) => s.refreshCharts);
+  const recompressPhotos = useFlowStore((s) => s.recompressPhotos);
+  const exportFlow = useFlowStore((s) => s.exportFlow);
+  const saveFlow = useFlowStore((s) => s.saveFlow);
+
+  const [estimate, setEstimate] = useState(null);
+  const [sizes, setSizes] = useState(new Map());
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const measure = useCallback(() => {
+    refreshCharts();
+    estimateStorage()
+      .then(setEstimate)
+      .catch(() => setEstimate(null));
+    measureCharts()
+      .then(setSizes)
+      .catch(() => setSizes(new Map()));
+  }, [refreshCharts]);
+
+  useEffect(() => {
+    measure();
+  }, [measure]);
+
+  const photos = useMemo(
+    () =>
+      nodes
+        .filter((n) => isCard(n) && n.data.photo)
+        .map((n) => ({ id: n.id, name: cardName(n) || 'Sans nom', size: dataUrlSize(n.data.photo) }))
+        .sort((a, b) => b.size - a.size),
+    [nodes]
+  );
+  const photosTotal = photos.reduce((sum, p) => sum + p.size, 0);
+
+  const handleRecompress = async () => {
+    setBusy(true);
+    const { count, saved } = await recompressPhotos();
+    setBusy(false);
+    setMessage(
+      count > 0
+        ? `${count} photo${count > 1 ? 's' : ''} recompressée${count > 1 ? 's' : ''} (${formatBytes(saved)} gagnés).`
+        : 'Les photos sont déjà au plus petit.'
+    );
+    measure();
+  };
+
+  const handlePersist = async () => {
+    const granted = await requestPersistentStorage();
+    setMessage(
+      granted
+        ? 'Stockage persistant accordé. Nouvel essai d’enregistrement…'
+        : 'Le navigateur a refusé le stockage persistant.'
+    );
+    if (granted) saveFlow();
+    measure();
+  };
+
+  const handleRetry = () => {
+    saveFlow();
+    setMessage('');
+  };
+
+  const ratio = estimate?.quota ? Math.min(1, estimate.usage / estimate.quota) : 0;
+
+  return (
+    <Modal
+      title="Stockage"
+      maxWidth="max-w-xl"
+      onClose={onClose}
+      footer={
+        <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+          Fermer
+        </button>
+      }
+    >
+      <div className="space-y-5">
+        {/* ── Échec + récupération ── */}
+        {saveStatus === 'error' && (
+          <div className="rounded-xl border border-red-200 bg-red-50 p-3 space-y-2">
+            <p className="text-sm font-medium text-red-700">{saveError}</p>
+            <p className="text-xs text-red-600">
+              Sans action, les modifications seront perdues à la fermeture de la page.
+            </p>
+            <div className="flex flex-wrap gap-1.5">
+              <button onClick={() => exportFlow()} className={`${action} bg-white text-red-700 border border-red-200 hover:bg-red-100`}>
+                Exporter en JSON maintenant
+              </button>
+              <button
+                onClick={handleRecompress}
+                disabled={busy || photos.length === 0}
+                className={`${action} bg-white text-red-700 border border-red-200 hover:bg-red-100`}
+              >
+                Recompresser les photos
+              </button>
+              {estimate && !estimate.persisted && (
+                <button onClick={handlePersist} className={`${action} bg-white text-red-700 border border-red-200 hover:bg-red-100`}>
+                  Passer en stockage persistant
+                </button>
+              )}
+              <button onClick={handleRetry} className={`${action} bg-red-600 text-white hover:bg-red-700`}>
+                Réessayer
+              </button>
+            </div>
+          </div>
+        )}
+        {message && <p className="text-xs text-indigo-600">{message}</p>}
+
+        {/* ── Usage du navigateur ── */}
+        <div className="space-y-1.5">
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>Espace utilisé par OrganMaker</span>
+            <span className="font-mono text-xs">
+              {estimate ? `${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}` : 'inconnu'}
+            </span>
+          </div>
+          <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+            <div
+              className={`h-full ${ratio > 0.8 ? 'bg-red-400' : 'bg-indigo-400'}`}
+              style={{ width: `${Math.max(ratio * 100, estimate?.usage ? 1 : 0)}%` }}
+            />
+          </div>
+          <div className="flex items-center justify-between text-[11px] text-gray-400">
+            <span>
+              {estimate?.persisted
+                ? 'Stockage persistant : le navigateur ne l’effacera pas.'
+                : 'Stockage standard : le navigateur peut l’effacer s’il manque de place.'}
+            </span>
+            {estimate && !estimate.persisted && saveStatus !== 'error' && (
+              <button onClick={handlePersist} className="text-indigo-500 hover:text-indigo-700 shrink-0 ml-2">
+                Rendre persistant
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* ── Par organigramme ── */}
+        <div className="space-y-1">
+          <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">Organigrammes</h3>
+          {charts.map((c) => (
+            <div key={c.id} className="flex justify-between text-sm text-gray-700">
+              <span className="truncate">
+                {c.name}
+                {c.id === chartId && <span className="text-[10px] text-indigo-500 ml-1.5">ouvert</span>}
+              </span>
+              <span className="font-mono text-xs text-gray-500 shrink-0 ml-3">
+                {sizes.has(c.id) ? formatBytes(sizes.get(c.id)) : '—'}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {/* ── Photos de l'organigramme ouvert ── */}
+        <div className="space-y-1">
+          <div className="flex items-center justify-between">
+            <h3 className="text-[10px] font-semibold text-gray-400 uppercase tracking-wide">
+              Photos ({photos.length}) — {formatBytes(photosTotal)}
+            </h3>
+            {saveStatus !== 'error' && photos.length > 0 && (
+              <button
+                onClick={handleRecompress}
+                disabled={busy}
+                className="text-[11px] text-indigo-500 hover:text-indigo-700 disabled:opacity-40"
+              >
+                Recompresser
+              </button>
+            )}
+          </div>
+          {photos.length === 0 && <p className="text-xs text-gray-400">Aucune photo.</p>}
+          {photos.slice(0, TOP_PHOTOS).map((p) => (
+            <div key={p.id} className="flex justify-between text-sm text-gray-700">
+              <span className="truncate">{p.name}</span>
+              <span className="font-mono text-xs text-gray-500 shrink-0 ml-3">{formatBytes(p.size)}</span>
+            </div>
+          ))}
+          {photos.length > TOP_PHOTOS && (
+            <p className="text-[11px] text-gray-400">… et {photos.length - TOP_PHOTOS} autres</p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(StorageDialog);
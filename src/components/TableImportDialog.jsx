@@ -0,0 +1,233 @@
+import { memo, useCallback, useMemo, useState } from 'react';
+import Modal from './Modal';
+import useFlowStore from '../store/useFlowStore';
+import { parseDelimited } from '../utils/csv';
+import { TABLE_FIELDS, guessMapping, buildOrgFromTable } from '../utils/orgTable';
+import { pickFile, readFileAsText } from '../utils/files';
+
+const PREVIEW_ROWS = 5;
+
+const ISSUE_LABELS = {
+  unknown: 'manager introuvable',
+  ambiguous: 'plusieurs personnes portent ce nom',
+  'duplicate-id': 'plusieurs lignes portent cet identifiant',
+  self: 'la personne est son propre manager',
+};
+
+const btn = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors';
+
+/**
+ * Import d'un tableur (CSV, ou TSV collé depuis Excel) :
+ * 1. Source : fichier ou texte collé
+ * 2. Mapping des colonnes + aperçu
+ * 3. Rapport des managers introuvables / ambigus
+ */
+const TableImportDialog = ({ onClose }) => {
+  const importOrgTable = useFlowStore((s) => s.importOrgTable);
+
+  const [text, setText] = useState('');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [groupByTeam, setGroupByTeam] = useState(true);
+  const [issues, setIssues] = useState(null);
+
+  const rows = useMemo(() => (text.trim() ? parseDelimited(text) : []), [text]);
+  const columnCount = useMemo(() => Math.max(0, ...rows.map((r) => r.length)), [rows]);
+  const headers = useMemo(
+    () =>
+      Array.from({ length: columnCount }, (_, i) =>
+        hasHeader && rows[0]?.[i] ? rows[0][i] : `Colonne ${i + 1}`
+      ),
+    [rows, columnCount, hasHeader]
+  );
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  // ── Étape 1 → 2 ────────────────────────────────────
+  const goToMapping = useCallback(() => {
+    setMapping(guessMapping(hasHeader ? rows[0] : []));
+  }, [rows, hasHeader]);
+
+  const handlePickFile = useCallback(async () => {
+    const file = await pickFile('.csv,.tsv,.txt');
+    if (!file) return;
+    try {
+      setText(await readFileAsText(file));
+    } catch {
+      alert('Impossible de lire le fichier.');
+    }
+  }, []);
+
+  // ── Étape 2 → import ───────────────────────────────
+  const handleImport = useCallback(() => {
+    const result = buildOrgFromTable(dataRows, mapping, { firstLine: hasHeader ? 2 : 1 });
+    if (result.people.length === 0) {
+      alert('Aucune personne trouvée : vérifiez la colonne « Nom ».');
+      return;
+    }
+    if (
+      useFlowStore.getState().nodes.length > 0 &&
+      !window.confirm("Remplacer l'organigramme actuel par les données importées ?")
+    )
+      return;
+    importOrgTable(result, { groupByTeam: groupByTeam && mapping.team >= 0 });
+    if (result.issues.length > 0) setIssues(result.issues);
+    else onClose();
+  }, [dataRows, mapping, hasHeader, groupByTeam, importOrgTable, onClose]);
+
+  // ── Rendu ──────────────────────────────────────────
+  if (issues) {
+    return (
+      <Modal
+        title="Import terminé avec des avertissements"
+        onClose={onClose}
+        footer={
+          <button onClick={onClose} className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600`}>
+            Fermer
+          </button>
+        }
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          {issues.length} personne(s) n'ont pas pu être rattachées à leur manager :
+        </p>
+        <ul className="space-y-1 text-sm">
+          {issues.map((issue, i) => (
+            <li key={i} className="flex gap-2 px-2 py-1 rounded-lg bg-amber-50 text-amber-800">
+              <span className="font-mono text-xs text-amber-500 shrink-0 pt-0.5">L{issue.line}</span>
+              <span>
+                <strong>{issue.name}</strong> → « {issue.manager} » : {ISSUE_LABELS[issue.reason]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </Modal>
+    );
+  }
+
+  if (!mapping) {
+    return (
+      <Modal
+        title="Importer un tableur"
+        onClose={onClose}
+        footer={
+          <>
+            <button onClick={onClose} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+              Annuler
+            </button>
+            <button
+              onClick={goToMapping}
+              disabled={rows.length === 0}
+              className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+            >
+              Suivant
+            </button>
+          </>
+        }
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          Choisissez un fichier CSV ou collez directement des cellules copiées depuis Excel.
+        </p>
+        <button onClick={handlePickFile} className={`${btn} bg-yellow-50 text-yellow-600 hover:bg-yellow-100 mb-3`}>
+          Choisir un fichier…
+        </button>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={10}
+          className="w-full text-xs font-mono text-gray-700 bg-gray-50 rounded-lg p-2 outline-none border border-gray-200 focus:border-indigo-300 transition-colors"
+          placeholder={'Nom\tPoste\tManager\tÉquipe\nAlice\tCEO\t\tDirection\nBob\tCTO\tAlice\tTech'}
+        />
+        <label className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+          La première ligne contient les en-têtes
+        </label>
+        {rows.length > 0 && (
+          <p className="mt-1 text-xs text-gray-400">
+            {dataRows.length} ligne(s), {columnCount} colonne(s) détectée(s).
+          </p>
+        )}
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal
+      title="Associer les colonnes"
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={() => setMapping(null)} className={`${btn} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+            Retour
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={mapping.name < 0}
+            className={`${btn} bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Importer {dataRows.length} ligne(s)
+          </button>
+        </>
+      }
+    >
+      <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+        {TABLE_FIELDS.map((f) => (
+          <label key={f.key} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+            <span>
+              {f.label}
+              {f.required && <span className="text-red-500"> *</span>}
+            </span>
+            <select
+              value={mapping[f.key]}
+              onChange={(e) => setMapping({ ...mapping, [f.key]: Number(e.target.value) })}
+              className="w-40 text-sm bg-gray-50 rounded-lg px-2 py-1 border border-gray-200 outline-none focus:border-indigo-300"
+            >
+              <option value={-1}>— Ignorer —</option>
+              {headers.map((h, i) => (
+                <option key={i} value={i}>
+                  {h}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={groupByTeam}
+          disabled={mapping.team < 0}
+          onChange={(e) => setGroupByTeam(e.target.checked)}
+        />
+        Créer une section par équipe
+      </label>
+
+      {/* Aperçu */}
+      <div className="mt-4 overflow-x-auto">
+        <table className="text-xs text-gray-600 border-collapse">
+          <thead>
+            <tr>
+              {headers.map((h, i) => (
+                <th key={i} className="px-2 py-1 text-left font-semibold bg-gray-50 border border-gray-200 whitespace-nowrap">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {dataRows.slice(0, PREVIEW_ROWS).map((row, i) => (
+              <tr key={i}>
+                {headers.map((_, j) => (
+                  <td key={j} className="px-2 py-1 border border-gray-200 whitespace-nowrap">
+                    {row[j]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Modal>
+  );
+};
+
+export default memo(TableImportDialog);
@@ -0,0 +1,62 @@
+import { memo, useEffect, useRef, useState } from 'react';
+
+/**
+ * Bouton de toolbar ouvrant un menu déroulant.
+ *
+ * Props :
+ *  - label     : texte du bouton
+ *  - icon      : icône (élément SVG) affichée avant le texte
+ *  - className : classes de couleur du bouton (ex: 'bg-yellow-50 text-yellow-600 hover:bg-yellow-100')
+ *  - title     : info-bulle
+ *  - items     : [{ label, onClick, title? }]
+ */
+const ToolbarMenu = ({ label, icon, className = '', title, items }) => {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // ── Fermer au clic extérieur ───────────────────────
+  useEffect(() => {
+    if (!open) return;
+    const handler = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handler, true);
+    return () => document.removeEventListener('mousedown', handler, true);
+  }, [open]);
+
+  return (
+    <div ref={ref} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg transition-colors ${className}`}
+        title={title}
+      >
+        {icon}
+        {label}
+        <svg className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 min-w-[11rem] bg-white rounded-xl shadow-lg border border-gray-200 py-1 z-30">
+          {items.map((item) => (
+            <button
+              key={item.label}
+              onClick={() => {
+                setOpen(false);
+                item.onClick();
+              }}
+              className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 hover:text-indigo-600 transition-colors"
+              title={item.title}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default memo(ToolbarMenu);
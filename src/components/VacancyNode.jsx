@@ -0,0 +1,167 @@
+import { memo, useCallback } from 'react';
+import { Handle, Position } from 'reactflow';
+import useFlowStore from '../store/useFlowStore';
+import {
+  DEFAULT_PERSON_BG,
+  PERSON_PHOTO_FALLBACK_BG,
+  VACANCY_LABEL,
+  VACANCY_COLOR,
+  VACANCY_STATUSES,
+} from '../config';
+
+const field =
+  'w-full text-xs text-gray-600 bg-transparent outline-none border-b border-transparent focus:border-amber-300 transition-colors';
+
+/**
+ * Bloc "Poste à pourvoir" :
+ * - Bordure pointillée et badge « À pourvoir » à la place de la photo et du nom
+ * - Intitulé du poste, niveau, date d'arrivée visée, statut du recrutement
+ * - Commentaire optionnel
+ * - « Pourvu » : devient une personne (mêmes liens et position)
+ */
+const VacancyNode = ({ id, data }) => {
+  const updateNodeData = useFlowStore((s) => s.updateNodeData);
+  const removeNode = useFlowStore((s) => s.removeNode);
+  const fillVacancy = useFlowStore((s) => s.fillVacancy);
+
+  const bgColor = data.bgColor || DEFAULT_PERSON_BG;
+  const borderColor = data.borderColor || VACANCY_COLOR;
+
+  const handleChange = useCallback(
+    (key) => (e) => updateNodeData(id, { [key]: e.target.value }),
+    [id, updateNodeData]
+  );
+
+  const toggleComment = useCallback(
+    () => updateNodeData(id, { showComment: !data.showComment }),
+    [id, data.showComment, updateNodeData]
+  );
+
+  const handleFill = useCallback(() => {
+    const name = window.prompt(`Nom de la personne recrutée pour « ${data.role || 'ce poste'} » :`);
+    if (name === null) return;
+    fillVacancy(id, name.trim());
+  }, [id, data.role, fillVacancy]);
+
+  return (
+    <div
+      className="vacancy-node group relative rounded-2xl shadow-md hover:shadow-lg transition-shadow duration-200 w-64 select-none border-2 border-dashed"
+      style={{ backgroundColor: bgColor, borderColor }}
+    >
+      <Handle
+        id="target-top"
+        type="target"
+        position={Position.Top}
+        className="!w-3 !h-3 !bg-indigo-400 !border-2 !border-white"
+      />
+      <Handle
+        id="target-left"
+        type="target"
+        position={Position.Left}
+        className="side-handle !w-2.5 !h-2.5 !bg-indigo-300 !border-2 !border-white"
+      />
+      <Handle
+        id="target-right"
+        type="target"
+        position={Position.Right}
+        className="side-handle !w-2.5 !h-2.5 !bg-indigo-300 !border-2 !border-white"
+      />
+
+      {/* Bouton supprimer */}
+      <button
+        onClick={() => removeNode(id)}
+        className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-red-400 text-white text-xs flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-500 z-10"
+        title="Supprimer"
+      >
+        ✕
+      </button>
+
+      {/* Avatar vide (même emplacement que la photo d'une personne) */}
+      <div className="person-photo flex justify-center pt-5">
+        <div
+          className="w-24 h-24 rounded-full border-2 border-dashed flex items-center justify-center"
+          style={{ borderColor, backgroundColor: bgColor === DEFAULT_PERSON_BG ? PERSON_PHOTO_FALLBACK_BG : bgColor }}
+        >
+          <svg className="w-12 h-12 text-indigo-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M15.75 6a3.75 3.75 0 1 1-7.5 0 3.75 3.75 0 0 1 7.5 0ZM4.501 20.118a7.5 7.5 0 0 1 14.998 0A17.933 17.933 0 0 1 12 21.75c-2.676 0-5.216-.584-7.499-1.632Z"
+            />
+          </svg>
+        </div>
+      </div>
+
+      <div className="px-4 py-3 space-y-1.5">
+        {/* Badge */}
+        <div className="flex justify-center">
+          <span
+            className="px-2 py-0.5 rounded-full text-[11px] font-semibold text-white"
+            style={{ backgroundColor: borderColor }}
+          >
+            {VACANCY_LABEL}
+          </span>
+        </div>
+        {/* Intitulé du poste */}
+        <input
+          value={data.role}
+          onChange={handleChange('role')}
+          className="w-full text-center text-xs text-gray-500 bg-transparent outline-none border-b border-transparent focus:border-amber-300 transition-colors"
+          placeholder="Intitulé du poste"
+        />
+
+        {/* Recrutement */}
+        <div className="grid grid-cols-[auto_1fr] gap-x-2 gap-y-1 items-center pt-1 nodrag">
+          <span className="text-[10px] text-gray-400">Niveau</span>
+          <input value={data.level} onChange={handleChange('level')} className={field} placeholder="ex. Senior" />
+          <span className="text-[10px] text-gray-400">Arrivée</span>
+          <input type="date" value={data.targetStart} onChange={handleChange('targetStart')} className={field} />
+          <span className="text-[10px] text-gray-400">Statut</span>
+          <select value={data.status} onChange={handleChange('status')} className={field}>
+            {VACANCY_STATUSES.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex justify-between items-center pt-1">
+          <button
+            onClick={toggleComment}
+            className="text-[10px] text-indigo-400 hover:text-indigo-600 transition-colors"
+          >
+            {data.showComment ? '▲ Masquer' : '▼ Commentaire'}
+          </button>
+          <button
+            onClick={handleFill}
+            className="text-[10px] font-medium text-amber-600 hover:text-amber-800 transition-colors"
+            title="Remplacer par la personne recrutée (liens et position conservés)"
+          >
+            ✓ Pourvu…
+          </button>
+        </div>
+
+        {data.showComment && (
+          <textarea
+            value={data.comment}
+            onChange={handleChange('comment')}
+            rows={2}
+            className="person-comment w-full text-xs text-gray-600 bg-gray-50 rounded-lg p-2 outline-none resize-none border border-gray-200 focus:border-indigo-300 transition-colors"
+            placeholder="Commentaire…"
+          />
+        )}
+      </div>
+
+      <Handle
+        id="source-bottom"
+        type="source"
+        position={Position.Bottom}
+        className="!w-3 !h-3 !bg-indigo-400 !border-2 !border-white"
+      />
+    </div>
+  );
+};
+
+export default memo(VacancyNode);
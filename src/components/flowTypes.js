@@ -0,0 +1,9 @@
+import PersonNode from './PersonNode';
+import SectionNode from './SectionNode';
+import VacancyNode from './VacancyNode';
+import CustomEdge from './CustomEdge';
+
+// ─── Types de nodes et edges personnalisés ──────────────
+// Partagés par le canvas principal et la visionneuse d'historique
+export const nodeTypes = { person: PersonNode, section: SectionNode, vacancy: VacancyNode };
+export const edgeTypes = { custom: CustomEdge };
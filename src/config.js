@@ -22,7 +22,7 @@ export const GRID_DOT_SIZE = 1;
 export const GRID_DOT_COLOR = '#cbd5e1';
 
 
-// ─── Export (PNG / PDF) ─────────────────────────────────────
+// ─── Export (PNG / PDF / SVG / HTML / tableur) ──────────────
 
 /** Couleur d'arrière-plan lors de l'export PNG / PDF */
 export const EXPORT_BG_COLOR = '#f8fafc';
@@ -43,11 +43,76 @@ export const EXPORT_MAX_CANVAS_SIDE = 8192;
 export const EXPORT_MAX_CANVAS_PIXELS = 40_000_000;
 
 
+/** Format de papier par défaut de l'export PDF vectoriel ('a4' | 'a3' | 'letter') */
+export const PDF_DEFAULT_PAPER = 'a4';
+
+/** Échelle minimum de l'export PDF (1 = taille réelle). En dessous, le PDF est découpé en pages. */
+export const PDF_DEFAULT_MIN_SCALE = 0.5;
+
+/** Marge autour de la zone imprimable d'une page PDF (mm) */
+export const PDF_MARGIN_MM = 10;
+
+/** Recouvrement entre deux pages voisines d'un PDF découpé (mm) */
+export const PDF_TILE_OVERLAP_MM = 10;
+
+/** Habillage des exports par défaut (bloc titre, légende, pied de page, filigrane) */
+export const DEFAULT_EXPORT_DECOR = {
+  titleBlock: false,
+  logo: null,
+  legend: false,
+  legendLabels: {},
+  footer: '',
+  watermark: false,
+};
+
+/** Taille max du logo du bloc titre (px, compressé en PNG) */
+export const EXPORT_LOGO_MAX_SIZE = 256;
+
+/** Texte du filigrane quand aucun pied de page n'est saisi */
+export const EXPORT_WATERMARK_TEXT = 'CONFIDENTIEL';
+
+/** Séparateur de l'export CSV (';' = ouverture directe dans Excel en français) */
+export const CSV_EXPORT_DELIMITER = ';';
+
+/** Taille des diapositives PowerPoint [largeur, hauteur] en EMU (16:9, 33,87 × 19,05 cm) */
+export const PPTX_SLIDE_SIZE = [12192000, 6858000];
+
+/** Marge autour de l'organigramme sur une diapositive (EMU, 1 cm = 360000) */
+export const PPTX_MARGIN = 360000;
+
+/** Visionneuse HTML : facteur de zoom par cran de molette / clic sur + et − */
+export const HTML_VIEWER_ZOOM_STEP = 1.2;
+
+/** Visionneuse HTML : zoom max (1 = taille réelle du canvas) */
+export const HTML_VIEWER_MAX_ZOOM = 4;
+
+
 // ─── Stockage local ─────────────────────────────────────────
 
-/** Clé utilisée dans localStorage pour sauvegarder l'organigramme */
+/** Ancienne clé localStorage de l'organigramme (migrée vers IndexedDB au premier chargement) */
 export const STORAGE_KEY = 'organmaker-flow';
 
+/** Base IndexedDB des organigrammes enregistrés */
+export const IDB_NAME = 'organmaker';
+
+/** Version du schéma IndexedDB (à incrémenter à chaque nouveau store) */
+export const IDB_VERSION = 2;
+
+/**
+ * Version du format des organigrammes (meta.schemaVersion des fichiers JSON,
+ * contenu IndexedDB). À incrémenter avec une migration dans utils/flowSchema.js.
+ */
+export const SCHEMA_VERSION = 4;
+
+
+// ─── Historique des versions ────────────────────────────────
+
+/** Intervalle des instantanés automatiques (ms), pris seulement si l'organigramme a changé */
+export const AUTO_SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+
+/** Nombre d'instantanés automatiques conservés par organigramme (les versions nommées sont toutes gardées) */
+export const AUTO_SNAPSHOT_KEEP = 20;
+
 
 // ─── Undo / Redo ────────────────────────────────────────────
 
@@ -81,6 +146,12 @@ export const SECTION_MIN_WIDTH = 200;
 /** Hauteur minimum d'un nœud Section (px) */
 export const SECTION_MIN_HEIGHT = 150;
 
+/** Marge gardée entre le bord d'une section redimensionnée et ses membres (px) */
+export const SECTION_MEMBER_MARGIN = 12;
+
+/** Hauteur du titre d'une section, que ses membres ne recouvrent pas au redimensionnement (px) */
+export const SECTION_TITLE_HEIGHT = 40;
+
 
 // ─── z-Index des nœuds ──────────────────────────────────────
 
@@ -117,6 +188,55 @@ export const SIDE_STACK_GAP_Y = 25;
 /** Espace vertical entre le parent et le premier enfant latéral (px) */
 export const SIDE_START_Y = 40;
 
+/** Marge intérieure d'une section ajustée autour de ses membres (px) */
+export const SECTION_FIT_PADDING = 40;
+
+/** Hauteur réservée au titre d'une section ajustée (px) */
+export const SECTION_FIT_HEADER = 40;
+
+/**
+ * Écart de taille mesurée (px) à partir duquel une carte change la
+ * disposition : la dernière disposition est refaite (voir autoLayout)
+ */
+export const LAYOUT_RESIZE_THRESHOLD = 8;
+
+/** Délai avant de refaire la disposition après un changement de taille (ms, regroupe les mesures) */
+export const LAYOUT_RESIZE_DELAY = 150;
+
+/** Espace vertical entre feuilles empilées sous leur manager en disposition compacte (px) */
+export const COMPACT_STACK_GAP_Y = 30;
+
+/** Bornes des réglages d'espacement de la disposition (px) */
+export const LAYOUT_SEP_MIN = 20;
+export const LAYOUT_SEP_MAX = 300;
+
+/** Styles de disposition (voir utils/layout.js) */
+export const LAYOUT_STYLES = [
+  { id: 'tree', label: 'Arbre' },
+  { id: 'compact', label: 'Compact' },
+  { id: 'radial', label: 'Radial' },
+];
+
+/** Sens de l'arbre (rankdir dagre) */
+export const LAYOUT_DIRECTIONS = [
+  { id: 'TB', label: '↓', title: 'De haut en bas' },
+  { id: 'BT', label: '↑', title: 'De bas en haut' },
+  { id: 'LR', label: '→', title: 'De gauche à droite' },
+  { id: 'RL', label: '←', title: 'De droite à gauche' },
+];
+
+/**
+ * Options de disposition par défaut, enregistrées avec chaque organigramme
+ * (sections : équipes disposées dans leur section, voir utils/layout.js)
+ */
+export const DEFAULT_LAYOUT_OPTIONS = {
+  style: 'tree',
+  direction: 'TB',
+  rankSep: LAYOUT_RANK_SEP,
+  nodeSep: LAYOUT_NODE_SEP,
+  sections: false,
+};
+
 
 // ─── Copier / Coller ────────────────────────────────────────
 
@@ -124,6 +244,27 @@ export const SIDE_START_Y = 40;
 export const PASTE_OFFSET = 60;
 
 
+// ─── Liste indentée (coller / copier en texte) ──────────────
+
+/** Séparateurs nom / rôle reconnus dans une ligne, dans l'ordre d'essai */
+export const OUTLINE_SEPARATORS = [' – ', ' — ', ' - ', ' : ', '\t', ' | '];
+
+/** Séparateur nom / rôle de la liste copiée */
+export const OUTLINE_EXPORT_SEPARATOR = ' – ';
+
+/** Largeur d'une tabulation dans l'indentation (en espaces) */
+export const OUTLINE_TAB_WIDTH = 4;
+
+
+// ─── Import JSON (fusion) ───────────────────────────────────
+
+/** Espace entre le contenu existant et un organigramme importé « en nouvelle zone » (px) */
+export const MERGE_REGION_GAP = 200;
+
+/** Suffixe du nom d'un preset importé gardé en double */
+export const MERGE_PRESET_SUFFIX = ' (importé)';
+
+
 // ─── Couleur par défaut des connexions ──────────────────────
 
 /** Couleur par défaut des nouvelles connexions */
@@ -192,6 +333,44 @@ export const DEFAULT_PERSON_ROLE = 'Rôle';
 /** Titre par défaut d'une nouvelle section */
 export const DEFAULT_SECTION_TITLE = 'Nouvelle Section';
 
+/** Intitulé par défaut d'un nouveau poste à pourvoir */
+export const DEFAULT_VACANCY_ROLE = 'Poste';
+
+
+// ─── Postes à pourvoir ──────────────────────────────────────
+
+/** Badge des postes à pourvoir (carte et exports) */
+export const VACANCY_LABEL = 'À pourvoir';
+
+/** Couleur de la bordure pointillée et du badge d'un poste à pourvoir */
+export const VACANCY_COLOR = '#f59e0b';
+
+/** Statuts d'un recrutement, dans l'ordre du processus */
+export const VACANCY_STATUSES = [
+  { id: 'open', label: 'Ouvert' },
+  { id: 'interviewing', label: 'Entretiens' },
+  { id: 'offer', label: 'Offre envoyée' },
+  { id: 'onHold', label: 'Gelé' },
+];
+
+
+// ─── Fiche personne (champs personnalisés) ──────────────────
+
+/**
+ * Champs de la fiche d'un nouvel organigramme, modifiables par organigramme.
+ * type : 'text' | 'email' | 'phone' | 'date' | 'url' | 'number' ;
+ * onCard : valeur affichée sous le rôle sur la carte.
+ */
+export const DEFAULT_PERSON_FIELDS = [
+  { id: 'email', label: 'E-mail', type: 'email', onCard: false },
+  { id: 'phone', label: 'Téléphone', type: 'phone', onCard: false },
+  { id: 'location', label: 'Site', type: 'text', onCard: false },
+  { id: 'startDate', label: "Date d'arrivée", type: 'date', onCard: false },
+  { id: 'employeeId', label: 'Matricule', type: 'text', onCard: false },
+  { id: 'costCenter', label: 'Centre de coûts', type: 'text', onCard: false },
+  { id: 'url', label: 'Lien', type: 'url', onCard: false },
+];
+
 
 // ─── Compression des photos ─────────────────────────────────
 
@@ -204,6 +383,12 @@ export const PHOTO_QUALITY = 0.7;
 /** Format MIME de la photo compressée */
 export const PHOTO_FORMAT = 'image/jpeg';
 
+/** Dimension max des photos recompressées quand le stockage est plein (px) */
+export const PHOTO_RECOVERY_MAX_SIZE = 120;
+
+/** Qualité JPEG des photos recompressées quand le stockage est plein */
+export const PHOTO_RECOVERY_QUALITY = 0.5;
+
 
 // ─── MiniMap ────────────────────────────────────────────────
 
@@ -6,26 +6,38 @@ import {
   addEdge as rfAddEdge,
 } from 'reactflow';
 import { v4 as uuidv4 } from 'uuid';
-import dagre from 'dagre';
 import {
-  STORAGE_KEY,
+  listCharts,
+  loadChart,
+  saveChart,
+  updateChartMeta,
+  deleteChart as deleteStoredChart,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  deleteSnapshot as deleteStoredSnapshot,
+  pruneAutoSnapshots,
+  getSetting,
+  setSetting,
+  readLegacyFlow,
+  clearLegacyFlow,
+  chartThumbnail,
+  dataUrlSize,
+} from '../utils/chartStorage';
+import compressImage from '../utils/compressImage';
+import {
   UNDO_LIMIT,
   EDIT_COMMIT_DELAY,
   SAVE_DEBOUNCE,
-  PERSON_NODE_WIDTH,
-  PERSON_NODE_HEIGHT,
+  AUTO_SNAPSHOT_KEEP,
+  SCHEMA_VERSION,
   SECTION_DEFAULT_WIDTH,
   SECTION_DEFAULT_HEIGHT,
   PERSON_Z_INDEX,
   SECTION_Z_INDEX,
   SECTION_SELECTED_Z_INDEX,
-  LAYOUT_RANK_SEP,
-  LAYOUT_NODE_SEP,
-  LAYOUT_MARGIN_X,
-  LAYOUT_MARGIN_Y,
-  SIDE_OFFSET_X,
-  SIDE_STACK_GAP_Y,
-  SIDE_START_Y,
+  SECTION_FIT_PADDING,
+  SECTION_FIT_HEADER,
   PASTE_OFFSET,
   DEFAULT_EDGE_COLOR,
   DEFAULT_EDGE_STROKE_WIDTH,
@@ -33,36 +45,48 @@ import {
   DEFAULT_PERSON_BORDER,
   DEFAULT_SECTION_COLOR,
   DEFAULT_FILE_NAME,
+  DEFAULT_EXPORT_DECOR,
+  DEFAULT_LAYOUT_OPTIONS,
+  LAYOUT_RESIZE_THRESHOLD,
+  LAYOUT_RESIZE_DELAY,
+  PHOTO_RECOVERY_MAX_SIZE,
+  PHOTO_RECOVERY_QUALITY,
   DEFAULT_PERSON_NAME,
   DEFAULT_PERSON_ROLE,
   DEFAULT_SECTION_TITLE,
+  SECTION_COLORS,
+  CSV_EXPORT_DELIMITER,
 } from '../config';
+import { buildPeopleTable } from '../utils/orgTable';
+import { buildDrawioXml } from '../utils/drawio';
+import { buildMermaid, buildDot } from '../utils/diagramText';
+import { buildHtmlViewer } from '../utils/htmlExport';
+import { buildDecor } from '../utils/exportDecor';
+import { nodeRect, isCard, cardDescendants, collapsedHidden } from '../utils/graph';
+import { layoutCards, layoutSubset, exportGraph } from '../utils/layout';
+import { assignSections, followSections, settleSections, pruneSections } from '../utils/sections';
+import { buildOutline } from '../utils/outline';
+import { toDelimited } from '../utils/csv';
+import { buildXlsx } from '../utils/xlsx';
+import { buildPptx } from '../utils/pptx';
+import { fileStem, downloadBlob } from '../utils/files';
+import { applyImport, mergePresets } from '../utils/mergeImport';
+import { prepareFlow, defaultNodeData, defaultEdgeProps } from '../utils/flowSchema';
+import { defaultPersonFields, normalizePersonFields, mergePersonFields } from '../utils/personFields';
 
 // ─── Clipboard (module-level, not tracked by temporal) ──
 let _clipboard = { nodes: [], edges: [] };
 
-/** Migrate edges from old format (null handles) to explicit handle IDs */
-function _migrateEdges(edges) {
-  if (!Array.isArray(edges)) return edges;
-  return edges.map((e) => ({
-    ...e,
-    sourceHandle: e.sourceHandle || 'source-bottom',
-    targetHandle: e.targetHandle || 'target-top',
-  }));
-}
-
-/** Ensure all nodes have correct zIndex (sections behind, persons in front) */
-function _migrateNodeZIndex(nodes) {
-  if (!Array.isArray(nodes)) return nodes;
-  return nodes.map((n) => {
-    if (n.type === 'person' && n.zIndex !== PERSON_Z_INDEX) {
-      return { ...n, zIndex: PERSON_Z_INDEX };
-    }
-    if (n.type === 'section' && (n.zIndex == null || n.zIndex > SECTION_Z_INDEX)) {
-      return { ...n, zIndex: n.selected ? SECTION_SELECTED_Z_INDEX : SECTION_Z_INDEX };
-    }
-    return n;
-  });
+/**
+ * Migrate + repair a stored document (IndexedDB, old localStorage,
+ * snapshot) silently. Imports are checked by JsonImportDialog instead.
+ * See utils/flowSchema.js.
+ */
+function _prepareStored({ schemaVersion, nodes, edges, presets }) {
+  return prepareFlow(
+    { meta: { schemaVersion }, nodes: nodes || [], edges: edges || [], presets: presets || [] },
+    { repair: true }
+  ).doc;
 }
 
 // ─── Drag / edit snapshot (module-level) ────────────────
@@ -78,6 +102,196 @@ function _partialize({ nodes, edges }) {
   };
 }
 
+/**
+ * Undo history entry: like _partialize, but keeps the measured width /
+ * height so auto-layout right after an undo uses real card sizes.
+ * Size-only changes are still not recorded (see temporal equality).
+ */
+function _historyState(state) {
+  const measured = new Map(state.nodes.filter((n) => n.width && n.height).map((n) => [n.id, n]));
+  const { nodes, edges } = _partialize(state);
+  return {
+    nodes: nodes.map((n) => {
+      const m = measured.get(n.id);
+      return m ? { ...n, width: m.width, height: m.height } : n;
+    }),
+    edges,
+  };
+}
+
+/** Run several set() calls as a single undo entry */
+function _batched(fn) {
+  const snapshot = JSON.parse(JSON.stringify(_historyState(useFlowStore.getState())));
+  useFlowStore.temporal.getState().pause();
+  try {
+    fn();
+  } finally {
+    useFlowStore.temporal.getState().resume();
+    const { pastStates } = useFlowStore.temporal.getState();
+    useFlowStore.temporal.setState({
+      pastStates: [...pastStates.slice(-(UNDO_LIMIT - 1)), snapshot],
+      futureStates: [],
+    });
+  }
+}
+
+// ─── Node / edge factories ──────────────────────────────
+
+/** Build a person node with default data, overridden by `data` */
+function _makePersonNode(position, data = {}) {
+  return {
+    id: uuidv4(),
+    type: 'person',
+    position,
+    zIndex: PERSON_Z_INDEX,
+    data: { ...defaultNodeData('person'), ...data },
+  };
+}
+
+/** Build a vacancy (open position) node with default data, overridden by `data` */
+function _makeVacancyNode(position, data = {}) {
+  return {
+    id: uuidv4(),
+    type: 'vacancy',
+    position,
+    zIndex: PERSON_Z_INDEX,
+    data: { ...defaultNodeData('vacancy'), ...data },
+  };
+}
+
+/** Build a section node with default data, overridden by `data` */
+function _makeSectionNode(position, data = {}, size = {}) {
+  return {
+    id: uuidv4(),
+    type: 'section',
+    position,
+    data: { ...defaultNodeData('section'), ...data },
+    style: {
+      width: size.width ?? SECTION_DEFAULT_WIDTH,
+      height: size.height ?? SECTION_DEFAULT_HEIGHT,
+    },
+    zIndex: SECTION_Z_INDEX,
+  };
+}
+
+/** Build a section fitted around `members` (persons or sections) */
+function _makeSectionAround(members, data) {
+  const rects = members.map(nodeRect);
+  const minX = Math.min(...rects.map((r) => r.x));
+  const minY = Math.min(...rects.map((r) => r.y));
+  const maxX = Math.max(...rects.map((r) => r.x + r.width));
+  const maxY = Math.max(...rects.map((r) => r.y + r.height));
+  return _makeSectionNode(
+    { x: minX - SECTION_FIT_PADDING, y: minY - SECTION_FIT_PADDING - SECTION_FIT_HEADER },
+    data,
+    {
+      width: maxX - minX + SECTION_FIT_PADDING * 2,
+      height: maxY - minY + SECTION_FIT_PADDING * 2 + SECTION_FIT_HEADER,
+    }
+  );
+}
+
+/** Build a styled custom edge from a React Flow connection */
+function _makeEdge(connection) {
+  return {
+    ...connection,
+    sourceHandle: connection.sourceHandle || 'source-bottom',
+    targetHandle: connection.targetHandle || 'target-top',
+    id: uuidv4(),
+    ...defaultEdgeProps(),
+  };
+}
+
+// ─── Workspace (IndexedDB) ──────────────────────────────
+let _loadPromise = null;
+
+let _saveSeq = 0;
+
+/** User-facing message for a failed IndexedDB write / open */
+function _describeStorageError(err) {
+  if (err?.name === 'QuotaExceededError') {
+    return "L'espace de stockage du navigateur est plein : les dernières modifications ne sont pas enregistrées.";
+  }
+  if (err?.name === 'InvalidStateError' || err?.message === 'IndexedDB indisponible') {
+    return "Le stockage du navigateur est indisponible (navigation privée ?) : rien n'est enregistré.";
+  }
+  return `Échec de l'enregistrement${err?.message ? ` : ${err.message}` : ''}.`;
+}
+
+/** No undo across page loads or chart switches */
+function _clearHistory() {
+  try {
+    useFlowStore.temporal.getState().clear();
+  } catch {
+    /* temporal might not be ready yet */
+  }
+}
+
+// ─── Version history (module-level) ─────────────────────
+/** Content of the last snapshot taken, so auto snapshots skip unchanged charts */
+let _lastSnapshotContent = null;
+
+function _snapshotContent({ nodes, edges, presets, exportDecor, personFields, layoutOptions }) {
+  return JSON.stringify({ ..._partialize({ nodes, edges }), presets, exportDecor, personFields, layoutOptions });
+}
+
+/** Put a chart loaded from storage into the store */
+function _applyChart(set, { meta, data }) {
+  _lastSnapshotContent = null;
+  const { nodes, edges } = _prepareStored(data);
+  set({
+    chartId: meta.id,
+    nodes,
+    edges,
+    fileName: meta.name || DEFAULT_FILE_NAME,
+    fileVersion: meta.version || 1,
+    exportDecor: { ...DEFAULT_EXPORT_DECOR, ...data.exportDecor },
+    personFields: normalizePersonFields(data.personFields),
+    layoutOptions: { ...DEFAULT_LAYOUT_OPTIONS, ...data.layoutOptions },
+  });
+}
+
+async function _loadWorkspace(set) {
+  try {
+    let charts = await listCharts();
+    if (charts.length === 0) {
+      // First load: migrate the single localStorage chart, or start empty
+      const legacy = readLegacyFlow() || {};
+      const id = uuidv4();
+      const { nodes, edges, presets } = _prepareStored(legacy);
+      await saveChart(
+        {
+          id,
+          name: legacy.fileName || DEFAULT_FILE_NAME,
+          version: legacy.fileVersion || 1,
+          updatedAt: Date.now(),
+          thumbnail: chartThumbnail(nodes, edges),
+        },
+        {
+          schemaVersion: SCHEMA_VERSION,
+          nodes,
+          edges,
+          exportDecor: { ...DEFAULT_EXPORT_DECOR, ...legacy.exportDecor },
+          personFields: normalizePersonFields(legacy.personFields),
+          layoutOptions: DEFAULT_LAYOUT_OPTIONS,
+        },
+        { presets, currentChartId: id }
+      );
+      clearLegacyFlow();
+      charts = await listCharts();
+    }
+    const currentId = await getSetting('currentChartId');
+    const id = charts.some((c) => c.id === currentId) ? currentId : charts[0].id;
+    const [chart, presets] = await Promise.all([loadChart(id), getSetting('presets')]);
+    if (chart) _applyChart(set, chart);
+    set({ presets: _prepareStored({ presets }).presets, charts });
+  } catch (err) {
+    // IndexedDB indisponible – start fresh, signalé par l'indicateur d'enregistrement
+    set({ saveStatus: 'error', saveError: _describeStorageError(err) });
+  }
+  _clearHistory();
+}
+
 // ─── Debounce helper ────────────────────────────────────
 function debounce(fn, ms) {
   let timer;
@@ -91,6 +305,59 @@ const _saveLazy = debounce(() => {
   useFlowStore.getState()._save();
 }, SAVE_DEBOUNCE);
 
+// ─── Re-layout on resize (module-level) ─────────────────
+/**
+ * Last auto-layout: `ids` (null = whole chart) and, for each card it
+ * placed, the position it gave and the size it assumed.
+ */
+let _lastLayout = null;
+
+function _rememberLayout(nodes, edges, ids) {
+  const hidden = collapsedHidden(nodes, edges);
+  const scope = ids && new Set(ids);
+  _lastLayout = {
+    ids,
+    cards: new Map(
+      nodes.filter((n) => isCard(n) && !hidden.has(n.id) && (!scope || scope.has(n.id))).map((n) => [n.id, nodeRect(n)])
+    ),
+  };
+}
+
+/** A card of the last layout measured at a meaningfully different size */
+function _resizedSinceLayout(change) {
+  const assumed = change.type === 'dimensions' && change.dimensions && _lastLayout?.cards.get(change.id);
+  return (
+    !!assumed &&
+    (Math.abs(change.dimensions.width - assumed.width) >= LAYOUT_RESIZE_THRESHOLD ||
+      Math.abs(change.dimensions.height - assumed.height) >= LAYOUT_RESIZE_THRESHOLD)
+  );
+}
+
+/**
+ * Redo the last layout with the measured sizes, unless one of its cards
+ * has been moved since. Part of the change that resized the card: no
+ * undo entry of its own.
+ */
+const _relayoutLazy = debounce(() => {
+  if (!_lastLayout) return;
+  const state = useFlowStore.getState();
+  const byId = new Map(state.nodes.map((n) => [n.id, n]));
+  const moved = [..._lastLayout.cards].some(([id, r]) => {
+    const n = byId.get(id);
+    return !n || n.position.x !== r.x || n.position.y !== r.y;
+  });
+  if (moved) {
+    _lastLayout = null;
+    return;
+  }
+  const temporal = useFlowStore.temporal.getState();
+  const tracking = temporal.isTracking;
+  if (tracking) temporal.pause();
+  if (_lastLayout.ids) state.autoLayoutSubset(_lastLayout.ids);
+  else state.autoLayout();
+  if (tracking) temporal.resume();
+}, LAYOUT_RESIZE_DELAY);
+
 /**
  * Store Zustand + zundo temporal pour gérer l'état complet
  * de l'organigramme avec undo/redo, presets, clipboard, auto-layout.
@@ -104,6 +371,16 @@ const useFlowStore = create(
       fileName: DEFAULT_FILE_NAME,
       fileVersion: 1,
       presets: [],
+      exportDecor: DEFAULT_EXPORT_DECOR,
+      personFields: defaultPersonFields(), // schéma de la fiche personne (voir utils/personFields.js)
+      layoutOptions: DEFAULT_LAYOUT_OPTIONS, // options de « Organiser » (voir utils/layout.js)
+      chartId: null, // organigramme ouvert (IndexedDB)
+      charts: [], // métadonnées des organigrammes enregistrés (DocumentManager)
+      saveStatus: 'idle', // 'idle' | 'saving' | 'saved' | 'error'
+      saveError: null, // message affiché quand saveStatus = 'error'
+      lastSavedAt: null,
+      snapshots: [], // historique de l'organigramme ouvert (sans le contenu, voir listSnapshots)
+      exportExpanded: false, // exporter les branches repliées dépliées (voir exportGraph)
 
       // ─── File name & version ─────────────────────────────
       setFileName: (fileName) => {
@@ -117,9 +394,15 @@ const useFlowStore = create(
         get()._save();
       },
 
-      incrementVersion: () => {
+      /**
+       * Fige la version actuelle dans l'historique puis passe à la suivante.
+       * @param {string} [note] — note affichée dans l'historique
+       */
+      incrementVersion: async (note = '') => {
+        const snapshot = get().createSnapshot({ note });
         set({ fileVersion: get().fileVersion + 1 });
         get()._save();
+        await snapshot;
       },
 
       decrementVersion: () => {
@@ -132,24 +415,34 @@ const useFlowStore = create(
 
       // ─── React Flow callbacks ───────────────────────────
       onNodesChange: (changes) => {
-        const isDragging = changes.some((c) => c.type === 'position' && c.dragging);
-        const dragEnded = changes.some((c) => c.type === 'position' && c.dragging === false);
+        // A section resize is recorded like a drag (one undo entry)
+        const isDragging = changes.some(
+          (c) => (c.type === 'position' && c.dragging) || (c.type === 'dimensions' && c.resizing)
+        );
+        const ended = changes.filter(
+          (c) => (c.type === 'position' && c.dragging === false) || (c.type === 'dimensions' && c.resizing === false)
+        );
+        const dragEnded = ended.length > 0;
 
         // First drag frame → snapshot pre-drag state & pause temporal
         if (isDragging && !_preDragSnapshot) {
           _preDragSnapshot = JSON.parse(
-            JSON.stringify(_partialize({ nodes: get().nodes, edges: get().edges }))
+            JSON.stringify(_historyState({ nodes: get().nodes, edges: get().edges }))
           );
           useFlowStore.temporal.getState().pause();
         }
 
-        let updatedNodes = applyNodeChanges(changes, get().nodes);
+        // Section members follow their section; dropped nodes join / leave sections (see utils/sections.js)
+        let updatedNodes = followSections(get().nodes, applyNodeChanges(changes, get().nodes), changes);
+        if (dragEnded) updatedNodes = settleSections(updatedNodes, ended.map((c) => c.id));
+        if (changes.some((c) => c.type === 'remove')) updatedNodes = pruneSections(updatedNodes);
         updatedNodes = updatedNodes.map((n) => {
           if (n.type === 'section') return { ...n, zIndex: n.selected ? SECTION_SELECTED_Z_INDEX : SECTION_Z_INDEX };
-          if (n.type === 'person') return { ...n, zIndex: PERSON_Z_INDEX };
+          if (isCard(n)) return { ...n, zIndex: PERSON_Z_INDEX };
           return n;
         });
         set({ nodes: updatedNodes });
+        if (changes.some(_resizedSinceLayout)) _relayoutLazy();
 
         if (dragEnded && _preDragSnapshot) {
           // Commit one undo entry for the whole drag
@@ -172,61 +465,73 @@ const useFlowStore = create(
       },
 
       onConnect: (connection) => {
-        const edge = {
-          ...connection,
-          sourceHandle: connection.sourceHandle || 'source-bottom',
-          targetHandle: connection.targetHandle || 'target-top',
-          id: uuidv4(),
-          type: 'custom',
-          data: { color: DEFAULT_EDGE_COLOR, dashed: false },
-          markerEnd: { type: 'arrowclosed', color: DEFAULT_EDGE_COLOR },
-          style: { stroke: DEFAULT_EDGE_COLOR, strokeWidth: DEFAULT_EDGE_STROKE_WIDTH },
-        };
-        set({ edges: rfAddEdge(edge, get().edges) });
+        set({ edges: rfAddEdge(_makeEdge(connection), get().edges) });
         get()._save();
       },
 
       // ─── Nodes ──────────────────────────────────────────
 
       addPersonNode: (position = { x: 100, y: 100 }) => {
-        const node = {
-          id: uuidv4(),
-          type: 'person',
-          position,
-          zIndex: PERSON_Z_INDEX,
-          data: {
-            name: DEFAULT_PERSON_NAME,
-            role: DEFAULT_PERSON_ROLE,
-            comment: '',
-            showComment: false,
-            photo: null,
-            bgColor: DEFAULT_PERSON_BG,
-            borderColor: DEFAULT_PERSON_BORDER,
-          },
-        };
-        set({ nodes: [...get().nodes, node] });
-        get()._save();
+        get()._addNode(_makePersonNode(position));
       },
 
       addSectionNode: (position = { x: 50, y: 50 }) => {
-        const node = {
-          id: uuidv4(),
-          type: 'section',
-          position,
-          data: {
-            title: DEFAULT_SECTION_TITLE,
-            color: DEFAULT_SECTION_COLOR,
-          },
-          style: { width: SECTION_DEFAULT_WIDTH, height: SECTION_DEFAULT_HEIGHT },
-          zIndex: SECTION_Z_INDEX,
+        get()._addNode(_makeSectionNode(position));
+      },
+
+      addVacancyNode: (position = { x: 100, y: 100 }) => {
+        get()._addNode(_makeVacancyNode(position));
+      },
+
+      /** Add a node as if dropped there: it joins the section below it, a section adopts what it covers */
+      _addNode: (node) => {
+        set({ nodes: settleSections([...get().nodes, node], [node.id]) });
+        get()._save();
+      },
+
+      /**
+       * Turn a vacancy into a person once someone is hired: same id,
+       * position and links; the role and comment are kept and the target
+       * start date becomes the person's start date field.
+       */
+      fillVacancy: (nodeId, name) => {
+        const vacancy = get().nodes.find((n) => n.id === nodeId && n.type === 'vacancy');
+        if (!vacancy) return;
+        const { role, comment, showComment, targetStart } = vacancy.data;
+        const person = {
+          ..._makePersonNode(vacancy.position, { name: name || DEFAULT_PERSON_NAME, role, comment, showComment }),
+          id: vacancy.id,
+          sectionId: vacancy.sectionId,
+          selected: vacancy.selected,
         };
-        set({ nodes: [...get().nodes, node] });
+        if (targetStart && get().personFields.some((f) => f.id === 'startDate')) {
+          person.data.fields = { startDate: targetStart };
+        }
+        set({ nodes: get().nodes.map((n) => (n.id === nodeId ? person : n)) });
+        get()._save();
+      },
+
+      /**
+       * Fold or unfold the branch below a person, then lay the chart out
+       * again. Cards that become hidden are deselected so that deleting
+       * the selection cannot remove them. Single undo entry.
+       */
+      toggleCollapse: (nodeId) => {
+        if (!get().nodes.some((n) => n.id === nodeId)) return;
+        _batched(() => {
+          const nodes = get().nodes.map((n) =>
+            n.id === nodeId ? { ...n, data: { ...n.data, collapsed: !n.data.collapsed } } : n
+          );
+          const hidden = collapsedHidden(nodes, get().edges);
+          set({ nodes: nodes.map((n) => (n.selected && hidden.has(n.id) ? { ...n, selected: false } : n)) });
+          get().autoLayout();
+        });
         get()._save();
       },
 
       removeNode: (nodeId) => {
         set({
-          nodes: get().nodes.filter((n) => n.id !== nodeId),
+          nodes: pruneSections(get().nodes.filter((n) => n.id !== nodeId)),
           edges: get().edges.filter(
             (e) => e.source !== nodeId && e.target !== nodeId
           ),
@@ -238,7 +543,7 @@ const useFlowStore = create(
         // Capture pre-edit snapshot once per burst
         if (!_editSnapshot) {
           _editSnapshot = JSON.parse(
-            JSON.stringify(_partialize({ nodes: get().nodes, edges: get().edges }))
+            JSON.stringify(_historyState({ nodes: get().nodes, edges: get().edges }))
           );
           useFlowStore.temporal.getState().pause();
         }
@@ -291,161 +596,207 @@ const useFlowStore = create(
         get()._save();
       },
 
-      // ─── Auto-layout (dagre + side stacks) ─────────────
-      autoLayout: () => {
-        const { nodes, edges } = get();
-        if (nodes.length === 0) return;
-
-        const personNodes = nodes.filter((n) => n.type === 'person');
-        const sectionNodes = nodes.filter((n) => n.type === 'section');
-        const personIds = new Set(personNodes.map((n) => n.id));
-
-        // ── Séparer les edges hiérarchiques (haut) des edges latéraux ──
-        const treeEdges = [];
-        const sideEdges = [];
-        edges.forEach((e) => {
-          if (!personIds.has(e.source) || !personIds.has(e.target)) return;
-          const th = e.targetHandle || 'target-top';
-          if (th === 'target-left' || th === 'target-right') {
-            sideEdges.push(e);
-          } else {
-            treeEdges.push(e);
-          }
-        });
-
-        const sideChildIds = new Set(sideEdges.map((e) => e.target));
-
-        // ── Dagre : uniquement les edges hiérarchiques ──
-        const g = new dagre.graphlib.Graph();
-        g.setDefaultEdgeLabel(() => ({}));
-        g.setGraph({
-          rankdir: 'TB',
-          ranksep: LAYOUT_RANK_SEP,
-          nodesep: LAYOUT_NODE_SEP,
-          marginx: LAYOUT_MARGIN_X,
-          marginy: LAYOUT_MARGIN_Y,
-        });
+      // ─── Auto-layout (voir utils/layout.js) ────────────
 
-        personNodes.forEach((n) => {
-          const hasTreeParent = treeEdges.some((e) => e.target === n.id);
-          if (sideChildIds.has(n.id) && !hasTreeParent) {
-            g.setNode(n.id, { width: 1, height: 1 });
-          } else {
-            g.setNode(n.id, { width: PERSON_NODE_WIDTH, height: PERSON_NODE_HEIGHT });
-          }
-        });
-
-        treeEdges.forEach((e) => {
-          g.setEdge(e.source, e.target);
-        });
+      /**
+       * Met à jour les options de disposition (enregistrées avec
+       * l'organigramme), sans réorganiser.
+       * @param {object} patch — voir DEFAULT_LAYOUT_OPTIONS
+       */
+      setLayoutOptions: (patch) => {
+        set({ layoutOptions: { ...get().layoutOptions, ...patch } });
+        get()._save();
+      },
 
-        dagre.layout(g);
+      /**
+       * Dispose l'organigramme selon ses options de disposition (enregistrées
+       * avec lui). En arbre, les sections ne bougent pas et l'appartenance
+       * des cartes suit leur nouvelle position.
+       * @param {object} [patch] — options à changer d'abord, voir DEFAULT_LAYOUT_OPTIONS
+       */
+      autoLayout: (patch) => {
+        const { nodes, edges } = get();
+        const layoutOptions = { ...get().layoutOptions, ...patch };
+        if (nodes.length === 0) {
+          if (patch) get().setLayoutOptions(patch);
+          return;
+        }
+        let laidOut = layoutCards(nodes, edges, layoutOptions);
+        if (!layoutOptions.sections) laidOut = assignSections(laidOut, new Set(nodes.filter(isCard).map((n) => n.id)));
+        // Options et positions dans le même état : une seule entrée d'historique, un seul enregistrement
+        set({ layoutOptions, nodes: laidOut });
+        _rememberLayout(laidOut, edges, null);
+        get()._save();
+      },
 
-        // ── Positions initiales depuis dagre ──
-        const posMap = {};
-        personNodes.forEach((n) => {
-          const pos = g.node(n.id);
-          posMap[n.id] = { x: pos.x - PERSON_NODE_WIDTH / 2, y: pos.y - PERSON_NODE_HEIGHT / 2 };
-        });
+      /**
+       * Dispose seulement les cartes `ids`, le reste de l'organigramme ne
+       * bouge pas (voir layoutSubset). L'appartenance aux sections des
+       * cartes déplacées suit leur nouvelle position.
+       * @param {Iterable<string>} ids
+       */
+      autoLayoutSubset: (ids) => {
+        const { nodes, edges, layoutOptions } = get();
+        const laidOut = layoutSubset(nodes, edges, ids, layoutOptions);
+        if (laidOut === nodes) return;
+        const moved = new Set(laidOut.filter((n, i) => n !== nodes[i]).map((n) => n.id));
+        set({ nodes: assignSections(laidOut, moved) });
+        _rememberLayout(get().nodes, edges, [...ids]);
+        get()._save();
+      },
 
-        // ── Regrouper les enfants latéraux par parent ──
-        const sideChildrenByParent = {};
-        sideEdges.forEach((e) => {
-          if (!sideChildrenByParent[e.source]) {
-            sideChildrenByParent[e.source] = { left: [], right: [] };
-          }
-          const side = e.targetHandle === 'target-left' ? 'left' : 'right';
-          sideChildrenByParent[e.source][side].push(e.target);
-        });
+      /** Dispose les cartes sélectionnées */
+      autoLayoutSelection: () => {
+        get().autoLayoutSubset(get().nodes.filter((n) => n.selected && isCard(n)).map((n) => n.id));
+      },
 
-        // ── Construire la map de descendants tree pour décaler les sous-arbres ──
-        const treeChildrenMap = {};
-        treeEdges.forEach((e) => {
-          if (!treeChildrenMap[e.source]) treeChildrenMap[e.source] = [];
-          treeChildrenMap[e.source].push(e.target);
-        });
+      /** Dispose une personne et toute son équipe (liens de côté compris) */
+      autoLayoutSubtree: (nodeId) => {
+        const { nodes, edges } = get();
+        get().autoLayoutSubset([nodeId, ...cardDescendants(nodeId, nodes, edges)]);
+      },
 
-        function getTreeDescendants(nodeId, visited = new Set()) {
-          if (visited.has(nodeId)) return [];
-          visited.add(nodeId);
-          const children = treeChildrenMap[nodeId] || [];
-          const result = [...children];
-          for (const child of children) {
-            result.push(...getTreeDescendants(child, visited));
-          }
-          return result;
-        }
+      /**
+       * Replace the chart with people built from a spreadsheet
+       * (see utils/orgTable.js), then lay it out. With `groupByTeam`,
+       * one section per team is fitted around its members afterwards.
+       * Recorded as a single undo entry.
+       */
+      importOrgTable: ({ people, links }, { groupByTeam = false } = {}) => {
+        const personNodes = people.map((p) => _makePersonNode({ x: 0, y: 0 }, p.data));
+        const newEdges = links.map(([managerIdx, reportIdx]) =>
+          _makeEdge({ source: personNodes[managerIdx].id, target: personNodes[reportIdx].id })
+        );
 
-        // ── Repositionner un enfant latéral + décaler son sous-arbre ──
-        function repositionChild(childId, newPos) {
-          const oldPos = posMap[childId];
-          const dx = newPos.x - oldPos.x;
-          const dy = newPos.y - oldPos.y;
-          posMap[childId] = newPos;
-          const descendants = getTreeDescendants(childId);
-          descendants.forEach((descId) => {
-            posMap[descId] = {
-              x: posMap[descId].x + dx,
-              y: posMap[descId].y + dy,
-            };
+        get().autoSnapshot('Avant import');
+        _batched(() => {
+          set({ nodes: personNodes, edges: newEdges });
+          get().autoLayout();
+          if (!groupByTeam) return;
+
+          const teams = new Map();
+          people.forEach((p, i) => {
+            if (!p.team) return;
+            if (!teams.has(p.team)) teams.set(p.team, []);
+            teams.get(p.team).push(personNodes[i].id);
           });
-        }
 
-        // ── Traitement en ordre BFS (parents avant enfants) ──
-        const visited = new Set();
-        const roots = personNodes
-          .filter((n) => !edges.some((e) => e.target === n.id && personIds.has(e.source)))
-          .map((n) => n.id);
-        const queue = [...roots];
-        const processOrder = [];
-        while (queue.length) {
-          const nid = queue.shift();
-          if (visited.has(nid)) continue;
-          visited.add(nid);
-          processOrder.push(nid);
-          edges.forEach((e) => {
-            if (e.source === nid && personIds.has(e.target) && !visited.has(e.target)) {
-              queue.push(e.target);
-            }
-          });
-        }
-        // Ajouter les nœuds non visités (cycles, isolés)
-        personNodes.forEach((n) => {
-          if (!visited.has(n.id)) processOrder.push(n.id);
+          const byId = new Map(get().nodes.map((n) => [n.id, n]));
+          const sections = [...teams].map(([title, ids], i) =>
+            _makeSectionAround(
+              ids.map((id) => byId.get(id)),
+              { title, color: SECTION_COLORS[i % SECTION_COLORS.length] }
+            )
+          );
+          set({ nodes: assignSections([...sections, ...get().nodes]) });
+          // Sections ajustées à cette disposition : ne pas la refaire aux mesures des cartes
+          _lastLayout = null;
         });
+        get()._save();
+      },
 
-        // ── Placer les enfants latéraux ──
-        processOrder.forEach((nid) => {
-          const sides = sideChildrenByParent[nid];
-          if (!sides) return;
-          const parentPos = posMap[nid];
-
-          // target-right → enfant à GAUCHE (flèche descend puis va à gauche vers le côté droit)
-          sides.right.forEach((childId, i) => {
-            repositionChild(childId, {
-              x: parentPos.x - SIDE_OFFSET_X,
-              y: parentPos.y + PERSON_NODE_HEIGHT + SIDE_START_Y + i * (PERSON_NODE_HEIGHT + SIDE_STACK_GAP_Y),
-            });
+      /**
+       * Replace the chart with a Mermaid / DOT diagram read by
+       * utils/diagramText.js, then lay it out. Subgraphs become sections
+       * fitted around their members (innermost first). Single undo entry;
+       * the previous chart is kept in the history.
+       */
+      importDiagram: ({ people, sections, links }) => {
+        const idByKey = new Map();
+        const personNodes = people.map((p) => {
+          const data = { name: p.name, role: p.role };
+          if (p.bgColor) data.bgColor = p.bgColor;
+          if (p.borderColor) data.borderColor = p.borderColor;
+          const node = _makePersonNode({ x: 0, y: 0 }, data);
+          idByKey.set(p.key, node.id);
+          return node;
+        });
+        const newEdges = links.map((l) => {
+          const edge = _makeEdge({
+            source: idByKey.get(l.source),
+            target: idByKey.get(l.target),
+            targetHandle: l.side || 'target-top',
           });
+          const color = l.color || edge.data.color;
+          return {
+            ...edge,
+            data: { color, dashed: l.dashed },
+            markerEnd: { ...edge.markerEnd, color },
+            style: { ...edge.style, stroke: color },
+          };
+        });
 
-          // target-left → enfant à DROITE (flèche descend puis va à droite vers le côté gauche)
-          sides.left.forEach((childId, i) => {
-            repositionChild(childId, {
-              x: parentPos.x + SIDE_OFFSET_X,
-              y: parentPos.y + PERSON_NODE_HEIGHT + SIDE_START_Y + i * (PERSON_NODE_HEIGHT + SIDE_STACK_GAP_Y),
+        get().autoSnapshot('Avant import');
+        _batched(() => {
+          set({ nodes: personNodes, edges: newEdges });
+          get().autoLayout();
+
+          const byId = new Map(get().nodes.map((n) => [n.id, n]));
+          const depth = (s) => (s.parent ? 1 + depth(sections.find((o) => o.key === s.parent)) : 0);
+          const sectionIds = new Map();
+          const fitted = [];
+          [...sections]
+            .sort((a, b) => depth(b) - depth(a))
+            .forEach((s, i) => {
+              const members = [
+                ...people.filter((p) => p.section === s.key).map((p) => byId.get(idByKey.get(p.key))),
+                ...sections.filter((o) => o.parent === s.key && sectionIds.has(o.key)).map((o) => sectionIds.get(o.key)),
+              ];
+              if (members.length === 0) return;
+              const section = _makeSectionAround(members, {
+                title: s.title,
+                color: s.color || SECTION_COLORS[i % SECTION_COLORS.length],
+              });
+              sectionIds.set(s.key, section);
+              fitted.push(section);
             });
-          });
+          // Sections englobantes d'abord (derrière les sections imbriquées)
+          set({ nodes: assignSections([...fitted.reverse(), ...get().nodes]) });
+          // Sections ajustées à cette disposition : ne pas la refaire aux mesures des cartes
+          if (fitted.length) _lastLayout = null;
         });
+        get()._save();
+      },
 
-        const laidOutPersons = personNodes.map((n) => ({
-          ...n,
-          position: posMap[n.id],
+      /**
+       * Add the people of an indented outline (see utils/outline.js) and
+       * lay the chart out. Outline roots report to `managerId` when given.
+       * The new cards are left selected. Single undo entry.
+       * @param {Array<{ name: string, role: string, parent: number|null }>} people
+       * @param {{ managerId?: string|null }} [options]
+       */
+      importOutline: (people, { managerId = null } = {}) => {
+        if (people.length === 0) return;
+        const personNodes = people.map((p) => ({
+          ..._makePersonNode({ x: 0, y: 0 }, { name: p.name, role: p.role }),
+          selected: true,
         }));
+        const newEdges = people.flatMap((p, i) => {
+          const source = p.parent !== null ? personNodes[p.parent].id : managerId;
+          return source ? [_makeEdge({ source, target: personNodes[i].id })] : [];
+        });
 
-        set({ nodes: [...sectionNodes, ...laidOutPersons] });
+        _batched(() => {
+          set({
+            nodes: [...get().nodes.map((n) => (n.selected ? { ...n, selected: false } : n)), ...personNodes],
+            edges: [...get().edges, ...newEdges],
+          });
+          get().autoLayout();
+        });
         get()._save();
       },
 
+      /**
+       * Selected people and everyone below them, as a Markdown outline
+       * (« - Nom – Rôle »). Null if no person is selected.
+       * @returns {string|null}
+       */
+      selectedOutline: () => {
+        const { nodes, edges } = get();
+        const ids = nodes.filter((n) => n.selected && n.type === 'person').map((n) => n.id);
+        return ids.length ? buildOutline(ids, nodes, edges) : null;
+      },
+
       // ─── Copy / Paste ──────────────────────────────────
       copySelected: () => {
         const { nodes, edges } = get();
@@ -494,7 +845,7 @@ const useFlowStore = create(
           ? get().nodes.map((n) => ({ ...n, selected: false }))
           : get().nodes;
         set({
-          nodes: [...existing, ...newNodes],
+          nodes: assignSections([...existing, ...newNodes], new Set(newNodes.map((n) => n.id))),
           edges: [...get().edges, ...newEdges],
         });
         get()._save();
@@ -582,7 +933,7 @@ const useFlowStore = create(
           ? get().nodes.map((n) => ({ ...n, selected: false }))
           : get().nodes;
         set({
-          nodes: [...existing, ...newNodes],
+          nodes: assignSections([...existing, ...newNodes], new Set(newNodes.map((n) => n.id))),
           edges: [...get().edges, ...newEdges],
         });
         get()._save();
@@ -602,54 +953,311 @@ const useFlowStore = create(
         get()._save();
       },
 
-      // ─── Persistence ───────────────────────────────────
+      // ─── Habillage des exports ─────────────────────────
 
-      _save: () => {
-        const { nodes, edges, fileName, fileVersion, presets } = get();
+      /**
+       * Met à jour les réglages du bloc titre, de la légende et du
+       * pied de page des exports (enregistrés avec l'organigramme).
+       * @param {object} patch — voir DEFAULT_EXPORT_DECOR
+       */
+      setExportDecor: (patch) => {
+        set({ exportDecor: { ...get().exportDecor, ...patch } });
+        get()._save();
+      },
+
+      setExportExpanded: (exportExpanded) => set({ exportExpanded }),
+
+      /**
+       * Graphe à exporter selon exportExpanded (voir exportGraph dans utils/layout.js)
+       * @param {boolean} [expanded]
+       */
+      exportGraph: (expanded = get().exportExpanded) =>
+        exportGraph(get().nodes, get().edges, expanded, get().layoutOptions),
+
+      // ─── Fiche personne ────────────────────────────────
+
+      /**
+       * Remplace le schéma des champs de la fiche (enregistré avec
+       * l'organigramme). Les valeurs des champs retirés restent dans
+       * les nœuds et réapparaissent si le champ est recréé.
+       * @param {Array<{ id: string, label: string, type: string, onCard: boolean }>} personFields
+       */
+      setPersonFields: (personFields) => {
+        set({ personFields });
+        get()._save();
+      },
+
+      /** Valeur d'un champ de la fiche d'une personne (annulable comme une saisie) */
+      updatePersonField: (nodeId, fieldId, value) => {
+        const node = get().nodes.find((n) => n.id === nodeId);
+        if (!node) return;
+        get().updateNodeData(nodeId, { fields: { ...node.data.fields, [fieldId]: value } });
+      },
+
+      // ─── Photos ─────────────────────────────────────────
+
+      /**
+       * Recompresse toutes les photos de l'organigramme ouvert en plus
+       * petit (voir PHOTO_RECOVERY_*) pour libérer de l'espace de stockage.
+       * Une seule entrée d'annulation.
+       * @returns {Promise<{ count: number, saved: number }>} photos réduites, octets gagnés
+       */
+      recompressPhotos: async () => {
+        const photos = get().nodes.filter((n) => isCard(n) && n.data.photo);
+        const results = new Map();
+        for (const node of photos) {
+          try {
+            const blob = await (await fetch(node.data.photo)).blob();
+            const smaller = await compressImage(blob, {
+              maxSize: PHOTO_RECOVERY_MAX_SIZE,
+              quality: PHOTO_RECOVERY_QUALITY,
+            });
+            if (smaller.length < node.data.photo.length) results.set(node.id, smaller);
+          } catch {
+            // Photo illisible : conservée telle quelle
+          }
+        }
+        if (results.size === 0) return { count: 0, saved: 0 };
+
+        let saved = 0;
+        _batched(() => {
+          set({
+            nodes: get().nodes.map((n) => {
+              const photo = results.get(n.id);
+              if (!photo || !n.data.photo) return n;
+              saved += dataUrlSize(n.data.photo) - dataUrlSize(photo);
+              return { ...n, data: { ...n.data, photo } };
+            }),
+          });
+        });
+        get()._save();
+        return { count: results.size, saved };
+      },
+
+      // ─── Historique des versions ───────────────────────
+
+      /** Relit l'historique de l'organigramme ouvert */
+      refreshSnapshots: async () => {
+        const { chartId } = get();
         try {
-          localStorage.setItem(
-            STORAGE_KEY,
-            JSON.stringify({ nodes, edges, fileName, fileVersion, presets })
-          );
+          set({ snapshots: chartId ? await listSnapshots(chartId) : [] });
         } catch {
-          // Quota exceeded – silent
+          set({ snapshots: [] });
         }
       },
 
+      /**
+       * Enregistre un instantané de l'organigramme ouvert (nodes, edges,
+       * presets, habillage). L'état est lu immédiatement : l'appelant peut
+       * modifier le store juste après sans attendre la promesse.
+       * @param {{ note?: string, auto?: boolean }} [options]
+       * @returns {Promise<object|null>} l'instantané, ou null en cas d'échec
+       */
+      createSnapshot: async ({ note = '', auto = false } = {}) => {
+        const { chartId, nodes, edges, fileName, fileVersion, presets, exportDecor, personFields, layoutOptions } = get();
+        if (!chartId) return null;
+        const snapshot = {
+          id: uuidv4(),
+          chartId,
+          version: fileVersion,
+          createdAt: Date.now(),
+          note: note.trim(),
+          auto,
+          name: fileName,
+          personCount: nodes.filter((n) => n.type === 'person').length,
+          schemaVersion: SCHEMA_VERSION,
+          ..._partialize({ nodes, edges }),
+          presets,
+          exportDecor,
+          personFields,
+          layoutOptions,
+        };
+        _lastSnapshotContent = _snapshotContent(get());
+        try {
+          await saveSnapshot(snapshot);
+          if (auto) await pruneAutoSnapshots(chartId, AUTO_SNAPSHOT_KEEP);
+        } catch (err) {
+          _lastSnapshotContent = null;
+          set({ saveStatus: 'error', saveError: _describeStorageError(err) });
+          return null;
+        }
+        if (chartId === get().chartId) await get().refreshSnapshots();
+        return snapshot;
+      },
+
+      /**
+       * Instantané automatique, seulement si l'organigramme n'est pas vide
+       * et a changé depuis le dernier instantané.
+       * @param {string} [note]
+       */
+      autoSnapshot: async (note = '') => {
+        const state = get();
+        if (!state.chartId || state.nodes.length === 0) return null;
+        if (_snapshotContent(state) === _lastSnapshotContent) return null;
+        return get().createSnapshot({ note, auto: true });
+      },
+
+      /**
+       * Remplace le contenu de l'organigramme par celui d'un instantané
+       * (annulable). L'état actuel est d'abord sauvegardé dans l'historique ;
+       * le nom et le numéro de version ne changent pas.
+       * @returns {Promise<boolean>} false si l'instantané est introuvable
+       */
+      restoreSnapshot: async (id) => {
+        const snapshot = await loadSnapshot(id);
+        if (!snapshot || snapshot.chartId !== get().chartId) return false;
+        const { nodes, edges, presets } = _prepareStored(snapshot);
+        const before = get().autoSnapshot('Avant restauration');
+        _batched(() => {
+          set({
+            nodes,
+            edges,
+            presets: mergePresets(get().presets, presets),
+            exportDecor: { ...DEFAULT_EXPORT_DECOR, ...snapshot.exportDecor },
+            personFields: normalizePersonFields(snapshot.personFields),
+            layoutOptions: { ...DEFAULT_LAYOUT_OPTIONS, ...snapshot.layoutOptions },
+          });
+        });
+        get()._save();
+        await before;
+        return true;
+      },
+
+      deleteSnapshot: async (id) => {
+        await deleteStoredSnapshot(id);
+        await get().refreshSnapshots();
+      },
+
+      // ─── Persistence (IndexedDB, voir utils/chartStorage.js) ──
+
+      _save: () => {
+        const { chartId, nodes, edges, fileName, fileVersion, presets, exportDecor, personFields, layoutOptions } = get();
+        if (!chartId) return; // pas encore chargé (ou stockage indisponible)
+        const seq = ++_saveSeq;
+        if (get().saveStatus !== 'saving') set({ saveStatus: 'saving' });
+        saveChart(
+          {
+            id: chartId,
+            name: fileName,
+            version: fileVersion,
+            updatedAt: Date.now(),
+            thumbnail: chartThumbnail(nodes, edges),
+          },
+          { schemaVersion: SCHEMA_VERSION, nodes, edges, exportDecor, personFields, layoutOptions },
+          { presets, currentChartId: chartId }
+        )
+          .then(() => {
+            // Seule la dernière sauvegarde lancée met à jour l'indicateur
+            if (seq === _saveSeq) set({ saveStatus: 'saved', saveError: null, lastSavedAt: Date.now() });
+          })
+          .catch((err) => {
+            if (seq === _saveSeq) set({ saveStatus: 'error', saveError: _describeStorageError(err) });
+          });
+      },
+
       saveFlow: () => get()._save(),
 
+      /**
+       * Charge l'espace de travail : migre l'ancien organigramme
+       * localStorage au premier lancement, puis ouvre le dernier
+       * organigramme utilisé (ou en crée un vide).
+       */
       loadFlow: () => {
+        if (!_loadPromise) _loadPromise = _loadWorkspace(set);
+        return _loadPromise;
+      },
+
+      /** Relit la liste des organigrammes enregistrés */
+      refreshCharts: async () => {
         try {
-          const raw = localStorage.getItem(STORAGE_KEY);
-          if (raw) {
-            const { nodes, edges, fileName, fileVersion, presets } =
-              JSON.parse(raw);
-            set({
-              nodes: _migrateNodeZIndex(nodes || []),
-              edges: _migrateEdges(edges || []),
-              fileName: fileName || DEFAULT_FILE_NAME,
-              fileVersion: fileVersion || 1,
-              presets: presets || [],
-            });
-          }
+          set({ charts: await listCharts() });
         } catch {
-          // Invalid JSON – start fresh
+          set({ charts: [] });
         }
-        // Clear temporal history (no undo before page load)
-        try {
-          useFlowStore.temporal.getState().clear();
-        } catch {
-          /* temporal might not be ready yet */
+      },
+
+      /** Ouvre un organigramme enregistré (l'actuel est sauvegardé avant) */
+      openChart: async (id) => {
+        if (id === get().chartId) return;
+        get()._save();
+        const chart = await loadChart(id);
+        if (!chart) return;
+        _applyChart(set, chart);
+        setSetting('currentChartId', id).catch(() => {});
+        _clearHistory();
+      },
+
+      /** Crée un organigramme vide et l'ouvre */
+      newChart: async () => {
+        get()._save();
+        set({
+          chartId: uuidv4(),
+          nodes: [],
+          edges: [],
+          fileName: DEFAULT_FILE_NAME,
+          fileVersion: 1,
+          exportDecor: DEFAULT_EXPORT_DECOR,
+          personFields: defaultPersonFields(),
+          layoutOptions: DEFAULT_LAYOUT_OPTIONS,
+        });
+        get()._save();
+        _clearHistory();
+        await get().refreshCharts();
+      },
+
+      /** Copie un organigramme sous le nom « … (copie) » sans l'ouvrir */
+      duplicateChart: async (id) => {
+        if (id === get().chartId) get()._save();
+        const chart = await loadChart(id);
+        if (!chart) return;
+        await saveChart(
+          { ...chart.meta, id: uuidv4(), name: `${chart.meta.name} (copie)`, updatedAt: Date.now() },
+          chart.data
+        );
+        await get().refreshCharts();
+      },
+
+      renameChart: async (id, name) => {
+        if (id === get().chartId) {
+          get().setFileName(name);
+        } else {
+          await updateChartMeta(id, { name });
+        }
+        await get().refreshCharts();
+      },
+
+      /** Supprime un organigramme ; si c'est l'actuel, ouvre le plus récent restant */
+      deleteChart: async (id) => {
+        await deleteStoredChart(id);
+        if (id === get().chartId) {
+          const rest = await listCharts();
+          if (rest.length > 0) {
+            const chart = await loadChart(rest[0].id);
+            if (chart) _applyChart(set, chart);
+            _clearHistory();
+          } else {
+            set({ chartId: null });
+            await get().newChart();
+          }
         }
+        await get().refreshCharts();
       },
 
       // ─── Import / Export JSON ───────────────────────────
 
-      exportFlow: () => {
-        const { nodes, edges, fileName, fileVersion, presets } = get();
+      /**
+       * Télécharge l'organigramme ouvert en JSON, ou un instantané de
+       * l'historique s'il est fourni.
+       * @param {object} [snapshot] — instantané complet (voir loadSnapshot)
+       */
+      exportFlow: (snapshot = null) => {
+        const { nodes, edges, fileName, fileVersion, presets, exportDecor, personFields, layoutOptions } = snapshot
+          ? { ...snapshot, fileName: snapshot.name, fileVersion: snapshot.version }
+          : get();
         const payload = {
           meta: {
             app: 'OrganMaker',
+            schemaVersion: SCHEMA_VERSION,
             version: String(fileVersion),
             fileName,
             exportedAt: new Date().toISOString(),
@@ -657,73 +1265,140 @@ const useFlowStore = create(
           nodes,
           edges,
           presets: presets || [],
+          exportDecor,
+          personFields,
+          layoutOptions,
         };
         const blob = new Blob([JSON.stringify(payload, null, 2)], {
           type: 'application/json',
         });
-        const url = URL.createObjectURL(blob);
-        const date = new Date().toISOString().slice(0, 10);
-        const safeName = fileName
-          .replace(/[^a-zA-Z0-9\u00C0-\u017F\-_]/g, '-')
-          .replace(/-+/g, '-')
-          .replace(/^-|-$/g, '');
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${safeName || 'organigramme'}_v${fileVersion}_${date}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-      },
-
-      importFlow: () => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.onchange = (e) => {
-          const file = e.target.files?.[0];
-          if (!file) return;
-          const reader = new FileReader();
-          reader.onload = (ev) => {
-            try {
-              const data = JSON.parse(ev.target.result);
-              const nodes = data.nodes;
-              const edges = data.edges;
-              if (!Array.isArray(nodes) || !Array.isArray(edges)) {
-                alert('Fichier invalide : nodes et edges attendus.');
-                return;
-              }
-              if (
-                !window.confirm(
-                  "Remplacer l'organigramme actuel par les données importées ?"
-                )
-              )
-                return;
-              const meta = data.meta || {};
-              set({
-                nodes: _migrateNodeZIndex(nodes),
-                edges: _migrateEdges(edges),
-                fileName: meta.fileName || DEFAULT_FILE_NAME,
-                fileVersion: parseInt(meta.version, 10) || 1,
-                presets: data.presets || [],
-              });
-              get()._save();
-            } catch {
-              alert('Impossible de lire le fichier JSON.');
-            }
-          };
-          reader.readAsText(file);
-        };
-        input.click();
+        downloadBlob(blob, `${fileStem(fileName, fileVersion)}.json`);
+      },
+
+      /**
+       * Export draw.io / diagrams.net (mxGraph XML). See utils/drawio.js.
+       */
+      exportDrawio: () => {
+        const { fileName, fileVersion } = get();
+        const { nodes, edges } = get().exportGraph();
+        const xml = buildDrawioXml(nodes, edges, { name: fileName });
+        downloadBlob(new Blob([xml], { type: 'application/xml' }), `${fileStem(fileName, fileVersion)}.drawio`);
+      },
+
+      /**
+       * Export a self-contained HTML page with a read-only viewer (pan, zoom,
+       * search, comments). Uses the chart's export decor. See utils/htmlExport.js.
+       */
+      exportHtml: () => {
+        const { fileName, fileVersion, exportDecor } = get();
+        const { nodes, edges } = get().exportGraph();
+        if (nodes.length === 0) return;
+        const html = buildHtmlViewer(nodes, edges, {
+          title: fileName,
+          subtitle: `Version ${fileVersion} · exportée le ${new Date().toLocaleDateString('fr-FR')}`,
+          decor: buildDecor(exportDecor, { fileName, fileVersion, edges }),
+        });
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${fileStem(fileName, fileVersion)}.html`);
       },
 
+      /**
+       * Export a PowerPoint deck with native shapes: an overview slide, then
+       * optionally one slide per top-level team or section. See utils/pptx.js.
+       * @param {'none'|'subtree'|'section'} [split]
+       */
+      exportPptx: (split = 'none') => {
+        const { fileName, fileVersion } = get();
+        const { nodes, edges } = get().exportGraph();
+        if (nodes.length === 0) return;
+        downloadBlob(buildPptx(nodes, edges, { title: fileName, split }), `${fileStem(fileName, fileVersion)}.pptx`);
+      },
+
+      /**
+       * Export the hierarchy as text for Markdown wikis.
+       * See utils/diagramText.js.
+       * @param {'mermaid'|'dot'} format
+       */
+      exportDiagramText: (format) => {
+        const { fileName, fileVersion } = get();
+        const { nodes, edges } = get().exportGraph();
+        const text = format === 'dot' ? buildDot(nodes, edges, { name: fileName }) : buildMermaid(nodes, edges);
+        const ext = format === 'dot' ? 'dot' : 'mmd';
+        downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), `${fileStem(fileName, fileVersion)}.${ext}`);
+      },
+
+      /**
+       * Export one row per person (manager, side relations, section, depth,
+       * person fields) as a spreadsheet. See utils/orgTable.js for the columns.
+       * @param {'csv'|'xlsx'} format
+       */
+      exportPeopleTable: (format = 'csv') => {
+        const { nodes, edges, fileName, fileVersion, personFields } = get();
+        const rows = buildPeopleTable(nodes, edges, personFields);
+        const stem = fileStem(fileName, fileVersion);
+        if (format === 'xlsx') {
+          downloadBlob(buildXlsx(rows, fileName), `${stem}.xlsx`);
+          return;
+        }
+        // BOM UTF-8 pour qu'Excel détecte l'encodage (accents)
+        const blob = new Blob(['\uFEFF' + toDelimited(rows, CSV_EXPORT_DELIMITER)], {
+          type: 'text/csv;charset=utf-8',
+        });
+        downloadBlob(blob, `${stem}.csv`);
+      },
+
+      /**
+       * Importe un organigramme JSON au format exportFlow : remplacement,
+       * ajout en nouvelle zone ou dans une section, ou mise à jour des
+       * personnes existantes (voir utils/mergeImport.js, JsonImportDialog).
+       * Un instantané « Avant import » est pris ; une seule entrée d'annulation.
+       *
+       * @param {object} data — contenu du fichier ({ meta, nodes, edges, presets, exportDecor, personFields, layoutOptions }),
+       *                        déjà migré et réparé par prepareFlow (utils/flowSchema.js)
+       * @param {object} plan — résultat de planImport
+       * @param {object} choices — résolution des conflits (voir applyImport)
+       * @param {{ mode: string, sectionId?: string, addNew?: boolean }} options
+       */
+      importFlow: (data, plan, choices, options) => {
+        const { nodes, edges, presets } = get();
+        const result = applyImport({ nodes, edges, presets }, data, plan, choices, options);
+        if (options.mode !== 'replace') {
+          // Nouveaux nœuds : membres de la section où ils sont placés
+          const before = new Set(nodes.map((n) => n.id));
+          result.nodes = assignSections(result.nodes, new Set(result.nodes.filter((n) => !before.has(n.id)).map((n) => n.id)));
+        }
+
+        get().autoSnapshot('Avant import');
+        _batched(() => {
+          set({ nodes: result.nodes, edges: result.edges, presets: result.presets });
+          if (options.mode === 'replace') {
+            const meta = data.meta || {};
+            set({
+              fileName: meta.fileName || DEFAULT_FILE_NAME,
+              fileVersion: parseInt(meta.version, 10) || 1,
+              exportDecor: { ...DEFAULT_EXPORT_DECOR, ...data.exportDecor },
+              personFields: normalizePersonFields(data.personFields),
+              layoutOptions: { ...DEFAULT_LAYOUT_OPTIONS, ...data.layoutOptions },
+            });
+          } else {
+            set({ personFields: mergePersonFields(get().personFields, data.personFields) });
+          }
+        });
+        get()._save();
+      },
+
+      /** Vide l'organigramme ouvert (les autres et les presets sont conservés) */
       resetFlow: () => {
+        get().autoSnapshot('Avant réinitialisation');
         set({
           nodes: [],
           edges: [],
           fileName: DEFAULT_FILE_NAME,
           fileVersion: 1,
-          presets: [],
+          exportDecor: DEFAULT_EXPORT_DECOR,
+          personFields: defaultPersonFields(),
+          layoutOptions: DEFAULT_LAYOUT_OPTIONS,
         });
-        localStorage.removeItem(STORAGE_KEY);
+        get()._save();
         try {
           useFlowStore.temporal.getState().clear();
         } catch {}
@@ -731,9 +1406,9 @@ const useFlowStore = create(
     }),
     // ─── Zundo temporal options ───────────────────────────
     {
-      partialize: (state) => _partialize(state),
+      partialize: (state) => _historyState(state),
       equality: (pastState, currentState) =>
-        JSON.stringify(pastState) === JSON.stringify(currentState),
+        JSON.stringify(_partialize(pastState)) === JSON.stringify(_partialize(currentState)),
       limit: UNDO_LIMIT,
     }
   )
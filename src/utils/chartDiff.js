@@ -0,0 +1,328 @@
+import { isCard, isSideEdge, nodeRect } from './graph';
+import { VACANCY_LABEL, VACANCY_STATUSES } from '../config';
+
+/**
+ * Comparaison de deux versions d'un organigramme (historique ou fichiers
+ * JSON au format `exportFlow`) : personnes, postes à pourvoir, sections et
+ * liens ajoutés, supprimés ou modifiés, rendu sur le canvas et rapport texte.
+ */
+
+const normalize = (s) => String(s ?? '').trim().toLowerCase();
+
+/** Écart (px) au-delà duquel une section est considérée déplacée / redimensionnée */
+const MOVE_TOLERANCE = 1;
+
+/** Nom affiché d'un nœud */
+function label(node) {
+  if (!node) return '?';
+  if (node.type === 'section') return node.data?.title || 'Section sans titre';
+  if (node.type === 'vacancy') return [VACANCY_LABEL, node.data?.role].filter(Boolean).join(' – ');
+  return node.data?.name || 'Sans nom';
+}
+
+/** Clé de rapprochement par nom : nom (personne), titre (section) ou intitulé (poste à pourvoir) */
+function nameKey(node) {
+  const name = node.type === 'section' ? node.data?.title : node.type === 'vacancy' ? node.data?.role : node.data?.name;
+  return name ? `${node.type}:${normalize(name)}` : null;
+}
+
+/** Même genre de nœud : même type, ou deux cartes (poste pourvu : même id, devenu personne) */
+const sameKind = (a, b) => a.type === b.type || (isCard(a) && isCard(b));
+
+/**
+ * Associe les nœuds de `before` à ceux de `after` : même id d'abord,
+ * puis même nom (personnes) ou titre (sections) s'il est unique des
+ * deux côtés.
+ *
+ * @returns {Map<string, string>} id avant → id après
+ */
+export function matchNodes(before, after) {
+  const afterById = new Map(after.map((n) => [n.id, n]));
+  const match = new Map();
+  before.forEach((n) => {
+    const other = afterById.get(n.id);
+    if (other && sameKind(n, other)) match.set(n.id, n.id);
+  });
+
+  const matchedAfter = new Set(match.values());
+  const byName = (nodes, taken) => {
+    const groups = new Map();
+    nodes.forEach((n) => {
+      if (taken(n.id)) return;
+      const key = nameKey(n);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(n.id);
+    });
+    return groups;
+  };
+  const beforeNames = byName(before, (id) => match.has(id));
+  const afterNames = byName(after, (id) => matchedAfter.has(id));
+  beforeNames.forEach((ids, key) => {
+    const candidates = afterNames.get(key);
+    if (ids.length === 1 && candidates?.length === 1) match.set(ids[0], candidates[0]);
+  });
+  return match;
+}
+
+/**
+ * Ce qui est comparé pour chaque carte (personne ou poste à pourvoir) :
+ * champs, managers et rattachements latéraux (ids), section (id).
+ */
+function describePeople(nodes, edges) {
+  const cards = nodes.filter(isCard);
+  const sectionIds = new Set(nodes.filter((n) => n.type === 'section').map((n) => n.id));
+  const ids = new Set(cards.map((n) => n.id));
+  const described = new Map();
+  cards.forEach((n) => {
+    const incoming = edges.filter((e) => e.target === n.id && ids.has(e.source));
+    described.set(n.id, {
+      node: n,
+      managers: incoming.filter((e) => !isSideEdge(e)).map((e) => e.source),
+      side: incoming.filter((e) => isSideEdge(e)).map((e) => e.source),
+      section: sectionIds.has(n.sectionId) ? n.sectionId : null,
+    });
+  });
+  return described;
+}
+
+/** Liste de noms « A, B » (ou « aucun ») */
+function names(ids, byId) {
+  return ids.length ? ids.map((id) => label(byId.get(id))).join(', ') : 'aucun';
+}
+
+const sameIds = (a, b) => a.length === b.length && [...a].sort().join('|') === [...b].sort().join('|');
+
+const statusLabel = (node) => VACANCY_STATUSES.find((s) => s.id === node.data?.status)?.label || '';
+
+function personChanges(before, after, ctx) {
+  const changes = [];
+  if (before.node.type !== after.node.type) {
+    changes.push({ field: 'filled', label: 'Poste', from: '', to: after.node.type === 'person' ? 'pourvu' : 'à pourvoir' });
+  }
+  const field = (key, name, value = (node) => node.data?.[key] || '') => {
+    const from = value(before.node);
+    const to = value(after.node);
+    if (from !== to) changes.push({ field: key, label: name, from, to });
+  };
+  field('name', 'Nom');
+  field('role', 'Rôle');
+  field('comment', 'Commentaire');
+  if (before.node.type === 'vacancy' && after.node.type === 'vacancy') {
+    field('level', 'Niveau');
+    field('targetStart', 'Arrivée');
+    field('status', 'Statut', statusLabel);
+  }
+  if ((before.node.data?.photo || null) !== (after.node.data?.photo || null)) {
+    changes.push({ field: 'photo', label: 'Photo', from: '', to: after.node.data?.photo ? 'modifiée' : 'retirée' });
+  }
+
+  // Liens comparés dans le repère « après » : un manager sans équivalent ne correspond à rien
+  const mapIds = (ids) => ids.map((id) => ctx.match.get(id) || `removed:${id}`);
+  if (!sameIds(mapIds(before.managers), after.managers)) {
+    changes.push({
+      field: 'manager',
+      label: 'Manager',
+      from: names(before.managers, ctx.beforeById),
+      to: names(after.managers, ctx.afterById),
+    });
+  }
+  if (!sameIds(mapIds(before.side), after.side)) {
+    changes.push({
+      field: 'side',
+      label: 'Rattachement latéral',
+      from: names(before.side, ctx.beforeById),
+      to: names(after.side, ctx.afterById),
+    });
+  }
+  const beforeSection = before.section ? ctx.match.get(before.section) || `removed:${before.section}` : null;
+  if (beforeSection !== after.section) {
+    changes.push({
+      field: 'section',
+      label: 'Section',
+      from: before.section ? label(ctx.beforeById.get(before.section)) : 'aucune',
+      to: after.section ? label(ctx.afterById.get(after.section)) : 'aucune',
+    });
+  }
+  return changes;
+}
+
+function sectionChanges(before, after) {
+  const changes = [];
+  if ((before.data?.title || '') !== (after.data?.title || '')) {
+    changes.push({ field: 'title', label: 'Titre', from: before.data?.title || '', to: after.data?.title || '' });
+  }
+  const a = nodeRect(before);
+  const b = nodeRect(after);
+  if (Math.abs(a.x - b.x) > MOVE_TOLERANCE || Math.abs(a.y - b.y) > MOVE_TOLERANCE) {
+    changes.push({ field: 'position', label: 'Position', from: '', to: 'déplacée' });
+  }
+  if (Math.abs(a.width - b.width) > MOVE_TOLERANCE || Math.abs(a.height - b.height) > MOVE_TOLERANCE) {
+    changes.push({ field: 'size', label: 'Taille', from: '', to: 'redimensionnée' });
+  }
+  return changes;
+}
+
+/** Couleur / pointillés d'un lien, pour la comparaison */
+function edgeLook(edge) {
+  return `${edge.data?.color || ''}|${edge.data?.dashed ? 'dashed' : 'solid'}|${isSideEdge(edge) ? 'side' : 'top'}`;
+}
+
+/**
+ * Différences entre deux versions.
+ *
+ * @param {{ nodes: Array, edges: Array }} before
+ * @param {{ nodes: Array, edges: Array }} after
+ * @returns {{
+ *   nodes: Array<{ status: 'added'|'removed'|'modified', type: string, id: string, label: string, changes: Array }>,
+ *   edges: Array<{ status: 'added'|'removed'|'modified', id: string, label: string, changes: Array }>,
+ *   match: Map<string, string>
+ * }} — `id` est celui de la version « après », ou « avant » pour un élément supprimé
+ */
+export function diffCharts(before, after) {
+  const match = matchNodes(before.nodes, after.nodes);
+  const reverse = new Map([...match].map(([b, a]) => [a, b]));
+  const beforeById = new Map(before.nodes.map((n) => [n.id, n]));
+  const afterById = new Map(after.nodes.map((n) => [n.id, n]));
+  const ctx = { match, beforeById, afterById };
+
+  const beforePeople = describePeople(before.nodes, before.edges);
+  const afterPeople = describePeople(after.nodes, after.edges);
+
+  const nodes = [];
+  after.nodes.forEach((n) => {
+    const previous = beforeById.get(reverse.get(n.id));
+    if (!previous) {
+      nodes.push({ status: 'added', type: n.type, id: n.id, label: label(n), changes: [] });
+      return;
+    }
+    const changes =
+      isCard(n)
+        ? personChanges(beforePeople.get(previous.id), afterPeople.get(n.id), ctx)
+        : sectionChanges(previous, n);
+    if (changes.length) {
+      nodes.push({ status: 'modified', type: n.type, id: n.id, label: label(n), previous: label(previous), changes });
+    }
+  });
+  before.nodes.forEach((n) => {
+    if (!match.has(n.id)) nodes.push({ status: 'removed', type: n.type, id: n.id, label: label(n), changes: [] });
+  });
+
+  // Liens rapprochés par extrémités, dans le repère « après »
+  const endpoint = (id) => match.get(id) || `removed:${id}`;
+  const beforeEdges = new Map(before.edges.map((e) => [`${endpoint(e.source)}→${endpoint(e.target)}`, e]));
+  const afterEdges = new Map(after.edges.map((e) => [`${e.source}→${e.target}`, e]));
+  const edgeLabel = (e, byId) => `${label(byId.get(e.source))} → ${label(byId.get(e.target))}`;
+
+  const edges = [];
+  afterEdges.forEach((e, key) => {
+    const previous = beforeEdges.get(key);
+    if (!previous) {
+      edges.push({ status: 'added', id: e.id, label: edgeLabel(e, afterById), changes: [] });
+    } else if (edgeLook(previous) !== edgeLook(e)) {
+      const changes = [];
+      if (isSideEdge(previous) !== isSideEdge(e)) {
+        changes.push({ field: 'kind', label: 'Type', from: '', to: isSideEdge(e) ? 'latéral' : 'hiérarchique' });
+      }
+      if ((previous.data?.color || '') !== (e.data?.color || '') || !!previous.data?.dashed !== !!e.data?.dashed) {
+        changes.push({ field: 'style', label: 'Style', from: '', to: 'modifié' });
+      }
+      edges.push({ status: 'modified', id: e.id, label: edgeLabel(e, afterById), changes });
+    }
+  });
+  beforeEdges.forEach((e, key) => {
+    if (!afterEdges.has(key)) edges.push({ status: 'removed', id: e.id, label: edgeLabel(e, beforeById), changes: [] });
+  });
+
+  return { nodes, edges, match };
+}
+
+/**
+ * Nœuds et liens à afficher : la version « après » avec une classe
+ * `diff-added` / `diff-modified`, plus les éléments supprimés de la version
+ * « avant » (classe `diff-removed`) à leur ancienne place.
+ *
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function diffView(diff, before, after) {
+  const status = new Map(
+    [...diff.nodes, ...diff.edges].filter((d) => d.status !== 'removed').map((d) => [d.id, d.status])
+  );
+  const mark = (item, s) => (s ? { ...item, className: `${item.className || ''} diff-${s}`.trim() } : item);
+
+  const removedNodes = before.nodes.filter((n) => !diff.match.has(n.id)).map((n) => mark(n, 'removed'));
+  const removedIds = new Set(diff.edges.filter((d) => d.status === 'removed').map((d) => d.id));
+  const removedEdges = before.edges
+    .filter((e) => removedIds.has(e.id))
+    .map((e) => ({
+      ...mark(e, 'removed'),
+      id: `removed:${e.id}`,
+      source: diff.match.get(e.source) || e.source,
+      target: diff.match.get(e.target) || e.target,
+    }));
+  return {
+    nodes: [...removedNodes, ...after.nodes.map((n) => mark(n, status.get(n.id)))],
+    edges: [...after.edges.map((e) => mark(e, status.get(e.id))), ...removedEdges],
+  };
+}
+
+const MARKS = { added: '+', removed: '-', modified: '~' };
+
+/** « Rôle : « A » → « B » », ou « Position : déplacée » */
+function describeChange(c) {
+  return c.from ? `${c.label} : « ${c.from} » → « ${c.to || '—'} »` : `${c.label} : ${c.to}`;
+}
+
+/** Ligne de résumé : « 2 arrivées, 1 départ, … » */
+export function diffSummary(diff) {
+  const count = (list, status) => list.filter((d) => d.status === status).length;
+  const people = diff.nodes.filter((d) => d.type === 'person');
+  const vacancies = diff.nodes.filter((d) => d.type === 'vacancy');
+  const sections = diff.nodes.filter((d) => d.type === 'section');
+  const part = (n, one, many) => (n ? `${n} ${n > 1 ? many : one}` : null);
+  const parts = [
+    part(count(people, 'added'), 'arrivée', 'arrivées'),
+    part(count(people, 'removed'), 'départ', 'départs'),
+    part(count(people, 'modified'), 'personne modifiée', 'personnes modifiées'),
+    part(vacancies.length, 'changement de poste à pourvoir', 'changements de postes à pourvoir'),
+    part(sections.length, 'section modifiée', 'sections modifiées'),
+    part(diff.edges.length, 'changement de lien', 'changements de liens'),
+  ].filter(Boolean);
+  return parts.length ? parts.join(', ') : 'Aucune différence';
+}
+
+/**
+ * Rapport texte des différences (à exporter en .txt).
+ *
+ * @param {object} diff — résultat de diffCharts
+ * @param {{ beforeLabel: string, afterLabel: string }} labels
+ * @returns {string}
+ */
+export function diffReport(diff, { beforeLabel, afterLabel }) {
+  const lines = [
+    `Comparaison : ${beforeLabel} → ${afterLabel}`,
+    `Généré le ${new Date().toLocaleString('fr-FR')}`,
+    '',
+    `Résumé : ${diffSummary(diff)}`,
+  ];
+  const block = (title, items) => {
+    if (items.length === 0) return;
+    lines.push('', title);
+    items.forEach((d) => {
+      const renamed = d.previous && d.previous !== d.label ? ` (anciennement ${d.previous})` : '';
+      lines.push(`  ${MARKS[d.status]} ${d.label}${renamed}`);
+      d.changes.forEach((c) => lines.push(`      ${describeChange(c)}`));
+    });
+  };
+  const of = (list, type, status) => list.filter((d) => (!type || d.type === type) && d.status === status);
+
+  block('Arrivées', of(diff.nodes, 'person', 'added'));
+  block('Départs', of(diff.nodes, 'person', 'removed'));
+  block('Personnes modifiées', of(diff.nodes, 'person', 'modified'));
+  block('Postes à pourvoir', diff.nodes.filter((d) => d.type === 'vacancy'));
+  block('Sections', diff.nodes.filter((d) => d.type === 'section'));
+  block('Liens ajoutés', of(diff.edges, null, 'added'));
+  block('Liens supprimés', of(diff.edges, null, 'removed'));
+  block('Liens modifiés', of(diff.edges, null, 'modified'));
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,271 @@
+import { IDB_NAME, IDB_VERSION, STORAGE_KEY } from '../config';
+import { buildSvg } from './svgExport';
+
+/**
+ * Stockage des organigrammes dans IndexedDB (pas de quota de ~5 Mo
+ * comme localStorage, les photos base64 y tiennent).
+ *
+ * Stores :
+ *  - charts    : métadonnées affichées dans la liste { id, name, version, updatedAt, thumbnail }
+ *  - chartData : contenu { id, nodes, edges, exportDecor, personFields, layoutOptions }
+ *  - settings  : réglages de l'espace de travail (presets, currentChartId…)
+ *  - snapshots : historique des versions { id, chartId, version, createdAt, note, auto,
+ *                name, nodes, edges, presets, exportDecor, personFields, layoutOptions } (index chartId)
+ */
+
+let _dbPromise = null;
+
+function openDb() {
+  if (!_dbPromise) {
+    _dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB indisponible'));
+        return;
+      }
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('charts')) db.createObjectStore('charts', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('chartData')) db.createObjectStore('chartData', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+        // v2 : historique des versions
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id' }).createIndex('chartId', 'chartId');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Nouvel essai au prochain appel si l'ouverture échoue
+    _dbPromise.catch(() => {
+      _dbPromise = null;
+    });
+  }
+  return _dbPromise;
+}
+
+/**
+ * Exécute `fn(tx)` dans une transaction. `fn` lance ses requêtes de façon
+ * synchrone et renvoie une fonction qui lit leurs résultats une fois la
+ * transaction terminée (ou rien).
+ */
+async function run(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const read = fn(tx);
+    tx.oncomplete = () => resolve(typeof read === 'function' ? read() : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+  });
+}
+
+// ─── Organigrammes ──────────────────────────────────────
+
+/** Métadonnées de tous les organigrammes, du plus récent au plus ancien */
+export async function listCharts() {
+  const charts = await run(['charts'], 'readonly', (tx) => {
+    const req = tx.objectStore('charts').getAll();
+    return () => req.result;
+  });
+  return charts.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @returns {Promise<{ meta: object, data: object } | null>}
+ */
+export function loadChart(id) {
+  return run(['charts', 'chartData'], 'readonly', (tx) => {
+    const meta = tx.objectStore('charts').get(id);
+    const data = tx.objectStore('chartData').get(id);
+    return () => (meta.result && data.result ? { meta: meta.result, data: data.result } : null);
+  });
+}
+
+/**
+ * Enregistre un organigramme (métadonnées + contenu) et, dans la même
+ * transaction, des réglages de l'espace de travail.
+ *
+ * @param {object} meta — { id, name, version, updatedAt, thumbnail }
+ * @param {object} data — { nodes, edges, exportDecor, personFields, layoutOptions }
+ * @param {object} [settings] — paires clé / valeur du store settings
+ */
+export function saveChart(meta, data, settings = {}) {
+  return run(['charts', 'chartData', 'settings'], 'readwrite', (tx) => {
+    tx.objectStore('charts').put(meta);
+    tx.objectStore('chartData').put({ ...data, id: meta.id });
+    const store = tx.objectStore('settings');
+    Object.entries(settings).forEach(([key, value]) => store.put(value, key));
+  });
+}
+
+/** Modifie les métadonnées d'un organigramme (ex. nom) sans toucher au contenu */
+export function updateChartMeta(id, patch) {
+  return run(['charts'], 'readwrite', (tx) => {
+    const store = tx.objectStore('charts');
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (req.result) store.put({ ...req.result, ...patch, id });
+    };
+  });
+}
+
+/** Supprime un organigramme et son historique */
+export function deleteChart(id) {
+  return run(['charts', 'chartData', 'snapshots'], 'readwrite', (tx) => {
+    tx.objectStore('charts').delete(id);
+    tx.objectStore('chartData').delete(id);
+    const req = tx.objectStore('snapshots').index('chartId').getAllKeys(id);
+    req.onsuccess = () => req.result.forEach((key) => tx.objectStore('snapshots').delete(key));
+  });
+}
+
+// ─── Historique des versions ────────────────────────────
+
+export function saveSnapshot(snapshot) {
+  return run(['snapshots'], 'readwrite', (tx) => {
+    tx.objectStore('snapshots').put(snapshot);
+  });
+}
+
+/**
+ * Instantanés d'un organigramme, du plus récent au plus ancien, sans leur
+ * contenu (nodes, edges… : voir loadSnapshot).
+ */
+export async function listSnapshots(chartId) {
+  const snapshots = await run(['snapshots'], 'readonly', (tx) => {
+    const req = tx.objectStore('snapshots').index('chartId').getAll(chartId);
+    return () => req.result;
+  });
+  return snapshots
+    .map(({ id, chartId, version, createdAt, note, auto, name, personCount }) => ({
+      id,
+      chartId,
+      version,
+      createdAt,
+      note,
+      auto,
+      name,
+      personCount,
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function loadSnapshot(id) {
+  return run(['snapshots'], 'readonly', (tx) => {
+    const req = tx.objectStore('snapshots').get(id);
+    return () => req.result || null;
+  });
+}
+
+export function deleteSnapshot(id) {
+  return run(['snapshots'], 'readwrite', (tx) => {
+    tx.objectStore('snapshots').delete(id);
+  });
+}
+
+/** Ne garde que les `keep` instantanés automatiques les plus récents */
+export async function pruneAutoSnapshots(chartId, keep) {
+  const autos = (await listSnapshots(chartId)).filter((s) => s.auto);
+  const old = autos.slice(keep);
+  if (old.length === 0) return;
+  await run(['snapshots'], 'readwrite', (tx) => {
+    old.forEach((s) => tx.objectStore('snapshots').delete(s.id));
+  });
+}
+
+// ─── Réglages de l'espace de travail ────────────────────
+
+export function getSetting(key) {
+  return run(['settings'], 'readonly', (tx) => {
+    const req = tx.objectStore('settings').get(key);
+    return () => req.result;
+  });
+}
+
+export function setSetting(key, value) {
+  return run(['settings'], 'readwrite', (tx) => {
+    tx.objectStore('settings').put(value, key);
+  });
+}
+
+// ─── Espace occupé ──────────────────────────────────────
+
+/** Taille (octets) du contenu de chaque organigramme, par id */
+export async function measureCharts() {
+  const all = await run(['chartData'], 'readonly', (tx) => {
+    const req = tx.objectStore('chartData').getAll();
+    return () => req.result;
+  });
+  return new Map(all.map((d) => [d.id, new Blob([JSON.stringify(d)]).size]));
+}
+
+/** Taille décodée (octets) d'une image en data URL base64 */
+export function dataUrlSize(dataUrl) {
+  const i = dataUrl.indexOf(',');
+  const b64 = i >= 0 ? dataUrl.slice(i + 1) : dataUrl;
+  return Math.floor((b64.length * 3) / 4) - (b64.endsWith('==') ? 2 : b64.endsWith('=') ? 1 : 0);
+}
+
+/**
+ * Espace utilisé / disponible pour l'application (estimation du navigateur).
+ * @returns {Promise<{ usage: number, quota: number, persisted: boolean } | null>}
+ */
+export async function estimateStorage() {
+  if (!navigator.storage?.estimate) return null;
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+  return { usage, quota, persisted };
+}
+
+/**
+ * Demande un stockage persistant : le navigateur ne l'efface plus en cas
+ * de manque de place et accorde en général un quota plus large.
+ * @returns {Promise<boolean>} true si accordé
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  return navigator.storage.persist();
+}
+
+// ─── Ancien stockage localStorage ───────────────────────
+
+/** Organigramme de l'ancienne clé localStorage, ou null */
+export function readLegacyFlow() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearLegacyFlow() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    /* localStorage indisponible */
+  }
+}
+
+// ─── Miniatures ─────────────────────────────────────────
+
+let _thumbCache = { nodes: null, edges: null, url: null };
+
+/**
+ * Miniature SVG (data URL) sans photos ni commentaires, recalculée
+ * seulement quand nodes / edges changent.
+ */
+export function chartThumbnail(nodes, edges) {
+  if (nodes === _thumbCache.nodes && edges === _thumbCache.edges) return _thumbCache.url;
+  const url =
+    nodes.length > 0
+      ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+          buildSvg(nodes, edges, { padding: 20, photos: false, comments: false })
+        )}`
+      : null;
+  _thumbCache = { nodes, edges, url };
+  return url;
+}
@@ -0,0 +1,106 @@
+/**
+ * Lecture / écriture de texte tabulaire (CSV, TSV collé depuis Excel,
+ * CSV « à la française » séparé par des points-virgules).
+ */
+
+const CANDIDATE_DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Devine le séparateur en comptant les occurrences (hors guillemets)
+ * sur la première ligne non vide.
+ *
+ * @param {string} text
+ * @returns {string} '\t' | ';' | ','
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find((l) => l.trim() !== '') || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const d of CANDIDATE_DELIMITERS) {
+    let count = 0;
+    let inQuotes = false;
+    for (const ch of firstLine) {
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (ch === d && !inQuotes) count++;
+    }
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Découpe un texte délimité en lignes de cellules.
+ * Gère les guillemets doubles (RFC 4180), les retours à la ligne dans
+ * les cellules et le BOM UTF-8. Les lignes entièrement vides sont ignorées.
+ *
+ * @param {string} text
+ * @param {string} [delimiter] — détecté automatiquement si absent
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const src = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map((r) => r.map((c) => c.trim()))
+    .filter((r) => r.some((c) => c !== ''));
+}
+
+/** Début de cellule qu'Excel interprète comme une formule */
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Sérialise des lignes en texte délimité, en ajoutant les guillemets
+ * nécessaires (séparateur, guillemet ou retour à la ligne dans la cellule).
+ * Un texte qui commence comme une formule (`=`, `+`, `-`, `@`) est préfixé
+ * d'une apostrophe pour qu'Excel l'affiche tel quel.
+ *
+ * @param {Array<Array<string|number>>} rows
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function toDelimited(rows, delimiter = ',') {
+  const escape = (value) => {
+    let s = String(value ?? '');
+    if (typeof value === 'string' && FORMULA_START.test(s)) s = `'${s}`;
+    return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(escape).join(delimiter)).join('\r\n');
+}
@@ -0,0 +1,611 @@
+import { DEFAULT_PERSON_BG, DEFAULT_PERSON_BORDER, DEFAULT_SECTION_COLOR } from '../config';
+import { isSideEdge, sectionParents, isCard } from './graph';
+import { edgeStyle, cardName } from './exportGeometry';
+
+/**
+ * Organigramme ⇄ diagrammes texte : Mermaid (`flowchart TD`) et
+ * Graphviz DOT, pour les wikis Markdown.
+ *
+ * Export : personnes étiquetées « nom / rôle » (postes à pourvoir :
+ * « À pourvoir / rôle », en pointillé en DOT), sections en sous-graphes
+ * (imbriqués comme sur le canvas), liens hiérarchiques puis rattachements
+ * latéraux dans un bloc séparé.
+ *
+ * Import : le texte est lu en une structure commune (voir `parseDiagramText`)
+ * que le store transforme en nœuds avant l'auto-layout ; les positions du
+ * diagramme ne sont pas lues.
+ */
+
+/** Libellés Mermaid des rattachements latéraux, selon le côté où se place la personne */
+const SIDE_LABELS = {
+  'target-left': 'latéral à droite',
+  'target-right': 'latéral à gauche',
+};
+
+/** Ports DOT (point cardinal) des rattachements latéraux */
+const SIDE_PORTS = { 'target-left': 'w', 'target-right': 'e' };
+
+/**
+ * Identifiants courts et lisibles (p1, p2… pour les personnes, s1… pour
+ * les sections), plus la hiérarchie des sections.
+ */
+function diagramModel(nodes, edges) {
+  const people = nodes.filter(isCard);
+  const sections = nodes.filter((n) => n.type === 'section');
+  const ids = new Map();
+  people.forEach((n, i) => ids.set(n.id, `p${i + 1}`));
+  sections.forEach((n, i) => ids.set(n.id, `s${i + 1}`));
+
+  const parents = sectionParents(nodes);
+  const children = new Map([[null, []]]);
+  sections.forEach((s) => children.set(s.id, []));
+  [...sections, ...people].forEach((n) => children.get(parents.get(n.id)?.id ?? null).push(n));
+
+  const links = edges.filter(
+    (e) => ids.get(e.source)?.startsWith('p') && ids.get(e.target)?.startsWith('p')
+  );
+  return {
+    ids,
+    children,
+    tree: links.filter((e) => !isSideEdge(e)),
+    side: links.filter((e) => isSideEdge(e)),
+  };
+}
+
+// ─── Mermaid ────────────────────────────────────────────
+
+/** Texte d'étiquette Mermaid (entre guillemets) */
+const mermaidText = (s) => String(s).replace(/"/g, '#quot;').replace(/\n/g, ' ');
+
+/**
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {string} diagramme `flowchart TD`
+ */
+export function buildMermaid(nodes, edges) {
+  const { ids, children, tree, side } = diagramModel(nodes, edges);
+  const lines = ['flowchart TD'];
+
+  const emit = (n, indent) => {
+    const pad = '  '.repeat(indent);
+    if (n.type === 'section') {
+      lines.push(`${pad}subgraph ${ids.get(n.id)}["${mermaidText(n.data.title || '')}"]`);
+      children.get(n.id).forEach((c) => emit(c, indent + 1));
+      lines.push(`${pad}end`);
+      return;
+    }
+    const label = [cardName(n), n.data.role].filter(Boolean).map(mermaidText).join('<br/>');
+    lines.push(`${pad}${ids.get(n.id)}["${label}"]`);
+  };
+  children.get(null).forEach((n) => emit(n, 1));
+
+  const link = (e, label) =>
+    `  ${ids.get(e.source)} ${edgeStyle(e).dashed ? '-.->' : '-->'}${label ? `|${label}|` : ''} ${ids.get(e.target)}`;
+  if (tree.length) lines.push('', ...tree.map((e) => link(e)));
+  if (side.length) {
+    lines.push('', '  %% Rattachements latéraux', ...side.map((e) => link(e, SIDE_LABELS[e.targetHandle])));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── DOT ────────────────────────────────────────────────
+
+/** Chaîne DOT entre guillemets (`\n` = retour à la ligne) */
+const dotString = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+const dotAttrs = (attrs) => {
+  const list = Object.entries(attrs).filter(([, v]) => v !== undefined);
+  return list.length ? ` [${list.map(([k, v]) => `${k}=${v}`).join(', ')}]` : '';
+};
+
+/**
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {{ name?: string }} [opts] — nom du graphe
+ * @returns {string} graphe `digraph`
+ */
+export function buildDot(nodes, edges, opts = {}) {
+  const { ids, children, tree, side } = diagramModel(nodes, edges);
+  const lines = [
+    `digraph ${dotString(opts.name || 'Organigramme')} {`,
+    '  rankdir=TB;',
+    `  node [shape=box, style="rounded,filled", fillcolor="${DEFAULT_PERSON_BG}", color="${DEFAULT_PERSON_BORDER}", fontname="Helvetica"];`,
+    '  edge [arrowhead=normal];',
+    '',
+  ];
+
+  const emit = (n, indent) => {
+    const pad = '  '.repeat(indent);
+    if (n.type === 'section') {
+      lines.push(`${pad}subgraph cluster_${ids.get(n.id)} {`);
+      lines.push(`${pad}  label=${dotString(n.data.title || '')};`);
+      lines.push(`${pad}  style="rounded,filled,dashed";`);
+      lines.push(`${pad}  fillcolor="${n.data.color || DEFAULT_SECTION_COLOR}";`);
+      children.get(n.id).forEach((c) => emit(c, indent + 1));
+      lines.push(`${pad}}`);
+      return;
+    }
+    const { role, bgColor, borderColor } = n.data;
+    const attrs = {
+      label: dotString([cardName(n), role].filter(Boolean).join('\n')),
+      style: n.type === 'vacancy' ? '"rounded,filled,dashed"' : undefined,
+      fillcolor: bgColor && bgColor !== DEFAULT_PERSON_BG ? dotString(bgColor) : undefined,
+      color: borderColor && borderColor !== DEFAULT_PERSON_BORDER ? dotString(borderColor) : undefined,
+    };
+    lines.push(`${pad}${ids.get(n.id)}${dotAttrs(attrs)};`);
+  };
+  children.get(null).forEach((n) => emit(n, 1));
+
+  const link = (e, extra = {}) => {
+    const { color, dashed } = edgeStyle(e);
+    const attrs = { style: dashed ? 'dashed' : undefined, color: dotString(color), ...extra };
+    return `  ${ids.get(e.source)} -> ${ids.get(e.target)}${dotAttrs(attrs)};`;
+  };
+  if (tree.length) lines.push('', ...tree.map((e) => link(e)));
+  if (side.length) {
+    lines.push(
+      '',
+      '  // Rattachements latéraux',
+      ...side.map((e) => link(e, { headport: SIDE_PORTS[e.targetHandle], constraint: 'false' }))
+    );
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// ─── Import : structure commune ─────────────────────────
+
+/**
+ * Diagramme lu, indépendant du format :
+ * - people : [{ key, name, role, bgColor?, borderColor?, section }] — section = clé de section ou null
+ * - sections : [{ key, title, parent, color? }]
+ * - links : [{ source, target, side, dashed, color? }] — side = targetHandle
+ *   latéral ('target-left' | 'target-right') ou null
+ * - warnings : string[]
+ */
+function createDiagram() {
+  const people = new Map();
+  const sections = new Map();
+  const links = [];
+  const warnings = [];
+  return {
+    people,
+    sections,
+    links,
+    warnings,
+    /** Déclare (ou complète) une personne ; la première section rencontrée est gardée */
+    person(key, fields = {}, section = null) {
+      const p = people.get(key) || { key, name: key, role: '', section: null };
+      Object.assign(p, Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)));
+      if (section && !p.section) p.section = section;
+      people.set(key, p);
+      return p;
+    },
+    result() {
+      const valid = links.filter((l) => {
+        if (l.source === l.target) {
+          warnings.push(`Lien de « ${l.source} » vers lui-même ignoré.`);
+          return false;
+        }
+        return true;
+      });
+      return { people: [...people.values()], sections: [...sections.values()], links: valid, warnings };
+    },
+  };
+}
+
+/** Étiquette « nom / rôle » : première ligne = nom, le reste = rôle */
+function splitLabel(label) {
+  const lines = label
+    .split('\n')
+    .map((l) => l.trim())
+    .filter(Boolean);
+  return { name: lines[0] || '', role: lines.slice(1).join(' ') };
+}
+
+// ─── Import Mermaid ─────────────────────────────────────
+
+const ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', apos: "'", nbsp: ' ' };
+
+/** Texte Mermaid → texte brut (<br> = retour à la ligne, autres balises retirées) */
+function mermaidLabel(raw) {
+  return raw
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/#(\w+);/g, (m, name) => ENTITIES[name] ?? (/^\d+$/.test(name) ? String.fromCharCode(+name) : m))
+    .replace(/&(\w+);/g, (m, name) => ENTITIES[name] ?? m);
+}
+
+const MERMAID_ID = /^[A-Za-z0-9_\u00C0-\u017F]+/;
+const MERMAID_LINK_TEXT = /^(--|-\.|==)\s+(.+?)\s+(-{2,}>|\.+-+>|={2,}>|-{3,}|\.+-+|={3,})/;
+const MERMAID_LINK = /^<?(-{2,}>|-\.+->|={2,}>|-{3,}|-\.+-|={3,}|-{2,}[ox]|-\.+-[ox]|={2,}[ox])(?:\s*\|([^|]*)\|)?/;
+
+/**
+ * Lit une référence de nœud (`id`, `id[texte]`, `id("texte")`…) à partir de `pos`.
+ * @returns {{ key: string, label?: string, end: number } | null}
+ */
+function readMermaidNode(line, pos) {
+  const id = MERMAID_ID.exec(line.slice(pos));
+  if (!id) return null;
+  let i = pos + id[0].length;
+  let label;
+  const open = /^[[({>]+[/\\]?/.exec(line.slice(i));
+  if (open) {
+    i += open[0].length;
+    if (line[i] === '"') {
+      const close = line.indexOf('"', i + 1);
+      label = line.slice(i + 1, close < 0 ? undefined : close);
+      i = close < 0 ? line.length : close + 1;
+    } else {
+      const rest = line.slice(i);
+      const close = rest.search(/[/\\]?[\])}]/);
+      label = close < 0 ? rest : rest.slice(0, close);
+      i += close < 0 ? rest.length : close;
+    }
+    const closing = /^[/\\]?[\])}]+/.exec(line.slice(i));
+    if (closing) i += closing[0].length;
+  }
+  const cls = /^:::[\w-]+/.exec(line.slice(i));
+  if (cls) i += cls[0].length;
+  return { key: id[0], label: label === undefined ? undefined : mermaidLabel(label), end: i };
+}
+
+/** Lien lu : pointillé, libellé éventuel */
+function readMermaidLink(line, pos) {
+  const rest = line.slice(pos);
+  const withText = MERMAID_LINK_TEXT.exec(rest);
+  if (withText) {
+    return { dashed: withText[1] === '-.', label: withText[2], end: pos + withText[0].length };
+  }
+  const plain = MERMAID_LINK.exec(rest);
+  if (!plain) return null;
+  return { dashed: plain[1].includes('.'), label: plain[2] || '', end: pos + plain[0].length };
+}
+
+/** Instructions d'une ligne : « ; » hors guillemets et hors entité (#quot;) */
+function splitMermaidLine(line) {
+  const out = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ';' && !quoted && !/#\w+$/.test(current)) {
+      out.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  out.push(current);
+  return out;
+}
+
+/** Libellé de lien → rattachement latéral éventuel */
+function sideFromLabel(label) {
+  const l = (label || '').toLowerCase();
+  if (!/latéral|lateral|side/.test(l)) return null;
+  return /gauche|left/.test(l) ? 'target-right' : 'target-left';
+}
+
+/**
+ * @param {string} text — diagramme Mermaid, ou Markdown contenant un bloc ```mermaid
+ */
+export function parseMermaid(text) {
+  const fenced = /```\s*mermaid\s*\n([\s\S]*?)```/i.exec(text);
+  const source = fenced ? fenced[1] : text;
+  const diagram = createDiagram();
+  const stack = [];
+  let header = false;
+
+  const statements = source
+    .split('\n')
+    .flatMap((line) => splitMermaidLine(line.replace(/^\s*%%.*$/, '')))
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  statements.forEach((stmt, index) => {
+    if (!header) {
+      if (/^(flowchart|graph)\b/i.test(stmt)) {
+        header = true;
+        return;
+      }
+      if (index === 0) diagram.warnings.push('En-tête « flowchart TD » absent : lu comme un flowchart.');
+      header = true;
+    }
+    const section = stack[stack.length - 1] || null;
+
+    const sub = /^subgraph\s+(.*)$/i.exec(stmt);
+    if (sub) {
+      // subgraph id[titre] | subgraph id [titre] | subgraph "titre" | subgraph titre
+      const def = sub[1].replace(/^(\S+)\s+\[/, '$1[');
+      const node = readMermaidNode(def, 0);
+      const quoted = /^"(.*)"$/.exec(def);
+      const key = node && node.end === def.length ? node.key : `subgraph${diagram.sections.size + 1}`;
+      const title = quoted ? mermaidLabel(quoted[1]) : node?.end === def.length ? node.label ?? node.key : mermaidLabel(def);
+      diagram.sections.set(key, { key, title: title.trim(), parent: section });
+      stack.push(key);
+      return;
+    }
+    if (/^end$/i.test(stmt)) {
+      stack.pop();
+      return;
+    }
+    if (/^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/.test(stmt)) return;
+
+    // Chaîne : groupe (A & B) lien groupe lien groupe…
+    const line = stmt;
+    const readGroup = (pos) => {
+      const group = [];
+      let i = pos;
+      for (;;) {
+        while (line[i] === ' ') i++;
+        const node = readMermaidNode(line, i);
+        if (!node) return group.length ? { group, end: i } : null;
+        group.push(node);
+        i = node.end;
+        const amp = /^\s*&\s*/.exec(line.slice(i));
+        if (!amp) return { group, end: i };
+        i += amp[0].length;
+      }
+    };
+    let current = readGroup(0);
+    if (!current) {
+      diagram.warnings.push(`Ligne ignorée : « ${stmt} »`);
+      return;
+    }
+    const declare = (nodes) =>
+      nodes.forEach((n) => {
+        // Une sous-section référencée comme nœud n'est pas une personne
+        if (diagram.sections.has(n.key)) return;
+        diagram.person(n.key, n.label === undefined ? {} : splitLabel(n.label), section);
+      });
+    declare(current.group);
+    let pos = current.end;
+    for (;;) {
+      while (line[pos] === ' ') pos++;
+      if (pos >= line.length) break;
+      const link = readMermaidLink(line, pos);
+      const next = link && readGroup(link.end);
+      if (!next) {
+        diagram.warnings.push(`Fin de ligne ignorée : « ${line.slice(pos)} »`);
+        break;
+      }
+      declare(next.group);
+      current.group.forEach((s) =>
+        next.group.forEach((t) => {
+          if (diagram.sections.has(s.key) || diagram.sections.has(t.key)) return;
+          diagram.links.push({ source: s.key, target: t.key, side: sideFromLabel(link.label), dashed: link.dashed });
+        })
+      );
+      current = next;
+      pos = next.end;
+    }
+  });
+  return diagram.result();
+}
+
+// ─── Import DOT ─────────────────────────────────────────
+
+/** Découpe DOT : identifiants, chaînes, HTML <…>, ponctuation ; commentaires retirés */
+function tokenizeDot(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (text.startsWith('//', i) || (c === '#' && (i === 0 || text[i - 1] === '\n'))) {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? text.length : end + 2;
+    } else if (c === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' || next === 'l' || next === 'r' ? '\n' : next === '"' || next === '\\' ? next : `\\${next}`;
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'id', value });
+    } else if (c === '<') {
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === '<') depth++;
+        else if (text[i] === '>') depth--;
+        i++;
+      } while (i < text.length && depth > 0);
+      const html = text.slice(start + 1, i - 1);
+      tokens.push({ type: 'id', value: mermaidLabel(html) });
+    } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: text.slice(i, i + 2) });
+      i += 2;
+    } else if ('{}[];,=:'.includes(c)) {
+      tokens.push({ type: c });
+      i++;
+    } else {
+      const m = /^[A-Za-z0-9_.\u0080-\uffff]+/.exec(text.slice(i));
+      if (!m) {
+        i++;
+        continue;
+      }
+      tokens.push({ type: 'id', value: m[0] });
+      i += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+/** Attributs d'un nœud DOT → champs de la personne */
+function dotNodeFields(attrs) {
+  const hex = (v) => (/^#[0-9a-f]{6}$/i.test(v || '') ? v : undefined);
+  return {
+    ...(attrs.label !== undefined ? splitLabel(attrs.label) : {}),
+    bgColor: hex(attrs.fillcolor),
+    borderColor: hex(attrs.color),
+  };
+}
+
+const COMPASS = /^(n|ne|e|se|s|sw|w|nw|c|_)$/;
+
+/**
+ * @param {string} text — graphe DOT (`digraph` ou `graph`)
+ */
+export function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  const diagram = createDiagram();
+  let pos = 0;
+  const peek = (type) => tokens[pos]?.type === type;
+  const accept = (type) => (peek(type) ? tokens[pos++] : null);
+  const keyword = (...words) => peek('id') && words.includes(tokens[pos].value.toLowerCase());
+
+  const readAttrs = () => {
+    const attrs = {};
+    while (accept('[')) {
+      while (pos < tokens.length && !accept(']')) {
+        const key = accept('id');
+        if (!key) {
+          pos++;
+          continue;
+        }
+        attrs[key.value] = accept('=') ? accept('id')?.value ?? '' : 'true';
+        accept(',') || accept(';');
+      }
+    }
+    return attrs;
+  };
+
+  // Nœud (avec port éventuel) ou sous-graphe anonyme utilisé dans un lien
+  const readOperand = (ctx) => {
+    if (peek('{') || keyword('subgraph')) return { nodes: readSubgraph(ctx) };
+    const id = accept('id');
+    if (!id) return null;
+    let port = null;
+    while (accept(':')) {
+      const part = accept('id')?.value || '';
+      if (COMPASS.test(part)) port = part;
+    }
+    return { nodes: [id.value], port };
+  };
+
+  const readSubgraph = (ctx) => {
+    let name = '';
+    if (keyword('subgraph')) {
+      pos++;
+      if (peek('id')) name = tokens[pos++].value;
+    }
+    const cluster = /^cluster/i.test(name);
+    const key = cluster ? name : null;
+    if (cluster) {
+      diagram.sections.set(key, { key, title: name.replace(/^cluster_?/i, ''), parent: ctx.section });
+    }
+    const members = new Set();
+    accept('{');
+    readStatements({ section: cluster ? key : ctx.section, edge: { ...ctx.edge }, members, clusterKey: key });
+    accept('}');
+    members.forEach((m) => ctx.members?.add(m));
+    return [...members];
+  };
+
+  const readStatements = (ctx) => {
+    while (pos < tokens.length && !peek('}')) {
+      if (accept(';') || accept(',')) continue;
+      if (keyword('graph', 'node', 'edge') && tokens[pos + 1]?.type === '[') {
+        const kind = tokens[pos++].value.toLowerCase();
+        const attrs = readAttrs();
+        if (kind === 'edge') Object.assign(ctx.edge, attrs);
+        if (kind === 'graph' && ctx.clusterKey && attrs.label !== undefined) {
+          diagram.sections.get(ctx.clusterKey).title = attrs.label;
+        }
+        continue;
+      }
+      // Attribut de graphe : label="…", rankdir=TB…
+      if (peek('id') && tokens[pos + 1]?.type === '=') {
+        const key = tokens[pos].value;
+        pos += 2;
+        const value = accept('id')?.value ?? '';
+        if (ctx.clusterKey && key === 'label') diagram.sections.get(ctx.clusterKey).title = value;
+        if (ctx.clusterKey && key === 'fillcolor') diagram.sections.get(ctx.clusterKey).color = value;
+        continue;
+      }
+      const first = readOperand(ctx);
+      if (!first) {
+        pos++;
+        continue;
+      }
+      const chain = [first];
+      while (accept('edgeop')) {
+        const next = readOperand(ctx);
+        if (next) chain.push(next);
+      }
+      const attrs = readAttrs();
+      chain.forEach((op) =>
+        op.nodes.forEach((key) => {
+          if (diagram.sections.has(key)) return;
+          ctx.members?.add(key);
+          const fields = chain.length === 1 ? dotNodeFields(attrs) : {};
+          diagram.person(key, fields, ctx.section);
+        })
+      );
+      if (chain.length === 1) continue;
+
+      const edge = { ...ctx.edge, ...attrs };
+      for (let i = 0; i < chain.length - 1; i++) {
+        const head = chain[i + 1];
+        const port = edge.headport || head.port || '';
+        const lateral = /^(w|e)/.test(port) || edge.constraint === 'false' || !!sideFromLabel(edge.label);
+        const side = !lateral ? null : /^e/.test(port) || sideFromLabel(edge.label) === 'target-right' ? 'target-right' : 'target-left';
+        chain[i].nodes.forEach((source) =>
+          head.nodes.forEach((target) =>
+            diagram.links.push({
+              source,
+              target,
+              side,
+              dashed: /dashed|dotted/.test(edge.style || ''),
+              color: /^#[0-9a-f]{6}$/i.test(edge.color || '') ? edge.color : undefined,
+            })
+          )
+        );
+      }
+    }
+  };
+
+  if (keyword('strict')) pos++;
+  if (!keyword('digraph', 'graph')) {
+    throw new Error('Graphe DOT attendu : « digraph { … } ».');
+  }
+  pos++;
+  if (peek('id')) pos++;
+  if (!accept('{')) throw new Error('Graphe DOT attendu : « digraph { … } ».');
+  readStatements({ section: null, edge: {}, members: null, clusterKey: null });
+  return diagram.result();
+}
+
+// ─── Détection ──────────────────────────────────────────
+
+/**
+ * Format d'un texte collé ou d'un fichier : 'dot', 'mermaid' ou null.
+ */
+export function detectDiagramFormat(text) {
+  const body = text.replace(/^\s*(\/\/.*|#.*|\/\*[\s\S]*?\*\/)\s*$/gm, '').trim();
+  if (/^(strict\s+)?(di)?graph\b[^{\n]*\{/i.test(body)) return 'dot';
+  if (/```\s*mermaid/i.test(body) || /^(flowchart|graph)\b/i.test(body.replace(/^%%.*$/gm, '').trim())) return 'mermaid';
+  return null;
+}
+
+/**
+ * Lit un diagramme Mermaid ou DOT.
+ * @returns {{ format: string, people: Array, sections: Array, links: Array, warnings: string[] }}
+ * @throws {Error} si le format n'est pas reconnu
+ */
+export function parseDiagramText(text) {
+  const format = detectDiagramFormat(text);
+  if (!format) throw new Error('Format non reconnu : diagramme Mermaid (flowchart) ou Graphviz DOT attendu.');
+  return { format, ...(format === 'dot' ? parseDot(text) : parseMermaid(text)) };
+}
@@ -0,0 +1,508 @@
+import { inflateSync, strFromU8 } from 'fflate';
+import {
+  SCHEMA_VERSION,
+  PERSON_NODE_WIDTH,
+  PERSON_NODE_HEIGHT,
+  PERSON_Z_INDEX,
+  SECTION_Z_INDEX,
+  DEFAULT_PERSON_BG,
+  DEFAULT_PERSON_BORDER,
+  DEFAULT_SECTION_COLOR,
+  VACANCY_COLOR,
+} from '../config';
+import { sectionParents, nodeRect, isCard } from './graph';
+import { assignSections } from './sections';
+import { CARD, SECTION, TEXT_COLORS, personLayout, edgeStyle, cardName } from './exportGeometry';
+import { defaultNodeData, defaultEdgeProps } from './flowSchema';
+import { escapeXml } from './xml';
+
+/**
+ * Conversion organigramme ⇄ draw.io / diagrams.net (format mxGraph XML).
+ *
+ * Export : personnes en cellules étiquetées (photo comprise), sections en
+ * conteneurs (les personnes y sont rattachées, coordonnées relatives),
+ * flèches avec couleur, pointillé et points d'accroche. Les champs des
+ * personnes sont aussi gardés en attributs (`<object name role comment>`)
+ * pour un retour sans perte. Les postes à pourvoir sont des cartes en
+ * pointillé (`organmaker="vacancy"`).
+ *
+ * Import : sommets → `person` (ou `section` pour les conteneurs, `vacancy`
+ * pour les postes exportés par OrganMaker), arêtes entre cartes → `custom`. Les fichiers compressés de draw.io
+ * sont décodés ; seule la première page est lue.
+ */
+
+/** Valeur d'attribut : retours à la ligne conservés en `&#10;` */
+const escapeAttr = (s) => escapeXml(s).replace(/\n/g, '&#10;');
+
+const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/** Nombre → chaîne compacte (2 décimales max) */
+const n = (v) => String(Math.round(v * 100) / 100);
+
+/** Style draw.io (`clé=valeur;…`) → objet */
+function parseStyle(style) {
+  const out = {};
+  (style || '').split(';').forEach((part) => {
+    if (!part) return;
+    const i = part.indexOf('=');
+    if (i < 0) out[part] = true;
+    else out[part.slice(0, i)] = part.slice(i + 1);
+  });
+  return out;
+}
+
+const formatStyle = (entries) =>
+  entries
+    .filter(([, v]) => v !== undefined && v !== null && v !== false)
+    .map(([k, v]) => (v === true ? k : `${k}=${v}`))
+    .join(';') + ';';
+
+/** Points d'accroche draw.io (fraction de la largeur / hauteur) des handles */
+const HANDLE_POINTS = {
+  'source-bottom': [0.5, 1],
+  'target-top': [0.5, 0],
+  'target-left': [0, 0.5],
+  'target-right': [1, 0.5],
+};
+
+/** Handle cible le plus proche d'un point d'entrée draw.io */
+function targetHandleAt(x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y) || y <= 0.1) return 'target-top';
+  if (x <= 0.1) return 'target-left';
+  if (x >= 0.9) return 'target-right';
+  return 'target-top';
+}
+
+// ─── Export ─────────────────────────────────────────────
+
+/** Étiquette HTML d'une personne : nom en gras, rôle, commentaire ouvert */
+function personLabel(node) {
+  const { data } = node;
+  let html = `<b>${escapeHtml(cardName(node))}</b>`;
+  if (data.role) {
+    html += `<br><font style="font-size:${CARD.roleSize}px" color="${TEXT_COLORS.role}">${escapeHtml(data.role)}</font>`;
+  }
+  if (data.showComment && data.comment) {
+    html += `<br><br><font style="font-size:${CARD.commentSize}px" color="${TEXT_COLORS.comment}">${escapeHtml(
+      data.comment
+    ).replace(/\n/g, '<br>')}</font>`;
+  }
+  return html;
+}
+
+/** Photo en data URL → valeur `image=` draw.io (le « ; » est réservé aux styles) */
+function drawioImage(photo) {
+  const m = /^data:([^;,]+);base64,(.*)$/s.exec(photo || '');
+  return m ? `data:${m[1]},${m[2]}` : null;
+}
+
+function personStyle(node) {
+  const { data } = node;
+  const vacancy = node.type === 'vacancy';
+  const image = vacancy ? null : drawioImage(data.photo);
+  return formatStyle([
+    ['shape', image ? 'label' : undefined],
+    ['rounded', 1],
+    ['absoluteArcSize', 1],
+    ['arcSize', CARD.radius * 2],
+    ['whiteSpace', 'wrap'],
+    ['html', 1],
+    ['fillColor', data.bgColor || DEFAULT_PERSON_BG],
+    ['strokeColor', data.borderColor || (vacancy ? VACANCY_COLOR : DEFAULT_PERSON_BORDER)],
+    ['strokeWidth', CARD.borderWidth],
+    ['dashed', vacancy ? 1 : undefined],
+    ['fontColor', TEXT_COLORS.name],
+    ['fontSize', CARD.nameSize],
+    ['align', 'center'],
+    ['verticalAlign', image ? 'top' : 'middle'],
+    ['image', image],
+    ['imageWidth', image ? CARD.photoSize : undefined],
+    ['imageHeight', image ? CARD.photoSize : undefined],
+    ['imageAlign', image ? 'center' : undefined],
+    ['imageVerticalAlign', image ? 'top' : undefined],
+    ['spacingTop', image ? CARD.photoTop + CARD.photoSize : undefined],
+    ['spacing', image ? CARD.photoTop - CARD.borderWidth : undefined],
+  ]);
+}
+
+function sectionStyle(node) {
+  return formatStyle([
+    ['rounded', 1],
+    ['absoluteArcSize', 1],
+    ['arcSize', SECTION.radius * 2],
+    ['whiteSpace', 'wrap'],
+    ['html', 1],
+    ['container', 1],
+    ['collapsible', 0],
+    ['fillColor', node.data.color || DEFAULT_SECTION_COLOR],
+    ['strokeColor', SECTION.borderColor],
+    ['strokeWidth', SECTION.borderWidth],
+    ['dashed', 1],
+    ['fontColor', TEXT_COLORS.sectionTitle],
+    ['fontSize', SECTION.titleSize],
+    ['fontStyle', 1],
+    ['align', 'left'],
+    ['verticalAlign', 'top'],
+    ['spacingLeft', SECTION.titleX],
+    ['spacingTop', SECTION.titleY - 4],
+  ]);
+}
+
+function edgeStyleString(edge) {
+  const { color, dashed } = edgeStyle(edge);
+  const [exitX, exitY] = HANDLE_POINTS[edge.sourceHandle] || HANDLE_POINTS['source-bottom'];
+  const [entryX, entryY] = HANDLE_POINTS[edge.targetHandle] || HANDLE_POINTS['target-top'];
+  return formatStyle([
+    ['edgeStyle', 'orthogonalEdgeStyle'],
+    ['rounded', 1],
+    ['html', 1],
+    ['endArrow', 'block'],
+    ['endFill', 1],
+    ['strokeColor', color],
+    ['strokeWidth', edge.style?.strokeWidth || 2],
+    ['dashed', dashed ? 1 : undefined],
+    ['exitX', exitX],
+    ['exitY', exitY],
+    ['exitDx', 0],
+    ['exitDy', 0],
+    ['entryX', entryX],
+    ['entryY', entryY],
+    ['entryDx', 0],
+    ['entryDy', 0],
+  ]);
+}
+
+/**
+ * Fichier .drawio (mxGraph XML non compressé).
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {{ name?: string }} [opts] — nom de la page
+ * @returns {string}
+ */
+export function buildDrawioXml(nodes, edges, opts = {}) {
+  const { name = 'Organigramme' } = opts;
+  const parents = sectionParents(nodes);
+  const rects = new Map(
+    nodes.map((nd) => [nd.id, isCard(nd) ? personLayout(nd) : nodeRect(nd)])
+  );
+  // Conteneurs d'abord (les plus grands en premier), puis les cartes
+  const ordered = [
+    ...nodes
+      .filter((nd) => nd.type === 'section')
+      .sort((a, b) => rects.get(b.id).width * rects.get(b.id).height - rects.get(a.id).width * rects.get(a.id).height),
+    ...nodes.filter(isCard),
+  ];
+
+  const geometry = (nd) => {
+    const r = rects.get(nd.id);
+    const parent = parents.get(nd.id);
+    const origin = parent ? rects.get(parent.id) : { x: 0, y: 0 };
+    return `<mxGeometry x="${n(r.x - origin.x)}" y="${n(r.y - origin.y)}" width="${n(r.width)}" height="${n(r.height)}" as="geometry"/>`;
+  };
+
+  const cells = ordered.map((nd) => {
+    const parent = escapeAttr(parents.get(nd.id)?.id || '1');
+    if (nd.type === 'section') {
+      return (
+        `<object label="${escapeAttr(escapeHtml(nd.data.title || ''))}" organmaker="section" id="${escapeAttr(nd.id)}">` +
+        `<mxCell style="${escapeAttr(sectionStyle(nd))}" vertex="1" parent="${parent}">${geometry(nd)}</mxCell></object>`
+      );
+    }
+    const { data } = nd;
+    if (nd.type === 'vacancy') {
+      return (
+        `<object label="${escapeAttr(personLabel(nd))}" organmaker="vacancy" role="${escapeAttr(data.role || '')}" ` +
+        `level="${escapeAttr(data.level || '')}" targetStart="${escapeAttr(data.targetStart || '')}" ` +
+        `status="${escapeAttr(data.status || '')}" comment="${escapeAttr(data.comment || '')}" ` +
+        `showComment="${data.showComment ? 1 : 0}" id="${escapeAttr(nd.id)}">` +
+        `<mxCell style="${escapeAttr(personStyle(nd))}" vertex="1" parent="${parent}">${geometry(nd)}</mxCell></object>`
+      );
+    }
+    return (
+      `<object label="${escapeAttr(personLabel(nd))}" organmaker="person" name="${escapeAttr(data.name || '')}" ` +
+      `role="${escapeAttr(data.role || '')}" comment="${escapeAttr(data.comment || '')}" ` +
+      `showComment="${data.showComment ? 1 : 0}" id="${escapeAttr(nd.id)}">` +
+      `<mxCell style="${escapeAttr(personStyle(nd))}" vertex="1" parent="${parent}">${geometry(nd)}</mxCell></object>`
+    );
+  });
+
+  const ids = new Set(ordered.map((nd) => nd.id));
+  edges
+    .filter((e) => ids.has(e.source) && ids.has(e.target))
+    .forEach((e) => {
+      cells.push(
+        `<mxCell id="${escapeAttr(e.id)}" style="${escapeAttr(edgeStyleString(e))}" edge="1" parent="1" ` +
+          `source="${escapeAttr(e.source)}" target="${escapeAttr(e.target)}"><mxGeometry relative="1" as="geometry"/></mxCell>`
+      );
+    });
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<mxfile host="OrganMaker" modified="${new Date().toISOString()}" type="device">\n` +
+    `  <diagram id="organmaker" name="${escapeAttr(name)}">\n` +
+    `    <mxGraphModel grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="0" pageScale="1" math="0" shadow="0">\n` +
+    `      <root>\n` +
+    `        <mxCell id="0"/>\n` +
+    `        <mxCell id="1" parent="0"/>\n` +
+    cells.map((c) => `        ${c}\n`).join('') +
+    `      </root>\n` +
+    `    </mxGraphModel>\n` +
+    `  </diagram>\n` +
+    `</mxfile>\n`
+  );
+}
+
+// ─── Import ─────────────────────────────────────────────
+
+/** Contenu compressé d'une page : base64 → deflate brut → URI encodé */
+function inflateDiagram(text) {
+  const binary = atob(text.trim());
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return decodeURIComponent(strFromU8(inflateSync(bytes)));
+}
+
+/** Modèle mxGraph de la première page */
+function readModel(xml, notes) {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Fichier XML invalide.');
+  const root = doc.documentElement;
+  if (root.nodeName === 'mxGraphModel') return { model: root, name: '' };
+  if (root.nodeName !== 'mxfile') throw new Error('Ce fichier n’est pas un diagramme draw.io.');
+
+  const diagrams = Array.from(root.getElementsByTagName('diagram'));
+  if (diagrams.length === 0) throw new Error('Le fichier ne contient aucune page.');
+  if (diagrams.length > 1) notes.push(`Seule la première page est importée (${diagrams.length} pages).`);
+  const diagram = diagrams[0];
+  const name = diagram.getAttribute('name') || '';
+  const inline = diagram.getElementsByTagName('mxGraphModel')[0];
+  if (inline) return { model: inline, name };
+  try {
+    return { model: parser.parseFromString(inflateDiagram(diagram.textContent), 'application/xml').documentElement, name };
+  } catch {
+    throw new Error('Page compressée illisible.');
+  }
+}
+
+/**
+ * Cellules du modèle : `<mxCell>` seules ou enveloppées dans
+ * `<object>` / `<UserObject>` (attributs personnalisés, id et label portés
+ * par l'enveloppe).
+ */
+function readCells(model) {
+  const root = model.getElementsByTagName('root')[0];
+  if (!root) return [];
+  const cells = [];
+  Array.from(root.children).forEach((el) => {
+    const cell = el.nodeName === 'mxCell' ? el : el.getElementsByTagName('mxCell')[0];
+    if (!cell) return;
+    const attrs = {};
+    if (el !== cell) Array.from(el.attributes).forEach((a) => (attrs[a.name] = a.value));
+    const geo = cell.getElementsByTagName('mxGeometry')[0];
+    const num = (name) => parseFloat(geo?.getAttribute(name)) || 0;
+    cells.push({
+      id: el.getAttribute('id'),
+      label: el === cell ? cell.getAttribute('value') || '' : attrs.label || '',
+      attrs,
+      style: parseStyle(cell.getAttribute('style')),
+      vertex: cell.getAttribute('vertex') === '1',
+      edge: cell.getAttribute('edge') === '1',
+      parent: cell.getAttribute('parent'),
+      source: cell.getAttribute('source'),
+      target: cell.getAttribute('target'),
+      geometry: { x: num('x'), y: num('y'), width: num('width'), height: num('height') },
+    });
+  });
+  return cells;
+}
+
+/** Texte d'une étiquette HTML draw.io, une ligne par paragraphe */
+function labelLines(label, html) {
+  let text = label;
+  if (html) {
+    const lines = label.replace(/<br\s*\/?>/gi, '\n').replace(/<\/?(div|p|li)\b[^>]*>/gi, '\n');
+    const body = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${lines}</body></html>`, 'text/html').body;
+    text = body?.textContent || '';
+  }
+  return text
+    .split('\n')
+    .map((l) => l.replace(/\u00a0/g, ' ').trim())
+    .filter(Boolean);
+}
+
+const color = (v, fallback) => (/^#[0-9a-f]{3,8}$/i.test(v || '') ? v : fallback);
+
+/** Valeur `image=` draw.io → data URL (les images distantes sont ignorées) */
+function photoFromStyle(image) {
+  const m = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(image || '');
+  return m ? `data:${m[1]};base64,${m[3]}` : null;
+}
+
+function isContainer(cell, hasChildren) {
+  const { style } = cell;
+  return style.container === '1' || style.swimlane === true || style.shape === 'swimlane' || style.group === true || hasChildren;
+}
+
+/**
+ * Lit un fichier draw.io (.drawio / .xml, compressé ou non).
+ *
+ * Les positions sont agrandies si les boîtes du diagramme sont plus
+ * petites que les cartes Personne, pour éviter les chevauchements.
+ *
+ * @param {string} xml
+ * @returns {{ doc: object, notes: string[] }} document au format exportFlow
+ *          et remarques à afficher (pages ignorées, liens non importés…)
+ * @throws {Error} si le fichier n'est pas un diagramme lisible
+ */
+export function parseDrawioXml(xml) {
+  const notes = [];
+  const { model, name } = readModel(xml, notes);
+  const cells = readCells(model);
+  const byId = new Map(cells.map((c) => [c.id, c]));
+  const childCount = new Map();
+  cells.forEach((c) => {
+    if (c.vertex && c.parent) childCount.set(c.parent, (childCount.get(c.parent) || 0) + 1);
+  });
+
+  // Sommets réels : pas les étiquettes d'arêtes ni les zones de texte libre
+  const vertices = cells.filter(
+    (c) => c.vertex && !byId.get(c.parent)?.edge && c.style.text !== true && c.style.edgeLabel !== true
+  );
+  const vertexIds = new Set(vertices.map((c) => c.id));
+
+  // Position absolue : somme des origines des sommets parents
+  const absolute = (cell) => {
+    let { x, y } = cell.geometry;
+    let parent = byId.get(cell.parent);
+    const seen = new Set();
+    while (parent && vertexIds.has(parent.id) && !seen.has(parent.id)) {
+      seen.add(parent.id);
+      x += parent.geometry.x;
+      y += parent.geometry.y;
+      parent = byId.get(parent.parent);
+    }
+    return { x, y };
+  };
+
+  const typeOf = (c) =>
+    ['section', 'person', 'vacancy'].includes(c.attrs.organmaker)
+      ? c.attrs.organmaker
+      : isContainer(c, childCount.get(c.id) > 0)
+        ? 'section'
+        : 'person';
+
+  const people = vertices.filter((c) => typeOf(c) !== 'section');
+  const median = (values) => {
+    const sorted = values.filter((v) => v > 0).sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+  };
+  const medianWidth = median(people.map((c) => c.geometry.width));
+  const medianHeight = median(people.map((c) => c.geometry.height));
+  const scale = Math.max(
+    1,
+    medianWidth ? PERSON_NODE_WIDTH / medianWidth : 1,
+    medianHeight ? PERSON_NODE_HEIGHT / medianHeight : 1
+  );
+
+  const nodes = vertices.map((c) => {
+    const abs = absolute(c);
+    const html = c.style.html === '1';
+    const lines = labelLines(c.label, html);
+    if (typeOf(c) === 'section') {
+      return {
+        id: c.id,
+        type: 'section',
+        position: { x: abs.x * scale, y: abs.y * scale },
+        data: {
+          ...defaultNodeData('section'),
+          title: lines.join(' ') || defaultNodeData('section').title,
+          color: color(c.style.fillColor, DEFAULT_SECTION_COLOR),
+        },
+        style: { width: c.geometry.width * scale, height: c.geometry.height * scale },
+        zIndex: SECTION_Z_INDEX,
+      };
+    }
+    // Carte centrée sur la boîte draw.io
+    const cx = (abs.x + c.geometry.width / 2) * scale;
+    const cy = (abs.y + c.geometry.height / 2) * scale;
+    if (typeOf(c) === 'vacancy') {
+      return {
+        id: c.id,
+        type: 'vacancy',
+        position: { x: abs.x * scale, y: abs.y * scale },
+        data: {
+          ...defaultNodeData('vacancy'),
+          role: c.attrs.role || '',
+          level: c.attrs.level || '',
+          targetStart: c.attrs.targetStart || '',
+          status: c.attrs.status || defaultNodeData('vacancy').status,
+          comment: c.attrs.comment || '',
+          showComment: c.attrs.showComment === '1',
+          bgColor: color(c.style.fillColor, DEFAULT_PERSON_BG),
+          borderColor: color(c.style.strokeColor, VACANCY_COLOR),
+        },
+        zIndex: PERSON_Z_INDEX,
+      };
+    }
+    const fromAttrs = c.attrs.organmaker === 'person';
+    return {
+      id: c.id,
+      type: 'person',
+      position: fromAttrs
+        ? { x: abs.x * scale, y: abs.y * scale }
+        : { x: cx - PERSON_NODE_WIDTH / 2, y: cy - PERSON_NODE_HEIGHT / 2 },
+      data: {
+        ...defaultNodeData('person'),
+        name: fromAttrs ? c.attrs.name || '' : lines[0] || '',
+        role: fromAttrs ? c.attrs.role || '' : lines[1] || '',
+        comment: fromAttrs ? c.attrs.comment || '' : lines.slice(2).join('\n'),
+        showComment: fromAttrs ? c.attrs.showComment === '1' : lines.length > 2,
+        photo: photoFromStyle(c.style.image),
+        bgColor: color(c.style.fillColor, DEFAULT_PERSON_BG),
+        borderColor: color(c.style.strokeColor, DEFAULT_PERSON_BORDER),
+      },
+      zIndex: PERSON_Z_INDEX,
+    };
+  });
+
+  const personIds = new Set(nodes.filter(isCard).map((nd) => nd.id));
+  const defaults = defaultEdgeProps();
+  let skipped = 0;
+  const edges = [];
+  cells
+    .filter((c) => c.edge)
+    .forEach((c) => {
+      if (!personIds.has(c.source) || !personIds.has(c.target) || c.source === c.target) {
+        skipped++;
+        return;
+      }
+      const stroke = color(c.style.strokeColor, defaults.data.color);
+      edges.push({
+        ...defaults,
+        id: c.id,
+        source: c.source,
+        target: c.target,
+        sourceHandle: 'source-bottom',
+        targetHandle: targetHandleAt(parseFloat(c.style.entryX), parseFloat(c.style.entryY)),
+        data: { color: stroke, dashed: c.style.dashed === '1' },
+        markerEnd: { ...defaults.markerEnd, color: stroke },
+        style: { ...defaults.style, stroke },
+      });
+    });
+  if (skipped) {
+    notes.push(`${skipped} lien${skipped > 1 ? 's' : ''} ignoré${skipped > 1 ? 's' : ''} (non reliés à deux personnes).`);
+  }
+  if (scale > 1) notes.push('Positions agrandies pour la taille des cartes.');
+
+  return {
+    doc: {
+      meta: { app: 'draw.io', schemaVersion: SCHEMA_VERSION, fileName: name },
+      // Membres des sections d'après leur position
+      nodes: assignSections(nodes),
+      edges,
+    },
+    notes,
+  };
+}
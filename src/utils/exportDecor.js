@@ -0,0 +1,205 @@
+import { EXPORT_WATERMARK_TEXT } from '../config';
+import { TEXT_COLORS, edgeStyle, measureText, ellipsize } from './exportGeometry';
+
+/**
+ * Habillage des exports : bloc titre (nom, version, date, logo), légende
+ * des styles de flèches et pied de page / filigrane de confidentialité.
+ * Seule la géométrie est calculée ici ; chaque export (SVG, capture
+ * PNG / JPEG, PDF) la dessine. Rien n'est ajouté au canvas.
+ */
+
+export const DECOR = {
+  marginX: 24,
+  headerHeight: 64,
+  logoHeight: 40,
+  logoMaxWidth: 160,
+  logoGap: 12,
+  titleSize: 20,
+  subtitleSize: 12,
+  subtitleColor: TEXT_COLORS.role,
+  ruleColor: '#e5e7eb', // border-gray-200
+  legendTitleSize: 11,
+  legendSize: 12,
+  legendRowHeight: 22,
+  legendPaddingY: 10,
+  legendSwatch: 28,
+  legendSwatchGap: 8,
+  legendGap: 24,
+  footerHeight: 28,
+  footerSize: 11,
+  footerColor: TEXT_COLORS.role,
+  watermarkColor: '#94a3b8', // slate-400
+  watermarkOpacity: 0.18,
+  watermarkAngle: 30, // degrés, sens trigonométrique
+  watermarkMaxSize: 160,
+};
+
+/** Clé d'un style de flèche dans `legendLabels` */
+export function legendKey(color, dashed) {
+  return `${color}|${dashed ? 'dashed' : 'solid'}`;
+}
+
+/**
+ * Styles de flèches utilisés (couleur + pointillé), dans l'ordre
+ * d'apparition, avec le libellé saisi par l'utilisateur ('' sinon).
+ *
+ * @returns {Array<{ key: string, color: string, dashed: boolean, label: string }>}
+ */
+export function legendEntries(edges, labels = {}) {
+  const entries = new Map();
+  edges.forEach((edge) => {
+    const { color, dashed } = edgeStyle(edge);
+    const key = legendKey(color, dashed);
+    if (!entries.has(key)) entries.set(key, { key, color, dashed, label: labels[key] || '' });
+  });
+  return [...entries.values()];
+}
+
+/**
+ * Contenu de l'habillage à partir des réglages de l'organigramme
+ * (voir DEFAULT_EXPORT_DECOR), ou null s'il n'y a rien à dessiner.
+ *
+ * @param {object} settings — { titleBlock, logo, legend, legendLabels, footer, watermark }
+ * @param {object} ctx
+ * @param {string} ctx.fileName
+ * @param {number} ctx.fileVersion
+ * @param {Array} ctx.edges — flèches exportées (pour la légende)
+ * @param {Date} [ctx.date=new Date()]
+ */
+export function buildDecor(settings, { fileName, fileVersion, edges, date = new Date() }) {
+  if (!settings) return null;
+  const footer = (settings.footer || '').trim();
+  const legend = settings.legend
+    ? legendEntries(edges, settings.legendLabels).map((e) => ({
+        ...e,
+        label: e.label || (e.dashed ? 'Pointillés' : 'Trait plein'),
+      }))
+    : [];
+  const decor = {
+    title: settings.titleBlock
+      ? {
+          text: fileName || 'Organigramme',
+          subtitle: `Version ${fileVersion}  ·  ${date.toLocaleDateString('fr-FR')}`,
+          logo: settings.logo || null,
+        }
+      : null,
+    legend: legend.length > 0 ? legend : null,
+    footer,
+    watermark: settings.watermark ? footer || EXPORT_WATERMARK_TEXT : '',
+  };
+  return decor.title || decor.legend || decor.footer || decor.watermark ? decor : null;
+}
+
+/**
+ * Géométrie de l'habillage autour d'une zone de graphe de `width` ×
+ * `graphHeight` px. Origine en haut à gauche de l'image finale : le bloc
+ * titre occupe [0, top], le graphe [top, top + graphHeight], puis la
+ * légende et le pied de page.
+ *
+ * @returns {{ width, height, top, bottom, header, legend, footer, watermark }}
+ */
+export function decorLayout(decor, width, graphHeight) {
+  const { marginX } = DECOR;
+  let top = 0;
+
+  // ── Bloc titre ──
+  let header = null;
+  if (decor.title) {
+    const h = DECOR.headerHeight;
+    const { logo } = decor.title;
+    let textX = marginX;
+    let logoBox = null;
+    if (logo?.src) {
+      const lh = DECOR.logoHeight;
+      const lw = logo.width && logo.height ? Math.min(DECOR.logoMaxWidth, (lh * logo.width) / logo.height) : lh;
+      logoBox = { src: logo.src, x: marginX, y: (h - lh) / 2, width: lw, height: lh };
+      textX += lw + DECOR.logoGap;
+    }
+    const maxText = Math.max(0, width - marginX - textX);
+    header = {
+      height: h,
+      logo: logoBox,
+      title: {
+        text: ellipsize(decor.title.text, maxText, DECOR.titleSize, true),
+        x: textX,
+        y: h / 2 - 9,
+        size: DECOR.titleSize,
+      },
+      subtitle: {
+        text: ellipsize(decor.title.subtitle, maxText, DECOR.subtitleSize),
+        x: textX,
+        y: h / 2 + 14,
+        size: DECOR.subtitleSize,
+      },
+      rule: { x1: marginX, x2: width - marginX, y: h - 0.5 },
+    };
+    top = h;
+  }
+
+  let y = top + graphHeight;
+
+  // ── Légende (éléments répartis sur plusieurs lignes si besoin) ──
+  let legend = null;
+  if (decor.legend) {
+    const titleText = 'Légende';
+    const startX = marginX + measureText(titleText, DECOR.legendTitleSize, true) + DECOR.legendGap / 2;
+    const maxX = width - marginX;
+    let row = 0;
+    let x = startX;
+    const rowY = (r) => y + DECOR.legendPaddingY + (r + 0.5) * DECOR.legendRowHeight;
+    const items = decor.legend.map((entry) => {
+      const itemWidth = DECOR.legendSwatch + DECOR.legendSwatchGap + measureText(entry.label, DECOR.legendSize);
+      if (x > startX && x + itemWidth > maxX) {
+        row += 1;
+        x = startX;
+      }
+      const item = {
+        color: entry.color,
+        dashed: entry.dashed,
+        label: entry.label,
+        swatch: { x1: x, x2: x + DECOR.legendSwatch, y: rowY(row) },
+        text: { x: x + DECOR.legendSwatch + DECOR.legendSwatchGap, y: rowY(row) },
+      };
+      x += itemWidth + DECOR.legendGap;
+      return item;
+    });
+    const h = DECOR.legendPaddingY * 2 + (row + 1) * DECOR.legendRowHeight;
+    legend = {
+      y,
+      height: h,
+      title: { text: titleText, x: marginX, y: rowY(0), size: DECOR.legendTitleSize },
+      items,
+      size: DECOR.legendSize,
+      rule: { x1: marginX, x2: width - marginX, y: y + 0.5 },
+    };
+    y += h;
+  }
+
+  // ── Pied de page ──
+  let footer = null;
+  if (decor.footer) {
+    footer = {
+      text: ellipsize(decor.footer, width - marginX * 2, DECOR.footerSize),
+      x: width / 2,
+      y: y + DECOR.footerHeight / 2,
+      size: DECOR.footerSize,
+    };
+    y += DECOR.footerHeight;
+  }
+
+  // ── Filigrane en diagonale sur la zone du graphe ──
+  let watermark = null;
+  if (decor.watermark) {
+    const rad = (DECOR.watermarkAngle * Math.PI) / 180;
+    const span = Math.min(width / Math.cos(rad), graphHeight / Math.sin(rad)) * 0.8;
+    watermark = {
+      text: decor.watermark,
+      x: width / 2,
+      y: top + graphHeight / 2,
+      angle: DECOR.watermarkAngle,
+      size: Math.max(8, Math.min(DECOR.watermarkMaxSize, span / measureText(decor.watermark, 1, true))),
+    };
+  }
+
+  return { width, height: y, top, bottom: y - top - graphHeight, header, legend, footer, watermark };
+}
@@ -0,0 +1,318 @@
+import {
+  EDGE_CURVATURE,
+  DEFAULT_EDGE_COLOR,
+  DEFAULT_PERSON_BG,
+  DEFAULT_PERSON_BORDER,
+  DEFAULT_SECTION_COLOR,
+  PERSON_PHOTO_FALLBACK_BG,
+  VACANCY_LABEL,
+  VACANCY_COLOR,
+} from '../config';
+import { nodeRect, isCard } from './graph';
+
+/**
+ * Géométrie des nœuds et des flèches pour les exports vectoriels
+ * (SVG, PDF…). Les mesures reproduisent le rendu HTML de PersonNode,
+ * SectionNode et CustomEdge (classes Tailwind entre parenthèses).
+ */
+
+export const FONT_FAMILY = "Inter, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+export const TEXT_COLORS = {
+  name: '#1f2937', // text-gray-800
+  role: '#6b7280', // text-gray-500
+  comment: '#4b5563', // text-gray-600
+  sectionTitle: '#374151', // text-gray-700
+};
+
+export const CARD = {
+  radius: 16, // rounded-2xl
+  borderWidth: 2, // border-2
+  photoTop: 22, // border + pt-5
+  photoSize: 96, // w-24 h-24
+  paddingX: 18, // border + px-4
+  nameSize: 14, // text-sm
+  roleSize: 12, // text-xs
+  commentSize: 12,
+  commentLineHeight: 16,
+  commentPadding: 8, // p-2
+  bottomPadding: 14, // py-3 + border
+  photoIconColor: '#a5b4fc', // text-indigo-300
+  commentBg: '#f9fafb', // bg-gray-50
+  commentBorder: '#e5e7eb', // border-gray-200
+  dash: [6, 4], // border-dashed (poste à pourvoir)
+};
+
+export const SECTION = {
+  radius: 16,
+  borderWidth: 2,
+  borderColor: '#d1d5db', // border-gray-300 (pointillé)
+  dash: [6, 4],
+  titleX: 14, // border + px-3
+  titleY: 10, // border + pt-2
+  titleSize: 14,
+  titlePaddingX: 8, // px-2
+  titleHeight: 28,
+  titleBg: 'rgba(255, 255, 255, 0.6)', // bg-white/60
+};
+
+export const EDGE = {
+  strokeWidth: 2,
+  dash: [8, 5],
+};
+
+/** Heroicons « user » (viewBox 24) — avatar par défaut sans photo */
+export const PERSON_ICON_PATH =
+  'M15.75 6a3.75 3.75 0 1 1-7.5 0 3.75 3.75 0 0 1 7.5 0ZM4.501 20.118a7.5 7.5 0 0 1 14.998 0A17.933 17.933 0 0 1 12 21.75c-2.676 0-5.216-.584-7.499-1.632Z';
+
+/** Demi-taille des handles : les flèches partent / arrivent sur leur bord extérieur */
+const HANDLE_OFFSET = { top: 6, bottom: 6, side: 5 };
+
+// ─── Mesure du texte ────────────────────────────────────
+
+let _measureCtx = null;
+
+/**
+ * Largeur approximative d'un texte en px. Utilise un canvas quand il est
+ * disponible, sinon une estimation moyenne par caractère.
+ */
+export function measureText(text, fontSize, bold = false) {
+  if (typeof document !== 'undefined') {
+    if (!_measureCtx) _measureCtx = document.createElement('canvas').getContext('2d');
+    if (_measureCtx) {
+      _measureCtx.font = `${bold ? 600 : 400} ${fontSize}px ${FONT_FAMILY}`;
+      return _measureCtx.measureText(text).width;
+    }
+  }
+  return text.length * fontSize * (bold ? 0.6 : 0.55);
+}
+
+/** Tronque un texte avec « … » pour tenir dans maxWidth */
+export function ellipsize(text, maxWidth, fontSize, bold = false) {
+  if (measureText(text, fontSize, bold) <= maxWidth) return text;
+  let s = text;
+  while (s.length > 1 && measureText(`${s}…`, fontSize, bold) > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+/** Découpe un texte en lignes de largeur maxWidth (retours à la ligne conservés) */
+export function wrapText(text, maxWidth, fontSize) {
+  const lines = [];
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, fontSize) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// ─── Nœuds ──────────────────────────────────────────────
+
+/** Nom affiché sur une carte (badge « À pourvoir » pour un poste vacant) */
+export function cardName(node) {
+  return node.type === 'vacancy' ? VACANCY_LABEL : node.data.name || '';
+}
+
+/**
+ * Géométrie d'une carte Personne dans le repère du canvas.
+ * La hauteur s'agrandit si le commentaire affiché dépasse la carte mesurée ;
+ * elle est recalculée quand la photo ou le commentaire sont masqués.
+ * Un poste à pourvoir a une bordure pointillée (`dashed`) et son badge
+ * à la place du nom.
+ *
+ * @param {object} node
+ * @param {object} [opts]
+ * @param {boolean} [opts.photos=true] — afficher la photo / l'avatar
+ * @param {boolean} [opts.comments=true] — afficher les commentaires ouverts
+ */
+export function personLayout(node, opts = {}) {
+  const { photos = true, comments = true } = opts;
+  const { data } = node;
+  const r = nodeRect(node);
+  const vacancy = node.type === 'vacancy';
+  const bg = data.bgColor || DEFAULT_PERSON_BG;
+  const border = vacancy ? data.borderColor || VACANCY_COLOR : data.borderColor || DEFAULT_PERSON_BORDER;
+  const innerWidth = r.width - CARD.paddingX * 2;
+  const cx = r.x + r.width / 2;
+
+  const photo = photos
+    ? {
+        cx,
+        cy: r.y + CARD.photoTop + CARD.photoSize / 2,
+        r: CARD.photoSize / 2,
+        bg: bg === DEFAULT_PERSON_BG ? PERSON_PHOTO_FALLBACK_BG : bg,
+        src: (!vacancy && data.photo) || null,
+      }
+    : null;
+
+  const infoTop = photos ? r.y + CARD.photoTop + CARD.photoSize + 12 : r.y + CARD.borderWidth + 12;
+  const name = {
+    x: cx,
+    y: infoTop + 10,
+    size: CARD.nameSize,
+    text: ellipsize(cardName(node), innerWidth, CARD.nameSize, true),
+  };
+  const role = {
+    x: cx,
+    y: infoTop + 35,
+    size: CARD.roleSize,
+    text: ellipsize(data.role || '', innerWidth, CARD.roleSize),
+  };
+
+  let comment = null;
+  // Bas du contenu sans commentaire (nom, rôle, bouton « Commentaire »)
+  let contentBottom = infoTop + 69;
+  if (comments && data.showComment && data.comment) {
+    const lines = wrapText(data.comment, innerWidth - CARD.commentPadding * 2, CARD.commentSize);
+    const boxHeight = lines.length * CARD.commentLineHeight + CARD.commentPadding * 2;
+    comment = {
+      x: r.x + CARD.paddingX,
+      y: infoTop + 75,
+      width: innerWidth,
+      height: boxHeight,
+      lines,
+    };
+    contentBottom = comment.y + boxHeight;
+  }
+  const natural = contentBottom + CARD.bottomPadding - r.y;
+  const height = photos && comments ? Math.max(r.height, natural) : natural;
+
+  return { x: r.x, y: r.y, width: r.width, height, bg, border, dashed: vacancy, photo, name, role, comment };
+}
+
+/** Géométrie d'une Section (fond + pastille de titre) */
+export function sectionLayout(node) {
+  const r = nodeRect(node);
+  const title = node.data.title || '';
+  const titleWidth =
+    Math.max(measureText('0', SECTION.titleSize, true) * 12, measureText(title, SECTION.titleSize, true)) +
+    SECTION.titlePaddingX * 2;
+  return {
+    ...r,
+    color: node.data.color || DEFAULT_SECTION_COLOR,
+    title: {
+      text: title,
+      x: r.x + SECTION.titleX,
+      y: r.y + SECTION.titleY,
+      width: Math.min(titleWidth, r.width - SECTION.titleX * 2),
+      height: SECTION.titleHeight,
+      size: SECTION.titleSize,
+    },
+  };
+}
+
+// ─── Flèches ────────────────────────────────────────────
+
+/** Point d'ancrage d'un handle + direction de sortie */
+function handlePoint(node, handleId, opts) {
+  const r = personLayout(node, opts);
+  switch (handleId) {
+    case 'target-left':
+      return { x: r.x - HANDLE_OFFSET.side, y: r.y + r.height / 2, pos: 'left' };
+    case 'target-right':
+      return { x: r.x + r.width + HANDLE_OFFSET.side, y: r.y + r.height / 2, pos: 'right' };
+    case 'target-top':
+      return { x: r.x + r.width / 2, y: r.y - HANDLE_OFFSET.top, pos: 'top' };
+    default:
+      return { x: r.x + r.width / 2, y: r.y + r.height + HANDLE_OFFSET.bottom, pos: 'bottom' };
+  }
+}
+
+/** Même calcul que getBezierPath de React Flow (courbure EDGE_CURVATURE) */
+function controlOffset(distance) {
+  return distance >= 0 ? 0.5 * distance : EDGE_CURVATURE * 25 * Math.sqrt(-distance);
+}
+
+function controlPoint(p, other) {
+  switch (p.pos) {
+    case 'left':
+      return { x: p.x - controlOffset(p.x - other.x), y: p.y };
+    case 'right':
+      return { x: p.x + controlOffset(other.x - p.x), y: p.y };
+    case 'top':
+      return { x: p.x, y: p.y - controlOffset(p.y - other.y) };
+    default:
+      return { x: p.x, y: p.y + controlOffset(other.y - p.y) };
+  }
+}
+
+/** Couleur et pointillé d'une flèche (mêmes valeurs par défaut que CustomEdge) */
+export function edgeStyle(edge) {
+  return {
+    color: edge.data?.color || edge.style?.stroke || DEFAULT_EDGE_COLOR,
+    dashed: edge.data?.dashed ?? false,
+  };
+}
+
+/**
+ * Courbe de Bézier cubique d'une flèche, ou null si une extrémité manque.
+ *
+ * @param {object} edge
+ * @param {Map<string, object>} nodesById
+ * @param {object} [opts] — options de personLayout
+ * @returns {{ source, c1, c2, target, color: string, dashed: boolean } | null}
+ */
+export function edgeLayout(edge, nodesById, opts = {}) {
+  const sourceNode = nodesById.get(edge.source);
+  const targetNode = nodesById.get(edge.target);
+  if (!sourceNode || !targetNode) return null;
+  const source = handlePoint(sourceNode, edge.sourceHandle || 'source-bottom', opts);
+  const target = handlePoint(targetNode, edge.targetHandle || 'target-top', opts);
+  return {
+    source,
+    c1: controlPoint(source, target),
+    c2: controlPoint(target, source),
+    target,
+    ...edgeStyle(edge),
+  };
+}
+
+/**
+ * Rectangle englobant des nœuds (cartes agrandies comprises).
+ *
+ * @param {Array} nodes
+ * @param {object} [opts] — options de personLayout
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function contentBounds(nodes, opts = {}) {
+  if (nodes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+  const rects = nodes.map((n) => (isCard(n) ? personLayout(n, opts) : nodeRect(n)));
+  const minX = Math.min(...rects.map((r) => r.x));
+  const minY = Math.min(...rects.map((r) => r.y));
+  const maxX = Math.max(...rects.map((r) => r.x + r.width));
+  const maxY = Math.max(...rects.map((r) => r.y + r.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Pointe de flèche au bout d'une courbe (polygone dans le repère du canvas).
+ * Même forme que le marqueur de CustomEdge (12×12, refX 10, refY 6),
+ * mis à l'échelle par l'épaisseur du trait comme le fait SVG.
+ *
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export function arrowHeadPoints(curve) {
+  const { target, c2, source } = curve;
+  let dx = target.x - c2.x;
+  let dy = target.y - c2.y;
+  if (dx === 0 && dy === 0) {
+    dx = target.x - source.x;
+    dy = target.y - source.y;
+  }
+  const len = Math.hypot(dx, dy) || 1;
+  const ux = dx / len;
+  const uy = dy / len;
+  const s = EDGE.strokeWidth;
+  return [[0, 0], [12, 6], [0, 12], [3, 6]].map(([mx, my]) => ({
+    x: target.x + ((mx - 10) * ux - (my - 6) * uy) * s,
+    y: target.y + ((mx - 10) * uy + (my - 6) * ux) * s,
+  }));
+}
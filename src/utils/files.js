@@ -0,0 +1,83 @@
+/**
+ * Helpers d'accès aux fichiers locaux (sélection, lecture, téléchargement).
+ */
+
+/**
+ * Ouvre le sélecteur de fichiers natif.
+ *
+ * @param {string} accept — extensions / MIME acceptés (ex: '.csv,.tsv')
+ * @returns {Promise<File|null>} null si l'utilisateur n'a rien choisi
+ */
+export function pickFile(accept) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.onchange = (e) => resolve(e.target.files?.[0] || null);
+    input.click();
+  });
+}
+
+/**
+ * Lit un fichier texte (UTF-8).
+ *
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (ev) => resolve(ev.target.result);
+    reader.onerror = () => reject(new Error('Impossible de lire le fichier'));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Nom de fichier sûr (sans extension) : `<nom>_v<version>_<date>`.
+ * Partagé par tous les exports (JSON, PNG, PDF, tableur…).
+ *
+ * @param {string} fileName
+ * @param {number} fileVersion
+ * @returns {string}
+ */
+export function fileStem(fileName, fileVersion) {
+  const date = new Date().toISOString().slice(0, 10);
+  const safe = fileName
+    .replace(/[^a-zA-Z0-9\u00C0-\u017F\-_]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${safe || 'organigramme'}_v${fileVersion}_${date}`;
+}
+
+/**
+ * Déclenche le téléchargement d'un Blob.
+ *
+ * @param {Blob} blob
+ * @param {string} fileName — nom complet avec extension
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Taille lisible en unités françaises (o, Ko, Mo, Go).
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const units = ['o', 'Ko', 'Mo', 'Go'];
+  let v = bytes;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${v.toLocaleString('fr-FR', { maximumFractionDigits: i === 0 ? 0 : 1 })} ${units[i]}`;
+}
@@ -0,0 +1,417 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  SCHEMA_VERSION,
+  PERSON_Z_INDEX,
+  SECTION_Z_INDEX,
+  SECTION_SELECTED_Z_INDEX,
+  SECTION_DEFAULT_WIDTH,
+  SECTION_DEFAULT_HEIGHT,
+  DEFAULT_EDGE_COLOR,
+  DEFAULT_EDGE_STROKE_WIDTH,
+  DEFAULT_PERSON_BG,
+  DEFAULT_PERSON_BORDER,
+  DEFAULT_PERSON_NAME,
+  DEFAULT_PERSON_ROLE,
+  DEFAULT_SECTION_COLOR,
+  DEFAULT_SECTION_TITLE,
+  DEFAULT_VACANCY_ROLE,
+  VACANCY_COLOR,
+  VACANCY_STATUSES,
+} from '../config';
+import { normalizePersonFields } from './personFields';
+import { sectionParents } from './graph';
+
+/**
+ * Format des organigrammes (fichiers JSON `exportFlow`, contenu IndexedDB,
+ * instantanés) : version, migrations, validation et réparation.
+ *
+ * Document : { meta: { schemaVersion, … }, nodes, edges, presets?, exportDecor?, personFields?,
+ *            layoutOptions? }
+ * Un document sans meta.schemaVersion est en version 1.
+ */
+
+/** Types de nœuds connus */
+export const NODE_TYPES = ['person', 'section', 'vacancy'];
+
+/** Données par défaut d'un nœud, complétées par `data` */
+export function defaultNodeData(type) {
+  if (type === 'section') {
+    return { title: DEFAULT_SECTION_TITLE, color: DEFAULT_SECTION_COLOR };
+  }
+  if (type === 'vacancy') {
+    return {
+      role: DEFAULT_VACANCY_ROLE,
+      level: '',
+      targetStart: '',
+      status: VACANCY_STATUSES[0].id,
+      comment: '',
+      showComment: false,
+      bgColor: DEFAULT_PERSON_BG,
+      borderColor: VACANCY_COLOR,
+    };
+  }
+  return {
+    name: DEFAULT_PERSON_NAME,
+    role: DEFAULT_PERSON_ROLE,
+    comment: '',
+    showComment: false,
+    photo: null,
+    bgColor: DEFAULT_PERSON_BG,
+    borderColor: DEFAULT_PERSON_BORDER,
+    collapsed: false,
+  };
+}
+
+/** Style par défaut d'un lien */
+export function defaultEdgeProps() {
+  return {
+    type: 'custom',
+    data: { color: DEFAULT_EDGE_COLOR, dashed: false },
+    markerEnd: { type: 'arrowclosed', color: DEFAULT_EDGE_COLOR },
+    style: { stroke: DEFAULT_EDGE_COLOR, strokeWidth: DEFAULT_EDGE_STROKE_WIDTH },
+  };
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** Applique `fn` aux graphes du document : principal et presets */
+function mapGraphs(doc, fn) {
+  const graph = (g) => ({ ...g, ...fn(Array.isArray(g.nodes) ? g.nodes : [], Array.isArray(g.edges) ? g.edges : []) });
+  return {
+    ...doc,
+    ...graph(doc),
+    presets: Array.isArray(doc.presets) ? doc.presets.map((p) => (isObject(p) ? graph(p) : p)) : doc.presets,
+  };
+}
+
+// ─── Migrations ─────────────────────────────────────────
+
+/**
+ * Migrations dans l'ordre : chacune fait passer un document de
+ * `version - 1` à `version`. Elles doivent tolérer un document mal formé
+ * (la validation vient après).
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Poignées de connexion explicites et ordre d’affichage des nœuds',
+    migrate: (doc) =>
+      mapGraphs(doc, (nodes, edges) => ({
+        nodes: nodes.map((n) => {
+          if (!isObject(n)) return n;
+          if (n.type === 'person' && n.zIndex !== PERSON_Z_INDEX) return { ...n, zIndex: PERSON_Z_INDEX };
+          if (n.type === 'section' && (n.zIndex == null || n.zIndex > SECTION_Z_INDEX)) {
+            return { ...n, zIndex: n.selected ? SECTION_SELECTED_Z_INDEX : SECTION_Z_INDEX };
+          }
+          return n;
+        }),
+        edges: edges.map((e) =>
+          isObject(e)
+            ? { ...e, sourceHandle: e.sourceHandle || 'source-bottom', targetHandle: e.targetHandle || 'target-top' }
+            : e
+        ),
+      })),
+  },
+  {
+    version: 3,
+    description: 'Postes à pourvoir',
+    // Nouveau type de nœud seulement : les documents v2 sont valides tels quels
+    migrate: (doc) => doc,
+  },
+  {
+    version: 4,
+    description: 'Appartenance aux sections',
+    // Déduite de la géométrie : la section qui contient le centre du nœud
+    migrate: (doc) =>
+      mapGraphs(doc, (nodes, edges) => {
+        const placed = nodes.filter(
+          (n) => isObject(n) && NODE_TYPES.includes(n.type) && isNumber(n.position?.x) && isNumber(n.position?.y)
+        );
+        const parents = sectionParents(placed);
+        return {
+          nodes: nodes.map((n) => (parents.has(n?.id) ? { ...n, sectionId: parents.get(n.id).id } : n)),
+          edges,
+        };
+      }),
+  },
+];
+
+/** Version du format d'un document (1 si absente) */
+export function schemaVersion(doc) {
+  const v = doc?.meta?.schemaVersion;
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+/**
+ * Fait passer un document à la version courante.
+ * @returns {{ doc: object, applied: string[] }} document migré, descriptions des migrations appliquées
+ */
+export function migrateFlow(doc) {
+  let version = schemaVersion(doc);
+  let migrated = doc;
+  const applied = [];
+  MIGRATIONS.forEach((m) => {
+    if (m.version <= version) return;
+    migrated = m.migrate(migrated);
+    applied.push(m.description);
+    version = m.version;
+  });
+  const meta = isObject(migrated.meta) ? migrated.meta : {};
+  return { doc: { ...migrated, meta: { ...meta, schemaVersion: version } }, applied };
+}
+
+// ─── Validation ─────────────────────────────────────────
+
+/** Champs texte / booléens des données, vérifiés s'ils sont présents */
+const DATA_TYPES = {
+  person: {
+    name: 'string',
+    role: 'string',
+    comment: 'string',
+    showComment: 'boolean',
+    bgColor: 'string',
+    borderColor: 'string',
+    collapsed: 'boolean',
+  },
+  section: { title: 'string', color: 'string' },
+  vacancy: {
+    role: 'string',
+    level: 'string',
+    targetStart: 'string',
+    status: 'string',
+    comment: 'string',
+    showComment: 'boolean',
+    bgColor: 'string',
+    borderColor: 'string',
+  },
+};
+
+function validateGraph(nodes, edges, prefix, add) {
+  const ids = new Set();
+  nodes.forEach((n, i) => {
+    const path = `${prefix}nodes[${i}]`;
+    if (!isObject(n)) {
+      add(path, 'Objet attendu');
+      return;
+    }
+    if (typeof n.id !== 'string' || !n.id) add(`${path}.id`, 'Identifiant manquant');
+    else if (ids.has(n.id)) add(`${path}.id`, `Identifiant en double « ${n.id} »`);
+    else ids.add(n.id);
+    if (!NODE_TYPES.includes(n.type)) add(`${path}.type`, `Type inconnu « ${n.type ?? ''} »`);
+    if (!isObject(n.position)) add(`${path}.position`, 'Position manquante');
+    else {
+      if (!isNumber(n.position.x)) add(`${path}.position.x`, 'Nombre attendu');
+      if (!isNumber(n.position.y)) add(`${path}.position.y`, 'Nombre attendu');
+    }
+    if (!isObject(n.data)) add(`${path}.data`, 'Données manquantes');
+    else {
+      Object.entries(DATA_TYPES[n.type] || {}).forEach(([key, type]) => {
+        if (n.data[key] !== undefined && typeof n.data[key] !== type) {
+          add(`${path}.data.${key}`, type === 'string' ? 'Texte attendu' : 'Booléen attendu');
+        }
+      });
+      if (n.type === 'person' && n.data.photo != null && typeof n.data.photo !== 'string') {
+        add(`${path}.data.photo`, 'Image (data URL) attendue');
+      }
+      if (n.type === 'person' && n.data.fields !== undefined) {
+        if (!isObject(n.data.fields)) add(`${path}.data.fields`, 'Objet attendu');
+        else {
+          Object.entries(n.data.fields).forEach(([key, value]) => {
+            if (typeof value !== 'string') add(`${path}.data.fields.${key}`, 'Texte attendu');
+          });
+        }
+      }
+    }
+  });
+
+  const sectionIds = new Set(nodes.filter((n) => isObject(n) && n.type === 'section').map((n) => n.id));
+  nodes.forEach((n, i) => {
+    if (!isObject(n) || n.sectionId === undefined) return;
+    if (!sectionIds.has(n.sectionId) || n.sectionId === n.id) {
+      add(`${prefix}nodes[${i}].sectionId`, `Section inexistante « ${n.sectionId ?? ''} »`);
+    }
+  });
+
+  const edgeIds = new Set();
+  edges.forEach((e, i) => {
+    const path = `${prefix}edges[${i}]`;
+    if (!isObject(e)) {
+      add(path, 'Objet attendu');
+      return;
+    }
+    if (typeof e.id !== 'string' || !e.id) add(`${path}.id`, 'Identifiant manquant');
+    else if (edgeIds.has(e.id)) add(`${path}.id`, `Identifiant en double « ${e.id} »`);
+    else edgeIds.add(e.id);
+    if (!ids.has(e.source)) add(`${path}.source`, `Nœud inexistant « ${e.source ?? ''} »`);
+    if (!ids.has(e.target)) add(`${path}.target`, `Nœud inexistant « ${e.target ?? ''} »`);
+  });
+}
+
+/**
+ * Problèmes d'un document, avec leur chemin (ex. `nodes[3].position`).
+ * `fatal` : le document ne peut pas être réparé (pas un organigramme,
+ * version plus récente que l'application).
+ *
+ * @returns {Array<{ path: string, message: string, fatal?: boolean }>}
+ */
+export function validateFlow(doc) {
+  const issues = [];
+  const add = (path, message, fatal = false) => issues.push(fatal ? { path, message, fatal } : { path, message });
+  if (!isObject(doc)) {
+    add('', 'Le fichier ne contient pas un objet JSON', true);
+    return issues;
+  }
+  if (doc.meta !== undefined && !isObject(doc.meta)) add('meta', 'Objet attendu');
+  const version = schemaVersion(doc);
+  if (version > SCHEMA_VERSION) {
+    add('meta.schemaVersion', `Format ${version} plus récent que celui de l'application (${SCHEMA_VERSION})`, true);
+  }
+  if (!Array.isArray(doc.nodes)) add('nodes', 'Tableau attendu', true);
+  if (!Array.isArray(doc.edges)) add('edges', 'Tableau attendu', true);
+  if (Array.isArray(doc.nodes) && Array.isArray(doc.edges)) validateGraph(doc.nodes, doc.edges, '', add);
+
+  if (doc.presets !== undefined) {
+    if (!Array.isArray(doc.presets)) add('presets', 'Tableau attendu');
+    else {
+      doc.presets.forEach((p, i) => {
+        const path = `presets[${i}]`;
+        if (!isObject(p)) {
+          add(path, 'Objet attendu');
+          return;
+        }
+        if (typeof p.name !== 'string') add(`${path}.name`, 'Texte attendu');
+        if (!Array.isArray(p.nodes) || !Array.isArray(p.edges)) add(path, 'nodes et edges attendus');
+        else validateGraph(p.nodes, p.edges, `${path}.`, add);
+      });
+    }
+  }
+  if (doc.exportDecor !== undefined && !isObject(doc.exportDecor)) add('exportDecor', 'Objet attendu');
+  if (doc.layoutOptions !== undefined && !isObject(doc.layoutOptions)) add('layoutOptions', 'Objet attendu');
+  if (doc.personFields !== undefined) {
+    if (!Array.isArray(doc.personFields)) add('personFields', 'Tableau attendu');
+    else {
+      doc.personFields.forEach((f, i) => {
+        if (!isObject(f) || typeof f.id !== 'string' || !f.id) add(`personFields[${i}]`, 'Champ sans identifiant');
+      });
+    }
+  }
+  return issues;
+}
+
+// ─── Réparation ─────────────────────────────────────────
+
+/** Données d'un nœud : valeurs du bon type conservées, les autres remplacées par les défauts */
+function repairData(type, data) {
+  const defaults = defaultNodeData(type);
+  const source = isObject(data) ? data : {};
+  const repaired = { ...defaults, ...source };
+  Object.entries(DATA_TYPES[type] || {}).forEach(([key, t]) => {
+    if (typeof repaired[key] !== t) repaired[key] = defaults[key];
+  });
+  if (type === 'person' && repaired.photo != null && typeof repaired.photo !== 'string') repaired.photo = null;
+  if (type === 'person' && repaired.fields !== undefined) {
+    repaired.fields = isObject(repaired.fields)
+      ? Object.fromEntries(Object.entries(repaired.fields).filter(([, v]) => typeof v === 'string'))
+      : {};
+  }
+  return repaired;
+}
+
+function repairGraph(nodes, edges) {
+  const uniqueId = (used) => (id) => {
+    const ok = typeof id === 'string' && id && !used.has(id) ? id : uuidv4();
+    used.add(ok);
+    return ok;
+  };
+  const nodeId = uniqueId(new Set());
+  const edgeId = uniqueId(new Set());
+
+  const repairedNodes = nodes
+    .filter((n) => isObject(n) && NODE_TYPES.includes(n.type))
+    .map((n) => {
+      const node = {
+        ...n,
+        id: nodeId(n.id),
+        position: {
+          x: isNumber(n.position?.x) ? n.position.x : 0,
+          y: isNumber(n.position?.y) ? n.position.y : 0,
+        },
+        data: repairData(n.type, n.data),
+      };
+      if (n.type === 'section') {
+        node.style = {
+          ...(isObject(n.style) ? n.style : {}),
+          width: isNumber(n.style?.width) ? n.style.width : SECTION_DEFAULT_WIDTH,
+          height: isNumber(n.style?.height) ? n.style.height : SECTION_DEFAULT_HEIGHT,
+        };
+      }
+      return node;
+    });
+
+  // Appartenance à une section disparue (ou à soi-même) retirée
+  const sectionIds = new Set(repairedNodes.filter((n) => n.type === 'section').map((n) => n.id));
+  repairedNodes.forEach((n) => {
+    if (n.sectionId !== undefined && (!sectionIds.has(n.sectionId) || n.sectionId === n.id)) delete n.sectionId;
+  });
+
+  const ids = new Set(repairedNodes.map((n) => n.id));
+  const defaults = defaultEdgeProps();
+  const repairedEdges = edges
+    .filter((e) => isObject(e) && ids.has(e.source) && ids.has(e.target))
+    .map((e) => ({
+      ...defaults,
+      ...e,
+      id: edgeId(e.id),
+      data: { ...defaults.data, ...(isObject(e.data) ? e.data : {}) },
+    }));
+  return { nodes: repairedNodes, edges: repairedEdges };
+}
+
+/**
+ * Répare un document : nœuds de type inconnu et liens orphelins retirés,
+ * identifiants manquants ou en double remplacés, positions, données et
+ * tailles de section manquantes complétées avec les valeurs par défaut,
+ * champs de fiche et appartenances à une section invalides retirés.
+ */
+export function repairFlow(doc) {
+  const base = isObject(doc) ? doc : {};
+  const repaired = mapGraphs(
+    {
+      ...base,
+      meta: isObject(base.meta) ? base.meta : {},
+      presets: Array.isArray(base.presets)
+        ? base.presets.filter(isObject).map((p) => ({
+            ...p,
+            id: typeof p.id === 'string' && p.id ? p.id : uuidv4(),
+            name: typeof p.name === 'string' ? p.name : 'Preset',
+          }))
+        : [],
+    },
+    repairGraph
+  );
+  if (!isObject(repaired.exportDecor)) delete repaired.exportDecor;
+  if (!isObject(repaired.layoutOptions)) delete repaired.layoutOptions;
+  if (repaired.personFields !== undefined) repaired.personFields = normalizePersonFields(repaired.personFields);
+  return repaired;
+}
+
+/**
+ * Chaîne complète appliquée à tout organigramme lu (fichier, ancien
+ * localStorage, IndexedDB) : migration, validation, puis réparation
+ * si demandée.
+ *
+ * @param {object} doc
+ * @param {{ repair?: boolean }} [opts]
+ * @returns {{ doc: object, issues: Array, applied: string[], fatal: boolean }}
+ *          `issues` : problèmes trouvés avant réparation
+ */
+export function prepareFlow(doc, { repair = false } = {}) {
+  const fatal = validateFlow(doc).filter((i) => i.fatal);
+  if (fatal.length) {
+    return { doc: repair ? repairFlow(doc) : doc, issues: fatal, applied: [], fatal: true };
+  }
+  const { doc: migrated, applied } = migrateFlow(doc);
+  const issues = validateFlow(migrated);
+  return { doc: repair && issues.length ? repairFlow(migrated) : migrated, issues, applied, fatal: false };
+}
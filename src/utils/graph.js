@@ -0,0 +1,223 @@
+import {
+  PERSON_NODE_WIDTH,
+  PERSON_NODE_HEIGHT,
+  SECTION_DEFAULT_WIDTH,
+  SECTION_DEFAULT_HEIGHT,
+} from '../config';
+
+/**
+ * Lecture de la structure de l'organigramme (hiérarchie, sections)
+ * à partir des tableaux `nodes` / `edges` du store.
+ */
+
+/** Types de nœuds dessinés en carte et placés dans la hiérarchie */
+export const CARD_TYPES = ['person', 'vacancy'];
+
+/** true pour une carte : personne ou poste à pourvoir */
+export function isCard(node) {
+  return CARD_TYPES.includes(node.type);
+}
+
+/** true si l'edge arrive sur le côté de la cible (target-left / target-right) */
+export function isSideEdge(edge) {
+  const th = edge.targetHandle || 'target-top';
+  return th === 'target-left' || th === 'target-right';
+}
+
+/**
+ * Rectangle d'un nœud dans le repère du canvas.
+ * Les dimensions mesurées par React Flow sont prioritaires, puis le style,
+ * puis les dimensions par défaut du type de nœud.
+ *
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function nodeRect(node) {
+  const isSection = node.type === 'section';
+  return {
+    x: node.position.x,
+    y: node.position.y,
+    width: node.width ?? node.style?.width ?? (isSection ? SECTION_DEFAULT_WIDTH : PERSON_NODE_WIDTH),
+    height: node.height ?? node.style?.height ?? (isSection ? SECTION_DEFAULT_HEIGHT : PERSON_NODE_HEIGHT),
+  };
+}
+
+/**
+ * Section qui contient le centre du nœud (la plus petite en cas
+ * d'imbrication), ou null.
+ */
+export function findContainingSection(node, sections) {
+  const r = nodeRect(node);
+  const cx = r.x + r.width / 2;
+  const cy = r.y + r.height / 2;
+  let best = null;
+  let bestArea = Infinity;
+  sections.forEach((s) => {
+    if (s.id === node.id) return;
+    const sr = nodeRect(s);
+    if (cx < sr.x || cx > sr.x + sr.width || cy < sr.y || cy > sr.y + sr.height) return;
+    const area = sr.width * sr.height;
+    if (area < bestArea) {
+      best = s;
+      bestArea = area;
+    }
+  });
+  return best;
+}
+
+/**
+ * Section parente de chaque nœud : celle qui contient son centre, en ne
+ * retenant pour une section que des sections plus grandes qu'elle (pas de
+ * cycle entre sections imbriquées).
+ *
+ * @returns {Map<string, object>} id du nœud → section parente
+ */
+export function sectionParents(nodes) {
+  const sections = nodes.filter((n) => n.type === 'section');
+  const area = (n) => nodeRect(n).width * nodeRect(n).height;
+  const parents = new Map();
+  nodes.forEach((n) => {
+    const candidates = n.type === 'section' ? sections.filter((s) => area(s) > area(n)) : sections;
+    const parent = findContainingSection(n, candidates);
+    if (parent) parents.set(n.id, parent);
+  });
+  return parents;
+}
+
+/**
+ * Nœuds dont le centre est dans la section (la section elle-même comprise).
+ */
+export function nodesInSection(section, nodes) {
+  const sr = nodeRect(section);
+  return nodes.filter((n) => {
+    if (n.id === section.id) return true;
+    const r = nodeRect(n);
+    const cx = r.x + r.width / 2;
+    const cy = r.y + r.height / 2;
+    return cx >= sr.x && cx <= sr.x + sr.width && cy >= sr.y && cy <= sr.y + sr.height;
+  });
+}
+
+/** Edges dont les deux extrémités font partie de `nodes` */
+export function edgesWithin(nodes, edges) {
+  const ids = new Set(nodes.map((n) => n.id));
+  return edges.filter((e) => ids.has(e.source) && ids.has(e.target));
+}
+
+/**
+ * Descendants d'une carte (ids) : cartes atteintes en suivant les edges
+ * vers le bas, liens latéraux compris, chaque carte une seule fois.
+ *
+ * @param {string} nodeId
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {string[]}
+ */
+export function cardDescendants(nodeId, nodes, edges) {
+  const cardIds = new Set(nodes.filter(isCard).map((n) => n.id));
+  const children = new Map();
+  edges.forEach((e) => {
+    if (!cardIds.has(e.source) || !cardIds.has(e.target)) return;
+    if (!children.has(e.source)) children.set(e.source, []);
+    children.get(e.source).push(e.target);
+  });
+  const visited = new Set([nodeId]);
+  const result = [];
+  const stack = [...(children.get(nodeId) || [])];
+  while (stack.length) {
+    const id = stack.pop();
+    if (visited.has(id)) continue;
+    visited.add(id);
+    result.push(id);
+    stack.push(...(children.get(id) || []));
+  }
+  return result;
+}
+
+/**
+ * Cartes masquées par les branches repliées (`data.collapsed`) : les
+ * descendants de chaque carte repliée. La carte repliée reste visible,
+ * sauf si elle est elle-même sous une autre branche repliée.
+ *
+ * @returns {Set<string>}
+ */
+export function collapsedHidden(nodes, edges) {
+  const hidden = new Set();
+  nodes.forEach((n) => {
+    if (!isCard(n) || !n.data?.collapsed) return;
+    cardDescendants(n.id, nodes, edges).forEach((id) => hidden.add(id));
+  });
+  return hidden;
+}
+
+/**
+ * Graphe tel qu'affiché : sans les cartes des branches repliées ni les
+ * edges qui y mènent.
+ *
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function visibleGraph(nodes, edges) {
+  const hidden = collapsedHidden(nodes, edges);
+  if (hidden.size === 0) return { nodes, edges };
+  const visible = nodes.filter((n) => !hidden.has(n.id));
+  return { nodes: visible, edges: edgesWithin(visible, edges) };
+}
+
+/**
+ * Sous-graphe à exporter.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {'all'|'selection'|'section'} scope
+ * @param {string} [sectionId] — pour scope = 'section'
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function selectScope(nodes, edges, scope, sectionId) {
+  let scoped = nodes;
+  if (scope === 'selection') {
+    scoped = nodes.filter((n) => n.selected);
+  } else if (scope === 'section') {
+    const section = nodes.find((n) => n.id === sectionId);
+    scoped = section ? nodesInSection(section, nodes) : [];
+  }
+  return { nodes: scoped, edges: edgesWithin(scoped, edges) };
+}
+
+/**
+ * Profondeur de chaque carte dans la hiérarchie (0 = racine), postes
+ * à pourvoir compris (voir isCard). Les racines sont les cartes sans edge
+ * entrant depuis une autre carte (même définition que l'auto-layout).
+ * Les cartes prises dans un cycle sans racine n'ont pas de profondeur.
+ *
+ * @param {Array} cardNodes
+ * @param {Array} edges
+ * @returns {Map<string, number>}
+ */
+export function computeDepths(cardNodes, edges) {
+  const cardIds = new Set(cardNodes.map((n) => n.id));
+  const children = new Map();
+  const hasParent = new Set();
+  edges.forEach((e) => {
+    if (!cardIds.has(e.source) || !cardIds.has(e.target)) return;
+    if (!children.has(e.source)) children.set(e.source, []);
+    children.get(e.source).push(e.target);
+    hasParent.add(e.target);
+  });
+
+  const depths = new Map();
+  const queue = [];
+  cardNodes.forEach((n) => {
+    if (!hasParent.has(n.id)) {
+      depths.set(n.id, 0);
+      queue.push(n.id);
+    }
+  });
+  while (queue.length) {
+    const id = queue.shift();
+    (children.get(id) || []).forEach((childId) => {
+      if (depths.has(childId)) return;
+      depths.set(childId, depths.get(id) + 1);
+      queue.push(childId);
+    });
+  }
+  return depths;
+}
@@ -0,0 +1,316 @@
+import { EXPORT_BG_COLOR, HTML_VIEWER_ZOOM_STEP, HTML_VIEWER_MAX_ZOOM } from '../config';
+import { FONT_FAMILY, TEXT_COLORS, personLayout, cardName } from './exportGeometry';
+import { buildSvg, personSvg } from './svgExport';
+import { isSideEdge, isCard } from './graph';
+import { escapeXml as esc } from './xml';
+
+/**
+ * Export HTML autonome : un seul fichier contenant l'organigramme en SVG
+ * (mêmes cartes, sections et flèches que l'export SVG), les photos en
+ * data URL et une visionneuse en lecture seule (déplacement, zoom,
+ * recherche, commentaires dépliables, fiche de la personne cliquée).
+ * Aucune ressource externe : s'ouvre depuis une pièce jointe ou un intranet.
+ */
+
+/** Bouton « ▼ Commentaire » de PersonNode (text-[10px] text-indigo-400) */
+const TOGGLE = { size: 10, color: '#818cf8', offsetY: 23 };
+
+function toggleSvg(node, open, cls) {
+  const { role } = personLayout(node);
+  return (
+    `<text class="${cls}" data-for="${esc(node.id)}" x="${role.x}" y="${role.y + TOGGLE.offsetY}" ` +
+    `text-anchor="middle" dominant-baseline="central" font-size="${TOGGLE.size}" fill="${TOGGLE.color}">` +
+    `${open ? '▲ Masquer' : '▼ Commentaire'}</text>`
+  );
+}
+
+/**
+ * Pour chaque carte commentée : bouton de bascule sur la carte affichée et
+ * variante cachée avec le commentaire dans l'état inverse. Une carte repliée
+ * reprend sa hauteur naturelle (sans la mesure du canvas).
+ */
+function commentOverlay(persons) {
+  return persons
+    .filter((node) => node.data.comment)
+    .map((node) => {
+      const open = !node.data.showComment;
+      const alt = { ...node, data: { ...node.data, showComment: open } };
+      if (!open) delete alt.height;
+      return (
+        toggleSvg(node, !open, 'toggle') +
+        `<g class="alt off" data-for="${esc(node.id)}">${personSvg(alt, {}, true)}${toggleSvg(alt, open, 'toggle')}</g>`
+      );
+    })
+    .join('');
+}
+
+/** Fiche de chaque personne (recherche, panneau de détail) */
+function peopleData(nodes, edges) {
+  const persons = nodes.filter(isCard);
+  const sections = new Map(nodes.filter((n) => n.type === 'section').map((n) => [n.id, n]));
+  const ids = new Set(persons.map((n) => n.id));
+  const links = edges.filter((e) => ids.has(e.source) && ids.has(e.target));
+  return persons.map((n) => {
+    const r = personLayout(n);
+    return {
+      id: n.id,
+      name: cardName(n),
+      role: n.data.role || '',
+      comment: n.data.comment || '',
+      section: sections.get(n.sectionId)?.data.title || '',
+      managers: links.filter((e) => e.target === n.id && !isSideEdge(e)).map((e) => e.source),
+      side: links.filter((e) => e.target === n.id && isSideEdge(e)).map((e) => e.source),
+      reports: links.filter((e) => e.source === n.id && !isSideEdge(e)).map((e) => e.target),
+      x: r.x,
+      y: r.y,
+      width: r.width,
+      height: r.height,
+    };
+  });
+}
+
+const STYLE = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; }
+body { display: flex; flex-direction: column; background: ${EXPORT_BG_COLOR}; font-family: ${FONT_FAMILY}; color: ${TEXT_COLORS.name}; }
+header { display: flex; align-items: center; gap: 8px; padding: 8px 16px; background: #fff; border-bottom: 1px solid #e5e7eb; box-shadow: 0 1px 2px rgba(0,0,0,.05); z-index: 1; }
+header h1 { margin: 0; font-size: 16px; font-weight: 700; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+header .meta { font-size: 12px; color: ${TEXT_COLORS.role}; white-space: nowrap; margin-right: auto; }
+header input { width: 240px; padding: 6px 10px; font: inherit; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; outline: none; }
+header input:focus { border-color: #a5b4fc; }
+#count { font-size: 12px; color: ${TEXT_COLORS.role}; min-width: 80px; }
+button { font: inherit; font-size: 13px; font-weight: 500; padding: 6px 10px; border: 0; border-radius: 8px; background: #f3f4f6; color: #374151; cursor: pointer; }
+button:hover { background: #e5e7eb; }
+#chart { flex: 1; position: relative; overflow: hidden; cursor: grab; touch-action: none; }
+#chart.dragging { cursor: grabbing; }
+#chart svg { position: absolute; inset: 0; width: 100%; height: 100%; user-select: none; }
+.person, .toggle { cursor: pointer; }
+.off { display: none; }
+svg.searching .person:not(.match) { opacity: .25; }
+.person.match { filter: drop-shadow(0 0 6px #6366f1); }
+#panel { position: absolute; top: 64px; right: 16px; width: 300px; max-height: calc(100% - 80px); overflow: auto; padding: 16px; background: #fff; border: 1px solid #e5e7eb; border-radius: 16px; box-shadow: 0 10px 25px rgba(0,0,0,.12); }
+#panel h2 { margin: 0 24px 2px 0; font-size: 16px; }
+#panel .role { margin: 0 0 12px; font-size: 13px; color: ${TEXT_COLORS.role}; }
+#panel dt { margin-top: 10px; font-size: 10px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: .05em; }
+#panel dd { margin: 2px 0 0; font-size: 13px; color: ${TEXT_COLORS.comment}; white-space: pre-wrap; }
+#panel dd button { margin: 2px 4px 0 0; padding: 2px 8px; font-size: 12px; background: #eef2ff; color: #4338ca; }
+#panel .close { position: absolute; top: 10px; right: 10px; padding: 2px 8px; background: none; color: #9ca3af; }
+`;
+
+/**
+ * Visionneuse (sans dépendance). Le viewBox du SVG sert de caméra : la
+ * molette zoome sous le curseur, le glisser déplace, un clic sur une carte
+ * ouvre sa fiche, un clic sur « ▼ Commentaire » déplie le commentaire.
+ */
+const SCRIPT = `
+(() => {
+  const cfg = JSON.parse(document.getElementById('organmaker-data').textContent);
+  const chart = document.getElementById('chart');
+  const svg = chart.querySelector('svg');
+  const panel = document.getElementById('panel');
+  const search = document.getElementById('search');
+  const count = document.getElementById('count');
+  const byId = new Map(cfg.people.map((p) => [p.id, p]));
+  const base = svg.viewBox.baseVal;
+  const home = { x: base.x, y: base.y, w: base.width, h: base.height };
+  let view = { ...home };
+
+  const apply = () => svg.setAttribute('viewBox', [view.x, view.y, view.w, view.h].join(' '));
+  const zoomLevel = (w, h) => Math.min(chart.clientWidth / w, chart.clientHeight / h);
+  const toSvg = (cx, cy) => {
+    const pt = svg.createSVGPoint();
+    pt.x = cx;
+    pt.y = cy;
+    return pt.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  // Zoom de facteur f autour du point (cx, cy) de la fenêtre, borné entre « tout voir ÷ 4 » et maxZoom
+  const zoomAt = (f, cx, cy) => {
+    const min = zoomLevel(home.w, home.h) / 4;
+    const next = Math.min(cfg.maxZoom, Math.max(min, zoomLevel(view.w, view.h) * f));
+    f = next / zoomLevel(view.w, view.h);
+    const p = toSvg(cx, cy);
+    view = { x: p.x - (p.x - view.x) / f, y: p.y - (p.y - view.y) / f, w: view.w / f, h: view.h / f };
+    apply();
+  };
+  const zoomCenter = (f) => {
+    const r = chart.getBoundingClientRect();
+    zoomAt(f, r.left + r.width / 2, r.top + r.height / 2);
+  };
+  const fit = () => {
+    view = { ...home };
+    apply();
+  };
+  // Centre la carte p à la taille réelle
+  const focus = (p) => {
+    const w = chart.clientWidth;
+    const h = chart.clientHeight;
+    view = { x: p.x + p.width / 2 - w / 2, y: p.y + p.height / 2 - h / 2, w, h };
+    apply();
+  };
+
+  chart.addEventListener('wheel', (e) => {
+    if (panel.contains(e.target)) return;
+    e.preventDefault();
+    zoomAt(e.deltaY < 0 ? cfg.zoomStep : 1 / cfg.zoomStep, e.clientX, e.clientY);
+  }, { passive: false });
+
+  // ── Déplacement (glisser) et clics ──
+  let drag = null;
+  chart.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || panel.contains(e.target)) return;
+    drag = { x: e.clientX, y: e.clientY, view: { ...view }, target: e.target, moved: false };
+    chart.setPointerCapture(e.pointerId);
+  });
+  chart.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+    drag.moved = true;
+    chart.classList.add('dragging');
+    const unit = 1 / svg.getScreenCTM().a;
+    view = { ...drag.view, x: drag.view.x - dx * unit, y: drag.view.y - dy * unit };
+    apply();
+  });
+  chart.addEventListener('pointerup', () => {
+    const d = drag;
+    drag = null;
+    chart.classList.remove('dragging');
+    if (!d || d.moved) return;
+    const toggle = d.target.closest('.toggle');
+    if (toggle) return toggleComment(toggle.dataset.for);
+    const card = d.target.closest('.person');
+    if (card) return openPanel(byId.get(card.dataset.id));
+    closePanel();
+  });
+
+  // ── Commentaires : échange la carte affichée et sa variante ──
+  const toggleComment = (id) => {
+    const sel = CSS.escape(id);
+    svg.querySelectorAll('#persons > [data-id="' + sel + '"], #overlay > [data-for="' + sel + '"]')
+      .forEach((el) => el.classList.toggle('off'));
+  };
+
+  // ── Fiche de la personne ──
+  const el = (tag, text, cls) => {
+    const node = document.createElement(tag);
+    if (text) node.textContent = text;
+    if (cls) node.className = cls;
+    return node;
+  };
+  const row = (dl, label, content) => {
+    dl.append(el('dt', label));
+    const dd = el('dd', typeof content === 'string' ? content : '');
+    if (typeof content !== 'string') dd.append(...content);
+    dl.append(dd);
+  };
+  const links = (ids) =>
+    ids.filter((id) => byId.has(id)).map((id) => {
+      const b = el('button', byId.get(id).name || 'Sans nom');
+      b.onclick = () => {
+        focus(byId.get(id));
+        openPanel(byId.get(id));
+      };
+      return b;
+    });
+  const openPanel = (p) => {
+    if (!p) return;
+    panel.replaceChildren();
+    const close = el('button', '✕', 'close');
+    close.title = 'Fermer';
+    close.onclick = closePanel;
+    panel.append(close, el('h2', p.name || 'Sans nom'), el('p', p.role, 'role'));
+    const dl = el('dl');
+    if (p.section) row(dl, 'Section', p.section);
+    if (p.managers.length) row(dl, 'Manager', links(p.managers));
+    if (p.side.length) row(dl, 'Rattachement latéral', links(p.side));
+    if (p.reports.length) row(dl, 'Équipe (' + p.reports.length + ')', links(p.reports));
+    if (p.comment) row(dl, 'Commentaire', p.comment);
+    panel.append(dl);
+    panel.classList.remove('off');
+  };
+  const closePanel = () => panel.classList.add('off');
+
+  // ── Recherche (nom ou rôle, sans tenir compte des accents) ──
+  const norm = (s) => s.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+  let matches = [];
+  let current = -1;
+  search.addEventListener('input', () => {
+    const q = norm(search.value.trim());
+    matches = q ? cfg.people.filter((p) => norm(p.name + ' ' + p.role).includes(q)) : [];
+    current = -1;
+    const ids = new Set(matches.map((p) => p.id));
+    svg.classList.toggle('searching', q !== '');
+    svg.querySelectorAll('.person').forEach((g) => g.classList.toggle('match', ids.has(g.dataset.id)));
+    count.textContent = q ? matches.length + ' résultat' + (matches.length > 1 ? 's' : '') : '';
+  });
+  search.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || matches.length === 0) return;
+    current = (current + (e.shiftKey ? matches.length - 1 : 1)) % matches.length;
+    focus(matches[current]);
+    openPanel(matches[current]);
+    count.textContent = current + 1 + ' / ' + matches.length;
+  });
+
+  document.getElementById('zoom-in').onclick = () => zoomCenter(cfg.zoomStep);
+  document.getElementById('zoom-out').onclick = () => zoomCenter(1 / cfg.zoomStep);
+  document.getElementById('fit').onclick = fit;
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePanel();
+    if (e.target === search) return;
+    if (e.key === '+' || e.key === '=') zoomCenter(cfg.zoomStep);
+    if (e.key === '-') zoomCenter(1 / cfg.zoomStep);
+    if (e.key === '0') fit();
+    if (e.key === '/') {
+      e.preventDefault();
+      search.focus();
+    }
+  });
+})();
+`;
+
+/**
+ * Génère la page HTML autonome de l'organigramme.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object} [opts]
+ * @param {string} [opts.title='Organigramme']
+ * @param {string} [opts.subtitle=''] — ex. version et date d'export
+ * @param {object|null} [opts.decor=null] — habillage (voir buildDecor)
+ * @returns {string} document HTML sans ressource externe
+ */
+export function buildHtmlViewer(nodes, edges, opts = {}) {
+  const { title = 'Organigramme', subtitle = '', decor = null } = opts;
+  const persons = nodes.filter(isCard);
+  const svg = buildSvg(nodes, edges, { decor, nodeIds: true, overlay: commentOverlay(persons) }).replace(
+    /^<\?xml[^>]*>\s*/,
+    ''
+  );
+  // « < » échappé : le JSON ne peut pas fermer la balise <script>
+  const data = JSON.stringify({
+    people: peopleData(nodes, edges),
+    zoomStep: HTML_VIEWER_ZOOM_STEP,
+    maxZoom: HTML_VIEWER_MAX_ZOOM,
+  }).replace(/</g, '\\u003c');
+
+  return (
+    '<!DOCTYPE html>\n' +
+    '<html lang="fr">\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    '<meta name="generator" content="OrganMaker">\n' +
+    `<title>${esc(title)}</title>\n<style>${STYLE}</style>\n</head>\n<body>\n` +
+    '<header>' +
+    `<h1>${esc(title)}</h1><span class="meta">${esc(subtitle)}</span>` +
+    '<input id="search" type="search" placeholder="Rechercher un nom, un rôle… (/)" autocomplete="off">' +
+    '<span id="count"></span>' +
+    '<button id="zoom-out" title="Dézoomer (−)">−</button>' +
+    '<button id="zoom-in" title="Zoomer (+)">+</button>' +
+    '<button id="fit" title="Tout afficher (0)">Ajuster</button>' +
+    '</header>\n' +
+    `<main id="chart">${svg}<aside id="panel" class="off"></aside></main>\n` +
+    `<script type="application/json" id="organmaker-data">${data}</script>\n` +
+    `<script>${SCRIPT}</script>\n</body>\n</html>\n`
+  );
+}
@@ -0,0 +1,563 @@
+import dagre from 'dagre';
+import {
+  LAYOUT_MARGIN_X,
+  LAYOUT_MARGIN_Y,
+  SIDE_OFFSET_X,
+  SIDE_STACK_GAP_Y,
+  SIDE_START_Y,
+  COMPACT_STACK_GAP_Y,
+  SECTION_FIT_PADDING,
+  SECTION_FIT_HEADER,
+  DEFAULT_LAYOUT_OPTIONS,
+} from '../config';
+import { isCard, isSideEdge, nodeRect, cardDescendants, collapsedHidden, visibleGraph } from './graph';
+
+/**
+ * Disposition automatique de l'organigramme (bouton « Organiser »), selon
+ * les options enregistrées avec lui (DEFAULT_LAYOUT_OPTIONS) :
+ *  - style : 'tree' (dagre, piles latérales pour les liens de côté),
+ *    'compact' (idem, feuilles empilées sous leur manager) ou 'radial'
+ *    (cercles concentriques autour de la racine)
+ *  - direction : sens de l'arbre, 'TB' | 'BT' | 'LR' | 'RL'
+ *  - rankSep / nodeSep : espacement entre niveaux / entre voisins
+ *  - sections : sections disposées en blocs autour de leurs membres
+ */
+
+/**
+ * Passage du repère « de haut en bas » au sens demandé, pour un
+ * rectangle { x, y, width, height } calculé de haut en bas (largeur et
+ * hauteur déjà échangées pour les sens horizontaux).
+ */
+const ORIENT = {
+  TB: (r) => ({ x: r.x, y: r.y }),
+  BT: (r) => ({ x: r.x, y: -(r.y + r.height) }),
+  LR: (r) => ({ x: r.y, y: r.x }),
+  RL: (r) => ({ x: -(r.y + r.height), y: r.x }),
+};
+
+/** Positions décalées pour commencer aux marges de la disposition */
+function toMargins(posMap) {
+  const all = Object.values(posMap);
+  const dx = LAYOUT_MARGIN_X - Math.min(...all.map((p) => p.x));
+  const dy = LAYOUT_MARGIN_Y - Math.min(...all.map((p) => p.y));
+  Object.values(posMap).forEach((p) => {
+    p.x += dx;
+    p.y += dy;
+  });
+  return posMap;
+}
+
+/**
+ * Disposition d'un niveau (tout l'organigramme, ou le contenu d'une
+ * section) : dagre pour les liens hiérarchiques, puis piles pour les liens
+ * de côté (et les feuilles en disposition compacte). La place des piles
+ * est réservée dans dagre : les équipes suivantes passent en dessous.
+ *
+ * @param {Array<{ id: string, width: number, height: number }>} items
+ * @param {Array<{ source: string, target: string, side: 'left'|'right'|null }>} links — entre items
+ * @param {object} options — voir DEFAULT_LAYOUT_OPTIONS
+ * @returns {Object<string, { x: number, y: number }>} coin haut-gauche de chaque item
+ */
+function layoutLevel(items, links, options) {
+  if (items.length === 0) return {};
+  if (options.style === 'radial') return layoutRadial(items, links, options);
+
+  // Calcul de haut en bas, orienté à la fin
+  const direction = ORIENT[options.direction] ? options.direction : 'TB';
+  const horizontal = direction === 'LR' || direction === 'RL';
+  const sizes = new Map(
+    items.map((i) => [i.id, horizontal ? { width: i.height, height: i.width } : { width: i.width, height: i.height }])
+  );
+
+  // ── Compact : feuilles d'un seul manager empilées sous lui ──
+  const sources = new Set(links.map((l) => l.source));
+  const incoming = new Map();
+  links.forEach((l) => incoming.set(l.target, (incoming.get(l.target) || 0) + 1));
+  const stackLinks = links.map((l) =>
+    options.style === 'compact' && !l.side && !sources.has(l.target) && incoming.get(l.target) === 1
+      ? { ...l, side: 'below' }
+      : l
+  );
+
+  // ── Séparer les liens hiérarchiques (haut) des piles ──
+  const treeEdges = stackLinks.filter((l) => !l.side);
+  const sideEdges = stackLinks.filter((l) => l.side);
+  const sideChildIds = new Set(sideEdges.map((e) => e.target));
+
+  // ── Regrouper les enfants empilés par parent ──
+  const stacksByParent = {};
+  sideEdges.forEach((e) => {
+    if (!stacksByParent[e.source]) {
+      stacksByParent[e.source] = { left: [], right: [], below: [] };
+    }
+    stacksByParent[e.source][e.side].push(e.target);
+  });
+
+  const stackHeight = (ids, start, gap) =>
+    ids.length ? start + ids.reduce((h, id) => h + sizes.get(id).height, 0) + gap * (ids.length - 1) : 0;
+
+  /** Place réservée autour d'un parent pour ses piles */
+  const extent = (id) => {
+    const { width, height } = sizes.get(id);
+    const stacks = stacksByParent[id];
+    if (!stacks) return { width, height, left: 0 };
+    const below = Math.max(0, ...stacks.below.map((c) => (sizes.get(c).width - width) / 2));
+    const left = Math.max(stacks.right.length ? SIDE_OFFSET_X : 0, below);
+    const right = Math.max(stacks.left.length ? SIDE_OFFSET_X : 0, below);
+    const sides = Math.max(
+      stackHeight(stacks.left, SIDE_START_Y, SIDE_STACK_GAP_Y),
+      stackHeight(stacks.right, SIDE_START_Y, SIDE_STACK_GAP_Y)
+    );
+    return {
+      width: width + left + right,
+      height: height + sides + stackHeight(stacks.below, COMPACT_STACK_GAP_Y, COMPACT_STACK_GAP_Y),
+      left,
+    };
+  };
+
+  // ── Dagre : uniquement les liens hiérarchiques ──
+  const g = new dagre.graphlib.Graph();
+  g.setDefaultEdgeLabel(() => ({}));
+  g.setGraph({
+    rankdir: 'TB',
+    ranksep: options.rankSep,
+    nodesep: options.nodeSep,
+    marginx: LAYOUT_MARGIN_X,
+    marginy: LAYOUT_MARGIN_Y,
+  });
+
+  items.forEach((n) => {
+    const hasTreeParent = treeEdges.some((e) => e.target === n.id);
+    if (sideChildIds.has(n.id) && !hasTreeParent) {
+      g.setNode(n.id, { width: 1, height: 1 });
+    } else {
+      const { width, height } = extent(n.id);
+      g.setNode(n.id, { width, height });
+    }
+  });
+
+  treeEdges.forEach((e) => {
+    g.setEdge(e.source, e.target);
+  });
+
+  dagre.layout(g);
+
+  // ── Positions initiales depuis dagre, alignées en haut de leur rang ──
+  const rankHeight = new Map();
+  items.forEach((n) => {
+    const { y, height } = g.node(n.id);
+    rankHeight.set(y, Math.max(rankHeight.get(y) || 0, height));
+  });
+  const posMap = {};
+  items.forEach((n) => {
+    const pos = g.node(n.id);
+    const left = sideChildIds.has(n.id) ? -sizes.get(n.id).width / 2 : extent(n.id).left;
+    posMap[n.id] = { x: pos.x - pos.width / 2 + left, y: pos.y - rankHeight.get(pos.y) / 2 };
+  });
+
+  // ── Construire la map de descendants tree pour décaler les sous-arbres ──
+  const treeChildrenMap = {};
+  treeEdges.forEach((e) => {
+    if (!treeChildrenMap[e.source]) treeChildrenMap[e.source] = [];
+    treeChildrenMap[e.source].push(e.target);
+  });
+
+  function getTreeDescendants(nodeId, visited = new Set()) {
+    if (visited.has(nodeId)) return [];
+    visited.add(nodeId);
+    const children = treeChildrenMap[nodeId] || [];
+    const result = [...children];
+    for (const child of children) {
+      result.push(...getTreeDescendants(child, visited));
+    }
+    return result;
+  }
+
+  // ── Repositionner un enfant empilé + décaler son sous-arbre ──
+  function repositionChild(childId, newPos) {
+    const oldPos = posMap[childId];
+    const dx = newPos.x - oldPos.x;
+    const dy = newPos.y - oldPos.y;
+    posMap[childId] = newPos;
+    const descendants = getTreeDescendants(childId);
+    descendants.forEach((descId) => {
+      posMap[descId] = {
+        x: posMap[descId].x + dx,
+        y: posMap[descId].y + dy,
+      };
+    });
+  }
+
+  // ── Traitement en ordre BFS (parents avant enfants) ──
+  const visited = new Set();
+  const roots = items.filter((n) => !links.some((e) => e.target === n.id)).map((n) => n.id);
+  const queue = [...roots];
+  const processOrder = [];
+  while (queue.length) {
+    const nid = queue.shift();
+    if (visited.has(nid)) continue;
+    visited.add(nid);
+    processOrder.push(nid);
+    links.forEach((e) => {
+      if (e.source === nid && !visited.has(e.target)) {
+        queue.push(e.target);
+      }
+    });
+  }
+  // Ajouter les nœuds non visités (cycles, isolés)
+  items.forEach((n) => {
+    if (!visited.has(n.id)) processOrder.push(n.id);
+  });
+
+  // ── Placer les piles sous le parent, renvoie le bas de la pile ──
+  const placeStack = (childIds, x, y, gap) => {
+    let bottom = y - gap;
+    childIds.forEach((childId) => {
+      const { width, height } = sizes.get(childId);
+      repositionChild(childId, { x: x(width), y: bottom + gap });
+      bottom += gap + height;
+    });
+    return bottom;
+  };
+  processOrder.forEach((nid) => {
+    const stacks = stacksByParent[nid];
+    if (!stacks) return;
+    const parentPos = posMap[nid];
+    const parent = sizes.get(nid);
+    const top = parentPos.y + parent.height + SIDE_START_Y;
+    // target-right → enfant à GAUCHE (flèche descend puis va à gauche vers le côté droit)
+    const leftBottom = placeStack(stacks.right, () => parentPos.x - SIDE_OFFSET_X, top, SIDE_STACK_GAP_Y);
+    // target-left → enfant à DROITE (flèche descend puis va à droite vers le côté gauche)
+    const rightBottom = placeStack(stacks.left, () => parentPos.x + SIDE_OFFSET_X, top, SIDE_STACK_GAP_Y);
+    // Feuilles (compact) : centrées sous le parent, après les piles latérales
+    const below = Math.max(parentPos.y + parent.height, leftBottom, rightBottom) + COMPACT_STACK_GAP_Y;
+    placeStack(stacks.below, (width) => parentPos.x + (parent.width - width) / 2, below, COMPACT_STACK_GAP_Y);
+  });
+
+  if (direction === 'TB') return posMap;
+  Object.keys(posMap).forEach((id) => {
+    posMap[id] = ORIENT[direction]({ ...posMap[id], ...sizes.get(id) });
+  });
+  return toMargins(posMap);
+}
+
+/**
+ * Disposition radiale : la racine au centre (ou un centre vide s'il y a
+ * plusieurs racines), chaque niveau sur un cercle. Chaque équipe occupe
+ * un secteur proportionnel à son nombre de feuilles ; le rayon de chaque
+ * cercle est agrandi jusqu'à ce que les cartes voisines ne se touchent
+ * plus. Les liens de côté sont traités comme des liens hiérarchiques.
+ */
+function layoutRadial(items, links, { rankSep, nodeSep }) {
+  const ids = items.map((i) => i.id);
+
+  // ── Arbre couvrant, en largeur depuis les racines ──
+  const children = new Map(ids.map((id) => [id, []]));
+  const visited = new Set();
+  const tops = [];
+  const roots = ids.filter((id) => !links.some((l) => l.target === id));
+  [...roots, ...ids].forEach((root) => {
+    if (visited.has(root)) return;
+    visited.add(root);
+    tops.push(root);
+    const queue = [root];
+    while (queue.length) {
+      const id = queue.shift();
+      links.forEach((l) => {
+        if (l.source !== id || visited.has(l.target)) return;
+        visited.add(l.target);
+        children.get(id).push(l.target);
+        queue.push(l.target);
+      });
+    }
+  });
+
+  const CENTER = null;
+  const kids = (id) => (id === CENTER ? tops : children.get(id));
+  const leaves = new Map();
+  const countLeaves = (id) => {
+    const list = kids(id);
+    const count = list.length ? list.reduce((sum, c) => sum + countLeaves(c), 0) : 1;
+    leaves.set(id, count);
+    return count;
+  };
+  const start = tops.length === 1 ? tops[0] : CENTER;
+  countLeaves(start);
+
+  // ── Angle de chaque item, au milieu du secteur de son équipe ──
+  const polar = new Map();
+  const assign = (id, depth, a0, a1) => {
+    if (id !== CENTER) polar.set(id, { depth, angle: (a0 + a1) / 2 });
+    let a = a0;
+    kids(id).forEach((c) => {
+      const span = ((a1 - a0) * leaves.get(c)) / leaves.get(id);
+      assign(c, depth + 1, a, a + span);
+      a += span;
+    });
+  };
+  assign(start, 0, -Math.PI / 2, (Math.PI * 3) / 2);
+
+  // ── Rayon de chaque cercle ──
+  const cell = Math.max(...items.map((i) => Math.max(i.width, i.height)));
+  const byDepth = [];
+  polar.forEach(({ depth, angle }) => {
+    (byDepth[depth] = byDepth[depth] || []).push(angle);
+  });
+  const radius = [0];
+  for (let d = 1; d < byDepth.length; d++) {
+    const angles = (byDepth[d] || []).sort((a, b) => a - b);
+    let need = 0;
+    if (angles.length > 1) {
+      const gaps = angles.map((a, i) => (i ? a - angles[i - 1] : angles[0] + Math.PI * 2 - angles[angles.length - 1]));
+      const gap = Math.min(Math.PI, ...gaps);
+      need = (cell + nodeSep) / (2 * Math.sin(gap / 2));
+    }
+    radius[d] = Math.max(radius[d - 1] + cell + rankSep, need);
+  }
+
+  const posMap = {};
+  items.forEach((n) => {
+    const { depth, angle } = polar.get(n.id);
+    posMap[n.id] = {
+      x: radius[depth] * Math.cos(angle) - n.width / 2,
+      y: radius[depth] * Math.sin(angle) - n.height / 2,
+    };
+  });
+  return toMargins(posMap);
+}
+
+/**
+ * Cartes (personnes et postes à pourvoir, voir isCard) disposées selon
+ * les options de disposition. Les cartes des branches repliées sont laissées de côté et suivent leur
+ * carte repliée.
+ *
+ * Avec `sections`, chaque section est un bloc : ses membres (`sectionId`,
+ * voir utils/sections.js) sont disposés ensemble, la section est ajustée
+ * autour d'eux, puis les blocs sont disposés comme des cartes — sans
+ * chevauchement, les liens entre sections donnant l'ordre des niveaux.
+ * Sinon les sections ne bougent pas.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object} [options] — voir DEFAULT_LAYOUT_OPTIONS
+ * @returns {Array} les nœuds, repositionnés (sections redimensionnées)
+ */
+export function layoutCards(nodes, edges, options = {}) {
+  const opts = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+  const { sections } = opts;
+  const hidden = collapsedHidden(nodes, edges);
+  const cards = nodes.filter((n) => isCard(n) && !hidden.has(n.id));
+  const cardIds = new Set(cards.map((n) => n.id));
+  const sectionNodes = sections ? nodes.filter((n) => n.type === 'section') : [];
+  const sectionIds = new Set(sectionNodes.map((n) => n.id));
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+
+  // ── Conteneur de chaque carte / section (null : racine), sans cycle ──
+  const parent = new Map();
+  [...cards, ...sectionNodes].forEach((n) => parent.set(n.id, sectionIds.has(n.sectionId) ? n.sectionId : null));
+  sectionNodes.forEach((s) => {
+    const seen = new Set([s.id]);
+    for (let p = parent.get(s.id); p; p = parent.get(p)) {
+      if (seen.has(p)) {
+        parent.set(s.id, null);
+        break;
+      }
+      seen.add(p);
+    }
+  });
+  const children = new Map();
+  parent.forEach((p, id) => {
+    if (!children.has(p)) children.set(p, []);
+    children.get(p).push(id);
+  });
+
+  /** Item du conteneur qui contient `id` (lui-même ou une de ses sections), ou null */
+  const itemIn = (id, container) => {
+    for (let cur = id; cur; cur = parent.get(cur)) {
+      if (parent.get(cur) === container) return cur;
+    }
+    return null;
+  };
+
+  // ── Disposition de chaque conteneur, des sections les plus imbriquées vers la racine ──
+  const relative = new Map(); // position dans le conteneur (hors marges de la section)
+  const fitted = new Map(); // taille des sections ajustées
+
+  const layoutContainer = (container) => {
+    const items = (children.get(container) || []).map((id) => {
+      if (!sectionIds.has(id)) {
+        // Taille mesurée par React Flow, constantes tant que la carte n'est pas affichée
+        const { width, height } = nodeRect(byId.get(id));
+        return { id, width, height };
+      }
+      const size = layoutSection(id);
+      return { id, ...size };
+    });
+    const links = [];
+    edges.forEach((e) => {
+      if (!cardIds.has(e.source) || !cardIds.has(e.target)) return;
+      const source = itemIn(e.source, container);
+      const target = itemIn(e.target, container);
+      if (!source || !target || source === target) return;
+      // Lien de côté seulement entre deux cartes du même niveau
+      const side = source === e.source && target === e.target && isSideEdge(e)
+        ? (e.targetHandle === 'target-left' ? 'left' : 'right')
+        : null;
+      links.push({ source, target, side });
+    });
+    return { items, positions: layoutLevel(items, links, opts) };
+  };
+
+  const layoutSection = (id) => {
+    const { items, positions } = layoutContainer(id);
+    if (items.length === 0) {
+      // Section vide : taille conservée
+      const { width, height } = nodeRect(byId.get(id));
+      return { width, height };
+    }
+    const minX = Math.min(...items.map((i) => positions[i.id].x));
+    const minY = Math.min(...items.map((i) => positions[i.id].y));
+    const maxX = Math.max(...items.map((i) => positions[i.id].x + i.width));
+    const maxY = Math.max(...items.map((i) => positions[i.id].y + i.height));
+    items.forEach((i) => relative.set(i.id, { x: positions[i.id].x - minX, y: positions[i.id].y - minY }));
+    const size = {
+      width: maxX - minX + SECTION_FIT_PADDING * 2,
+      height: maxY - minY + SECTION_FIT_PADDING * 2 + SECTION_FIT_HEADER,
+    };
+    fitted.set(id, size);
+    return size;
+  };
+
+  const posMap = {};
+  const place = (id, x, y) => {
+    posMap[id] = { x, y };
+    (sectionIds.has(id) ? children.get(id) || [] : []).forEach((child) => {
+      const r = relative.get(child);
+      place(child, x + SECTION_FIT_PADDING + r.x, y + SECTION_FIT_PADDING + SECTION_FIT_HEADER + r.y);
+    });
+  };
+  const root = layoutContainer(null);
+  root.items.forEach((i) => place(i.id, root.positions[i.id].x, root.positions[i.id].y));
+
+  // ── Les branches repliées suivent leur carte ──
+  cards.forEach((n) => {
+    if (!n.data.collapsed) return;
+    const dx = posMap[n.id].x - n.position.x;
+    const dy = posMap[n.id].y - n.position.y;
+    cardDescendants(n.id, nodes, edges).forEach((id) => {
+      if (posMap[id]) return;
+      const { position } = byId.get(id);
+      posMap[id] = { x: position.x + dx, y: position.y + dy };
+    });
+  });
+
+  return nodes.map((n) => {
+    if (!posMap[n.id]) return n;
+    const size = fitted.get(n.id);
+    if (!size) return { ...n, position: posMap[n.id] };
+    return { ...n, position: posMap[n.id], width: undefined, height: undefined, style: { ...n.style, ...size } };
+  });
+}
+
+/**
+ * Dispose seulement les cartes `ids` (sélection, ou équipe d'une personne)
+ * avec les mêmes options que layoutCards, sans sections ; les autres nœuds
+ * ne bougent pas. Le résultat est ancré sur la position actuelle de sa
+ * racine (la plus haute s'il y en a plusieurs), puis, s'il recouvre
+ * d'autres cartes ou des sections dont il n'est pas membre, décalé du plus
+ * petit déplacement qui les évite.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Iterable<string>} ids
+ * @param {object} [options] — voir DEFAULT_LAYOUT_OPTIONS
+ * @returns {Array} les nœuds, cartes `ids` repositionnées
+ */
+export function layoutSubset(nodes, edges, ids, options = {}) {
+  const hidden = collapsedHidden(nodes, edges);
+  const subset = new Set([...ids].filter((id) => !hidden.has(id)));
+  const cards = nodes.filter((n) => isCard(n) && subset.has(n.id));
+  if (cards.length === 0) return nodes;
+
+  // Les cartes masquées des branches repliées suivent leur carte
+  const moved = new Set(subset);
+  cards.forEach((n) => {
+    if (n.data.collapsed) cardDescendants(n.id, nodes, edges).forEach((id) => hidden.has(id) && moved.add(id));
+  });
+  const part = nodes.filter((n) => moved.has(n.id));
+  const partEdges = edges.filter((e) => moved.has(e.source) && moved.has(e.target));
+  const laid = new Map(layoutCards(part, partEdges, { ...options, sections: false }).map((n) => [n.id, n]));
+
+  // ── Ancrage sur la racine ──
+  const roots = cards.filter((n) => !partEdges.some((e) => e.target === n.id && subset.has(e.source)));
+  const root = (roots.length ? roots : cards).reduce((a, b) =>
+    b.position.y < a.position.y || (b.position.y === a.position.y && b.position.x < a.position.x) ? b : a
+  );
+  const dx = root.position.x - laid.get(root.id).position.x;
+  const dy = root.position.y - laid.get(root.id).position.y;
+
+  // ── Plus petit décalage sans recouvrement ──
+  const gap = options.nodeSep ?? DEFAULT_LAYOUT_OPTIONS.nodeSep;
+  const block = cards.map((n) => {
+    const r = nodeRect(laid.get(n.id));
+    return { ...r, x: r.x + dx, y: r.y + dy };
+  });
+  // Sections de la racine et des cartes déplacées (et celles qui les contiennent) : pas des obstacles
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const own = new Set();
+  part.forEach((n) => {
+    for (let id = n.sectionId; id && !own.has(id); id = byId.get(id)?.sectionId) own.add(id);
+  });
+  const obstacles = nodes
+    .filter((n) => (n.type === 'section' ? !own.has(n.id) : isCard(n) && !moved.has(n.id) && !hidden.has(n.id)))
+    .map(nodeRect);
+  const hits = (ox, oy) =>
+    block.some((r) =>
+      obstacles.some(
+        (o) =>
+          r.x + ox < o.x + o.width + gap &&
+          o.x < r.x + ox + r.width + gap &&
+          r.y + oy < o.y + o.height + gap &&
+          o.y < r.y + oy + r.height + gap
+      )
+    );
+  const box = {
+    x: Math.min(...block.map((r) => r.x)),
+    y: Math.min(...block.map((r) => r.y)),
+    right: Math.max(...block.map((r) => r.x + r.width)),
+  };
+  const candidates = [[0, 0]];
+  obstacles.forEach((o) => {
+    candidates.push([o.x + o.width + gap - box.x, 0], [o.x - gap - box.right, 0], [0, o.y + o.height + gap - box.y]);
+  });
+  candidates.sort((a, b) => Math.hypot(...a) - Math.hypot(...b));
+  // Sous tous les autres nœuds en dernier recours
+  const [ox, oy] = candidates.find(([cx, cy]) => !hits(cx, cy)) || [
+    0,
+    Math.max(...obstacles.map((o) => o.y + o.height)) + gap - box.y,
+  ];
+
+  return nodes.map((n) => {
+    if (!moved.has(n.id)) return n;
+    const { position } = laid.get(n.id);
+    return { ...n, position: { x: position.x + dx + ox, y: position.y + dy + oy } };
+  });
+}
+
+/**
+ * Graphe à exporter : tel qu'affiché (branches repliées masquées) ou,
+ * avec `expanded`, tout déplié et réorganisé — les cartes masquées n'ont
+ * pas de place dans la disposition actuelle.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {boolean} [expanded]
+ * @param {object} [options] — options de disposition de l'organigramme
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function exportGraph(nodes, edges, expanded = false, options = {}) {
+  if (!expanded) return visibleGraph(nodes, edges);
+  if (!nodes.some((n) => isCard(n) && n.data.collapsed)) return { nodes, edges };
+  const unfolded = nodes.map((n) => (n.data?.collapsed ? { ...n, data: { ...n.data, collapsed: false } } : n));
+  return { nodes: layoutCards(unfolded, edges, options), edges };
+}
@@ -0,0 +1,336 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isCard, isSideEdge, nodeRect, nodesInSection } from './graph';
+import { contentBounds } from './exportGeometry';
+import { matchNodes } from './chartDiff';
+import {
+  MERGE_REGION_GAP,
+  MERGE_PRESET_SUFFIX,
+  SECTION_FIT_PADDING,
+  SECTION_FIT_HEADER,
+  VACANCY_LABEL,
+  VACANCY_STATUSES,
+} from '../config';
+
+/**
+ * Import d'un organigramme JSON (format `exportFlow`) dans l'organigramme
+ * ouvert.
+ *
+ * Modes :
+ *  - replace : remplace le contenu
+ *  - region  : ajoute l'import à droite du contenu existant
+ *  - section : ajoute l'import dans une section existante (agrandie au besoin)
+ *  - update  : met à jour les personnes et postes à pourvoir existants,
+ *              rapprochés par id puis par nom ou intitulé (positions
+ *              conservées) ; les autres sont ajoutés en nouvelle zone
+ *
+ * Dans tous les modes, les presets sont fusionnés par nom.
+ * `planImport` liste ce qui sera fait et les conflits ; `applyImport`
+ * applique le plan avec les choix de l'utilisateur.
+ */
+
+const normalize = (s) => String(s ?? '').trim().toLowerCase();
+
+/** Champs comparés lors d'une mise à jour */
+const PERSON_FIELDS = [
+  ['name', 'Nom'],
+  ['role', 'Rôle'],
+  ['comment', 'Commentaire'],
+  ['photo', 'Photo'],
+];
+
+/** Champs propres aux postes à pourvoir */
+const VACANCY_FIELDS = [
+  ['level', 'Niveau'],
+  ['targetStart', 'Arrivée'],
+  ['status', 'Statut'],
+];
+
+const statusLabel = (id) => VACANCY_STATUSES.find((s) => s.id === id)?.label || id || '';
+
+/** Nom affiché d'une carte */
+function cardName(node) {
+  if (node?.type === 'vacancy') return [VACANCY_LABEL, node.data.role].filter(Boolean).join(' – ');
+  return node?.data.name || 'Sans nom';
+}
+
+const sameIds = (a, b) => a.length === b.length && [...a].sort().join('|') === [...b].sort().join('|');
+
+/** Managers (liens hiérarchiques entrants depuis une carte) */
+function managersOf(id, edges, cardIds) {
+  return edges.filter((e) => e.target === id && cardIds.has(e.source) && !isSideEdge(e)).map((e) => e.source);
+}
+
+function names(ids, byId) {
+  return ids.length ? ids.map((id) => cardName(byId.get(id))).join(', ') : 'aucun';
+}
+
+/**
+ * Différences de champs et de manager entre une carte existante et
+ * importée (poste pourvu ou rouvert si le type change)
+ */
+function personChanges(existing, incoming, ctx) {
+  const changes = [];
+  if (existing.type !== incoming.type) {
+    changes.push({ field: 'filled', label: 'Poste', from: '', to: incoming.type === 'person' ? 'pourvu' : 'à pourvoir' });
+  }
+  const fields = existing.type === 'vacancy' && incoming.type === 'vacancy' ? [...PERSON_FIELDS, ...VACANCY_FIELDS] : PERSON_FIELDS;
+  fields
+    .filter(([key]) => (existing.data[key] || '') !== (incoming.data[key] || ''))
+    .forEach(([field, label]) => {
+      if (field === 'photo') changes.push({ field, label, from: '', to: incoming.data.photo ? 'modifiée' : 'retirée' });
+      else if (field === 'status') changes.push({ field, label, from: statusLabel(existing.data.status), to: statusLabel(incoming.data.status) });
+      else changes.push({ field, label, from: existing.data[field] || '', to: incoming.data[field] || '' });
+    });
+  const fieldValues = (n) =>
+    Object.entries(n.data.fields || {})
+      .filter(([, v]) => v)
+      .sort(([a], [b]) => a.localeCompare(b));
+  const fieldText = (n) => fieldValues(n).map(([, v]) => v).join(', ');
+  if (JSON.stringify(fieldValues(existing)) !== JSON.stringify(fieldValues(incoming))) {
+    changes.push({ field: 'fields', label: 'Fiche', from: fieldText(existing), to: fieldText(incoming) });
+  }
+  const before = managersOf(existing.id, ctx.current.edges, ctx.currentIds);
+  const after = managersOf(incoming.id, ctx.imported.edges, ctx.importedIds);
+  if (!sameIds(before, after.map((id) => ctx.match.get(id) || `new:${id}`))) {
+    changes.push({
+      field: 'manager',
+      label: 'Manager',
+      from: names(before, ctx.currentById),
+      to: names(after, ctx.importedById),
+    });
+  }
+  return changes;
+}
+
+const presetContent = (p) => JSON.stringify({ nodes: p.nodes, edges: p.edges });
+
+/**
+ * Rapproche les presets importés des presets existants par nom.
+ *
+ * @returns {Array<{ preset: object, status: 'new'|'same'|'conflict', existing?: object }>}
+ *          `same` : même nom et même contenu, rien à faire
+ */
+export function planPresets(current = [], imported = []) {
+  const byName = new Map(current.map((p) => [normalize(p.name), p]));
+  return (imported || []).map((preset) => {
+    const existing = byName.get(normalize(preset.name));
+    if (!existing) return { preset, status: 'new' };
+    return { preset, status: presetContent(existing) === presetContent(preset) ? 'same' : 'conflict', existing };
+  });
+}
+
+/**
+ * Fusionne des presets par nom. En cas de conflit (même nom, contenu
+ * différent) : `keep` garde l'existant, `replace` le remplace, `both`
+ * ajoute l'importé sous le nom « … (importé) ».
+ *
+ * @param {Array} current
+ * @param {Array} imported
+ * @param {Record<string, 'keep'|'replace'|'both'>} [choices] — par id de preset importé (défaut 'keep')
+ * @returns {Array}
+ */
+export function mergePresets(current = [], imported = [], choices = {}) {
+  let result = [...current];
+  const ids = new Set(current.map((p) => p.id));
+  const withFreeId = (preset) => {
+    const copy = ids.has(preset.id) ? { ...preset, id: uuidv4() } : preset;
+    ids.add(copy.id);
+    return copy;
+  };
+  planPresets(current, imported).forEach(({ preset, status, existing }) => {
+    if (status === 'new') {
+      result.push(withFreeId(preset));
+    } else if (status === 'conflict') {
+      const choice = choices[preset.id] || 'keep';
+      if (choice === 'replace') {
+        result = result.map((p) => (p.id === existing.id ? { ...preset, id: existing.id } : p));
+      } else if (choice === 'both') {
+        result.push(withFreeId({ ...preset, name: `${preset.name}${MERGE_PRESET_SUFFIX}` }));
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Ce que fera l'import, carte par carte (personnes et postes à pourvoir).
+ *
+ * - update : `update` (différences listées) ou `same` si la carte existe
+ *   (même id, sinon même nom ou même intitulé de poste), sinon `new`
+ * - region / section : `duplicate` si une seule personne existante porte
+ *   le même nom, sinon `new`
+ * - replace : toutes `new`
+ *
+ * @param {{ nodes: Array, edges: Array, presets: Array }} current
+ * @param {{ nodes: Array, edges: Array, presets?: Array }} imported
+ * @param {'replace'|'region'|'section'|'update'} mode
+ * @returns {{
+ *   people: Array<{ id: string, name: string, status: 'new'|'update'|'same'|'duplicate', existingId?: string, changes: Array }>,
+ *   sections: Map<string, string>,
+ *   presets: Array
+ * }} — `sections` : sections importées rapprochées d'une section existante (mode update)
+ */
+export function planImport(current, imported, mode) {
+  const currentCards = current.nodes.filter(isCard);
+  const importedCards = imported.nodes.filter(isCard);
+  const entry = (n, status, existingId, changes = []) => ({
+    id: n.id,
+    name: cardName(n),
+    status,
+    existingId,
+    changes,
+  });
+
+  let people;
+  let sections = new Map();
+  if (mode === 'replace') {
+    people = importedCards.map((n) => entry(n, 'new'));
+  } else if (mode === 'update') {
+    const match = matchNodes(imported.nodes, current.nodes);
+    const ctx = {
+      current,
+      imported,
+      match,
+      currentIds: new Set(currentCards.map((n) => n.id)),
+      importedIds: new Set(importedCards.map((n) => n.id)),
+      currentById: new Map(current.nodes.map((n) => [n.id, n])),
+      importedById: new Map(imported.nodes.map((n) => [n.id, n])),
+    };
+    people = importedCards.map((n) => {
+      const existingId = match.get(n.id);
+      if (!existingId) return entry(n, 'new');
+      const changes = personChanges(ctx.currentById.get(existingId), n, ctx);
+      return entry(n, changes.length ? 'update' : 'same', existingId, changes);
+    });
+    sections = new Map(
+      imported.nodes.filter((n) => n.type === 'section' && match.has(n.id)).map((n) => [n.id, match.get(n.id)])
+    );
+  } else {
+    const byName = new Map();
+    currentCards.forEach((n) => {
+      const key = n.type === 'person' && normalize(n.data.name);
+      if (!key) return;
+      byName.set(key, [...(byName.get(key) || []), n.id]);
+    });
+    people = importedCards.map((n) => {
+      const matches = (n.type === 'person' && byName.get(normalize(n.data.name))) || [];
+      return matches.length === 1 ? entry(n, 'duplicate', matches[0]) : entry(n, 'new');
+    });
+  }
+  return { people, sections, presets: planPresets(current.presets, imported.presets) };
+}
+
+/**
+ * Décalage à appliquer aux nœuds ajoutés, et section à agrandir.
+ * @returns {{ dx: number, dy: number, section?: { id: string, width: number, height: number } }}
+ */
+function placement(existing, added, mode, sectionId) {
+  if (added.length === 0) return { dx: 0, dy: 0 };
+  const box = contentBounds(added);
+  const section = mode === 'section' && existing.find((n) => n.id === sectionId && n.type === 'section');
+  if (section) {
+    // Sous les membres actuels de la section
+    const r = nodeRect(section);
+    const members = nodesInSection(section, existing).filter((n) => n.id !== section.id);
+    const top = members.length
+      ? Math.max(...members.map((n) => nodeRect(n).y + nodeRect(n).height)) + SECTION_FIT_PADDING
+      : r.y + SECTION_FIT_HEADER + SECTION_FIT_PADDING;
+    const x = r.x + SECTION_FIT_PADDING;
+    return {
+      dx: x - box.x,
+      dy: top - box.y,
+      section: {
+        id: section.id,
+        width: Math.max(r.width, box.width + SECTION_FIT_PADDING * 2),
+        height: Math.max(r.height, top + box.height + SECTION_FIT_PADDING - r.y),
+      },
+    };
+  }
+  if (existing.length === 0) return { dx: 0, dy: 0 };
+  const area = contentBounds(existing);
+  return { dx: area.x + area.width + MERGE_REGION_GAP - box.x, dy: area.y - box.y };
+}
+
+/**
+ * Applique un import.
+ *
+ * @param {{ nodes: Array, edges: Array, presets: Array }} current
+ * @param {{ nodes: Array, edges: Array, presets?: Array }} imported
+ * @param {object} plan — résultat de planImport
+ * @param {object} [choices]
+ * @param {Record<string, 'import'|'keep'>} [choices.people] — par id importé : mise à jour
+ *        (défaut 'import') ; pour un homonyme : 'link' (utiliser la personne existante, défaut) ou 'add'
+ * @param {Record<string, 'keep'|'replace'|'both'>} [choices.presets] — voir mergePresets
+ * @param {object} options
+ * @param {'replace'|'region'|'section'|'update'} options.mode
+ * @param {string} [options.sectionId] — mode section
+ * @param {boolean} [options.addNew=true] — mode update : ajouter les personnes sans correspondance
+ * @returns {{ nodes: Array, edges: Array, presets: Array }}
+ */
+export function applyImport(current, imported, plan, choices = {}, { mode, sectionId, addNew = true } = {}) {
+  const peopleChoices = choices.people || {};
+  const presets = mergePresets(current.presets, imported.presets, choices.presets);
+  if (mode === 'replace') return { nodes: imported.nodes, edges: imported.edges, presets };
+
+  const importedById = new Map(imported.nodes.map((n) => [n.id, n]));
+  const idMap = new Map(plan.sections); // id importé → id dans le résultat
+  const updates = new Map(); // id existant → nœud importé
+  const keepManager = new Set(); // ids existants dont le manager actuel est conservé
+  const replaceManager = new Set(); // ids existants qui prennent le manager importé
+
+  plan.people.forEach((p) => {
+    const choice = peopleChoices[p.id];
+    if (p.status === 'update' && (choice || 'import') === 'import') {
+      idMap.set(p.id, p.existingId);
+      updates.set(p.existingId, importedById.get(p.id));
+      if (p.changes.some((c) => c.field === 'manager')) replaceManager.add(p.existingId);
+      else keepManager.add(p.existingId);
+    } else if (p.status === 'update' || p.status === 'same' || (p.status === 'duplicate' && choice !== 'add')) {
+      idMap.set(p.id, p.existingId);
+      keepManager.add(p.existingId);
+    }
+  });
+
+  const added = imported.nodes.filter((n) => !idMap.has(n.id) && (addNew || mode !== 'update'));
+  added.forEach((n) => idMap.set(n.id, uuidv4()));
+
+  const { dx, dy, section } = placement(current.nodes, added, mode, sectionId);
+  const newNodes = added.map((n) => ({
+    ...n,
+    id: idMap.get(n.id),
+    position: { x: n.position.x + dx, y: n.position.y + dy },
+    selected: false,
+  }));
+
+  const nodes = current.nodes.map((n) => {
+    const incoming = updates.get(n.id);
+    // Poste pourvu ou rouvert : le type change, les champs de l'ancien type ne sont pas gardés
+    if (incoming) {
+      return { ...n, type: incoming.type, data: incoming.type === n.type ? { ...n.data, ...incoming.data } : incoming.data };
+    }
+    if (section?.id === n.id) {
+      return { ...n, width: undefined, height: undefined, style: { ...n.style, width: section.width, height: section.height } };
+    }
+    return n;
+  });
+
+  // Liens : anciens managers retirés si remplacés, liens importés sans doublons
+  const cardIds = new Set(current.nodes.filter(isCard).map((n) => n.id));
+  const edges = current.edges.filter(
+    (e) => !(replaceManager.has(e.target) && cardIds.has(e.source) && !isSideEdge(e))
+  );
+  const key = (e) => `${e.source}→${e.target}|${isSideEdge(e) ? 'side' : 'top'}`;
+  const keys = new Set(edges.map(key));
+  imported.edges.forEach((e) => {
+    const source = idMap.get(e.source);
+    const target = idMap.get(e.target);
+    if (!source || !target) return;
+    if (keepManager.has(target) && !isSideEdge(e)) return;
+    const edge = { ...e, id: uuidv4(), source, target, selected: false };
+    if (keys.has(key(edge))) return;
+    keys.add(key(edge));
+    edges.push(edge);
+  });
+
+  return { nodes: [...nodes, ...newNodes], edges, presets };
+}
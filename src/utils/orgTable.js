@@ -0,0 +1,207 @@
+import { isCard, isSideEdge, computeDepths } from './graph';
+import { VACANCY_LABEL, VACANCY_STATUSES } from '../config';
+
+/**
+ * Conversion tableau ⇄ organigramme : une personne par ligne,
+ * reliée à son manager via une colonne dédiée.
+ */
+
+/**
+ * Champs reconnus par l'import tableur.
+ * `aliases` sert à pré-remplir le mapping à partir des en-têtes.
+ */
+export const TABLE_FIELDS = [
+  { key: 'name', label: 'Nom', required: true, aliases: ['name', 'nom', 'full name', 'nom complet', 'employee', 'employé', 'personne'] },
+  { key: 'role', label: 'Rôle', aliases: ['role', 'rôle', 'title', 'job title', 'poste', 'fonction', 'titre'] },
+  { key: 'manager', label: 'Manager', aliases: ['manager', 'responsable', 'reports to', 'supérieur', 'superieur', 'n+1', 'chef'] },
+  { key: 'team', label: 'Équipe', aliases: ['team', 'équipe', 'equipe', 'department', 'département', 'departement', 'service', 'section'] },
+  { key: 'comment', label: 'Commentaire', aliases: ['comment', 'commentaire', 'notes', 'note', 'remarque'] },
+  { key: 'id', label: 'Identifiant', aliases: ['id', 'identifiant', 'matricule', 'employee id', 'emp id'] },
+];
+
+const normalize = (s) => String(s ?? '').trim().toLowerCase();
+
+/**
+ * Propose un mapping champ → index de colonne à partir des en-têtes.
+ * Les champs sans correspondance valent -1.
+ *
+ * @param {string[]} headers
+ * @returns {Record<string, number>}
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map(normalize);
+  const mapping = {};
+  TABLE_FIELDS.forEach((f) => {
+    mapping[f.key] = normalized.findIndex((h) => f.aliases.includes(h));
+  });
+  return mapping;
+}
+
+/**
+ * Construit les personnes et les liens hiérarchiques d'un tableau.
+ *
+ * Le manager est recherché d'abord par identifiant (si la colonne est
+ * mappée), puis par nom (insensible à la casse). Les managers introuvables,
+ * homonymes ou dont l'identifiant est porté par plusieurs lignes sont
+ * remontés dans `issues` au lieu d'être devinés.
+ *
+ * @param {string[][]} rows — lignes de données (sans l'en-tête)
+ * @param {Record<string, number>} mapping — champ → index de colonne (-1 = ignoré)
+ * @param {object} [opts]
+ * @param {number} [opts.firstLine=1] — numéro de ligne affiché pour rows[0]
+ * @returns {{
+ *   people: Array<{ data: object, team: string }>,
+ *   links: Array<[number, number]>,
+ *   issues: Array<{ line: number, name: string, manager: string, reason: 'unknown'|'ambiguous'|'duplicate-id'|'self' }>
+ * }} — `links` contient des paires [index manager, index collaborateur]
+ */
+export function buildOrgFromTable(rows, mapping, opts = {}) {
+  const { firstLine = 1 } = opts;
+  const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] ?? '').trim() : '');
+
+  const people = [];
+  const lines = [];
+  const managers = [];
+  const byId = new Map();
+  const byName = new Map();
+
+  rows.forEach((row, i) => {
+    const name = cell(row, 'name');
+    if (!name) return;
+    const index = people.length;
+    people.push({
+      data: {
+        name,
+        role: cell(row, 'role'),
+        comment: cell(row, 'comment'),
+      },
+      team: cell(row, 'team'),
+    });
+    lines.push(firstLine + i);
+    managers.push(cell(row, 'manager'));
+
+    const id = cell(row, 'id');
+    if (id) {
+      const idKey = normalize(id);
+      if (!byId.has(idKey)) byId.set(idKey, []);
+      byId.get(idKey).push(index);
+    }
+    const key = normalize(name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(index);
+  });
+
+  const links = [];
+  const issues = [];
+
+  managers.forEach((manager, index) => {
+    if (!manager) return;
+    const key = normalize(manager);
+    const idMatches = byId.get(key) || [];
+    if (idMatches.length > 1) {
+      issues.push({ line: lines[index], name: people[index].data.name, manager, reason: 'duplicate-id' });
+      return;
+    }
+    let managerIndex = idMatches[0];
+    if (managerIndex == null) {
+      const matches = byName.get(key) || [];
+      if (matches.length === 0) {
+        issues.push({ line: lines[index], name: people[index].data.name, manager, reason: 'unknown' });
+        return;
+      }
+      if (matches.length > 1) {
+        issues.push({ line: lines[index], name: people[index].data.name, manager, reason: 'ambiguous' });
+        return;
+      }
+      managerIndex = matches[0];
+    }
+    if (managerIndex === index) {
+      issues.push({ line: lines[index], name: people[index].data.name, manager, reason: 'self' });
+      return;
+    }
+    links.push([managerIndex, index]);
+  });
+
+  return { people, links, issues };
+}
+
+/** En-têtes de l'export tableur (ordre des colonnes de `buildPeopleTable`) */
+export const PEOPLE_TABLE_HEADERS = [
+  'ID',
+  'Nom',
+  'Rôle',
+  'Commentaire',
+  'Manager',
+  'Manager ID',
+  'Rattachement latéral',
+  'Rattachement latéral ID',
+  'Section',
+  'Niveau',
+  'Type',
+];
+
+/** Nom d'une carte dans le tableau (un poste à pourvoir est désigné par son intitulé) */
+function cardName(node, withRole = false) {
+  if (node.type !== 'vacancy') return node.data.name || '';
+  return withRole ? [VACANCY_LABEL, node.data.role].filter(Boolean).join(' – ') : VACANCY_LABEL;
+}
+
+/** Colonne Type : personne, ou poste à pourvoir avec le statut du recrutement */
+function cardType(node) {
+  if (node.type !== 'vacancy') return 'Personne';
+  const status = VACANCY_STATUSES.find((s) => s.id === node.data.status);
+  return status ? `${VACANCY_LABEL} (${status.label})` : VACANCY_LABEL;
+}
+
+/**
+ * Construit le tableau « une ligne par personne » de l'organigramme
+ * (postes à pourvoir compris, voir la colonne Type).
+ *
+ * - Manager : sources des edges entrants par le haut (target-top)
+ * - Rattachement latéral : sources des edges entrants par le côté
+ * - Section : section dont la carte est membre (`sectionId`, voir utils/sections.js)
+ * - Niveau : profondeur dans la hiérarchie (0 = racine)
+ *
+ * Plusieurs managers / rattachements sont séparés par « ; ». Les champs
+ * de la fiche (voir utils/personFields.js) suivent, un par colonne.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Array} [personFields] — schéma de la fiche
+ * @returns {Array<Array<string|number>>} en-têtes + une ligne par personne
+ */
+export function buildPeopleTable(nodes, edges, personFields = []) {
+  const cards = nodes.filter(isCard);
+  const sections = new Map(nodes.filter((n) => n.type === 'section').map((n) => [n.id, n]));
+  const byId = new Map(cards.map((n) => [n.id, n]));
+  const depths = computeDepths(cards, edges);
+
+  const incoming = (id, side) =>
+    edges
+      .filter((e) => e.target === id && byId.has(e.source) && isSideEdge(e) === side)
+      .map((e) => byId.get(e.source));
+  const names = (list) => list.map((n) => cardName(n, true)).join('; ');
+  const ids = (list) => list.map((n) => n.id).join('; ');
+
+  const rows = cards.map((n) => {
+    const managers = incoming(n.id, false);
+    const sideParents = incoming(n.id, true);
+    const section = sections.get(n.sectionId);
+    return [
+      n.id,
+      cardName(n),
+      n.data.role || '',
+      n.data.comment || '',
+      names(managers),
+      ids(managers),
+      names(sideParents),
+      ids(sideParents),
+      section?.data.title || '',
+      depths.has(n.id) ? depths.get(n.id) : '',
+      cardType(n),
+      ...personFields.map((f) => n.data.fields?.[f.id] || ''),
+    ];
+  });
+
+  return [[...PEOPLE_TABLE_HEADERS, ...personFields.map((f) => f.label)], ...rows];
+}
@@ -0,0 +1,108 @@
+import { OUTLINE_SEPARATORS, OUTLINE_EXPORT_SEPARATOR, OUTLINE_TAB_WIDTH } from '../config';
+import { isSideEdge } from './graph';
+
+/**
+ * Liste indentée ⇄ hiérarchie : une personne par ligne (« Alice – CEO »),
+ * l'indentation donne le manager. Texte brut ou liste à puces Markdown.
+ */
+
+/** Puce Markdown / numérotation en début de ligne */
+const BULLET = /^([-*+•]|\d+[.)])(\s+|$)/;
+
+/** « Nom – Rôle », « Nom : Rôle », « Nom (Rôle) »… → { name, role } */
+export function splitPersonLine(text) {
+  for (const sep of OUTLINE_SEPARATORS) {
+    const i = text.indexOf(sep);
+    if (i > 0) return { name: text.slice(0, i).trim(), role: text.slice(i + sep.length).trim() };
+  }
+  const paren = /^(.+?)\s*\(([^)]+)\)$/.exec(text);
+  if (paren) return { name: paren[1].trim(), role: paren[2].trim() };
+  return { name: text.trim(), role: '' };
+}
+
+/**
+ * Lit une liste indentée.
+ *
+ * @param {string} text
+ * @returns {{
+ *   people: Array<{ name: string, role: string, parent: number|null, line: number }>,
+ *   warnings: string[]
+ * }} — `parent` : index du manager dans `people`, null pour une racine
+ */
+export function parseOutline(text) {
+  const people = [];
+  const warnings = [];
+  const stack = []; // { indent, index } des lignes ouvertes
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const indent = /^[ \t]*/
+      .exec(raw)[0]
+      .split('')
+      .reduce((w, c) => w + (c === '\t' ? OUTLINE_TAB_WIDTH : 1), 0);
+    const content = raw
+      .trim()
+      .replace(BULLET, '')
+      .replace(/\*\*|__/g, '')
+      .trim();
+    const { name, role } = splitPersonLine(content);
+    if (!name) {
+      warnings.push(`Ligne ${i + 1} ignorée : nom manquant.`);
+      return;
+    }
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    people.push({ name, role, parent: stack.length ? stack[stack.length - 1].index : null, line: i + 1 });
+    stack.push({ indent, index: people.length - 1 });
+  });
+  return { people, warnings };
+}
+
+/**
+ * Sous-arbres des personnes `rootIds` en liste à puces Markdown
+ * (« - Nom – Rôle », deux espaces par niveau). Seuls les liens
+ * hiérarchiques sont suivis ; les collaborateurs sont dans l'ordre
+ * du canvas (de gauche à droite). Une racine déjà listée sous une
+ * autre n'est pas répétée.
+ *
+ * @param {string[]} rootIds
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {string}
+ */
+export function buildOutline(rootIds, nodes, edges) {
+  const byId = new Map(nodes.filter((n) => n.type === 'person').map((n) => [n.id, n]));
+  const children = new Map();
+  edges.forEach((e) => {
+    if (isSideEdge(e) || !byId.has(e.source) || !byId.has(e.target)) return;
+    if (!children.has(e.source)) children.set(e.source, []);
+    children.get(e.source).push(byId.get(e.target));
+  });
+  children.forEach((list) => list.sort((a, b) => a.position.x - b.position.x));
+
+  // Racines descendantes d'une autre racine : couvertes par celle-ci
+  const descendantsOf = (rootId) => {
+    const found = new Set();
+    const walk = (id) =>
+      (children.get(id) || []).forEach((c) => {
+        if (c.id === rootId || found.has(c.id)) return;
+        found.add(c.id);
+        walk(c.id);
+      });
+    walk(rootId);
+    return found;
+  };
+  const roots = rootIds.filter((id) => byId.has(id));
+  const below = new Map(roots.map((id) => [id, descendantsOf(id)]));
+  const covered = (id) => roots.some((r) => r !== id && below.get(r).has(id) && !below.get(id).has(r));
+
+  const lines = [];
+  const seen = new Set();
+  const emit = (node, depth) => {
+    if (seen.has(node.id)) return; // cycle
+    seen.add(node.id);
+    const { name, role } = node.data;
+    lines.push(`${'  '.repeat(depth)}- ${name || ''}${role ? `${OUTLINE_EXPORT_SEPARATOR}${role}` : ''}`);
+    (children.get(node.id) || []).forEach((c) => emit(c, depth + 1));
+  };
+  roots.filter((id) => !covered(id)).forEach((id) => emit(byId.get(id), 0));
+  return lines.join('\n');
+}
@@ -0,0 +1,525 @@
+import { jsPDF } from 'jspdf';
+import {
+  EXPORT_BG_COLOR,
+  EXPORT_PADDING,
+  PDF_DEFAULT_PAPER,
+  PDF_DEFAULT_MIN_SCALE,
+  PDF_MARGIN_MM,
+  PDF_TILE_OVERLAP_MM,
+} from '../config';
+import {
+  TEXT_COLORS,
+  CARD,
+  SECTION,
+  EDGE,
+  personLayout,
+  sectionLayout,
+  edgeLayout,
+  arrowHeadPoints,
+  contentBounds,
+} from './exportGeometry';
+import { nodesInSection, edgesWithin, isCard } from './graph';
+import { DECOR, decorLayout } from './exportDecor';
+
+/**
+ * Export PDF vectoriel (jsPDF) : cartes, sections et flèches dessinées en
+ * formes natives avec du vrai texte (recherchable / sélectionnable).
+ *
+ * Si le graphe ne tient pas sur une page à l'échelle minimum, il est
+ * découpé en plusieurs pages qui se recouvrent (repères de recouvrement +
+ * numéros de page). Mode alternatif : une page par section.
+ */
+
+/** 1 px écran (96 dpi) en mm */
+const PX_TO_MM = 25.4 / 96;
+
+/** 1 mm en pt (taille de police jsPDF) */
+const MM_TO_PT = 72 / 25.4;
+
+/** Hauteur réservée au pied de page (numéro de page) */
+const FOOTER_MM = 6;
+
+/** Longueur des repères de recouvrement dessinés dans la marge */
+const MARK_MM = 4;
+
+const MARK_COLOR = '#9ca3af';
+
+/** Mélange une couleur hex avec du blanc (opacité alpha) */
+function overWhite(hex, alpha) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex);
+  if (!m) return '#ffffff';
+  const v = parseInt(m[1], 16);
+  const mix = (c) => Math.round(c * (1 - alpha) + 255 * alpha);
+  const r = mix((v >> 16) & 255);
+  const g = mix((v >> 8) & 255);
+  const b = mix(v & 255);
+  return `#${((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1)}`;
+}
+
+function imageFormat(dataUrl) {
+  const m = /^data:image\/(\w+)/.exec(dataUrl);
+  const type = (m?.[1] || 'jpeg').toUpperCase();
+  return type === 'JPG' ? 'JPEG' : type;
+}
+
+// ─── Dessin ─────────────────────────────────────────────
+
+/**
+ * Dessine une partie du graphe sur la page courante.
+ * `view` associe le repère du canvas (px) à la page (mm) :
+ *   X = view.left + (x - view.ox) * view.k
+ * `layoutOpts` : options de personLayout (photos, commentaires).
+ */
+function drawGraph(pdf, nodes, edges, view, layoutOpts) {
+  const X = (x) => view.left + (x - view.ox) * view.k;
+  const Y = (y) => view.top + (y - view.oy) * view.k;
+  const L = (len) => len * view.k;
+  const pt = (px) => px * view.k * MM_TO_PT;
+
+  const nodesById = new Map(nodes.map((n) => [n.id, n]));
+
+  // ── Sections (arrière-plan) ──
+  nodes
+    .filter((n) => n.type === 'section')
+    .forEach((node) => {
+      const s = sectionLayout(node);
+      pdf.setFillColor(s.color);
+      pdf.setDrawColor(SECTION.borderColor);
+      pdf.setLineWidth(L(SECTION.borderWidth));
+      pdf.setLineDashPattern(SECTION.dash.map(L), 0);
+      pdf.roundedRect(X(s.x), Y(s.y), L(s.width), L(s.height), L(SECTION.radius), L(SECTION.radius), 'FD');
+      pdf.setLineDashPattern([], 0);
+      if (s.title.text) {
+        const t = s.title;
+        pdf.setFillColor(overWhite(s.color, 0.6));
+        pdf.roundedRect(X(t.x), Y(t.y), L(t.width), L(t.height), L(8), L(8), 'F');
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(pt(t.size));
+        pdf.setTextColor(TEXT_COLORS.sectionTitle);
+        pdf.text(t.text, X(t.x + SECTION.titlePaddingX), Y(t.y + t.height / 2), { baseline: 'middle' });
+      }
+    });
+
+  // ── Flèches ──
+  edges.forEach((edge) => {
+    const c = edgeLayout(edge, nodesById, layoutOpts);
+    if (!c) return;
+    pdf.setDrawColor(c.color);
+    pdf.setFillColor(c.color);
+    pdf.setLineWidth(L(EDGE.strokeWidth));
+    pdf.setLineDashPattern(c.dashed ? EDGE.dash.map(L) : [], 0);
+    const sx = X(c.source.x);
+    const sy = Y(c.source.y);
+    pdf.lines(
+      [[X(c.c1.x) - sx, Y(c.c1.y) - sy, X(c.c2.x) - sx, Y(c.c2.y) - sy, X(c.target.x) - sx, Y(c.target.y) - sy]],
+      sx,
+      sy,
+      [1, 1],
+      'S'
+    );
+    pdf.setLineDashPattern([], 0);
+    const head = arrowHeadPoints(c).map((p) => [X(p.x), Y(p.y)]);
+    pdf.lines(
+      head.slice(1).map(([x, y], i) => [x - head[i][0], y - head[i][1]]),
+      head[0][0],
+      head[0][1],
+      [1, 1],
+      'F',
+      true
+    );
+  });
+
+  // ── Personnes et postes à pourvoir ──
+  nodes
+    .filter(isCard)
+    .forEach((node) => {
+      const p = personLayout(node, layoutOpts);
+      const half = CARD.borderWidth / 2;
+      pdf.setFillColor(p.bg);
+      pdf.setDrawColor(p.border);
+      pdf.setLineWidth(L(CARD.borderWidth));
+      if (p.dashed) pdf.setLineDashPattern(CARD.dash.map(L), 0);
+      pdf.roundedRect(X(p.x + half), Y(p.y + half), L(p.width - CARD.borderWidth), L(p.height - CARD.borderWidth), L(CARD.radius), L(CARD.radius), 'FD');
+      pdf.setLineDashPattern([], 0);
+
+      // Photo ronde (ou avatar par défaut), sauf si les photos sont masquées
+      const ph = p.photo;
+      if (ph) {
+        pdf.setFillColor(ph.bg);
+        pdf.circle(X(ph.cx), Y(ph.cy), L(ph.r - 1), 'F');
+      }
+      if (ph?.src) {
+        try {
+          const props = pdf.getImageProperties(ph.src);
+          const cover = (ph.r * 2) / Math.min(props.width, props.height);
+          const w = props.width * cover;
+          const h = props.height * cover;
+          pdf.saveGraphicsState();
+          pdf.circle(X(ph.cx), Y(ph.cy), L(ph.r - 1), null);
+          pdf.clip();
+          pdf.discardPath();
+          pdf.addImage(ph.src, imageFormat(ph.src), X(ph.cx - w / 2), Y(ph.cy - h / 2), L(w), L(h), undefined, 'FAST');
+          pdf.restoreGraphicsState();
+        } catch {
+          // Image illisible : on garde le fond du cercle
+        }
+      } else if (ph) {
+        // Avatar simplifié : tête + épaules
+        const u = 2; // icône 24 → 48 px
+        const ox = ph.cx - 12 * u;
+        const oy = ph.cy - 12 * u;
+        pdf.setDrawColor(CARD.photoIconColor);
+        pdf.setLineWidth(L(1.5 * u));
+        pdf.circle(X(ox + 12 * u), Y(oy + 6 * u), L(3.75 * u), 'S');
+        const r = 7.5 * u;
+        const k = 0.5523 * r;
+        const bx = ox + 4.5 * u;
+        const by = oy + 20.1 * u;
+        pdf.lines(
+          [
+            [0, -L(k), L(r - k), -L(r), L(r), -L(r)],
+            [L(k), 0, L(r), L(r - k), L(r), L(r)],
+          ],
+          X(bx),
+          Y(by),
+          [1, 1],
+          'S'
+        );
+      }
+      if (ph) {
+        pdf.setDrawColor(p.border);
+        pdf.setLineWidth(L(2));
+        pdf.circle(X(ph.cx), Y(ph.cy), L(ph.r - 1), 'S');
+      }
+
+      // Textes
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(pt(p.name.size));
+      pdf.setTextColor(TEXT_COLORS.name);
+      pdf.text(p.name.text, X(p.name.x), Y(p.name.y), { align: 'center', baseline: 'middle' });
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(pt(p.role.size));
+      pdf.setTextColor(TEXT_COLORS.role);
+      pdf.text(p.role.text, X(p.role.x), Y(p.role.y), { align: 'center', baseline: 'middle' });
+
+      if (p.comment) {
+        const c = p.comment;
+        pdf.setFillColor(CARD.commentBg);
+        pdf.setDrawColor(CARD.commentBorder);
+        pdf.setLineWidth(L(1));
+        pdf.roundedRect(X(c.x), Y(c.y), L(c.width), L(c.height), L(8), L(8), 'FD');
+        pdf.setFontSize(pt(CARD.commentSize));
+        pdf.setTextColor(TEXT_COLORS.comment);
+        c.lines.forEach((line, i) => {
+          pdf.text(line, X(c.x + CARD.commentPadding), Y(c.y + CARD.commentPadding + (i + 0.5) * CARD.commentLineHeight), {
+            baseline: 'middle',
+          });
+        });
+      }
+    });
+}
+
+/**
+ * Habillage de la page (voir exportDecor), dessiné à taille réelle.
+ * `frame` : coin haut gauche de la zone imprimable (mm).
+ */
+function drawDecor(pdf, layout, frame) {
+  const X = (x) => frame.left + x * PX_TO_MM;
+  const Y = (y) => frame.top + y * PX_TO_MM;
+  const pt = (px) => px * PX_TO_MM * MM_TO_PT;
+  const { header, legend, footer, watermark } = layout;
+  const rule = (r) => {
+    pdf.setDrawColor(DECOR.ruleColor);
+    pdf.setLineWidth(0.2);
+    pdf.setLineDashPattern([], 0);
+    pdf.line(X(r.x1), Y(r.y), X(r.x2), Y(r.y));
+  };
+
+  if (header) {
+    const { logo, title, subtitle } = header;
+    if (logo) {
+      try {
+        const props = pdf.getImageProperties(logo.src);
+        const k = Math.min(logo.width / props.width, logo.height / props.height);
+        const w = props.width * k;
+        const h = props.height * k;
+        pdf.addImage(logo.src, imageFormat(logo.src), X(logo.x + (logo.width - w) / 2), Y(logo.y + (logo.height - h) / 2), w * PX_TO_MM, h * PX_TO_MM);
+      } catch {
+        // Logo illisible : ignoré
+      }
+    }
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(pt(title.size));
+    pdf.setTextColor(TEXT_COLORS.name);
+    pdf.text(title.text, X(title.x), Y(title.y), { baseline: 'middle' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(pt(subtitle.size));
+    pdf.setTextColor(DECOR.subtitleColor);
+    pdf.text(subtitle.text, X(subtitle.x), Y(subtitle.y), { baseline: 'middle' });
+    rule(header.rule);
+  }
+
+  if (legend) {
+    rule(legend.rule);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(pt(legend.title.size));
+    pdf.setTextColor(DECOR.subtitleColor);
+    pdf.text(legend.title.text, X(legend.title.x), Y(legend.title.y), { baseline: 'middle' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(pt(legend.size));
+    legend.items.forEach((item) => {
+      pdf.setDrawColor(item.color);
+      pdf.setLineWidth(EDGE.strokeWidth * PX_TO_MM);
+      pdf.setLineDashPattern(item.dashed ? EDGE.dash.map((d) => d * PX_TO_MM) : [], 0);
+      pdf.line(X(item.swatch.x1), Y(item.swatch.y), X(item.swatch.x2), Y(item.swatch.y));
+      pdf.setTextColor(TEXT_COLORS.comment);
+      pdf.text(item.label, X(item.text.x), Y(item.text.y), { baseline: 'middle' });
+    });
+    pdf.setLineDashPattern([], 0);
+  }
+
+  if (footer) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(pt(footer.size));
+    pdf.setTextColor(DECOR.footerColor);
+    pdf.text(footer.text, X(footer.x), Y(footer.y), { align: 'center', baseline: 'middle' });
+  }
+
+  if (watermark) {
+    pdf.saveGraphicsState();
+    pdf.setGState(new pdf.GState({ opacity: DECOR.watermarkOpacity }));
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(pt(watermark.size));
+    pdf.setTextColor(DECOR.watermarkColor);
+    // Texte centré sur (x, y) : départ reculé de la demi-largeur le long de l'angle
+    const rad = (watermark.angle * Math.PI) / 180;
+    const half = pdf.getTextWidth(watermark.text) / 2;
+    pdf.text(watermark.text, X(watermark.x) - half * Math.cos(rad), Y(watermark.y) + half * Math.sin(rad), {
+      angle: watermark.angle,
+      baseline: 'middle',
+    });
+    pdf.restoreGraphicsState();
+  }
+}
+
+/** Repères de recouvrement dans la marge, côté des pages voisines */
+function drawOverlapMarks(pdf, area, overlap, neighbours) {
+  pdf.setDrawColor(MARK_COLOR);
+  pdf.setLineWidth(0.2);
+  pdf.setLineDashPattern([], 0);
+  const { left, top, width, height } = area;
+  const right = left + width;
+  const bottom = top + height;
+  const tick = (x1, y1, x2, y2) => pdf.line(x1, y1, x2, y2);
+  if (neighbours.left) {
+    tick(left + overlap, top - MARK_MM, left + overlap, top - 1);
+    tick(left + overlap, bottom + 1, left + overlap, bottom + MARK_MM);
+  }
+  if (neighbours.right) {
+    tick(right - overlap, top - MARK_MM, right - overlap, top - 1);
+    tick(right - overlap, bottom + 1, right - overlap, bottom + MARK_MM);
+  }
+  if (neighbours.top) {
+    tick(left - MARK_MM, top + overlap, left - 1, top + overlap);
+    tick(right + 1, top + overlap, right + MARK_MM, top + overlap);
+  }
+  if (neighbours.bottom) {
+    tick(left - MARK_MM, bottom - overlap, left - 1, bottom - overlap);
+    tick(right + 1, bottom - overlap, right + MARK_MM, bottom - overlap);
+  }
+}
+
+// ─── Pagination ─────────────────────────────────────────
+
+/**
+ * Zone imprimable (mm) d'une page de format / orientation donnés.
+ * Avec un habillage, la zone du graphe est réduite de la hauteur du bloc
+ * titre et de la légende ; `decor` contient alors leur géométrie.
+ */
+function printableArea(paper, orientation, decor) {
+  const probe = new jsPDF({ unit: 'mm', format: paper, orientation });
+  const pw = probe.internal.pageSize.getWidth();
+  const ph = probe.internal.pageSize.getHeight();
+  const area = {
+    pageWidth: pw,
+    pageHeight: ph,
+    left: PDF_MARGIN_MM,
+    top: PDF_MARGIN_MM,
+    width: pw - PDF_MARGIN_MM * 2,
+    height: ph - PDF_MARGIN_MM * 2 - FOOTER_MM,
+    decor: null,
+  };
+  if (!decor) return area;
+
+  const widthPx = area.width / PX_TO_MM;
+  const reserved = decorLayout(decor, widthPx, 0);
+  const graphHeightPx = Math.max(0, area.height / PX_TO_MM - reserved.top - reserved.bottom);
+  const layout = decorLayout(decor, widthPx, graphHeightPx);
+  return {
+    ...area,
+    top: area.top + layout.top * PX_TO_MM,
+    height: graphHeightPx * PX_TO_MM,
+    decor: layout,
+  };
+}
+
+/**
+ * Plan de pages pour un groupe de nœuds : une seule page si l'échelle
+ * « ajustée » reste ≥ minScale, sinon une grille de tuiles à minScale.
+ */
+function planPages(bounds, paper, orientation, minScale, decor) {
+  const candidates = orientation === 'auto' ? ['portrait', 'landscape'] : [orientation];
+  // Orientation qui donne la plus grande échelle ajustée
+  let best = null;
+  candidates.forEach((o) => {
+    const area = printableArea(paper, o, decor);
+    const fit = Math.min(area.width / (bounds.width * PX_TO_MM), area.height / (bounds.height * PX_TO_MM));
+    if (!best || fit > best.fit) best = { orientation: o, area, fit };
+  });
+
+  const { area } = best;
+  const scale = Math.min(1, best.fit);
+  if (scale >= minScale) {
+    const k = scale * PX_TO_MM;
+    return {
+      orientation: best.orientation,
+      area,
+      tiles: [
+        {
+          ox: bounds.x - (area.width / k - bounds.width) / 2,
+          oy: bounds.y - (area.height / k - bounds.height) / 2,
+          k,
+          row: 0,
+          col: 0,
+          neighbours: {},
+        },
+      ],
+      rows: 1,
+      cols: 1,
+    };
+  }
+
+  const k = minScale * PX_TO_MM;
+  const stepX = (area.width - PDF_TILE_OVERLAP_MM) / k;
+  const stepY = (area.height - PDF_TILE_OVERLAP_MM) / k;
+  const overlapPx = PDF_TILE_OVERLAP_MM / k;
+  const cols = Math.max(1, Math.ceil((bounds.width - overlapPx) / stepX));
+  const rows = Math.max(1, Math.ceil((bounds.height - overlapPx) / stepY));
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      tiles.push({
+        ox: bounds.x + col * stepX,
+        oy: bounds.y + row * stepY,
+        k,
+        row,
+        col,
+        neighbours: { left: col > 0, right: col < cols - 1, top: row > 0, bottom: row < rows - 1 },
+      });
+    }
+  }
+  return { orientation: best.orientation, area, tiles, rows, cols };
+}
+
+/**
+ * Construit le PDF vectoriel.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object} [opts]
+ * @param {'a4'|'a3'|'letter'} [opts.paper=PDF_DEFAULT_PAPER]
+ * @param {'auto'|'portrait'|'landscape'} [opts.orientation='auto']
+ * @param {number} [opts.minScale=PDF_DEFAULT_MIN_SCALE] — 1 = taille réelle
+ * @param {'fit'|'sections'} [opts.mode='fit'] — 'sections' = une page par section
+ * @param {string} [opts.title=''] — affiché dans le pied de page
+ * @param {string|null} [opts.background=EXPORT_BG_COLOR] — null = pas de fond
+ * @param {number} [opts.padding=EXPORT_PADDING] — marge autour du contenu (px)
+ * @param {boolean} [opts.photos=true]
+ * @param {boolean} [opts.comments=true]
+ * @param {object|null} [opts.decor=null] — habillage répété sur chaque page (voir buildDecor)
+ * @returns {jsPDF}
+ */
+export function buildVectorPdf(nodes, edges, opts = {}) {
+  const {
+    paper = PDF_DEFAULT_PAPER,
+    orientation = 'auto',
+    minScale = PDF_DEFAULT_MIN_SCALE,
+    mode = 'fit',
+    title = '',
+    background = EXPORT_BG_COLOR,
+    padding = EXPORT_PADDING,
+    photos = true,
+    comments = true,
+    decor = null,
+  } = opts;
+  const layoutOpts = { photos, comments };
+
+  // ── Groupes de nœuds → pages ──
+  let groups = [{ title: '', nodes, edges }];
+  if (mode === 'sections') {
+    const sections = nodes.filter((n) => n.type === 'section');
+    groups = sections.map((s) => {
+      const inside = nodesInSection(s, nodes);
+      return { title: s.data.title || 'Section', nodes: inside, edges: edgesWithin(inside, edges) };
+    });
+    const covered = new Set(groups.flatMap((g) => g.nodes.map((n) => n.id)));
+    const rest = nodes.filter((n) => !covered.has(n.id));
+    if (rest.length > 0) {
+      groups.push({ title: 'Hors section', nodes: rest, edges: edgesWithin(rest, edges) });
+    }
+  }
+
+  const pages = [];
+  groups.forEach((group) => {
+    const b = contentBounds(group.nodes, layoutOpts);
+    const bounds = {
+      x: b.x - padding,
+      y: b.y - padding,
+      width: b.width + padding * 2,
+      height: b.height + padding * 2,
+    };
+    const plan = planPages(bounds, paper, orientation, minScale, decor);
+    plan.tiles.forEach((tile) => pages.push({ group, plan, tile }));
+  });
+
+  // ── Rendu ──
+  let pdf = null;
+  pages.forEach(({ group, plan, tile }, index) => {
+    if (!pdf) {
+      pdf = new jsPDF({ unit: 'mm', format: paper, orientation: plan.orientation });
+    } else {
+      pdf.addPage(paper, plan.orientation);
+    }
+    const { area } = plan;
+
+    if (background) {
+      pdf.setFillColor(background);
+      pdf.rect(0, 0, area.pageWidth, area.pageHeight, 'F');
+    }
+
+    pdf.saveGraphicsState();
+    pdf.rect(area.left, area.top, area.width, area.height, null);
+    pdf.clip();
+    pdf.discardPath();
+    drawGraph(pdf, group.nodes, group.edges, { left: area.left, top: area.top, ox: tile.ox, oy: tile.oy, k: tile.k }, layoutOpts);
+    pdf.restoreGraphicsState();
+
+    const tiled = plan.tiles.length > 1;
+    if (tiled) drawOverlapMarks(pdf, area, PDF_TILE_OVERLAP_MM, tile.neighbours);
+    if (area.decor) drawDecor(pdf, area.decor, { left: area.left, top: PDF_MARGIN_MM });
+
+    // ── Pied de page ──
+    const parts = [title, group.title].filter(Boolean);
+    if (tiled) parts.push(`${String.fromCharCode(65 + (tile.row % 26))}${tile.col + 1}`);
+    parts.push(`Page ${index + 1} / ${pages.length}`);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor('#6b7280');
+    pdf.text(parts.join('  —  '), area.pageWidth / 2, area.pageHeight - PDF_MARGIN_MM / 2 - 1, {
+      align: 'center',
+      baseline: 'middle',
+    });
+  });
+
+  return pdf || new jsPDF({ unit: 'mm', format: paper });
+}
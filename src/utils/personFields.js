@@ -0,0 +1,123 @@
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_PERSON_FIELDS } from '../config';
+
+/**
+ * Champs personnalisés de la fiche personne.
+ *
+ * Le schéma est propre à chaque organigramme (`personFields`, enregistré
+ * avec lui) : [{ id, label, type, onCard }]. Les valeurs sont dans
+ * `node.data.fields`, indexées par id de champ, toujours en texte.
+ */
+
+/** Types de champ, avec le type d'<input> utilisé dans le panneau */
+export const FIELD_TYPES = [
+  { type: 'text', label: 'Texte', input: 'text' },
+  { type: 'email', label: 'E-mail', input: 'email' },
+  { type: 'phone', label: 'Téléphone', input: 'tel' },
+  { type: 'date', label: 'Date', input: 'date' },
+  { type: 'url', label: 'Lien', input: 'url' },
+  { type: 'number', label: 'Nombre', input: 'text' },
+];
+
+const TYPES = new Set(FIELD_TYPES.map((t) => t.type));
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Type d'<input> d'un champ */
+export function inputType(field) {
+  return FIELD_TYPES.find((t) => t.type === field.type)?.input || 'text';
+}
+
+/**
+ * Erreur de saisie d'une valeur, ou null si elle est valide (une valeur
+ * vide est toujours valide).
+ * @returns {string|null}
+ */
+export function validateFieldValue(field, value) {
+  const v = String(value ?? '').trim();
+  if (!v) return null;
+  switch (field.type) {
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? null : 'Adresse e-mail invalide';
+    case 'phone':
+      return /^\+?[\d\s().-]{4,}$/.test(v) ? null : 'Numéro de téléphone invalide';
+    case 'date':
+      // Date.parse accepte le 30 février : on vérifie l'aller-retour
+      return /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v)
+        ? null
+        : 'Date invalide (AAAA-MM-JJ)';
+    case 'url':
+      try {
+        const url = new URL(v);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? null : 'Lien http(s) attendu';
+      } catch {
+        return 'Lien invalide';
+      }
+    case 'number':
+      return Number.isFinite(Number(v.replace(',', '.'))) ? null : 'Nombre attendu';
+    default:
+      return null;
+  }
+}
+
+/** Valeur affichée (dates au format français) */
+export function formatFieldValue(field, value) {
+  const v = String(value ?? '').trim();
+  if (field.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    const [y, m, d] = v.split('-');
+    return `${d}/${m}/${y}`;
+  }
+  return v;
+}
+
+/** Lien cliquable d'une valeur (mailto:, tel:, URL), ou null */
+export function fieldHref(field, value) {
+  const v = String(value ?? '').trim();
+  if (!v || validateFieldValue(field, v)) return null;
+  if (field.type === 'email') return `mailto:${v}`;
+  if (field.type === 'phone') return `tel:${v.replace(/[^\d+]/g, '')}`;
+  if (field.type === 'url') return v;
+  return null;
+}
+
+/** Schéma d'un nouvel organigramme */
+export function defaultPersonFields() {
+  return DEFAULT_PERSON_FIELDS.map((f) => ({ ...f }));
+}
+
+/** Nouveau champ (id unique, indépendant du libellé) */
+export function makeField(label, type = 'text') {
+  return { id: `f-${uuidv4().slice(0, 8)}`, label, type: TYPES.has(type) ? type : 'text', onCard: false };
+}
+
+/**
+ * Schéma lu d'un document : entrées invalides ou en double retirées,
+ * types inconnus ramenés à 'text'. Absent → schéma par défaut.
+ */
+export function normalizePersonFields(list) {
+  if (!Array.isArray(list)) return defaultPersonFields();
+  const ids = new Set();
+  return list
+    .filter((f) => isObject(f) && typeof f.id === 'string' && f.id && !ids.has(f.id) && ids.add(f.id))
+    .map((f) => ({
+      id: f.id,
+      label: typeof f.label === 'string' && f.label ? f.label : f.id,
+      type: TYPES.has(f.type) ? f.type : 'text',
+      onCard: f.onCard === true,
+    }));
+}
+
+/** Schéma fusionné : champs importés absents (par id) ajoutés à la fin */
+export function mergePersonFields(current, imported) {
+  if (!Array.isArray(imported)) return current;
+  const ids = new Set(current.map((f) => f.id));
+  return [...current, ...normalizePersonFields(imported).filter((f) => !ids.has(f.id))];
+}
+
+/** Champs affichés sur la carte d'une personne, avec leur valeur */
+export function cardFields(personFields, data) {
+  const values = data.fields || {};
+  return personFields
+    .filter((f) => f.onCard && String(values[f.id] ?? '').trim())
+    .map((f) => ({ field: f, value: formatFieldValue(f, values[f.id]) }));
+}
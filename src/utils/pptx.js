@@ -0,0 +1,517 @@
+import { zipSync, strToU8 } from 'fflate';
+import { PPTX_SLIDE_SIZE, PPTX_MARGIN, EXPORT_BG_COLOR } from '../config';
+import { CARD, SECTION, EDGE, TEXT_COLORS, personLayout, sectionLayout, edgeStyle, contentBounds, cardName } from './exportGeometry';
+import { nodeRect, nodesInSection, edgesWithin, sectionParents, isCard } from './graph';
+import { escapeXml } from './xml';
+
+/**
+ * Écriture d'une présentation PowerPoint (.pptx) en formes natives :
+ * cartes Personne en rectangles arrondis (nom, rôle, photo ronde),
+ * sections en rectangles pastel, flèches en connecteurs coudés collés
+ * aux cartes (ils suivent les cartes déplacées dans PowerPoint).
+ *
+ * Une diapositive d'ensemble, puis au choix une par équipe (sous-arbre
+ * de premier niveau) ou une par section de premier niveau.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const NS =
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/** 1 px (96 dpi) = 9525 EMU */
+const EMU_PER_PX = 9525;
+
+/** Hauteur du bandeau de titre d'une diapositive (EMU) */
+const TITLE_HEIGHT = 640080;
+
+/** Formats d'image acceptés par PowerPoint → extension */
+const IMAGE_EXT = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif' };
+
+/** Fichier .rels à partir de [id, type, cible] */
+const relationships = (list) =>
+  XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  list.map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+  '</Relationships>';
+
+/** Couleur CSS « #rgb » / « #rrggbb » → « RRGGBB » (fallback sinon) */
+function hex(color, fallback = '000000') {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!m) return fallback;
+  const h = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return h.toUpperCase();
+}
+
+// ─── Découpage en diapositives ──────────────────────────
+
+const personTitle = (node) => [cardName(node) || 'Sans nom', node.data.role].filter(Boolean).join(' – ');
+
+/** Sections d'abord (les plus grandes dessous), puis cartes */
+function drawOrder(nodes) {
+  const area = (n) => nodeRect(n).width * nodeRect(n).height;
+  const sections = nodes.filter((n) => n.type === 'section').sort((a, b) => area(b) - area(a));
+  return [...sections, ...nodes.filter(isCard)];
+}
+
+/** Sections dont toutes les personnes font partie de `members` */
+function sectionsAround(members, nodes) {
+  const ids = new Set(members.map((n) => n.id));
+  return nodes.filter((s) => {
+    if (s.type !== 'section') return false;
+    const inside = nodesInSection(s, nodes).filter(isCard);
+    return inside.length > 0 && inside.every((n) => ids.has(n.id));
+  });
+}
+
+/**
+ * Une page par sous-arbre de premier niveau. Avec un seul manager sans
+ * manager (la direction), ce sont les équipes de ses collaborateurs
+ * directs. Les personnes sans équipe sont regroupées sur une dernière page.
+ */
+function subtreePages(nodes, edges) {
+  const persons = nodes.filter(isCard);
+  const byId = new Map(persons.map((n) => [n.id, n]));
+  const children = new Map();
+  const hasParent = new Set();
+  edges.forEach((e) => {
+    if (!byId.has(e.source) || !byId.has(e.target)) return;
+    if (!children.has(e.source)) children.set(e.source, []);
+    children.get(e.source).push(byId.get(e.target));
+    hasParent.add(e.target);
+  });
+
+  const roots = persons.filter((n) => !hasParent.has(n.id));
+  const heads = roots.filter((n) => children.has(n.id));
+  const tops = heads.length === 1 ? [...children.get(heads[0].id), ...roots.filter((n) => n !== heads[0])] : roots;
+
+  const placed = new Set();
+  const pages = [];
+  tops
+    .filter((top) => children.has(top.id))
+    .forEach((top) => {
+      const members = [];
+      const walk = (n) => {
+        if (placed.has(n.id)) return;
+        placed.add(n.id);
+        members.push(n);
+        (children.get(n.id) || []).forEach(walk);
+      };
+      walk(top);
+      pages.push({ title: `Équipe de ${personTitle(top)}`, nodes: [...sectionsAround(members, nodes), ...members] });
+    });
+  const alone = tops.filter((n) => !placed.has(n.id));
+  if (alone.length) pages.push({ title: 'Autres personnes', nodes: [...sectionsAround(alone, nodes), ...alone] });
+  return pages;
+}
+
+/** Une page par section de premier niveau, puis les personnes hors section */
+function sectionPages(nodes) {
+  const parents = sectionParents(nodes);
+  const covered = new Set();
+  const pages = nodes
+    .filter((n) => n.type === 'section' && !parents.has(n.id))
+    .map((s) => {
+      const inside = nodesInSection(s, nodes);
+      inside.forEach((n) => covered.add(n.id));
+      return { title: s.data.title || 'Section sans titre', nodes: inside };
+    });
+  const rest = nodes.filter((n) => isCard(n) && !covered.has(n.id));
+  if (rest.length) pages.push({ title: 'Hors section', nodes: rest });
+  return pages;
+}
+
+// ─── Images ─────────────────────────────────────────────
+
+/** Dimensions d'une image PNG, GIF ou JPEG (null si inconnues) */
+function imageSize(bytes) {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  if (bytes[0] === 0x47 && bytes[1] === 0x49) {
+    return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < bytes.length && bytes[i] === 0xff) {
+      const marker = bytes[i + 1];
+      // SOF0…SOF15 (hors DHT, JPG, DAC) : hauteur puis largeur
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8] };
+      }
+      i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+    }
+  }
+  return null;
+}
+
+/** Photo en data URL → { ext, bytes, crop } (null si format non pris en charge) */
+function decodePhoto(src) {
+  const m = /^data:([^;,]+);base64,(.*)$/.exec(src || '');
+  if (!m || !IMAGE_EXT[m[1]]) return null;
+  const bin = atob(m[2]);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  // Recadrage carré centré (object-cover du cercle photo), en millièmes de %
+  const size = imageSize(bytes);
+  let crop = '';
+  if (size && size.width !== size.height) {
+    const cut = Math.round(((1 - Math.min(size.width, size.height) / Math.max(size.width, size.height)) / 2) * 100000);
+    crop = size.width > size.height ? `l="${cut}" r="${cut}"` : `t="${cut}" b="${cut}"`;
+  }
+  return { ext: IMAGE_EXT[m[1]], bytes, crop };
+}
+
+// ─── Formes ─────────────────────────────────────────────
+
+const xfrm = (x, y, cx, cy, attrs = '') =>
+  `<a:xfrm${attrs}><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>`;
+
+const solidFill = (color) => `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>`;
+
+const line = (color, width, dashed = false) =>
+  `<a:ln w="${width}">${solidFill(color)}${dashed ? '<a:prstDash val="dash"/>' : ''}</a:ln>`;
+
+const roundRect = (radius, width, height) =>
+  `<a:prstGeom prst="roundRect"><a:avLst><a:gd name="adj" fmla="val ${Math.round(
+    (radius / Math.max(1, Math.min(width, height))) * 100000
+  )}"/></a:avLst></a:prstGeom>`;
+
+function paragraph(text, { size, color, bold = false, align = 'ctr' }) {
+  return (
+    `<a:p><a:pPr algn="${align}"/><a:r><a:rPr lang="fr-FR" sz="${size}"${bold ? ' b="1"' : ''} dirty="0">` +
+    `${solidFill(hex(color))}</a:rPr><a:t>${escapeXml(text)}</a:t></a:r></a:p>`
+  );
+}
+
+const ROOT_GROUP =
+  '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+  '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+function sectionXml(node, ctx) {
+  const s = sectionLayout(node);
+  const { X, Y, L, pt } = ctx;
+  return (
+    `<p:sp><p:nvSpPr><p:cNvPr id="${ctx.nextId()}" name="${escapeXml(`Section ${s.title.text}`)}"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr>${xfrm(X(s.x), Y(s.y), L(s.width), L(s.height))}${roundRect(SECTION.radius, s.width, s.height)}` +
+    `${solidFill(hex(s.color, 'E0E7FF'))}${line(hex(SECTION.borderColor), L(SECTION.borderWidth), true)}</p:spPr>` +
+    `<p:txBody><a:bodyPr wrap="square" lIns="${L(SECTION.titleX + SECTION.titlePaddingX)}" tIns="${L(SECTION.titleY)}" ` +
+    `rIns="${L(SECTION.titleX)}" bIns="0" anchor="t"><a:noAutofit/></a:bodyPr><a:lstStyle/>` +
+    paragraph(s.title.text, { size: pt(SECTION.titleSize), color: TEXT_COLORS.sectionTitle, bold: true, align: 'l' }) +
+    '</p:txBody></p:sp>'
+  );
+}
+
+/** Carte + photo, groupées ; l'id de la carte sert d'accroche aux connecteurs */
+function personXml(node, ctx) {
+  const p = personLayout(node);
+  const { X, Y, L, pt } = ctx;
+  const { role, comment, showComment } = node.data;
+  const name = cardName(node);
+  const cardId = ctx.nextId();
+  ctx.shapeIds.set(node.id, cardId);
+  const border = hex(p.border, 'E5E7EB');
+  const box = [X(p.x), Y(p.y), L(p.width), L(p.height)];
+
+  const paragraphs =
+    paragraph(name || '', { size: pt(CARD.nameSize), color: TEXT_COLORS.name, bold: true }) +
+    paragraph(role || '', { size: pt(CARD.roleSize), color: TEXT_COLORS.role }) +
+    (showComment && comment
+      ? String(comment)
+          .split('\n')
+          .map((text) => paragraph(text, { size: pt(CARD.commentSize), color: TEXT_COLORS.comment, align: 'l' }))
+          .join('')
+      : '');
+  const card =
+    `<p:sp><p:nvSpPr><p:cNvPr id="${cardId}" name="${escapeXml(name || 'Personne')}"${
+      comment ? ` descr="${escapeXml(comment)}"` : ''
+    }/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr>${xfrm(...box)}${roundRect(CARD.radius, p.width, p.height)}${solidFill(hex(p.bg, 'FFFFFF'))}` +
+    `${line(border, L(CARD.borderWidth), p.dashed)}</p:spPr>` +
+    `<p:txBody><a:bodyPr wrap="square" lIns="${L(CARD.paddingX)}" tIns="${L(p.name.y - p.y - CARD.nameSize)}" ` +
+    `rIns="${L(CARD.paddingX)}" bIns="${L(CARD.bottomPadding)}" anchor="t"><a:noAutofit/></a:bodyPr><a:lstStyle/>` +
+    `${paragraphs}</p:txBody></p:sp>`;
+
+  let avatar = '';
+  if (p.photo) {
+    const { cx, cy, r } = p.photo;
+    const photoBox = xfrm(X(cx - r), Y(cy - r), L(r * 2), L(r * 2));
+    const ring = line(border, L(2));
+    const image = ctx.image(p.photo.src);
+    avatar = image
+      ? `<p:pic><p:nvPicPr><p:cNvPr id="${ctx.nextId()}" name="${escapeXml(`Photo ${name || ''}`)}"/>` +
+        '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+        `<p:blipFill><a:blip r:embed="${image.rId}"/><a:srcRect ${image.crop}/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+        `<p:spPr>${photoBox}<a:prstGeom prst="ellipse"><a:avLst/></a:prstGeom>${ring}</p:spPr></p:pic>`
+      : `<p:sp><p:nvSpPr><p:cNvPr id="${ctx.nextId()}" name="Photo"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>` +
+        `<p:spPr>${photoBox}<a:prstGeom prst="ellipse"><a:avLst/></a:prstGeom>${solidFill(hex(p.photo.bg, 'EEF2FF'))}${ring}</p:spPr></p:sp>`;
+  }
+
+  return (
+    `<p:grpSp><p:nvGrpSpPr><p:cNvPr id="${ctx.nextId()}" name="${escapeXml(personTitle(node))}"/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+    `<p:grpSpPr><a:xfrm><a:off x="${box[0]}" y="${box[1]}"/><a:ext cx="${box[2]}" cy="${box[3]}"/>` +
+    `<a:chOff x="${box[0]}" y="${box[1]}"/><a:chExt cx="${box[2]}" cy="${box[3]}"/></a:xfrm></p:grpSpPr>` +
+    `${card}${avatar}</p:grpSp>`
+  );
+}
+
+/** Sites de connexion d'un rectangle arrondi : 0 haut, 1 gauche, 2 bas, 3 droite */
+const TARGET_SITE = { 'target-top': 0, 'target-left': 1, 'target-right': 3 };
+
+/**
+ * Connecteur coudé du bas de la carte source vers la carte cible : vertical
+ * d'abord, donc tourné de 90° (le cadre non tourné est transposé autour de
+ * son centre, les retournements orientent le coude).
+ */
+function connectorXml(edge, ctx, byId) {
+  const source = personLayout(byId.get(edge.source));
+  const target = personLayout(byId.get(edge.target));
+  const site = TARGET_SITE[edge.targetHandle] ?? 0;
+  const { X, Y, L } = ctx;
+  const x1 = X(source.x + source.width / 2);
+  const y1 = Y(source.y + source.height);
+  const midY = target.y + target.height / 2;
+  const end =
+    site === 1
+      ? { x: target.x, y: midY }
+      : site === 3
+        ? { x: target.x + target.width, y: midY }
+        : { x: target.x + target.width / 2, y: target.y };
+  const x2 = X(end.x);
+  const y2 = Y(end.y);
+  const w = Math.abs(y2 - y1);
+  const h = Math.abs(x2 - x1);
+  const attrs = ` rot="5400000"${y2 < y1 ? ' flipH="1"' : ''}${x2 > x1 ? ' flipV="1"' : ''}`;
+  const { color, dashed } = edgeStyle(edge);
+  return (
+    `<p:cxnSp><p:nvCxnSpPr><p:cNvPr id="${ctx.nextId()}" name="Connecteur"/><p:cNvCxnSpPr>` +
+    `<a:stCxn id="${ctx.shapeIds.get(edge.source)}" idx="2"/><a:endCxn id="${ctx.shapeIds.get(edge.target)}" idx="${site}"/>` +
+    '</p:cNvCxnSpPr><p:nvPr/></p:nvCxnSpPr>' +
+    `<p:spPr>${xfrm(Math.round((x1 + x2) / 2 - w / 2), Math.round((y1 + y2) / 2 - h / 2), w, h, attrs)}` +
+    `<a:prstGeom prst="${site === 0 ? 'bentConnector3' : 'bentConnector2'}"><a:avLst/></a:prstGeom>` +
+    `<a:ln w="${L(EDGE.strokeWidth)}">${solidFill(hex(color, '6366F1'))}${dashed ? '<a:prstDash val="dash"/>' : ''}` +
+    '<a:tailEnd type="triangle"/></a:ln></p:spPr></p:cxnSp>'
+  );
+}
+
+/**
+ * Diapositive d'une page : contenu mis à l'échelle (jamais agrandi) et
+ * centré sous le titre.
+ *
+ * @param {{ title: string, nodes: Array }} page
+ * @param {Array} edges
+ * @param {(src: string) => { path: string, crop: string } | null} addMedia
+ * @returns {{ xml: string, rels: string }}
+ */
+function buildSlide(page, edges, addMedia) {
+  const [slideW, slideH] = PPTX_SLIDE_SIZE;
+  const areaW = slideW - PPTX_MARGIN * 2;
+  const areaH = slideH - TITLE_HEIGHT - PPTX_MARGIN * 2;
+  const nodes = drawOrder(page.nodes);
+  const bounds = contentBounds(nodes);
+  const scale = Math.min(
+    1,
+    areaW / Math.max(1, bounds.width * EMU_PER_PX),
+    areaH / Math.max(1, bounds.height * EMU_PER_PX)
+  );
+  const k = EMU_PER_PX * scale;
+  const ox = PPTX_MARGIN + (areaW - bounds.width * k) / 2 - bounds.x * k;
+  const oy = TITLE_HEIGHT + PPTX_MARGIN + (areaH - bounds.height * k) / 2 - bounds.y * k;
+
+  const rels = [['rId1', `${REL}/slideLayout`, '../slideLayouts/slideLayout1.xml']];
+  const images = new Map();
+  let lastId = 1;
+  const ctx = {
+    X: (px) => Math.round(ox + px * k),
+    Y: (px) => Math.round(oy + px * k),
+    L: (px) => Math.max(0, Math.round(px * k)),
+    // Taille de police en centièmes de point (1 px = 0,75 pt)
+    pt: (px) => Math.max(100, Math.round(px * 0.75 * scale * 100)),
+    nextId: () => ++lastId,
+    shapeIds: new Map(),
+    image: (src) => {
+      const media = addMedia(src);
+      if (!media) return null;
+      if (!images.has(media.path)) {
+        const rId = `rId${rels.length + 1}`;
+        rels.push([rId, `${REL}/image`, `../media/${media.path}`]);
+        images.set(media.path, rId);
+      }
+      return { rId: images.get(media.path), crop: media.crop };
+    },
+  };
+
+  const title =
+    `<p:sp><p:nvSpPr><p:cNvPr id="${ctx.nextId()}" name="Titre"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr>${xfrm(PPTX_MARGIN, PPTX_MARGIN / 2, areaW, TITLE_HEIGHT)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>` +
+    '<p:txBody><a:bodyPr wrap="square" anchor="ctr"><a:normAutofit/></a:bodyPr><a:lstStyle/>' +
+    paragraph(page.title, { size: 2400, color: TEXT_COLORS.name, bold: true, align: 'l' }) +
+    '</p:txBody></p:sp>';
+
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const shapes = nodes.map((n) => (n.type === 'section' ? sectionXml(n, ctx) : personXml(n, ctx))).join('');
+  const connectors = edgesWithin(nodes, edges)
+    .filter((e) => isCard(byId.get(e.source)) && isCard(byId.get(e.target)))
+    .map((e) => connectorXml(e, ctx, byId))
+    .join('');
+
+  return {
+    xml:
+      XML_HEADER +
+      `<p:sld ${NS}><p:cSld><p:bg><p:bgPr>${solidFill(hex(EXPORT_BG_COLOR, 'FFFFFF'))}<a:effectLst/></p:bgPr></p:bg>` +
+      `<p:spTree>${ROOT_GROUP}${title}${shapes}${connectors}</p:spTree></p:cSld>` +
+      '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>',
+    rels: relationships(rels),
+  };
+}
+
+// ─── Paquet ─────────────────────────────────────────────
+
+const THEME =
+  XML_HEADER +
+  '<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="OrganMaker"><a:themeElements>' +
+  '<a:clrScheme name="OrganMaker">' +
+  '<a:dk1><a:srgbClr val="1F2937"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>' +
+  '<a:dk2><a:srgbClr val="374151"/></a:dk2><a:lt2><a:srgbClr val="F8FAFC"/></a:lt2>' +
+  ['6366F1', 'EC4899', '10B981', 'F59E0B', '0EA5E9', '8B5CF6']
+    .map((c, i) => `<a:accent${i + 1}><a:srgbClr val="${c}"/></a:accent${i + 1}>`)
+    .join('') +
+  '<a:hlink><a:srgbClr val="4F46E5"/></a:hlink><a:folHlink><a:srgbClr val="7C3AED"/></a:folHlink></a:clrScheme>' +
+  '<a:fontScheme name="OrganMaker">' +
+  '<a:majorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>' +
+  '<a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>' +
+  '<a:fmtScheme name="OrganMaker">' +
+  `<a:fillStyleLst>${'<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3)}</a:fillStyleLst>` +
+  `<a:lnStyleLst>${'<a:ln w="9525"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>'.repeat(3)}</a:lnStyleLst>` +
+  `<a:effectStyleLst>${'<a:effectStyle><a:effectLst/></a:effectStyle>'.repeat(3)}</a:effectStyleLst>` +
+  `<a:bgFillStyleLst>${'<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3)}</a:bgFillStyleLst>` +
+  '</a:fmtScheme></a:themeElements></a:theme>';
+
+const SLIDE_MASTER =
+  XML_HEADER +
+  `<p:sldMaster ${NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>` +
+  `<p:spTree>${ROOT_GROUP}</p:spTree></p:cSld>` +
+  '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+  'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+  '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+  '<p:txStyles><p:titleStyle/><p:bodyStyle/><p:otherStyle/></p:txStyles></p:sldMaster>';
+
+const SLIDE_LAYOUT =
+  XML_HEADER +
+  `<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Vide"><p:spTree>${ROOT_GROUP}</p:spTree></p:cSld>` +
+  '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+
+/**
+ * Construit la présentation.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object} [opts]
+ * @param {string} [opts.title='Organigramme'] — titre de la diapositive d'ensemble
+ * @param {'none'|'subtree'|'section'} [opts.split='none'] — diapositives supplémentaires
+ *        par équipe de premier niveau ou par section de premier niveau
+ * @returns {Blob}
+ */
+export function buildPptx(nodes, edges, opts = {}) {
+  const { title = 'Organigramme', split = 'none' } = opts;
+  const pages = [{ title, nodes }];
+  if (split !== 'none') {
+    const parts = (split === 'section' ? sectionPages(nodes) : subtreePages(nodes, edges)).filter((p) => p.nodes.length);
+    if (parts.length > 1) pages.push(...parts);
+  }
+
+  // Photos : un fichier par image distincte, partagé entre diapositives
+  const media = new Map();
+  const files = {};
+  const addMedia = (src) => {
+    if (!media.has(src)) {
+      const photo = decodePhoto(src);
+      let entry = null;
+      if (photo) {
+        entry = { path: `image${media.size + 1}.${photo.ext}`, crop: photo.crop };
+        files[`ppt/media/${entry.path}`] = photo.bytes;
+      }
+      media.set(src, entry);
+    }
+    return media.get(src);
+  };
+
+  pages.forEach((page, i) => {
+    const slide = buildSlide(page, edges, addMedia);
+    files[`ppt/slides/slide${i + 1}.xml`] = strToU8(slide.xml);
+    files[`ppt/slides/_rels/slide${i + 1}.xml.rels`] = strToU8(slide.rels);
+  });
+
+  const [cx, cy] = PPTX_SLIDE_SIZE;
+  const slideOverrides = pages
+    .map(
+      (_, i) =>
+        `<Override PartName="/ppt/slides/slide${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>`
+    )
+    .join('');
+  Object.assign(files, {
+    '[Content_Types].xml': strToU8(
+      XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Default Extension="png" ContentType="image/png"/>' +
+        '<Default Extension="jpeg" ContentType="image/jpeg"/>' +
+        '<Default Extension="gif" ContentType="image/gif"/>' +
+        '<Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>' +
+        '<Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml"/>' +
+        '<Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml"/>' +
+        '<Override PartName="/ppt/theme/theme1.xml" ContentType="application/vnd.openxmlformats-officedocument.theme+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        slideOverrides +
+        '</Types>'
+    ),
+    '_rels/.rels': strToU8(
+      relationships([
+        ['rId1', `${REL}/officeDocument`, 'ppt/presentation.xml'],
+        ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml'],
+      ])
+    ),
+    'docProps/core.xml': strToU8(
+      XML_HEADER +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+        `<dc:title>${escapeXml(title)}</dc:title><dc:creator>OrganMaker</dc:creator></cp:coreProperties>`
+    ),
+    'ppt/presentation.xml': strToU8(
+      XML_HEADER +
+        `<p:presentation ${NS}>` +
+        '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+        `<p:sldIdLst>${pages.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 3}"/>`).join('')}</p:sldIdLst>` +
+        `<p:sldSz cx="${cx}" cy="${cy}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`
+    ),
+    'ppt/_rels/presentation.xml.rels': strToU8(
+      relationships([
+        ['rId1', `${REL}/slideMaster`, 'slideMasters/slideMaster1.xml'],
+        ['rId2', `${REL}/theme`, 'theme/theme1.xml'],
+        ...pages.map((_, i) => [`rId${i + 3}`, `${REL}/slide`, `slides/slide${i + 1}.xml`]),
+      ])
+    ),
+    'ppt/slideMasters/slideMaster1.xml': strToU8(SLIDE_MASTER),
+    'ppt/slideMasters/_rels/slideMaster1.xml.rels': strToU8(
+      relationships([
+        ['rId1', `${REL}/slideLayout`, '../slideLayouts/slideLayout1.xml'],
+        ['rId2', `${REL}/theme`, '../theme/theme1.xml'],
+      ])
+    ),
+    'ppt/slideLayouts/slideLayout1.xml': strToU8(SLIDE_LAYOUT),
+    'ppt/slideLayouts/_rels/slideLayout1.xml.rels': strToU8(
+      relationships([['rId1', `${REL}/slideMaster`, '../slideMasters/slideMaster1.xml']])
+    ),
+    'ppt/theme/theme1.xml': strToU8(THEME),
+  });
+
+  return new Blob([zipSync(files)], {
+    type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  });
+}
@@ -0,0 +1,260 @@
+import { getNodesBounds, getViewportForBounds } from 'reactflow';
+import { toPng, toJpeg } from 'html-to-image';
+import {
+  EXPORT_BG_COLOR,
+  EXPORT_PIXEL_RATIO,
+  EXPORT_PADDING,
+  EXPORT_MAX_CANVAS_SIDE,
+  EXPORT_MAX_CANVAS_PIXELS,
+} from '../config';
+import { FONT_FAMILY, TEXT_COLORS, EDGE } from './exportGeometry';
+import { DECOR, decorLayout } from './exportDecor';
+
+/**
+ * Calcule le pixel ratio maximal possible sans dépasser les limites du canvas.
+ * Protects against browser crashes from oversized canvases.
+ */
+export function clampPixelRatio(width, height, wantedRatio) {
+  let r = wantedRatio;
+  // Ne pas dépasser la taille max par côté
+  while (r > 1 && (width * r > EXPORT_MAX_CANVAS_SIDE || height * r > EXPORT_MAX_CANVAS_SIDE)) {
+    r -= 0.5;
+  }
+  // Ne pas dépasser le budget total de pixels
+  while (r > 1 && width * r * height * r > EXPORT_MAX_CANVAS_PIXELS) {
+    r -= 0.5;
+  }
+  return Math.max(1, r);
+}
+
+/** Attend deux frames pour laisser le DOM (et les mesures React Flow) se stabiliser */
+function nextFrames() {
+  return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+/** Dessine l'habillage (voir exportDecor) sur un contexte 2D, repère en px */
+function drawDecor(ctx, layout, logo) {
+  const { header, legend, footer, watermark } = layout;
+  const font = (size, weight = 400) => `${weight} ${size}px ${FONT_FAMILY}`;
+  const rule = (r) => {
+    ctx.strokeStyle = DECOR.ruleColor;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(r.x1, r.y);
+    ctx.lineTo(r.x2, r.y);
+    ctx.stroke();
+  };
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+
+  if (header) {
+    if (logo && header.logo) {
+      // Logo contenu dans son cadre (proportions conservées)
+      const box = header.logo;
+      const k = Math.min(box.width / logo.width, box.height / logo.height);
+      const w = logo.width * k;
+      const h = logo.height * k;
+      ctx.drawImage(logo, box.x + (box.width - w) / 2, box.y + (box.height - h) / 2, w, h);
+    }
+    ctx.font = font(header.title.size, 700);
+    ctx.fillStyle = TEXT_COLORS.name;
+    ctx.fillText(header.title.text, header.title.x, header.title.y);
+    ctx.font = font(header.subtitle.size);
+    ctx.fillStyle = DECOR.subtitleColor;
+    ctx.fillText(header.subtitle.text, header.subtitle.x, header.subtitle.y);
+    rule(header.rule);
+  }
+
+  if (legend) {
+    rule(legend.rule);
+    ctx.font = font(legend.title.size, 600);
+    ctx.fillStyle = DECOR.subtitleColor;
+    ctx.fillText(legend.title.text, legend.title.x, legend.title.y);
+    ctx.font = font(legend.size);
+    legend.items.forEach((item) => {
+      ctx.strokeStyle = item.color;
+      ctx.lineWidth = EDGE.strokeWidth;
+      ctx.setLineDash(item.dashed ? EDGE.dash : []);
+      ctx.beginPath();
+      ctx.moveTo(item.swatch.x1, item.swatch.y);
+      ctx.lineTo(item.swatch.x2, item.swatch.y);
+      ctx.stroke();
+      ctx.fillStyle = TEXT_COLORS.comment;
+      ctx.fillText(item.label, item.text.x, item.text.y);
+    });
+    ctx.setLineDash([]);
+  }
+
+  if (footer) {
+    ctx.font = font(footer.size);
+    ctx.fillStyle = DECOR.footerColor;
+    ctx.textAlign = 'center';
+    ctx.fillText(footer.text, footer.x, footer.y);
+  }
+
+  if (watermark) {
+    ctx.save();
+    ctx.translate(watermark.x, watermark.y);
+    ctx.rotate((-watermark.angle * Math.PI) / 180);
+    ctx.globalAlpha = DECOR.watermarkOpacity;
+    ctx.font = font(watermark.size, 700);
+    ctx.fillStyle = DECOR.watermarkColor;
+    ctx.textAlign = 'center';
+    ctx.fillText(watermark.text, 0, 0);
+    ctx.restore();
+  }
+}
+
+/**
+ * Assemble la capture du graphe et son habillage dans une nouvelle image.
+ * @returns {Promise<string>} data URL
+ */
+async function composeDecor(graphUrl, layout, { pixelRatio, format, quality, background }) {
+  const [graph, logo] = await Promise.all([
+    loadImage(graphUrl),
+    layout.header?.logo ? loadImage(layout.header.logo.src).catch(() => null) : null,
+  ]);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(layout.width * pixelRatio);
+  canvas.height = Math.round(layout.height * pixelRatio);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(pixelRatio, pixelRatio);
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+  }
+  ctx.drawImage(graph, 0, layout.top, layout.width, layout.height - layout.top - layout.bottom);
+  drawDecor(ctx, layout, logo);
+  return format === 'jpeg' ? canvas.toDataURL('image/jpeg', quality) : canvas.toDataURL('image/png');
+}
+
+/**
+ * Capture l'intégralité du graphe en pleine résolution, indépendamment du zoom.
+ * • Calcule le bounding-box des nœuds demandés
+ * • Masque les nœuds / flèches hors du périmètre, et si demandé photos / commentaires
+ * • Applique un viewport 1:1 temporairement
+ * • Plafonne le pixel ratio pour éviter les crashs navigateur
+ * • Capture puis restaure l'état précédent
+ * • Ajoute l'habillage (bloc titre, légende, pied de page) autour de la capture
+ *
+ * @param {Array} nodes — nœuds React Flow à exporter
+ * @param {object} opts
+ * @param {number} [opts.pixelRatio=EXPORT_PIXEL_RATIO] — ratio souhaité
+ * @param {'png'|'jpeg'} [opts.format='png'] — format de sortie
+ * @param {number} [opts.quality=0.85] — qualité JPEG (0–1)
+ * @param {string|null} [opts.background=EXPORT_BG_COLOR] — null = transparent (PNG)
+ * @param {number} [opts.padding=EXPORT_PADDING] — marge autour du contenu (px)
+ * @param {Array} [opts.edges] — flèches à garder (toutes si absent)
+ * @param {boolean} [opts.photos=true] — afficher les photos
+ * @param {boolean} [opts.comments=true] — afficher les commentaires ouverts
+ * @param {() => Array} [opts.getNodes] — relit les nœuds après re-mesure (photos / commentaires masqués)
+ * @param {object|null} [opts.decor=null] — habillage (voir buildDecor)
+ * @returns {Promise<string>} data URL
+ */
+export async function captureFullGraph(nodes, opts = {}) {
+  const {
+    pixelRatio: wantedRatio = EXPORT_PIXEL_RATIO,
+    format = 'png',
+    quality = 0.85,
+    background = EXPORT_BG_COLOR,
+    padding = EXPORT_PADDING,
+    edges = null,
+    photos = true,
+    comments = true,
+    getNodes = null,
+    decor = null,
+  } = opts;
+
+  const viewportEl = document.querySelector('.react-flow__viewport');
+  if (!viewportEl) throw new Error('Viewport not found');
+
+  const wrapper = document.querySelector('.react-flow');
+  const classes = ['exporting'];
+  if (!photos) classes.push('export-hide-photos');
+  if (!comments) classes.push('export-hide-comments');
+  wrapper?.classList.add(...classes);
+
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  const edgeIds = edges ? new Set(edges.map((e) => e.id)) : null;
+  const prev = viewportEl.style.transform;
+
+  try {
+    // Les cartes changent de taille si photos / commentaires sont masqués
+    let scoped = nodes;
+    if ((!photos || !comments) && getNodes) {
+      await nextFrames();
+      scoped = getNodes().filter((n) => nodeIds.has(n.id));
+    }
+
+    // Bounding-box des nœuds exportés
+    const bounds = getNodesBounds(scoped);
+    const imageWidth = Math.ceil(bounds.width + padding * 2);
+    const imageHeight = Math.ceil(bounds.height + padding * 2);
+    const decorated = decor ? decorLayout(decor, imageWidth, imageHeight) : null;
+
+    // Pixel ratio adapté à la taille réelle (habillage compris)
+    const pixelRatio = clampPixelRatio(imageWidth, decorated ? Math.ceil(decorated.height) : imageHeight, wantedRatio);
+
+    // Viewport 1:1 pour cadrer tout le graphe
+    const viewport = getViewportForBounds(bounds, imageWidth, imageHeight, 0.5, 2, padding);
+    viewportEl.style.transform = `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.zoom})`;
+
+    const captureOpts = {
+      // JPEG : pas de transparence possible
+      backgroundColor: background || (format === 'jpeg' ? '#ffffff' : undefined),
+      pixelRatio,
+      width: imageWidth,
+      height: imageHeight,
+      style: {
+        width: `${imageWidth}px`,
+        height: `${imageHeight}px`,
+      },
+      // Exclure minimap, controls, attribution et tout ce qui est hors périmètre
+      filter: (node) => {
+        if (!(node instanceof Element)) return true;
+        const cls = node.getAttribute('class') || '';
+        if (cls.includes('react-flow__minimap')) return false;
+        if (cls.includes('react-flow__controls')) return false;
+        if (cls.includes('react-flow__attribution')) return false;
+        if (cls.includes('react-flow__node') && node.dataset.id && !nodeIds.has(node.dataset.id)) return false;
+        if (edgeIds && cls.includes('react-flow__edge')) {
+          const testId = node.getAttribute('data-testid') || '';
+          if (testId.startsWith('rf__edge-') && !edgeIds.has(testId.slice('rf__edge-'.length))) return false;
+        }
+        return true;
+      },
+    };
+
+    // JPEG : ajouter la qualité
+    if (format === 'jpeg') {
+      captureOpts.quality = quality;
+    }
+
+    // Avec habillage, la capture est assemblée puis encodée dans composeDecor
+    const captureFn = format === 'jpeg' && !decorated ? toJpeg : toPng;
+
+    // Double rAF pour laisser le DOM se stabiliser
+    await nextFrames();
+    const dataUrl = await captureFn(viewportEl, captureOpts);
+    if (!decorated) return dataUrl;
+    return await composeDecor(dataUrl, decorated, {
+      pixelRatio,
+      format,
+      quality,
+      background: captureOpts.backgroundColor,
+    });
+  } finally {
+    viewportEl.style.transform = prev;
+    wrapper?.classList.remove(...classes);
+  }
+}
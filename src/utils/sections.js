@@ -0,0 +1,144 @@
+import { SECTION_MEMBER_MARGIN, SECTION_TITLE_HEIGHT } from '../config';
+import { nodeRect, nodesInSection, sectionParents } from './graph';
+
+/**
+ * Appartenance des nœuds aux sections.
+ *
+ * Une carte ou une section membre d'une section porte `sectionId` (la
+ * section parente directe), enregistré avec l'organigramme. Les positions
+ * restent absolues : la géométrie (graph.js) et les exports sont inchangés,
+ * les membres sont simplement déplacés avec leur section.
+ */
+
+/**
+ * Recalcule `sectionId` d'après la géométrie (voir sectionParents) pour
+ * les nœuds de `ids`, ou pour tous.
+ *
+ * @param {Array} nodes
+ * @param {Set<string>} [ids]
+ * @returns {Array}
+ */
+export function assignSections(nodes, ids = null) {
+  const parents = sectionParents(nodes);
+  return nodes.map((n) => {
+    if (ids && !ids.has(n.id)) return n;
+    const sectionId = parents.get(n.id)?.id;
+    return sectionId === n.sectionId ? n : { ...n, sectionId };
+  });
+}
+
+/**
+ * Membres d'une section, sections imbriquées et leurs membres compris.
+ * @returns {Set<string>}
+ */
+export function sectionMemberIds(sectionId, nodes) {
+  const children = new Map();
+  nodes.forEach((n) => {
+    if (!n.sectionId) return;
+    if (!children.has(n.sectionId)) children.set(n.sectionId, []);
+    children.get(n.sectionId).push(n.id);
+  });
+  const members = new Set();
+  const stack = [sectionId];
+  while (stack.length) {
+    (children.get(stack.pop()) || []).forEach((id) => {
+      if (id === sectionId || members.has(id)) return;
+      members.add(id);
+      stack.push(id);
+    });
+  }
+  return members;
+}
+
+/** Décalage qui ramène un membre à l'intérieur de sa section (sous le titre) */
+function insideOffset(member, section) {
+  const s = nodeRect(section);
+  const r = nodeRect(member);
+  const clamp = (v, min, max) => Math.max(min, Math.min(v, max));
+  const x = clamp(r.x, s.x + SECTION_MEMBER_MARGIN, s.x + s.width - SECTION_MEMBER_MARGIN - r.width);
+  const y = clamp(r.y, s.y + SECTION_TITLE_HEIGHT, s.y + s.height - SECTION_MEMBER_MARGIN - r.height);
+  return { dx: x - r.x, dy: y - r.y };
+}
+
+/**
+ * Applique aux membres les changements React Flow de leurs sections :
+ * une section déplacée entraîne ses membres (sauf ceux déjà déplacés avec
+ * elle) ; une section redimensionnée repousse ses membres à l'intérieur.
+ *
+ * @param {Array} prevNodes — nœuds avant applyNodeChanges
+ * @param {Array} nodes — nœuds après applyNodeChanges
+ * @param {Array} changes
+ * @returns {Array}
+ */
+export function followSections(prevNodes, nodes, changes) {
+  const prevById = new Map(prevNodes.map((n) => [n.id, n]));
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const moved = new Set(changes.filter((c) => c.type === 'position' && c.position).map((c) => c.id));
+  const offsets = new Map();
+  const shift = (ids, dx, dy) =>
+    ids.forEach((id) => {
+      if (!moved.has(id) && !offsets.has(id)) offsets.set(id, { dx, dy });
+    });
+
+  const resized = new Set();
+  changes.forEach((c) => {
+    const prev = prevById.get(c.id);
+    if (prev?.type !== 'section') return;
+    if (c.type === 'position' && c.position && c.dragging !== undefined) {
+      // Déplacement : les membres suivent
+      const dx = c.position.x - prev.position.x;
+      const dy = c.position.y - prev.position.y;
+      if (dx || dy) shift(sectionMemberIds(c.id, nodes), dx, dy);
+    } else if ((c.type === 'position' && c.position) || (c.type === 'dimensions' && c.resizing)) {
+      // Redimensionnement (les poignées haut / gauche déplacent aussi la section)
+      resized.add(c.id);
+    }
+  });
+
+  resized.forEach((sectionId) => {
+    const section = byId.get(sectionId);
+    nodes.forEach((n) => {
+      if (n.sectionId !== sectionId || moved.has(n.id) || offsets.has(n.id)) return;
+      const { dx, dy } = insideOffset(n, section);
+      if (!dx && !dy) return;
+      offsets.set(n.id, { dx, dy });
+      if (n.type === 'section') shift(sectionMemberIds(n.id, nodes), dx, dy);
+    });
+  });
+
+  if (offsets.size === 0) return nodes;
+  return nodes.map((n) => {
+    const o = offsets.get(n.id);
+    return o ? { ...n, position: { x: n.position.x + o.dx, y: n.position.y + o.dy } } : n;
+  });
+}
+
+/**
+ * Appartenance mise à jour après un déplacement ou un redimensionnement :
+ * les nœuds déposés rejoignent (ou quittent) une section ; une section
+ * déposée ou agrandie adopte aussi les nœuds qu'elle recouvre.
+ *
+ * @param {Array} nodes
+ * @param {string[]} ids — nœuds déposés / redimensionnés
+ * @returns {Array}
+ */
+export function settleSections(nodes, ids) {
+  const scope = new Set(ids);
+  nodes.forEach((s) => {
+    if (s.type !== 'section' || !scope.has(s.id)) return;
+    nodesInSection(s, nodes).forEach((n) => scope.add(n.id));
+    sectionMemberIds(s.id, nodes).forEach((id) => scope.add(id));
+  });
+  return assignSections(nodes, scope);
+}
+
+/**
+ * Membres d'une section supprimée rattachés à la section qui les contient
+ * encore (ou à aucune).
+ * @returns {Array}
+ */
+export function pruneSections(nodes) {
+  const ids = new Set(nodes.map((n) => n.id));
+  const orphans = new Set(nodes.filter((n) => n.sectionId && !ids.has(n.sectionId)).map((n) => n.id));
+  return orphans.size ? assignSections(nodes, orphans) : nodes;
+}
@@ -0,0 +1,242 @@
+import { EXPORT_BG_COLOR, EXPORT_PADDING } from '../config';
+import {
+  FONT_FAMILY,
+  TEXT_COLORS,
+  CARD,
+  SECTION,
+  EDGE,
+  PERSON_ICON_PATH,
+  personLayout,
+  sectionLayout,
+  edgeLayout,
+  contentBounds,
+} from './exportGeometry';
+import { isCard } from './graph';
+import { DECOR, decorLayout } from './exportDecor';
+import { escapeXml as esc } from './xml';
+
+/**
+ * Export SVG vectoriel : sections, flèches de Bézier et cartes Personne
+ * dessinées en éléments SVG natifs (texte sélectionnable, photos embarquées).
+ * Le fichier est éditable dans Illustrator / Inkscape.
+ */
+
+/** Nombre → chaîne compacte (2 décimales max) */
+const n = (v) => String(Math.round(v * 100) / 100);
+
+/** Attribut data-id des groupes (visionneuse HTML), vide sinon */
+const idAttr = (node, withId) => (withId ? ` data-id="${esc(node.id)}"` : '');
+
+function sectionSvg(node, withId) {
+  const s = sectionLayout(node);
+  const t = s.title;
+  return (
+    `<g class="section"${idAttr(node, withId)}>` +
+    `<rect x="${n(s.x)}" y="${n(s.y)}" width="${n(s.width)}" height="${n(s.height)}" rx="${SECTION.radius}" ` +
+    `fill="${esc(s.color)}" stroke="${SECTION.borderColor}" stroke-width="${SECTION.borderWidth}" stroke-dasharray="${SECTION.dash.join(' ')}"/>` +
+    (t.text
+      ? `<rect x="${n(t.x)}" y="${n(t.y)}" width="${n(t.width)}" height="${t.height}" rx="8" fill="${SECTION.titleBg}"/>` +
+        `<text x="${n(t.x + SECTION.titlePaddingX)}" y="${n(t.y + t.height / 2)}" dominant-baseline="central" ` +
+        `font-size="${t.size}" font-weight="600" fill="${TEXT_COLORS.sectionTitle}">${esc(t.text)}</text>`
+      : '') +
+    `</g>`
+  );
+}
+
+/**
+ * Carte Personne ou poste à pourvoir en SVG (groupe `g.person`), dans le
+ * repère du canvas.
+ * Aussi utilisée par la visionneuse HTML pour la variante commentaire
+ * ouvert / fermé d'une carte.
+ *
+ * @param {object} node
+ * @param {object} layoutOpts — options de personLayout
+ * @param {boolean} [withId=false] — attribut data-id sur le groupe
+ * @returns {string}
+ */
+export function personSvg(node, layoutOpts, withId = false) {
+  const p = personLayout(node, layoutOpts);
+  const { photo } = p;
+  const clipId = `photo-${node.id}`;
+  let avatar = '';
+  if (photo?.src) {
+    avatar =
+      `<clipPath id="${esc(clipId)}"><circle cx="${n(photo.cx)}" cy="${n(photo.cy)}" r="${photo.r}"/></clipPath>` +
+      `<image href="${esc(photo.src)}" x="${n(photo.cx - photo.r)}" y="${n(photo.cy - photo.r)}" ` +
+      `width="${photo.r * 2}" height="${photo.r * 2}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${esc(clipId)})"/>`;
+  } else if (photo) {
+    avatar =
+      `<path d="${PERSON_ICON_PATH}" transform="translate(${n(photo.cx - 24)} ${n(photo.cy - 24)}) scale(2)" ` +
+      `fill="none" stroke="${CARD.photoIconColor}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+
+  let comment = '';
+  if (p.comment) {
+    const c = p.comment;
+    comment =
+      `<rect x="${n(c.x)}" y="${n(c.y)}" width="${n(c.width)}" height="${n(c.height)}" rx="8" ` +
+      `fill="${CARD.commentBg}" stroke="${CARD.commentBorder}"/>` +
+      `<text font-size="${CARD.commentSize}" fill="${TEXT_COLORS.comment}">` +
+      c.lines
+        .map(
+          (line, i) =>
+            `<tspan x="${n(c.x + CARD.commentPadding)}" y="${n(c.y + CARD.commentPadding + (i + 0.75) * CARD.commentLineHeight)}">${esc(line)}</tspan>`
+        )
+        .join('') +
+      `</text>`;
+  }
+
+  return (
+    `<g class="person"${idAttr(node, withId)}>` +
+    `<rect x="${n(p.x + CARD.borderWidth / 2)}" y="${n(p.y + CARD.borderWidth / 2)}" ` +
+    `width="${n(p.width - CARD.borderWidth)}" height="${n(p.height - CARD.borderWidth)}" rx="${CARD.radius}" ` +
+    `fill="${esc(p.bg)}" stroke="${esc(p.border)}" stroke-width="${CARD.borderWidth}"` +
+    (p.dashed ? ` stroke-dasharray="${CARD.dash.join(' ')}"` : '') +
+    `/>` +
+    (photo
+      ? `<circle cx="${n(photo.cx)}" cy="${n(photo.cy)}" r="${photo.r - 1}" fill="${esc(photo.bg)}"/>` +
+        avatar +
+        `<circle cx="${n(photo.cx)}" cy="${n(photo.cy)}" r="${photo.r - 1}" fill="none" stroke="${esc(p.border)}" stroke-width="2"/>`
+      : '') +
+    `<text x="${n(p.name.x)}" y="${n(p.name.y)}" text-anchor="middle" dominant-baseline="central" ` +
+    `font-size="${p.name.size}" font-weight="600" fill="${TEXT_COLORS.name}">${esc(p.name.text)}</text>` +
+    `<text x="${n(p.role.x)}" y="${n(p.role.y)}" text-anchor="middle" dominant-baseline="central" ` +
+    `font-size="${p.role.size}" fill="${TEXT_COLORS.role}">${esc(p.role.text)}</text>` +
+    comment +
+    `</g>`
+  );
+}
+
+/** Bloc titre, légende, pied de page et filigrane (voir exportDecor) */
+function decorSvg(layout) {
+  const { header, legend, footer, watermark } = layout;
+  let out = '';
+  if (header) {
+    const { logo, title, subtitle, rule } = header;
+    if (logo) {
+      out +=
+        `<image href="${esc(logo.src)}" x="${n(logo.x)}" y="${n(logo.y)}" width="${n(logo.width)}" height="${n(logo.height)}" ` +
+        `preserveAspectRatio="xMidYMid meet"/>`;
+    }
+    out +=
+      `<text x="${n(title.x)}" y="${n(title.y)}" dominant-baseline="central" font-size="${title.size}" font-weight="700" ` +
+      `fill="${TEXT_COLORS.name}">${esc(title.text)}</text>` +
+      `<text x="${n(subtitle.x)}" y="${n(subtitle.y)}" dominant-baseline="central" font-size="${subtitle.size}" ` +
+      `fill="${DECOR.subtitleColor}">${esc(subtitle.text)}</text>` +
+      `<line x1="${n(rule.x1)}" y1="${n(rule.y)}" x2="${n(rule.x2)}" y2="${n(rule.y)}" stroke="${DECOR.ruleColor}"/>`;
+  }
+  if (legend) {
+    const { title, rule } = legend;
+    out +=
+      `<line x1="${n(rule.x1)}" y1="${n(rule.y)}" x2="${n(rule.x2)}" y2="${n(rule.y)}" stroke="${DECOR.ruleColor}"/>` +
+      `<text x="${n(title.x)}" y="${n(title.y)}" dominant-baseline="central" font-size="${title.size}" font-weight="600" ` +
+      `fill="${DECOR.subtitleColor}">${esc(title.text)}</text>` +
+      legend.items
+        .map(
+          (item) =>
+            `<line x1="${n(item.swatch.x1)}" y1="${n(item.swatch.y)}" x2="${n(item.swatch.x2)}" y2="${n(item.swatch.y)}" ` +
+            `stroke="${esc(item.color)}" stroke-width="${EDGE.strokeWidth}"` +
+            (item.dashed ? ` stroke-dasharray="${EDGE.dash.join(' ')}"` : '') +
+            `/>` +
+            `<text x="${n(item.text.x)}" y="${n(item.text.y)}" dominant-baseline="central" font-size="${legend.size}" ` +
+            `fill="${TEXT_COLORS.comment}">${esc(item.label)}</text>`
+        )
+        .join('');
+  }
+  if (footer) {
+    out +=
+      `<text x="${n(footer.x)}" y="${n(footer.y)}" text-anchor="middle" dominant-baseline="central" ` +
+      `font-size="${footer.size}" fill="${DECOR.footerColor}">${esc(footer.text)}</text>`;
+  }
+  if (watermark) {
+    out +=
+      `<text x="${n(watermark.x)}" y="${n(watermark.y)}" text-anchor="middle" dominant-baseline="central" ` +
+      `transform="rotate(${-watermark.angle} ${n(watermark.x)} ${n(watermark.y)})" font-size="${n(watermark.size)}" ` +
+      `font-weight="700" fill="${DECOR.watermarkColor}" fill-opacity="${DECOR.watermarkOpacity}">${esc(watermark.text)}</text>`;
+  }
+  return out;
+}
+
+/**
+ * Génère le document SVG de l'organigramme.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object} [opts]
+ * @param {string|null} [opts.background=EXPORT_BG_COLOR] — null = transparent
+ * @param {number} [opts.padding=EXPORT_PADDING]
+ * @param {number} [opts.scale=1] — taille d'affichage (width/height) par rapport au canvas
+ * @param {boolean} [opts.photos=true]
+ * @param {boolean} [opts.comments=true]
+ * @param {object|null} [opts.decor=null] — habillage (voir buildDecor)
+ * @param {boolean} [opts.nodeIds=false] — attribut data-id sur les groupes des nœuds
+ * @param {string} [opts.overlay=''] — SVG ajouté au-dessus des cartes, sous l'habillage
+ * @returns {string} document SVG autonome
+ */
+export function buildSvg(nodes, edges, opts = {}) {
+  const {
+    background = EXPORT_BG_COLOR,
+    padding = EXPORT_PADDING,
+    scale = 1,
+    photos = true,
+    comments = true,
+    decor = null,
+    nodeIds = false,
+    overlay = '',
+  } = opts;
+  const layoutOpts = { photos, comments };
+
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const bounds = contentBounds(nodes, layoutOpts);
+  const width = Math.ceil(bounds.width + padding * 2);
+  const graphHeight = Math.ceil(bounds.height + padding * 2);
+  const decorated = decor ? decorLayout(decor, width, graphHeight) : null;
+  const height = decorated ? Math.ceil(decorated.height) : graphHeight;
+  // Coin haut gauche de l'image (le bloc titre est au-dessus du graphe)
+  const ox = bounds.x - padding;
+  const oy = bounds.y - padding - (decorated?.top || 0);
+
+  const curves = edges.map((e) => edgeLayout(e, nodesById, layoutOpts)).filter(Boolean);
+
+  // Un marqueur flèche par couleur (même forme que CustomEdge)
+  const colors = [...new Set(curves.map((c) => c.color))];
+  const markerId = (color) => `arrow-${colors.indexOf(color)}`;
+  const markers = colors
+    .map(
+      (color) =>
+        `<marker id="${markerId(color)}" markerWidth="12" markerHeight="12" refX="10" refY="6" orient="auto">` +
+        `<path d="M 0 0 L 12 6 L 0 12 L 3 6 Z" fill="${esc(color)}"/></marker>`
+    )
+    .join('');
+
+  const edgesSvg = curves
+    .map(
+      (c) =>
+        `<path d="M${n(c.source.x)},${n(c.source.y)} C${n(c.c1.x)},${n(c.c1.y)} ${n(c.c2.x)},${n(c.c2.y)} ${n(c.target.x)},${n(c.target.y)}" ` +
+        `fill="none" stroke="${esc(c.color)}" stroke-width="${EDGE.strokeWidth}"` +
+        (c.dashed ? ` stroke-dasharray="${EDGE.dash.join(' ')}"` : '') +
+        ` marker-end="url(#${markerId(c.color)})"/>`
+    )
+    .join('');
+
+  const sections = nodes.filter((node) => node.type === 'section').map((node) => sectionSvg(node, nodeIds)).join('');
+  const persons = nodes
+    .filter(isCard)
+    .map((node) => personSvg(node, layoutOpts, nodeIds))
+    .join('');
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${n(width * scale)}" height="${n(height * scale)}" ` +
+    `viewBox="${n(ox)} ${n(oy)} ${width} ${height}" ` +
+    `font-family="${esc(FONT_FAMILY)}">` +
+    `<defs>${markers}</defs>` +
+    (background ? `<rect x="${n(ox)}" y="${n(oy)}" width="${width}" height="${height}" fill="${esc(background)}"/>` : '') +
+    `<g id="sections">${sections}</g>` +
+    `<g id="edges">${edgesSvg}</g>` +
+    `<g id="persons">${persons}</g>` +
+    (overlay ? `<g id="overlay">${overlay}</g>` : '') +
+    (decorated ? `<g id="decor" transform="translate(${n(ox)} ${n(oy)})">${decorSvg(decorated)}</g>` : '') +
+    '</svg>'
+  );
+}
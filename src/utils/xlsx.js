@@ -0,0 +1,90 @@
+import { zipSync, strToU8 } from 'fflate';
+import { escapeXml } from './xml';
+
+/**
+ * Écriture d'un classeur Excel (.xlsx) minimal : une seule feuille,
+ * chaînes en ligne (inlineStr), nombres natifs, en-tête figé.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/** Index de colonne (0-based) → lettres Excel (0 → A, 26 → AA) */
+function columnName(index) {
+  let name = '';
+  let i = index + 1;
+  while (i > 0) {
+    const rem = (i - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    i = Math.floor((i - 1) / 26);
+  }
+  return name;
+}
+
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const ref = `${columnName(c)}${r + 1}`;
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          }
+          if (value == null || value === '') return '';
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        })
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+  return (
+    XML_HEADER +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+/**
+ * Construit un fichier .xlsx à partir de lignes de cellules.
+ *
+ * @param {Array<Array<string|number>>} rows — la première ligne est l'en-tête
+ * @param {string} [sheetName='Feuille1'] — 31 caractères max (limite Excel)
+ * @returns {Blob}
+ */
+export function buildXlsx(rows, sheetName = 'Feuille1') {
+  const safeSheet = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const files = {
+    '[Content_Types].xml': strToU8(
+      XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    ),
+    '_rels/.rels': strToU8(
+      XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    ),
+    'xl/workbook.xml': strToU8(
+      XML_HEADER +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheet}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    ),
+    'xl/_rels/workbook.xml.rels': strToU8(
+      XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    ),
+    'xl/worksheets/sheet1.xml': strToU8(sheetXml(rows)),
+  };
+  return new Blob([zipSync(files)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  });
+}
@@ -0,0 +1,26 @@
+/**
+ * Échappement de texte pour les fichiers XML écrits à la main.
+ */
+
+/** Caractère autorisé en XML 1.0 : tabulation, retours à la ligne, et à partir de l'espace */
+function isXmlChar(c) {
+  const k = c.codePointAt(0);
+  return k === 9 || k === 10 || k === 13 || k >= 32;
+}
+
+/**
+ * Échappe `& < > "` et retire les caractères de contrôle interdits en
+ * XML 1.0 (un seul suffit à rendre le fichier illisible).
+ *
+ * @param {*} s
+ * @returns {string}
+ */
+export function escapeXml(s) {
+  return [...String(s)]
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}